@@ -17,6 +17,8 @@ const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
+const bs58 = require('bs58');
 const Database = require('better-sqlite3');
 const cron = require('node-cron');
 const dayjs = require('dayjs');
@@ -28,6 +30,7 @@ const { z } = require('zod');
 // Solana SDKs
 const { Helius } = require('helius-sdk');
 const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { StreamflowSolana } = require('@streamflow/stream');
 // Chart generation - DISABLED for Railway compatibility
 const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
 
@@ -41,7 +44,7 @@ function getChartRenderer() {
   if (!chartRenderer) {
     chartRenderer = new ChartJSNodeCanvas({ 
       width: 800, 
-      height: 400,
+      height: 480,
       backgroundColour: '#1a1a2e'
     });
   }
@@ -73,8 +76,25 @@ const CONFIG = {
   maxWalletsPerUser: parseInt(process.env.MAX_WALLETS_PER_USER) || 10,
   maxRecentAlerts: parseInt(process.env.MAX_RECENT_ALERTS) || 10,
   maxWatchlistItems: parseInt(process.env.MAX_WATCHLIST_ITEMS) || 50,
+  maxPriceAlertsPerUser: parseInt(process.env.MAX_PRICE_ALERTS) || 20,
+  maxCustomRulesPerUser: parseInt(process.env.MAX_CUSTOM_RULES) || 20,
   maxCacheSize: parseInt(process.env.MAX_CACHE_SIZE) || 1000,
-  
+  eventRetentionDays: parseInt(process.env.EVENT_RETENTION_DAYS) || 90,
+  sendRatePerSecond: parseInt(process.env.SEND_RATE_PER_SECOND) || 25,
+  backfillMaxTrades: parseInt(process.env.BACKFILL_MAX_TRADES) || 500,
+  backfillAlertMaxAgeMinutes: parseInt(process.env.BACKFILL_ALERT_MAX_AGE) || 15,
+  historyMaxPages: parseInt(process.env.WALLET_HISTORY_MAX_PAGES) || 10,
+  spikeMultiplier: parseFloat(process.env.SPIKE_MULTIPLIER) || 5,
+  spikeMinUsd: parseInt(process.env.SPIKE_MIN_USD) || 1000,
+  tvlDrainPct: parseFloat(process.env.TVL_DRAIN_PCT) || 30,
+  tvlDrainWindowMin: parseInt(process.env.TVL_DRAIN_WINDOW_MIN) || 15,
+  alertChannelId: process.env.ALERT_CHANNEL_ID || null,
+
+  // Orbit program IDL (falls back to built-in discriminators when missing; DLMM positions need it).
+  // Docker images don't contain idl/, so deployments point this at the data volume.
+  orbitIdlPath: process.env.ORBIT_IDL_PATH || path.join(__dirname, 'idl', 'orbit_finance.json'),
+  txTypeMapPath: process.env.TX_TYPE_MAP_PATH || path.join(__dirname, 'idl', 'tx_type_map.json'),
+
   // Features
   debug: process.env.DEBUG === 'true',
   saveDebounceMs: 2000,
@@ -276,6 +296,7 @@ const BIRDEYE = {
   walletNetWorth: (wallet) => `https://public-api.birdeye.so/v1/wallet/token_list?wallet=${wallet}`,
   topTraders: (mint) => `https://public-api.birdeye.so/defi/v2/tokens/top_traders?address=${mint}&limit=5`,
   trades: (mint) => `https://public-api.birdeye.so/defi/txs/token?address=${mint}&limit=20`,
+  historicalPrice: (mint, time) => `https://public-api.birdeye.so/defi/historical_price_unix?address=${mint}&unixtime=${Math.floor(time / 1000)}`,
 };
 
 // Birdeye API key (optional - works without key at lower rate limits)
@@ -353,8 +374,8 @@ const TX_TYPE = {
 };
 
 /**
- * Anchor discriminators from the Orbit Finance IDL
- * These 8-byte discriminators are used to identify instruction/event types
+ * Built-in Anchor discriminators from the Orbit Finance IDL
+ * Used when no IDL file is found at CONFIG.orbitIdlPath (see loadOrbitIdl)
  */
 const ORBIT_DISCRIMINATORS = {
   instructions: {
@@ -418,127 +439,344 @@ const ORBIT_DISCRIMINATORS = {
   },
 };
 
+/**
+ * Default discriminator name → TX_TYPE mapping (values are TX_TYPE keys).
+ * Entries in CONFIG.txTypeMapPath are merged over these, so new program features can be classified without a deploy.
+ */
+const DEFAULT_TX_TYPE_MAP = {
+  instructions: {
+    swap: 'SWAP',
+    add_liquidity_v2: 'LP_ADD',
+    add_liquidity_batch: 'LP_ADD',
+    init_position: 'LP_ADD', // opening a position = preparing to add liquidity
+    withdraw: 'LP_REMOVE',
+    close_position: 'CLOSE_POSITION',
+    lock_liquidity: 'LOCK_LIQUIDITY',
+    unlock_liquidity: 'UNLOCK_LIQUIDITY',
+    init_pool: 'POOL_INIT',
+    close_pool: 'CLOSE_POOL',
+    claim_protocol_fees: 'PROTOCOL_FEES',
+    transfer_protocol_fees: 'PROTOCOL_FEES',
+    claim_holder_rewards: 'CLAIM_REWARDS',
+    claim_nft_rewards: 'CLAIM_REWARDS',
+    sync_holder_stake: 'SYNC_STAKE',
+    update_admin: 'ADMIN',
+    update_authorities: 'ADMIN',
+    update_fee_config: 'ADMIN',
+    set_pause: 'ADMIN',
+    set_pause_bits: 'ADMIN',
+    unpause_override: 'ADMIN',
+    create_bin_array: 'SETUP',
+    init_oracle: 'SETUP',
+    init_position_bin: 'SETUP',
+    init_holder_global_state: 'SETUP',
+    init_nft_global_state: 'SETUP',
+    init_user_holder_state: 'SETUP',
+    init_user_nft_state: 'SETUP',
+    view_farming_position: 'SETUP',
+  },
+  events: {
+    SwapExecuted: 'SWAP',
+    LiquidityDeposited: 'LP_ADD',
+    LiquidityWithdrawnUser: 'LP_REMOVE',
+    LiquidityWithdrawnAdmin: 'LP_REMOVE',
+    PoolInitialized: 'POOL_INIT',
+    PairRegistered: 'POOL_INIT',
+    FeesDistributed: 'FEES_DISTRIBUTED',
+    LiquidityLocked: 'LOCK_LIQUIDITY',
+    ClaimHolderRewardsEvent: 'CLAIM_REWARDS',
+    SyncHolderStakeEvent: 'SYNC_STAKE',
+    AdminUpdated: 'ADMIN',
+    AuthoritiesUpdated: 'ADMIN',
+    FeeConfigUpdated: 'ADMIN',
+    PauseUpdated: 'ADMIN',
+    BinArrayCreated: 'SETUP',
+    LiquidityBinCreated: 'SETUP',
+  },
+};
+
+/**
+ * Event layouts from the Orbit Finance IDL (Anchor `types` format).
+ * Used to Borsh-decode the body that follows the 8-byte discriminator in `Program data:` logs.
+ */
+const ORBIT_EVENT_IDL = {
+  types: [
+    {
+      name: 'SwapExecuted',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'user', type: 'pubkey' },
+        { name: 'input_mint', type: 'pubkey' },
+        { name: 'output_mint', type: 'pubkey' },
+        { name: 'amount_in', type: 'u64' },
+        { name: 'amount_out', type: 'u64' },
+        { name: 'lp_fee', type: 'u64' },
+        { name: 'protocol_fee', type: 'u64' },
+        { name: 'start_bin_id', type: 'i32' },
+        { name: 'end_bin_id', type: 'i32' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'LiquidityDeposited',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'owner', type: 'pubkey' },
+        { name: 'position', type: 'pubkey' },
+        { name: 'base_amount', type: 'u64' },
+        { name: 'quote_amount', type: 'u64' },
+        { name: 'lower_bin_id', type: 'i32' },
+        { name: 'upper_bin_id', type: 'i32' },
+        { name: 'shares_minted', type: 'u128' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'LiquidityWithdrawnUser',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'owner', type: 'pubkey' },
+        { name: 'position', type: 'pubkey' },
+        { name: 'base_amount_out', type: 'u64' },
+        { name: 'quote_amount_out', type: 'u64' },
+        { name: 'lower_bin_id', type: 'i32' },
+        { name: 'upper_bin_id', type: 'i32' },
+        { name: 'shares_burned', type: 'u128' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'LiquidityWithdrawnAdmin',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'authority', type: 'pubkey' },
+        { name: 'recipient', type: 'pubkey' },
+        { name: 'base_amount_out', type: 'u64' },
+        { name: 'quote_amount_out', type: 'u64' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'FeesDistributed',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'base_fees', type: 'u64' },
+        { name: 'quote_fees', type: 'u64' },
+        { name: 'holder_share', type: 'u64' },
+        { name: 'nft_share', type: 'u64' },
+        { name: 'protocol_share', type: 'u64' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'LiquidityLocked',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'owner', type: 'pubkey' },
+        { name: 'position', type: 'pubkey' },
+        { name: 'locked_until', type: 'i64' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+    {
+      name: 'FeeConfigUpdated',
+      type: { kind: 'struct', fields: [
+        { name: 'pool', type: 'pubkey' },
+        { name: 'authority', type: 'pubkey' },
+        { name: 'base_fee_bps', type: 'u16' },
+        { name: 'protocol_fee_bps', type: 'u16' },
+        { name: 'holder_fee_bps', type: 'u16' },
+        { name: 'nft_fee_bps', type: 'u16' },
+        { name: 'timestamp', type: 'i64' },
+      ] },
+    },
+  ],
+};
+
+// DLMM accounts behind LP positions. Their layouts only come from a loaded IDL (ORBIT_IDL_PATH):
+// a Position owns one PositionBin per bin it holds shares in, and each LiquidityBin carries
+// the pool's reserves and total shares for that bin.
+const DLMM_ACCOUNTS = ['Position', 'PositionBin', 'LiquidityBin'];
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ANCHOR DISCRIMINATOR DETECTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function arraysEqual(a, b) {
-  if (!a || !b || a.length !== b.length) return false;
-  for (let i = 0; i < a.length; i++) {
-    if (a[i] !== b[i]) return false;
-  }
-  return true;
+// Discriminator registry: hex → name per namespace, plus name → TX_TYPE.
+// Filled at startup by loadOrbitIdl() from the IDL on disk or the built-in tables.
+const orbitIdl = {
+  source: 'built-in',
+  instructions: new Map(),
+  events: new Map(),
+  txTypes: { instructions: {}, events: {} },
+  eventIdl: ORBIT_EVENT_IDL,
+  accountIdl: null, // IDL with Position/PositionBin/LiquidityBin layouts, when one is loaded
+};
+
+// Unknown discriminators seen on the wire: `${kind}:${hex}` → { kind, hex, count, firstSeen }
+const unknownDiscriminators = new Map();
+
+const discToHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+// Anchor discriminator: first 8 bytes of sha256("<namespace>:<name>")
+function anchorDiscriminator(namespace, name) {
+  return crypto.createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8);
 }
 
-// Detect from raw instruction data (8-byte discriminator)
-function detectFromInstructionData(data) {
-  if (!data || data.length < 8) return TX_TYPE.UNKNOWN;
+// Legacy IDLs name instructions in camelCase but Anchor hashes the snake_case name
+const camelToSnake = (s) => s.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
 
-  const disc = Array.from(data.slice(0, 8));
-  const ix = ORBIT_DISCRIMINATORS.instructions;
-
-  // Swap
-  if (arraysEqual(disc, ix.swap)) return TX_TYPE.SWAP;
-  // Liquidity add (single + batch)
-  if (arraysEqual(disc, ix.add_liquidity_v2) || arraysEqual(disc, ix.add_liquidity_batch)) return TX_TYPE.LP_ADD;
-  // Liquidity remove
-  if (arraysEqual(disc, ix.withdraw)) return TX_TYPE.LP_REMOVE;
-  // Close position (removes liquidity + closes account)
-  if (arraysEqual(disc, ix.close_position)) return TX_TYPE.CLOSE_POSITION;
-  // Liquidity locking/unlocking
-  if (arraysEqual(disc, ix.lock_liquidity)) return TX_TYPE.LOCK_LIQUIDITY;
-  if (arraysEqual(disc, ix.unlock_liquidity)) return TX_TYPE.UNLOCK_LIQUIDITY;
-  // Pool/position management
-  if (arraysEqual(disc, ix.init_pool)) return TX_TYPE.POOL_INIT;
-  if (arraysEqual(disc, ix.close_pool)) return TX_TYPE.CLOSE_POOL;
-  if (arraysEqual(disc, ix.init_position)) return TX_TYPE.LP_ADD; // opening a position = preparing to add liquidity
-  // Protocol fees
-  if (arraysEqual(disc, ix.claim_protocol_fees) || arraysEqual(disc, ix.transfer_protocol_fees)) return TX_TYPE.PROTOCOL_FEES;
-  // Reward claims & staking
-  if (arraysEqual(disc, ix.claim_holder_rewards) || arraysEqual(disc, ix.claim_nft_rewards)) return TX_TYPE.CLAIM_REWARDS;
-  if (arraysEqual(disc, ix.sync_holder_stake)) return TX_TYPE.SYNC_STAKE;
-  // Admin / governance
-  if (arraysEqual(disc, ix.update_admin) || arraysEqual(disc, ix.update_authorities) ||
-      arraysEqual(disc, ix.update_fee_config) || arraysEqual(disc, ix.set_pause) ||
-      arraysEqual(disc, ix.set_pause_bits) || arraysEqual(disc, ix.unpause_override)) return TX_TYPE.ADMIN;
-  // Setup / infrastructure
-  if (arraysEqual(disc, ix.create_bin_array) || arraysEqual(disc, ix.init_oracle) ||
-      arraysEqual(disc, ix.init_position_bin) || arraysEqual(disc, ix.init_holder_global_state) ||
-      arraysEqual(disc, ix.init_nft_global_state) || arraysEqual(disc, ix.init_user_holder_state) ||
-      arraysEqual(disc, ix.init_user_nft_state) || arraysEqual(disc, ix.view_farming_position)) return TX_TYPE.SETUP;
+// Resolve a mapping value ('SWAP' or 'swap') to a TX_TYPE
+function toTxType(value) {
+  if (!value) return null;
+  if (TX_TYPE[value]) return TX_TYPE[value];
+  return Object.values(TX_TYPE).includes(value) ? value : null;
+}
 
-  return TX_TYPE.UNKNOWN;
+// Merge a mapping file over the defaults; unreadable files are logged and ignored
+function loadTxTypeMap(filePath) {
+  const merged = {
+    instructions: { ...DEFAULT_TX_TYPE_MAP.instructions },
+    events: { ...DEFAULT_TX_TYPE_MAP.events },
+  };
+  if (!filePath || !fs.existsSync(filePath)) return merged;
+  try {
+    const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const kind of ['instructions', 'events']) {
+      for (const [name, value] of Object.entries(overrides[kind] || {})) {
+        if (!toTxType(value)) {
+          log.warn(`⚠️ TX type map: unknown type "${value}" for ${kind}.${name}, ignoring`);
+          continue;
+        }
+        merged[kind][name] = value;
+      }
+    }
+    log.info(`🗺️ Loaded TX type overrides from ${filePath}`);
+  } catch (e) {
+    log.error(`❌ Failed to read TX type map ${filePath}:`, e.message);
+  }
+  return merged;
 }
 
-// Detect from Anchor event logs
-function detectFromLogs(logs) {
-  if (!logs || !Array.isArray(logs)) return { type: TX_TYPE.UNKNOWN, eventName: null };
-  
-  for (const log of logs) {
-    if (!log.startsWith('Program data: ')) continue;
-    
+function setOrbitRegistry({ source, instructions, events, txTypeMap, eventIdl, accountIdl = null }) {
+  orbitIdl.source = source;
+  orbitIdl.instructions = instructions;
+  orbitIdl.events = events;
+  orbitIdl.eventIdl = eventIdl;
+  orbitIdl.accountIdl = accountIdl;
+  for (const kind of ['instructions', 'events']) {
+    orbitIdl.txTypes[kind] = {};
+    for (const [name, value] of Object.entries(txTypeMap[kind])) orbitIdl.txTypes[kind][name] = toTxType(value);
+  }
+}
+
+// Build the registry from the Anchor IDL at CONFIG.orbitIdlPath, falling back to the built-in tables
+function loadOrbitIdl() {
+  const txTypeMap = loadTxTypeMap(CONFIG.txTypeMapPath);
+  const builtIn = (table) => new Map(Object.entries(table).map(([name, bytes]) => [discToHex(bytes), name]));
+
+  let idl = null;
+  if (process.env.ORBIT_IDL_PATH && !fs.existsSync(CONFIG.orbitIdlPath)) {
+    log.warn(`⚠️ ORBIT_IDL_PATH ${CONFIG.orbitIdlPath} not found`);
+  }
+  if (CONFIG.orbitIdlPath && fs.existsSync(CONFIG.orbitIdlPath)) {
     try {
-      const base64 = log.slice('Program data: '.length).trim();
-      const buffer = Buffer.from(base64, 'base64');
-      if (buffer.length < 8) continue;
-      
-      const disc = Array.from(buffer.slice(0, 8));
-      
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.SwapExecuted)) {
-        return { type: TX_TYPE.SWAP, eventName: 'SwapExecuted' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.LiquidityDeposited)) {
-        return { type: TX_TYPE.LP_ADD, eventName: 'LiquidityDeposited' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.LiquidityWithdrawnUser)) {
-        return { type: TX_TYPE.LP_REMOVE, eventName: 'LiquidityWithdrawnUser' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.LiquidityWithdrawnAdmin)) {
-        return { type: TX_TYPE.LP_REMOVE, eventName: 'LiquidityWithdrawnAdmin' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.PoolInitialized)) {
-        return { type: TX_TYPE.POOL_INIT, eventName: 'PoolInitialized' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.FeesDistributed)) {
-        return { type: TX_TYPE.FEES_DISTRIBUTED, eventName: 'FeesDistributed' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.LiquidityLocked)) {
-        return { type: TX_TYPE.LOCK_LIQUIDITY, eventName: 'LiquidityLocked' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.ClaimHolderRewardsEvent)) {
-        return { type: TX_TYPE.CLAIM_REWARDS, eventName: 'ClaimRewards' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.SyncHolderStakeEvent)) {
-        return { type: TX_TYPE.SYNC_STAKE, eventName: 'SyncHolderStake' };
-      }
-      // Admin / governance events
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.AdminUpdated)) {
-        return { type: TX_TYPE.ADMIN, eventName: 'AdminUpdated' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.AuthoritiesUpdated)) {
-        return { type: TX_TYPE.ADMIN, eventName: 'AuthoritiesUpdated' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.FeeConfigUpdated)) {
-        return { type: TX_TYPE.ADMIN, eventName: 'FeeConfigUpdated' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.PauseUpdated)) {
-        return { type: TX_TYPE.ADMIN, eventName: 'PauseUpdated' };
-      }
-      // Setup events
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.BinArrayCreated)) {
-        return { type: TX_TYPE.SETUP, eventName: 'BinArrayCreated' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.LiquidityBinCreated)) {
-        return { type: TX_TYPE.SETUP, eventName: 'LiquidityBinCreated' };
-      }
-      if (arraysEqual(disc, ORBIT_DISCRIMINATORS.events.PairRegistered)) {
-        return { type: TX_TYPE.POOL_INIT, eventName: 'PairRegistered' };
-      }
+      idl = JSON.parse(fs.readFileSync(CONFIG.orbitIdlPath, 'utf8'));
     } catch (e) {
-      // Continue to next log
+      log.error(`❌ Failed to read Orbit IDL ${CONFIG.orbitIdlPath}:`, e.message);
     }
   }
 
+  if (!idl) {
+    setOrbitRegistry({
+      source: 'built-in',
+      instructions: builtIn(ORBIT_DISCRIMINATORS.instructions),
+      events: builtIn(ORBIT_DISCRIMINATORS.events),
+      txTypeMap,
+      eventIdl: ORBIT_EVENT_IDL,
+    });
+    log.info(`🧾 Using built-in Orbit discriminators (${orbitIdl.instructions.size} instructions, ${orbitIdl.events.size} events); DLMM positions need ORBIT_IDL_PATH`);
+    return;
+  }
+
+  // Anchor 0.30+ IDLs ship explicit discriminators; older ones need hashing
+  const instructions = new Map();
+  for (const ix of idl.instructions || []) {
+    const disc = ix.discriminator || anchorDiscriminator('global', camelToSnake(ix.name));
+    instructions.set(discToHex(disc), camelToSnake(ix.name));
+  }
+  const events = new Map();
+  for (const ev of idl.events || []) {
+    events.set(discToHex(ev.discriminator || anchorDiscriminator('event', ev.name)), ev.name);
+  }
+
+  // DLMM positions can only be read when the IDL defines every account they span
+  const accountIdl = DLMM_ACCOUNTS.every(name => getIdlAccountFields(idl, name)) ? idl : null;
+
+  setOrbitRegistry({ source: CONFIG.orbitIdlPath, instructions, events, txTypeMap, eventIdl: idl, accountIdl });
+
+  const unmapped = [
+    ...[...instructions.values()].filter(n => !orbitIdl.txTypes.instructions[n]),
+    ...[...events.values()].filter(n => !orbitIdl.txTypes.events[n]),
+  ];
+  const version = idl.metadata?.version || idl.version;
+  log.info(`🧾 Loaded Orbit IDL${version ? ` v${version}` : ''} from ${CONFIG.orbitIdlPath} (${instructions.size} instructions, ${events.size} events)`);
+  if (!accountIdl) log.warn(`⚠️ IDL has no ${DLMM_ACCOUNTS.join('/')} layouts; DLMM positions and range alerts are off`);
+  if (unmapped.length > 0) log.warn(`⚠️ IDL entries without a TX type mapping: ${unmapped.join(', ')}`);
+}
+
+// Count discriminators we can't name; log the 1st, 10th, 100th… sighting
+function noteUnknownDiscriminator(kind, hex) {
+  const key = `${kind}:${hex}`;
+  const entry = unknownDiscriminators.get(key) || { kind, hex, count: 0, firstSeen: Date.now() };
+  entry.count++;
+  unknownDiscriminators.set(key, entry);
+  if (Number.isInteger(Math.log10(entry.count))) {
+    log.warn(`🆕 Unknown Orbit ${kind} discriminator ${hex} seen ${entry.count}x`);
+  }
+}
+
+// Look up an 8-byte discriminator; returns { name, type } or null
+function lookupDiscriminator(kind, data) {
+  const name = orbitIdl[kind].get(discToHex(data.subarray(0, 8)));
+  if (!name) return null;
+  return { name, type: orbitIdl.txTypes[kind][name] || TX_TYPE.UNKNOWN };
+}
+
+// Detect from raw instruction data (8-byte discriminator).
+// Only count misses when the data is known to be an Orbit instruction, not some other `data` field.
+function detectFromInstructionData(data, { trackUnknown = false } = {}) {
+  if (!data || data.length < 8) return TX_TYPE.UNKNOWN;
+  const found = lookupDiscriminator('instructions', data);
+  if (!found && trackUnknown) noteUnknownDiscriminator('instruction', discToHex(data.subarray(0, 8)));
+  return found?.type || TX_TYPE.UNKNOWN;
+}
+
+// `Program data:` payloads emitted by the Orbit program itself (other programs' events are skipped
+// by tracking the invoke stack; logs without invoke lines are assumed to be Orbit's)
+function getOrbitEventPayloads(logs) {
+  if (!logs || !Array.isArray(logs)) return [];
+  const stack = [];
+  const payloads = [];
+  for (const line of logs) {
+    if (typeof line !== 'string') continue;
+    const invoke = line.match(/^Program (\w+) invoke \[\d+\]/);
+    if (invoke) { stack.push(invoke[1]); continue; }
+    if (/^Program \w+ (success|failed)/.test(line)) { stack.pop(); continue; }
+    if (!line.startsWith('Program data: ')) continue;
+    if (stack.length > 0 && stack[stack.length - 1] !== ORBIT_PROGRAM_ID) continue;
+    const buffer = Buffer.from(line.slice('Program data: '.length).trim(), 'base64');
+    if (buffer.length >= 8) payloads.push(buffer);
+  }
+  return payloads;
+}
+
+// Detect from Anchor event logs
+function detectFromLogs(logs) {
+  for (const buffer of getOrbitEventPayloads(logs)) {
+    const found = lookupDiscriminator('events', buffer);
+    if (found && found.type !== TX_TYPE.UNKNOWN) return { type: found.type, eventName: found.name };
+  }
   return { type: TX_TYPE.UNKNOWN, eventName: null };
 }
 
@@ -650,7 +888,7 @@ function detectTransactionType(message) {
     }
     
     if (buffer) {
-      const detected = detectFromInstructionData(buffer);
+      const detected = detectFromInstructionData(buffer, { trackUnknown: !!message.instructionData });
       if (detected !== TX_TYPE.UNKNOWN) {
         const direction = detected === TX_TYPE.SWAP ? getSwapDirection(message) :
                          detected === TX_TYPE.LP_ADD ? 'add' :
@@ -712,6 +950,247 @@ function detectTransactionType(message) {
   return { type: TX_TYPE.UNKNOWN, direction: null, confidence: 'none' };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANCHOR EVENT DECODING (Borsh, IDL-driven)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const snakeToCamel = (s) => s.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+// Read one IDL-typed value at cur.pos; 64/128-bit integers come back as exact decimal strings.
+// Out-of-range reads throw, which callers treat as "not decodable".
+function readIdlValue(cur, type, idl) {
+  const { buf } = cur;
+  if (typeof type === 'string') {
+    let v;
+    switch (type) {
+      case 'bool': v = buf.readUInt8(cur.pos) !== 0; cur.pos += 1; return v;
+      case 'u8': v = buf.readUInt8(cur.pos); cur.pos += 1; return v;
+      case 'i8': v = buf.readInt8(cur.pos); cur.pos += 1; return v;
+      case 'u16': v = buf.readUInt16LE(cur.pos); cur.pos += 2; return v;
+      case 'i16': v = buf.readInt16LE(cur.pos); cur.pos += 2; return v;
+      case 'u32': v = buf.readUInt32LE(cur.pos); cur.pos += 4; return v;
+      case 'i32': v = buf.readInt32LE(cur.pos); cur.pos += 4; return v;
+      case 'u64': v = buf.readBigUInt64LE(cur.pos); cur.pos += 8; return v.toString();
+      case 'i64': v = buf.readBigInt64LE(cur.pos); cur.pos += 8; return v.toString();
+      case 'u128':
+      case 'i128': {
+        const lo = buf.readBigUInt64LE(cur.pos);
+        const hi = type === 'u128' ? buf.readBigUInt64LE(cur.pos + 8) : buf.readBigInt64LE(cur.pos + 8);
+        cur.pos += 16;
+        return ((hi << 64n) + lo).toString();
+      }
+      case 'pubkey':
+      case 'publicKey':
+        if (cur.pos + 32 > buf.length) throw new RangeError('pubkey out of range');
+        v = new PublicKey(buf.subarray(cur.pos, cur.pos + 32)).toBase58(); cur.pos += 32; return v;
+      case 'string':
+      case 'bytes': {
+        const len = buf.readUInt32LE(cur.pos);
+        if (cur.pos + 4 + len > buf.length) throw new RangeError(`${type} out of range`);
+        const slice = buf.subarray(cur.pos + 4, cur.pos + 4 + len);
+        cur.pos += 4 + len;
+        return type === 'string' ? slice.toString('utf8') : slice.toString('base64');
+      }
+      default: throw new Error(`Unsupported IDL type: ${type}`);
+    }
+  }
+  if (type.option !== undefined) {
+    const present = buf.readUInt8(cur.pos); cur.pos += 1;
+    return present ? readIdlValue(cur, type.option, idl) : null;
+  }
+  if (type.vec !== undefined) {
+    const len = buf.readUInt32LE(cur.pos); cur.pos += 4;
+    if (len > buf.length) throw new RangeError('vec length out of range');
+    return Array.from({ length: len }, () => readIdlValue(cur, type.vec, idl));
+  }
+  if (type.array !== undefined) {
+    const [inner, len] = type.array;
+    return Array.from({ length: len }, () => readIdlValue(cur, inner, idl));
+  }
+  if (type.defined !== undefined) {
+    const name = type.defined.name || type.defined;
+    const def = idl.types?.find(t => t.name === name);
+    if (!def) throw new Error(`Unknown IDL type: ${name}`);
+    return readIdlTypeDef(cur, def.type, idl);
+  }
+  throw new Error(`Unsupported IDL type: ${JSON.stringify(type)}`);
+}
+
+function readIdlTypeDef(cur, def, idl) {
+  if (def.kind === 'enum') {
+    const index = cur.buf.readUInt8(cur.pos); cur.pos += 1;
+    const variant = def.variants[index];
+    if (!variant) throw new RangeError(`enum variant ${index} out of range`);
+    if (!variant.fields) return variant.name;
+    return { variant: variant.name, ...readIdlFields(cur, variant.fields, idl) };
+  }
+  return readIdlFields(cur, def.fields || [], idl);
+}
+
+function readIdlFields(cur, fields, idl) {
+  const out = {};
+  fields.forEach((f, i) => {
+    // Tuple fields are bare types
+    const name = f.name !== undefined ? snakeToCamel(f.name) : String(i);
+    out[name] = readIdlValue(cur, f.type !== undefined ? f.type : f, idl);
+  });
+  return out;
+}
+
+// Field list for an event: new-style IDLs keep it under `types`, legacy ones inline it on the event
+function getIdlEventFields(idl, name) {
+  const legacy = idl.events?.find(e => e.name === name && e.fields);
+  if (legacy) return legacy.fields;
+  return idl.types?.find(t => t.name === name)?.type?.fields || null;
+}
+
+// Field list for an account: legacy IDLs inline it on the account, new-style ones keep it under `types`
+function getIdlAccountFields(idl, name) {
+  const legacy = idl.accounts?.find(a => a.name === name && a.type?.fields);
+  if (legacy) return legacy.type.fields;
+  return idl.types?.find(t => t.name === name)?.type?.fields || null;
+}
+
+const IDL_FIXED_SIZES = {
+  bool: 1, u8: 1, i8: 1, u16: 2, i16: 2, u32: 4, i32: 4,
+  u64: 8, i64: 8, u128: 16, i128: 16, pubkey: 32, publicKey: 32,
+};
+
+// Byte offset of a field in an account (after the 8-byte discriminator); null if a
+// variable-size field comes before it
+function getIdlFieldOffset(fields, name) {
+  let offset = 8;
+  for (const f of fields) {
+    if (f.name === name) return offset;
+    const size = typeof f.type === 'string' ? IDL_FIXED_SIZES[f.type]
+      : f.type?.array && typeof f.type.array[0] === 'string' ? IDL_FIXED_SIZES[f.type.array[0]] * f.type.array[1]
+      : undefined;
+    if (!size) return null;
+    offset += size;
+  }
+  return null;
+}
+
+// Decode a `Program data:` payload into { name, data } when both discriminator and layout are known
+function decodeAnchorEvent(buffer, idl = orbitIdl.eventIdl) {
+  if (!buffer || buffer.length < 8) return null;
+  const name = orbitIdl.events.get(discToHex(buffer.subarray(0, 8)));
+  if (!name) return null;
+  const fields = getIdlEventFields(idl, name);
+  if (!fields) return null;
+  try {
+    return { name, data: readIdlFields({ buf: buffer, pos: 8 }, fields, idl) };
+  } catch (e) {
+    log.debug(`Event decode failed for ${name}:`, e.message);
+    return null;
+  }
+}
+
+// Turn a decoded event into exact raw amounts for the pool it belongs to.
+// Returns null if the event doesn't line up with the pool (wrong layout or wrong pool).
+function getExactEventFields(event, pool) {
+  const d = event?.data;
+  if (!d || !pool || (d.pool && d.pool !== pool.id)) return null;
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+
+  switch (event.name) {
+    case 'SwapExecuted': {
+      const isBuy = d.inputMint === quote && d.outputMint === base;
+      const isSell = d.inputMint === base && d.outputMint === quote;
+      if (!isBuy && !isSell) return null;
+      return {
+        side: isBuy ? 'buy' : 'sell',
+        baseRaw: isBuy ? d.amountOut : d.amountIn,
+        quoteRaw: isBuy ? d.amountIn : d.amountOut,
+        lpFee: d.lpFee,
+        protocolFee: d.protocolFee,
+        startBin: d.startBinId,
+        endBin: d.endBinId,
+        user: d.user,
+      };
+    }
+    case 'LiquidityDeposited':
+    case 'LiquidityWithdrawnUser': {
+      const isAdd = event.name === 'LiquidityDeposited';
+      return {
+        side: isAdd ? 'add' : 'remove',
+        baseRaw: isAdd ? d.baseAmount : d.baseAmountOut,
+        quoteRaw: isAdd ? d.quoteAmount : d.quoteAmountOut,
+        lowerBin: d.lowerBinId,
+        upperBin: d.upperBinId,
+        shares: isAdd ? d.sharesMinted : d.sharesBurned,
+        user: d.owner,
+        position: d.position,
+      };
+    }
+    case 'LiquidityWithdrawnAdmin':
+      // Pulled by the pool authority rather than burned from a position
+      return {
+        side: 'remove',
+        baseRaw: d.baseAmountOut,
+        quoteRaw: d.quoteAmountOut,
+        user: d.authority,
+        recipient: d.recipient,
+        admin: true,
+      };
+    default:
+      return null;
+  }
+}
+
+// Exact raw amounts → UI units
+function getExactAmounts(exact, pool) {
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+  return {
+    baseAmount: Number(exact.baseRaw || 0) / Math.pow(10, getDecimals(base)),
+    quoteAmount: Number(exact.quoteRaw || 0) / Math.pow(10, getDecimals(quote)),
+  };
+}
+
+// USD value of exact amounts: quote side, then base side, then pool price
+function getExactUsd(exact, pool) {
+  const { baseAmount, quoteAmount } = getExactAmounts(exact, pool);
+  const quotePrice = getPrice(pool.quoteMint || pool.quote);
+  const basePrice = getPrice(pool.baseMint || pool.base);
+  const isLp = exact.side === 'add' || exact.side === 'remove';
+  // LP events move both sides at once; swaps are valued on one side
+  if (isLp) return (quotePrice ? quoteAmount * quotePrice : 0) + (basePrice ? baseAmount * basePrice : 0);
+  if (quotePrice && quoteAmount > 0) return quoteAmount * quotePrice;
+  if (basePrice && baseAmount > 0) return baseAmount * basePrice;
+  if (pool.price && baseAmount > 0) return baseAmount * pool.price;
+  return 0;
+}
+
+// One-line summary of decoded config/lock fields for alerts ('' when nothing useful)
+function describeDecodedEvent(event) {
+  const d = event?.data;
+  if (!d) return '';
+  const pct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+  switch (event.name) {
+    case 'FeeConfigUpdated':
+      return `Base fee ${pct(d.baseFeeBps)} • Protocol ${pct(d.protocolFeeBps)} • Holders ${pct(d.holderFeeBps)} • NFT ${pct(d.nftFeeBps)}`;
+    case 'LiquidityLocked': {
+      const until = Number(d.lockedUntil);
+      return until > 0 ? `Locked until ${dayjs.unix(until).utc().format('YYYY-MM-DD HH:mm')} UTC` : '';
+    }
+    default:
+      return '';
+  }
+}
+
+// First decodable Orbit event in a transaction's logs; events the registry can't name are counted
+function decodeEventFromLogs(logs) {
+  let first = null;
+  for (const buffer of getOrbitEventPayloads(logs)) {
+    const hex = discToHex(buffer.subarray(0, 8));
+    if (!orbitIdl.events.has(hex)) { noteUnknownDiscriminator('event', hex); continue; }
+    if (!first) first = decodeAnchorEvent(buffer);
+  }
+  return first;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // INPUT VALIDATION (Zod schemas)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1459,7 +1938,7 @@ function checkCooldown(chatId) {
   return true;
 }
 
-// Clean up old cooldown entries periodically (tracked for shutdown cleanup)
+// Clean up old cooldown and admin-check entries periodically (tracked for shutdown cleanup)
 const cooldownCleanupInterval = setInterval(() => {
   const now = Date.now();
   for (const [chatId, timestamp] of commandCooldowns.entries()) {
@@ -1467,6 +1946,10 @@ const cooldownCleanupInterval = setInterval(() => {
       commandCooldowns.delete(chatId);
     }
   }
+  // Expired admin checks too, now that every member who taps a button gets an entry
+  for (const [key, entry] of chatAdminCache) {
+    if (now - entry.at > CHAT_ADMIN_TTL) chatAdminCache.delete(key);
+  }
 }, 60000);
 
 // Use absolute path based on script location so data persists across updates
@@ -1523,6 +2006,7 @@ function initDatabase() {
         other_buys INTEGER DEFAULT 1,
         other_sells INTEGER DEFAULT 1,
         other_threshold REAL DEFAULT 500,
+        watch_threshold REAL DEFAULT 500,
         
         -- Wallet alerts
         wallet_alerts INTEGER DEFAULT 1,
@@ -1542,6 +2026,25 @@ function initDatabase() {
         
         -- Daily digest
         daily_digest INTEGER DEFAULT 0,
+
+        -- Chart style (candle / line / area)
+        chart_style TEXT DEFAULT 'candle',
+        chart_indicators TEXT DEFAULT '[]',
+        pnl_method TEXT DEFAULT 'fifo',
+        range_alerts INTEGER DEFAULT 1,
+        range_alert_bins INTEGER DEFAULT 3,
+        claim_alert_usd REAL DEFAULT 0,
+        claim_alerted_at INTEGER DEFAULT 0,
+        vesting_alerts INTEGER DEFAULT 0,
+        vesting_alert_min REAL DEFAULT 1000000,
+        cipher_spikes INTEGER DEFAULT 1,
+        watchlist_spikes INTEGER DEFAULT 0,
+        spike_pools TEXT DEFAULT '[]',
+        drain_alerts INTEGER DEFAULT 1,
+        delivery_mode TEXT DEFAULT 'instant',
+        batch_minutes INTEGER DEFAULT 15,
+        chat_type TEXT DEFAULT 'private',
+        alert_topics TEXT DEFAULT '{}',
         
         -- Stats (JSON)
         stats TEXT DEFAULT '{}',
@@ -1624,6 +2127,204 @@ function initDatabase() {
         sig TEXT PRIMARY KEY,
         added_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
       );
+
+      -- Trade history (every processed swap, survives restarts)
+      CREATE TABLE IF NOT EXISTS trades (
+        sig TEXT PRIMARY KEY,
+        pool_id TEXT NOT NULL,
+        trader TEXT,
+        side TEXT NOT NULL,
+        base_amount REAL DEFAULT 0,
+        quote_amount REAL DEFAULT 0,
+        usd REAL DEFAULT 0,
+        price REAL DEFAULT 0,
+        confidence TEXT,
+        time INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
+
+      -- LP event history (adds, removes, position closes)
+      CREATE TABLE IF NOT EXISTS lp_events (
+        sig TEXT PRIMARY KEY,
+        pool_id TEXT NOT NULL,
+        wallet TEXT,
+        position TEXT,
+        side TEXT NOT NULL,
+        base_amount REAL DEFAULT 0,
+        quote_amount REAL DEFAULT 0,
+        usd REAL DEFAULT 0,
+        price REAL DEFAULT 0,
+        confidence TEXT,
+        time INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
+
+      -- Portfolio wallets' LP entries with their USD value at entry (kept past EVENT_RETENTION_DAYS)
+      CREATE TABLE IF NOT EXISTS lp_cost_basis (
+        wallet TEXT NOT NULL,
+        sig TEXT NOT NULL,
+        pool_id TEXT NOT NULL,
+        position TEXT,
+        side TEXT NOT NULL,
+        base_amount REAL DEFAULT 0,
+        quote_amount REAL DEFAULT 0,
+        usd REAL DEFAULT 0,
+        source TEXT,
+        time INTEGER,
+        PRIMARY KEY (wallet, sig)
+      );
+
+      -- LP cut of each FeesDistributed event (UI units)
+      CREATE TABLE IF NOT EXISTS pool_fees (
+        sig TEXT PRIMARY KEY,
+        pool_id TEXT NOT NULL,
+        base_fees REAL DEFAULT 0,
+        quote_fees REAL DEFAULT 0,
+        holder_fees REAL DEFAULT 0,
+        time INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trades_pool_id ON trades(pool_id, time DESC);
+      CREATE INDEX IF NOT EXISTS idx_trades_trader ON trades(trader, time DESC);
+      CREATE INDEX IF NOT EXISTS idx_trades_time ON trades(time DESC);
+      CREATE INDEX IF NOT EXISTS idx_lp_events_pool_id ON lp_events(pool_id, time DESC);
+      CREATE INDEX IF NOT EXISTS idx_lp_events_wallet ON lp_events(wallet, time DESC);
+      CREATE INDEX IF NOT EXISTS idx_lp_events_time ON lp_events(time DESC);
+      CREATE INDEX IF NOT EXISTS idx_pool_fees_pool_id ON pool_fees(pool_id, time DESC);
+
+      -- Price-level alerts (above / below / percent move on a mint or pool)
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        target_type TEXT NOT NULL,
+        target TEXT NOT NULL,
+        label TEXT,
+        condition TEXT NOT NULL,
+        value REAL NOT NULL,
+        base_price REAL,
+        rearm INTEGER DEFAULT 0,
+        triggered INTEGER DEFAULT 0,
+        active INTEGER DEFAULT 1,
+        snoozed_until INTEGER DEFAULT 0,
+        last_triggered INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chat_id) REFERENCES users(chat_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_price_alerts_chat_id ON price_alerts(chat_id);
+      CREATE INDEX IF NOT EXISTS idx_price_alerts_target ON price_alerts(target);
+
+      -- Per-pool / per-token alert overrides (NULL = inherit the global setting)
+      CREATE TABLE IF NOT EXISTS alert_overrides (
+        chat_id INTEGER NOT NULL,
+        target_type TEXT NOT NULL,
+        target TEXT NOT NULL,
+        threshold REAL,
+        lp_threshold REAL,
+        buys INTEGER,
+        sells INTEGER,
+        lp_add INTEGER,
+        lp_remove INTEGER,
+        PRIMARY KEY (chat_id, target_type, target),
+        FOREIGN KEY (chat_id) REFERENCES users(chat_id) ON DELETE CASCADE
+      );
+
+      -- User-defined alert rules written in the filter language (evaluated before the defaults)
+      CREATE TABLE IF NOT EXISTS custom_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        expr TEXT NOT NULL,
+        action TEXT NOT NULL,
+        active INTEGER DEFAULT 1,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+        FOREIGN KEY (chat_id) REFERENCES users(chat_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_custom_rules_chat_id ON custom_rules(chat_id);
+
+      -- Outbound notification queue (a row is deleted once Telegram accepts the message)
+      CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        extra TEXT,
+        effects TEXT,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_next_attempt_at ON outbox(next_attempt_at);
+
+      -- Newest stored trade per pool; backfill resumes from here after downtime
+      CREATE TABLE IF NOT EXISTS pool_checkpoints (
+        pool_id TEXT PRIMARY KEY,
+        last_sig TEXT,
+        last_time INTEGER DEFAULT 0,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
+
+      -- Net worth history, one row per portfolio sync (thinned to daily after 30 days)
+      CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        time INTEGER NOT NULL,
+        total_value REAL DEFAULT 0,
+        sol_value REAL DEFAULT 0,
+        token_value REAL DEFAULT 0,
+        lp_value REAL DEFAULT 0,
+        staked_value REAL DEFAULT 0,
+        wallets TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_chat_id ON portfolio_snapshots(chat_id, time DESC);
+
+      -- Vesting unlocks already announced (one alert per unlock time)
+      CREATE TABLE IF NOT EXISTS vesting_notices (
+        time INTEGER PRIMARY KEY,
+        amount REAL DEFAULT 0,
+        notified_at INTEGER
+      );
+
+      -- Trade/LP alerts held for batched or digest-only delivery
+      CREATE TABLE IF NOT EXISTS alert_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        pool_id TEXT,
+        type TEXT NOT NULL,
+        pair TEXT,
+        usd REAL DEFAULT 0,
+        is_buy INTEGER DEFAULT 0,
+        is_add INTEGER DEFAULT 0,
+        sig TEXT,
+        time INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_alert_batches_chat_id ON alert_batches(chat_id, time);
+
+      -- Hourly stake pool snapshots (CIPHER in vault vs sCIPHER supply) for protocol APR
+      CREATE TABLE IF NOT EXISTS staking_snapshots (
+        time INTEGER PRIMARY KEY,
+        staked REAL DEFAULT 0,
+        receipt_supply REAL DEFAULT 0
+      );
+
+      -- Orbit transactions and stake actions per wallet, found by the history crawler
+      CREATE TABLE IF NOT EXISTS wallet_history (
+        wallet TEXT NOT NULL,
+        sig TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        time INTEGER DEFAULT 0,
+        data TEXT,
+        PRIMARY KEY (wallet, sig, kind)
+      );
+      CREATE INDEX IF NOT EXISTS idx_wallet_history_wallet ON wallet_history(wallet, kind, time DESC);
+
+      -- History crawl cursors (newest_sig for updates, oldest_sig to resume the backfill,
+      -- gap_head/gap_before while new transactions take more than one run to read)
+      CREATE TABLE IF NOT EXISTS wallet_history_state (
+        wallet TEXT PRIMARY KEY,
+        newest_sig TEXT,
+        oldest_sig TEXT,
+        complete INTEGER DEFAULT 0,
+        tx_scanned INTEGER DEFAULT 0,
+        gap_head TEXT,
+        gap_before TEXT,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+      );
     `);
 
     // Add new columns for existing databases (safe: ALTER TABLE IF NOT EXISTS not supported,
@@ -1635,11 +2336,38 @@ function initDatabase() {
       ['close_pool_alerts', 'INTEGER DEFAULT 1'],
       ['protocol_fee_alerts', 'INTEGER DEFAULT 1'],
       ['admin_alerts', 'INTEGER DEFAULT 1'],
+      ['chart_style', "TEXT DEFAULT 'candle'"],
+      ['chart_indicators', "TEXT DEFAULT '[]'"],
+      ['pnl_method', "TEXT DEFAULT 'fifo'"],
+      ['range_alerts', 'INTEGER DEFAULT 1'],
+      ['range_alert_bins', 'INTEGER DEFAULT 3'],
+      ['claim_alert_usd', 'REAL DEFAULT 0'],
+      ['claim_alerted_at', 'INTEGER DEFAULT 0'],
+      ['vesting_alerts', 'INTEGER DEFAULT 0'],
+      ['vesting_alert_min', 'REAL DEFAULT 1000000'],
+      ['cipher_spikes', 'INTEGER DEFAULT 1'],
+      ['watchlist_spikes', 'INTEGER DEFAULT 0'],
+      // No default: existing rows fall back to other_threshold in dbRowToUser
+      ['watch_threshold', 'REAL'],
+      ['spike_pools', "TEXT DEFAULT '[]'"],
+      ['drain_alerts', 'INTEGER DEFAULT 1'],
+      ['delivery_mode', "TEXT DEFAULT 'instant'"],
+      ['batch_minutes', 'INTEGER DEFAULT 15'],
+      ['chat_type', "TEXT DEFAULT 'private'"],
+      ['alert_topics', "TEXT DEFAULT '{}'"],
     ];
     for (const [col, type] of newCols) {
       try { db.exec(`ALTER TABLE users ADD COLUMN ${col} ${type}`); }
       catch (e) { /* column already exists */ }
     }
+    try { db.exec('ALTER TABLE lp_events ADD COLUMN position TEXT'); }
+    catch (e) { /* column already exists */ }
+    try { db.exec('ALTER TABLE pool_fees ADD COLUMN holder_fees REAL DEFAULT 0'); }
+    catch (e) { /* column already exists */ }
+    for (const col of ['gap_head', 'gap_before']) {
+      try { db.exec(`ALTER TABLE wallet_history_state ADD COLUMN ${col} TEXT`); }
+      catch (e) { /* column already exists */ }
+    }
 
     log.info(`✅ Database initialized: ${DB_FILE}`);
 
@@ -1825,6 +2553,21 @@ function loadUsers() {
       }
     }
 
+    const alertRulesMap = new Map();
+    for (const r of db.prepare('SELECT * FROM alert_overrides').all()) {
+      if (!alertRulesMap.has(r.chat_id)) alertRulesMap.set(r.chat_id, { pool: {}, token: {} });
+      const rules = alertRulesMap.get(r.chat_id);
+      if (!rules[r.target_type]) continue;
+      rules[r.target_type][r.target] = {
+        threshold: r.threshold,
+        lpThreshold: r.lp_threshold,
+        buys: r.buys === null ? null : r.buys === 1,
+        sells: r.sells === null ? null : r.sells === 1,
+        lpAdd: r.lp_add === null ? null : r.lp_add === 1,
+        lpRemove: r.lp_remove === null ? null : r.lp_remove === 1,
+      };
+    }
+
     for (const row of rows) {
       const user = dbRowToUser(row);
       user.watchlist = watchlistMap.get(row.chat_id) || [];
@@ -1832,7 +2575,9 @@ function loadUsers() {
       user.wallets = whaleWalletsMap.get(row.chat_id) || [];
       user.portfolioWallets = portfolioWalletsMap.get(row.chat_id) || [];
       user.recentAlerts = recentAlertsMap.get(row.chat_id) || [];
+      user.alertRules = alertRulesMap.get(row.chat_id) || { pool: {}, token: {} };
       users.set(user.chatId, user);
+      indexRangePositions(user);
     }
 
     log.info(`✅ Loaded ${users.size} users from database`);
@@ -1868,6 +2613,7 @@ function dbRowToUser(row) {
     otherBuys: row.other_buys === 1,
     otherSells: row.other_sells === 1,
     otherThreshold: row.other_threshold,
+    watchThreshold: row.watch_threshold ?? row.other_threshold,
     walletAlerts: row.wallet_alerts === undefined ? true : row.wallet_alerts === 1,
     newPoolAlerts: row.new_pool_alerts === undefined ? true : row.new_pool_alerts === 1,
     lockAlerts: row.lock_alerts === undefined ? true : row.lock_alerts === 1,
@@ -1879,6 +2625,23 @@ function dbRowToUser(row) {
     quietStart: row.quiet_start,
     quietEnd: row.quiet_end,
     dailyDigest: row.daily_digest === 1,
+    chartStyle: row.chart_style || 'candle',
+    chartIndicators: safeJsonParse(row.chart_indicators, []),
+    pnlMethod: row.pnl_method || 'fifo',
+    rangeAlerts: row.range_alerts === undefined ? true : row.range_alerts === 1,
+    rangeAlertBins: row.range_alert_bins ?? 3,
+    claimAlertUsd: row.claim_alert_usd || 0,
+    claimAlertedAt: row.claim_alerted_at || 0,
+    vestingAlerts: row.vesting_alerts === 1,
+    vestingAlertMin: row.vesting_alert_min ?? 1000000,
+    cipherSpikes: row.cipher_spikes === undefined ? true : row.cipher_spikes === 1,
+    watchlistSpikes: row.watchlist_spikes === 1,
+    spikePools: safeJsonParse(row.spike_pools, []),
+    drainAlerts: row.drain_alerts === undefined ? true : row.drain_alerts === 1,
+    deliveryMode: row.delivery_mode || 'instant',
+    batchMinutes: row.batch_minutes || 15,
+    chatType: row.chat_type || 'private',
+    alertTopics: safeJsonParse(row.alert_topics, {}),
     stats: safeJsonParse(row.stats),
     todayStats: safeJsonParse(row.today_stats),
     portfolio: safeJsonParse(row.portfolio),
@@ -1890,6 +2653,7 @@ function dbRowToUser(row) {
     wallets: [],
     portfolioWallets: [],
     recentAlerts: [],
+    alertRules: { pool: {}, token: {} },
   };
 }
 
@@ -1905,19 +2669,21 @@ function saveUser(user) {
           chat_id, onboarded, enabled, blocked,
           cipher_buys, cipher_sells, cipher_lp_add, cipher_lp_remove, cipher_threshold,
           track_other_pools, other_lp_add, other_lp_remove, other_lp_threshold,
-          other_buys, other_sells, other_threshold,
+          other_buys, other_sells, other_threshold, watch_threshold,
           wallet_alerts, new_pool_alerts, lock_alerts, reward_alerts,
           close_pool_alerts, protocol_fee_alerts, admin_alerts,
-          snoozed_until, quiet_start, quiet_end, daily_digest,
+          snoozed_until, quiet_start, quiet_end, daily_digest, chart_style, chart_indicators, pnl_method, range_alerts, range_alert_bins, claim_alert_usd, claim_alerted_at, vesting_alerts, vesting_alert_min,
+          cipher_spikes, watchlist_spikes, spike_pools, drain_alerts, delivery_mode, batch_minutes, chat_type, alert_topics,
           stats, today_stats, portfolio, my_wallet, created_at, last_active
         ) VALUES (
           @chatId, @onboarded, @enabled, @blocked,
           @cipherBuys, @cipherSells, @cipherLpAdd, @cipherLpRemove, @cipherThreshold,
           @trackOtherPools, @otherLpAdd, @otherLpRemove, @otherLpThreshold,
-          @otherBuys, @otherSells, @otherThreshold,
+          @otherBuys, @otherSells, @otherThreshold, @watchThreshold,
           @walletAlerts, @newPoolAlerts, @lockAlerts, @rewardAlerts,
           @closePoolAlerts, @protocolFeeAlerts, @adminAlerts,
-          @snoozedUntil, @quietStart, @quietEnd, @dailyDigest,
+          @snoozedUntil, @quietStart, @quietEnd, @dailyDigest, @chartStyle, @chartIndicators, @pnlMethod, @rangeAlerts, @rangeAlertBins, @claimAlertUsd, @claimAlertedAt, @vestingAlerts, @vestingAlertMin,
+          @cipherSpikes, @watchlistSpikes, @spikePools, @drainAlerts, @deliveryMode, @batchMinutes, @chatType, @alertTopics,
           @stats, @todayStats, @portfolio, @myWallet, @createdAt, @lastActive
         )
         ON CONFLICT(chat_id) DO UPDATE SET
@@ -1929,7 +2695,7 @@ function saveUser(user) {
           other_lp_add=excluded.other_lp_add, other_lp_remove=excluded.other_lp_remove,
           other_lp_threshold=excluded.other_lp_threshold,
           other_buys=excluded.other_buys, other_sells=excluded.other_sells,
-          other_threshold=excluded.other_threshold,
+          other_threshold=excluded.other_threshold, watch_threshold=excluded.watch_threshold,
           wallet_alerts=excluded.wallet_alerts,
           new_pool_alerts=excluded.new_pool_alerts, lock_alerts=excluded.lock_alerts,
           reward_alerts=excluded.reward_alerts,
@@ -1938,7 +2704,16 @@ function saveUser(user) {
           admin_alerts=excluded.admin_alerts,
           snoozed_until=excluded.snoozed_until,
           quiet_start=excluded.quiet_start, quiet_end=excluded.quiet_end,
-          daily_digest=excluded.daily_digest,
+          daily_digest=excluded.daily_digest, chart_style=excluded.chart_style,
+          chart_indicators=excluded.chart_indicators,
+          pnl_method=excluded.pnl_method,
+          range_alerts=excluded.range_alerts, range_alert_bins=excluded.range_alert_bins,
+          claim_alert_usd=excluded.claim_alert_usd, claim_alerted_at=excluded.claim_alerted_at,
+          vesting_alerts=excluded.vesting_alerts, vesting_alert_min=excluded.vesting_alert_min,
+          cipher_spikes=excluded.cipher_spikes, watchlist_spikes=excluded.watchlist_spikes,
+          spike_pools=excluded.spike_pools, drain_alerts=excluded.drain_alerts,
+          delivery_mode=excluded.delivery_mode, batch_minutes=excluded.batch_minutes,
+          chat_type=excluded.chat_type, alert_topics=excluded.alert_topics,
           stats=excluded.stats, today_stats=excluded.today_stats,
           portfolio=excluded.portfolio, my_wallet=excluded.my_wallet,
           last_active=excluded.last_active
@@ -1961,6 +2736,7 @@ function saveUser(user) {
         otherBuys: user.otherBuys ? 1 : 0,
         otherSells: user.otherSells ? 1 : 0,
         otherThreshold: user.otherThreshold ?? 500,
+        watchThreshold: user.watchThreshold ?? user.otherThreshold ?? 500,
         walletAlerts: user.walletAlerts ? 1 : 0,
         newPoolAlerts: user.newPoolAlerts !== false ? 1 : 0,
         lockAlerts: user.lockAlerts !== false ? 1 : 0,
@@ -1972,6 +2748,23 @@ function saveUser(user) {
         quietStart: user.quietStart,
         quietEnd: user.quietEnd,
         dailyDigest: user.dailyDigest ? 1 : 0,
+        chartStyle: user.chartStyle || 'candle',
+        chartIndicators: JSON.stringify(user.chartIndicators || []),
+        pnlMethod: user.pnlMethod || 'fifo',
+        rangeAlerts: user.rangeAlerts !== false ? 1 : 0,
+        rangeAlertBins: user.rangeAlertBins ?? 3,
+        claimAlertUsd: user.claimAlertUsd || 0,
+        claimAlertedAt: user.claimAlertedAt || 0,
+        vestingAlerts: user.vestingAlerts ? 1 : 0,
+        vestingAlertMin: user.vestingAlertMin ?? 1000000,
+        cipherSpikes: user.cipherSpikes !== false ? 1 : 0,
+        watchlistSpikes: user.watchlistSpikes ? 1 : 0,
+        spikePools: JSON.stringify(user.spikePools || []),
+        drainAlerts: user.drainAlerts !== false ? 1 : 0,
+        deliveryMode: user.deliveryMode || 'instant',
+        batchMinutes: user.batchMinutes || 15,
+        chatType: user.chatType || 'private',
+        alertTopics: JSON.stringify(user.alertTopics || {}),
         stats: JSON.stringify(user.stats || {}),
         todayStats: JSON.stringify(user.todayStats || {}),
         portfolio: JSON.stringify(user.portfolio || {}),
@@ -2007,6 +2800,20 @@ function saveUser(user) {
       for (const wallet of (user.wallets || [])) {
         insertWW.run(user.chatId, wallet);
       }
+
+      // Sync per-pool / per-token alert overrides
+      db.prepare('DELETE FROM alert_overrides WHERE chat_id = ?').run(user.chatId);
+      const insertAO = db.prepare(`
+        INSERT OR IGNORE INTO alert_overrides (chat_id, target_type, target, threshold, lp_threshold, buys, sells, lp_add, lp_remove)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const toDbBool = (v) => v === null || v === undefined ? null : (v ? 1 : 0);
+      for (const targetType of ['pool', 'token']) {
+        for (const [target, r] of Object.entries(user.alertRules?.[targetType] || {})) {
+          insertAO.run(user.chatId, targetType, target, r.threshold ?? null, r.lpThreshold ?? null,
+            toDbBool(r.buys), toDbBool(r.sells), toDbBool(r.lpAdd), toDbBool(r.lpRemove));
+        }
+      }
     });
 
     saveTransaction();
@@ -2087,6 +2894,7 @@ function createUser(chatId) {
     otherBuys: true,
     otherSells: true,
     otherThreshold: 500,
+    watchThreshold: 500,
     watchlist: [],
     trackedTokens: [],
     wallets: [],
@@ -2101,7 +2909,25 @@ function createUser(chatId) {
     quietStart: null,
     quietEnd: null,
     dailyDigest: false,
+    chartStyle: 'candle',
+    chartIndicators: [],
+    pnlMethod: 'fifo',
+    rangeAlerts: true,
+    rangeAlertBins: 3,
+    claimAlertUsd: 0,
+    claimAlertedAt: 0,
+    vestingAlerts: false,
+    vestingAlertMin: 1000000,
+    cipherSpikes: true,
+    watchlistSpikes: false,
+    spikePools: [],
+    drainAlerts: true,
+    deliveryMode: 'instant',
+    batchMinutes: 15,
+    chatType: 'private',
+    alertTopics: {},
     recentAlerts: [],
+    alertRules: { pool: {}, token: {} },
     todayStats: { trades: 0, lp: 0, wallet: 0, events: 0, lastReset: Date.now() },
     stats: { cipherBuys: 0, cipherSells: 0, cipherLp: 0, otherLp: 0, otherTrades: 0, walletAlerts: 0, events: 0, volume: 0 },
     createdAt: Date.now(),
@@ -2215,6 +3041,94 @@ function getAllTrackedWallets() {
   return [...wallets];
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERT RULES (per-pool / per-token overrides)
+// ═══════════════════════════════════════════════════════════════════════════════
+const ALERT_RULE_TOGGLES = { b: 'buys', s: 'sells', la: 'lpAdd', lr: 'lpRemove' };
+const ALERT_RULE_THRESHOLDS = { t: 'threshold', l: 'lpThreshold' };
+
+function getAlertOverride(user, targetType, target) {
+  return user?.alertRules?.[targetType]?.[target] || null;
+}
+
+// Merge updates into an override; drops the override entirely once every field inherits again
+function setAlertOverride(user, targetType, target, updates) {
+  if (!user) return;
+  user.alertRules = user.alertRules || { pool: {}, token: {} };
+  user.alertRules[targetType] = user.alertRules[targetType] || {};
+  const next = { ...(user.alertRules[targetType][target] || {}), ...updates };
+  const hasAny = Object.values(next).some(v => v !== null && v !== undefined);
+  if (hasAny) user.alertRules[targetType][target] = next;
+  else delete user.alertRules[targetType][target];
+  saveUserDebounced(user);
+}
+
+function clearAlertOverride(user, targetType, target) {
+  if (!user?.alertRules?.[targetType]?.[target]) return;
+  delete user.alertRules[targetType][target];
+  saveUserDebounced(user);
+}
+
+// Global defaults for a pool's category (CIPHER vs other)
+function getDefaultAlertRule(user, isCipher) {
+  if (isCipher) {
+    return {
+      threshold: user.cipherThreshold ?? 100,
+      lpThreshold: user.cipherThreshold ?? 100,
+      buys: !!user.cipherBuys,
+      sells: !!user.cipherSells,
+      lpAdd: !!user.cipherLpAdd,
+      lpRemove: !!user.cipherLpRemove,
+    };
+  }
+  return {
+    threshold: user.otherThreshold ?? 500,
+    watchThreshold: user.watchThreshold ?? user.otherThreshold ?? 500,
+    lpThreshold: user.otherLpThreshold ?? 500,
+    buys: !!user.otherBuys,
+    sells: !!user.otherSells,
+    lpAdd: !!user.otherLpAdd,
+    lpRemove: !!user.otherLpRemove,
+  };
+}
+
+// Resolve the effective rule for a pool: pool override > base token > quote token > global
+function resolveAlertRule(user, pool) {
+  const rule = { ...getDefaultAlertRule(user, pool.isCipher), source: 'global' };
+  const layers = [
+    ['token', pool.quoteMint || pool.quote],
+    ['token', pool.baseMint || pool.base],
+    ['pool', pool.id],
+  ];
+  for (const [targetType, target] of layers) {
+    const override = getAlertOverride(user, targetType, target);
+    if (!override) continue;
+    for (const [key, value] of Object.entries(override)) {
+      if (value !== null && value !== undefined) rule[key] = value;
+    }
+    // An explicit trade minimum also replaces the watchlist minimum for this pool
+    if (override.threshold != null && !pool.isCipher) rule.watchThreshold = override.threshold;
+    rule.source = targetType;
+  }
+  return rule;
+}
+
+// Everything the alert rules screen needs for a pool ('pool') or token ('token') target
+function getAlertRuleContext(user, targetType, target) {
+  const override = getAlertOverride(user, targetType, target) || {};
+  if (targetType === 'pool') {
+    const pool = poolMap.get(target);
+    if (!pool) return null;
+    return { targetType, target, label: pool.pairName, override, effective: resolveAlertRule(user, pool), backNav: `pool:view:${target}` };
+  }
+  if (!isValidMint(target)) return null;
+  const effective = getDefaultAlertRule(user, target === MINTS.CIPHER);
+  for (const [key, value] of Object.entries(override)) {
+    if (value !== null && value !== undefined) effective[key] = value;
+  }
+  return { targetType, target, label: getSymbol(target), override, effective, backNav: `view:token:${target}` };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // POOLS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2224,7 +3138,6 @@ let otherPools = [];
 const poolMap = new Map();
 let botStartTime = Date.now();
 let orbitVolumes = { total24h: 0, pools: {} };
-let lastTradesByPool = new Map(); // For deduplication in backup polling
 
 const isCipherPool = (p) => {
   const base = p.baseMint || p.base;
@@ -2263,6 +3176,11 @@ async function fetchPools() {
     
     cipherPools = pools.filter(p => p.isCipher);
     otherPools = pools.filter(p => !p.isCipher);
+    // Pools without a TVL figure are skipped rather than read as drained to zero
+    pools.forEach(p => {
+      const tvl = p.tvl ?? p.liquidity;
+      if (tvl !== undefined && tvl !== null) notePoolTvl(p, Number(tvl) || 0);
+    });
     
     updateApiHealth('orbit', true);
     log.info(`📊 ${pools.length} pools (${cipherPools.length} CIPHER, ${otherPools.length} other)`);
@@ -2297,28 +3215,7 @@ async function pollTradesBackup() {
   
   for (const pool of pools.slice(0, 20)) { // Limit to top 20 pools
     try {
-      const res = await fetchWithRetry(ORBIT.trades(pool.id, 20), {}, 1);
-      const data = await res.json();
-      const trades = data?.trades || data || [];
-      
-      const lastSig = lastTradesByPool.get(pool.id);
-      
-      for (const trade of trades) {
-        const sig = trade.signature || trade.txId || trade.id;
-        if (!sig || seenTxs.has(sig)) continue;
-        if (lastSig && sig === lastSig) break; // Reached last processed trade
-        
-        seenTxs.add(sig);
-        persistSeenTx(sig);
-        const usd = estimateTradeUsd(trade, pool);
-        const isBuy = trade.side === 'buy';
-
-        broadcastTradeAlert({ pool, trade, usd, isBuy, sig }).catch(e => log.debug('Trade alert failed:', e.message));
-      }
-
-      if (trades[0]?.signature) {
-        lastTradesByPool.set(pool.id, trades[0].signature);
-      }
+      await backfillPool(pool, { limit: 20 });
       
       // Small delay between pools
       await new Promise(r => setTimeout(r, 100));
@@ -2372,6 +3269,13 @@ function estimateTradeUsd(trade, pool) {
   if (trade.value && trade.value > 0 && trade.value < 1e9) { // Sanity check
     return parseFloat(trade.value);
   }
+
+  // Decoded event amounts beat field-name guessing, but the built-in layouts are
+  // unverified, so they only stand in for a missing API value
+  if (trade._exact) {
+    const usd = getExactUsd(trade._exact, pool);
+    if (usd > 0 && usd < 100_000_000) return usd;
+  }
   
   // Try to get USD from quote side first (usually USDC/USDT/SOL)
   const quotePrice = getPrice(quote);
@@ -2428,6 +3332,12 @@ function estimateLpUsd(msg, pool) {
   // If API provides USD value, use it
   if (msg.usdValue) return parseFloat(msg.usdValue);
   if (msg.value) return parseFloat(msg.value);
+
+  // Then amounts decoded from the on-chain event (see estimateTradeUsd)
+  if (msg._exact) {
+    const usd = getExactUsd(msg._exact, pool);
+    if (usd > 0) return usd;
+  }
   
   // Try to estimate from amounts
   const quote = pool.quoteMint || pool.quote;
@@ -2477,6 +3387,465 @@ function estimateWalletTxUsd(tx) {
   return totalUsd;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// DLMM POSITIONS (program accounts)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Positions are read straight from the Orbit program: Position accounts by owner, their
+// PositionBin shares, and the pool's LiquidityBin reserves. A position's tokens are its
+// share of each bin's reserves. PositionBin addresses are found once per position and then
+// re-read in batches, so a sync costs one scan per wallet rather than one per position.
+const DLMM_BIN_CACHE_TTL = 60 * 1000;
+const POSITION_BIN_KEYS_TTL = 60 * 60 * 1000;
+const dlmmBinCache = new Map(); // poolId -> { time, bins: Map<binId, { reserveBase, reserveQuote, totalShares }> }
+const positionBinKeys = new Map(); // position -> { time, keys: PositionBin pubkeys }
+const poolActiveBins = new Map(); // poolId -> { binId, time } from the latest decoded swap
+
+// Decoded Orbit accounts of one type, filtered by [field, base58 value] pairs
+async function fetchOrbitProgramAccounts(accountName, matches = []) {
+  const idl = orbitIdl.accountIdl;
+  const fields = getIdlAccountFields(idl, accountName);
+  if (!fields) throw new Error(`No layout for ${accountName}`);
+  
+  const disc = idl.accounts?.find(a => a.name === accountName)?.discriminator || anchorDiscriminator('account', accountName);
+  const filters = [{ memcmp: { offset: 0, bytes: bs58.encode(Buffer.from(disc)) } }];
+  for (const [field, value] of matches) {
+    const offset = getIdlFieldOffset(fields, field);
+    if (offset === null) throw new Error(`${accountName}.${field} has no fixed offset`);
+    filters.push({ memcmp: { offset, bytes: value } });
+  }
+  
+  if (heliusLimiter) await heliusLimiter.acquire();
+  const res = await fetchWithRetry(HELIUS.rpc, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'getProgramAccounts',
+      params: [ORBIT_PROGRAM_ID, { encoding: 'base64', filters }],
+    }),
+  });
+  const data = await res.json();
+  if (data?.error) throw new Error(data.error.message || 'getProgramAccounts failed');
+  
+  const accounts = [];
+  for (const item of data?.result || []) {
+    const decoded = decodeOrbitAccount(accountName, item.pubkey, Buffer.from(item.account.data[0], 'base64'));
+    if (decoded) accounts.push(decoded);
+  }
+  return accounts;
+}
+
+function decodeOrbitAccount(accountName, pubkey, buf) {
+  const idl = orbitIdl.accountIdl;
+  try {
+    return { pubkey, ...readIdlFields({ buf, pos: 8 }, getIdlAccountFields(idl, accountName), idl) };
+  } catch (e) {
+    log.debug(`${accountName} decode failed for ${pubkey}:`, e.message);
+    return null;
+  }
+}
+
+// Decoded Orbit accounts by address, 100 per getMultipleAccountsInfo call; closed accounts are skipped
+async function fetchOrbitAccountsByKey(accountName, pubkeys) {
+  const accounts = [];
+  for (let i = 0; i < pubkeys.length; i += 100) {
+    const chunk = pubkeys.slice(i, i + 100);
+    if (heliusLimiter) await heliusLimiter.acquire();
+    const infos = await solanaConnection.getMultipleAccountsInfo(chunk.map(k => new PublicKey(k)));
+    infos.forEach((info, j) => {
+      const decoded = info && decodeOrbitAccount(accountName, chunk[j], info.data);
+      if (decoded) accounts.push(decoded);
+    });
+  }
+  return accounts;
+}
+
+// A deposit or withdrawal can add or empty bins, so the position's bin list is looked up again
+function forgetPositionBins(position) {
+  if (position) positionBinKeys.delete(position);
+}
+
+// PositionBin shares for a set of positions: scan for positions seen for the first time
+// (or not for an hour), then re-read every known bin account in one batch
+async function fetchPositionBins(positions) {
+  const now = Date.now();
+  for (const position of positions) {
+    const cached = positionBinKeys.get(position);
+    if (cached && now - cached.time < POSITION_BIN_KEYS_TTL) continue;
+    const found = await fetchOrbitProgramAccounts('PositionBin', [['position', position]]);
+    positionBinKeys.set(position, { time: now, keys: found.map(pb => pb.pubkey) });
+  }
+  const keys = positions.flatMap(position => positionBinKeys.get(position)?.keys || []);
+  const byPosition = new Map(positions.map(position => [position, []]));
+  for (const pb of await fetchOrbitAccountsByKey('PositionBin', keys)) {
+    byPosition.get(pb.position)?.push(pb);
+  }
+  return byPosition;
+}
+
+// A pool's bins (cached briefly, since every position in the pool reads them)
+async function fetchPoolBins(poolId) {
+  const cached = dlmmBinCache.get(poolId);
+  if (cached && Date.now() - cached.time < DLMM_BIN_CACHE_TTL) return cached.bins;
+  
+  const bins = new Map();
+  for (const b of await fetchOrbitProgramAccounts('LiquidityBin', [['pool', poolId]])) {
+    bins.set(Number(b.binId), { reserveBase: b.reserveBase, reserveQuote: b.reserveQuote, totalShares: b.totalShares });
+  }
+  dlmmBinCache.set(poolId, { time: Date.now(), bins });
+  return bins;
+}
+
+// Remember the active bin a swap ended in
+function notePoolActiveBin(poolId, binId) {
+  if (!poolId || binId === undefined || binId === null || isNaN(binId)) return;
+  poolActiveBins.set(poolId, { binId: Number(binId), time: Date.now() });
+}
+
+// Active bin: the latest decoded swap, else whatever the Orbit API reports
+function getPoolActiveBin(pool) {
+  if (!pool) return null;
+  const seen = poolActiveBins.get(pool.id);
+  if (seen) return seen.binId;
+  const api = pool.activeBinId ?? pool.activeBin ?? pool.active_bin_id ?? pool.activeId;
+  return api !== undefined && api !== null && !isNaN(api) ? Number(api) : null;
+}
+
+// Quote-per-base price at a bin, when the pool reports its bin step
+function getBinPrice(pool, binId) {
+  const binStep = Number(pool?.binStep ?? pool?.bin_step);
+  if (!binStep || binId === null || binId === undefined) return null;
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+  return Math.pow(1 + binStep / 10000, binId) * Math.pow(10, getDecimals(base) - getDecimals(quote));
+}
+
+// Where the active bin sits relative to a position's range
+function getBinRangeStatus(lowerBin, upperBin, activeBin) {
+  if (activeBin === null || activeBin === undefined) return { inRange: null, edgeDistance: null, outsideBy: 0 };
+  if (activeBin < lowerBin) return { inRange: false, edgeDistance: 0, outsideBy: activeBin - lowerBin };
+  if (activeBin > upperBin) return { inRange: false, edgeDistance: 0, outsideBy: activeBin - upperBin };
+  return { inRange: true, edgeDistance: Math.min(activeBin - lowerBin, upperBin - activeBin), outsideBy: 0 };
+}
+
+// Share of a bin's reserve for `shares` out of `totalShares` (u128 strings)
+function binShareOf(reserve, shares, totalShares) {
+  const total = BigInt(totalShares || 0);
+  if (total === 0n) return 0;
+  return Number(BigInt(reserve || 0) * BigInt(shares || 0) / total);
+}
+
+// Bin ranges (and so range alerts) exist only when an IDL supplied the account layouts
+function canReadDlmmPositions() {
+  return !!orbitIdl.accountIdl;
+}
+
+// A wallet's DLMM positions with bin range, token composition and USD value.
+// Returns null when the program accounts can't be read.
+async function fetchDlmmPositions(wallet) {
+  // Without an IDL there are no account layouts to read positions with
+  if (!canReadDlmmPositions()) return null;
+  
+  let accounts;
+  let positionBins;
+  try {
+    accounts = await fetchOrbitProgramAccounts('Position', [['owner', wallet]]);
+    positionBins = await fetchPositionBins(accounts.map(acc => acc.pubkey));
+  } catch (e) {
+    log.debug('DLMM position lookup failed:', e.message);
+    return null;
+  }
+  
+  const positions = [];
+  for (const acc of accounts) {
+    const pool = poolMap.get(acc.pool);
+    const baseMint = pool?.baseMint || pool?.base;
+    const quoteMint = pool?.quoteMint || pool?.quote;
+    let baseRaw = 0;
+    let quoteRaw = 0;
+    let binCount = 0;
+    
+    try {
+      const bins = await fetchPoolBins(acc.pool);
+      for (const pb of positionBins.get(acc.pubkey)) {
+        const bin = bins.get(Number(pb.binId));
+        if (!bin || BigInt(pb.shares || 0) === 0n) continue;
+        baseRaw += binShareOf(bin.reserveBase, pb.shares, bin.totalShares);
+        quoteRaw += binShareOf(bin.reserveQuote, pb.shares, bin.totalShares);
+        binCount++;
+      }
+    } catch (e) {
+      log.debug(`DLMM bins failed for position ${acc.pubkey}:`, e.message);
+    }
+    
+    const baseAmount = baseMint ? baseRaw / Math.pow(10, getDecimals(baseMint)) : 0;
+    const quoteAmount = quoteMint ? quoteRaw / Math.pow(10, getDecimals(quoteMint)) : 0;
+    const lowerBin = Number(acc.lowerBinId);
+    const upperBin = Number(acc.upperBinId);
+    const activeBin = getPoolActiveBin(pool);
+    
+    positions.push({
+      source: 'dlmm',
+      position: acc.pubkey,
+      mint: acc.pubkey,
+      pool: pool?.pairName || shortAddr(acc.pool),
+      poolId: acc.pool,
+      baseMint,
+      quoteMint,
+      baseAmount,
+      quoteAmount,
+      lowerBin,
+      upperBin,
+      activeBin,
+      ...getBinRangeStatus(lowerBin, upperBin, activeBin),
+      binCount,
+      valueUsd: baseAmount * (getPrice(baseMint) || 0) + quoteAmount * (getPrice(quoteMint) || 0),
+      isCipher: pool?.isCipher || false,
+    });
+  }
+  
+  return positions.sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+}
+
+// One-line range status, e.g. "🟢 in range (4 bins from edge)" or "🔴 out of range (6 bins above)"
+function describeBinRange(pos) {
+  if (pos.inRange === null || pos.inRange === undefined) return '⚪ active bin unknown';
+  if (pos.inRange) return `🟢 in range (${pos.edgeDistance} bin${pos.edgeDistance !== 1 ? 's' : ''} from edge)`;
+  const n = Math.abs(pos.outsideBy);
+  return `🔴 out of range (${n} bin${n !== 1 ? 's' : ''} ${pos.outsideBy > 0 ? 'above' : 'below'})`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LP PERFORMANCE (fees + impermanent loss)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Deposits and withdrawals come from decoded LiquidityDeposited / LiquidityWithdrawnUser
+// events (lp_events) plus the LP legs in the wallet's crawled history. Fees are the LP cut
+// of every FeesDistributed event since the first deposit, times the position's share of pool TVL.
+
+const LP_LEDGER_TYPES = [TX_TYPE.LP_ADD, TX_TYPE.LP_REMOVE, TX_TYPE.CLOSE_POSITION];
+const formatSignedUsd = (v) => `${v >= 0 ? '+' : '-'}${fmt(Math.abs(v))}`;
+
+// LP cut of a FeesDistributed event in UI units. Holder, NFT and protocol shares are
+// paid out of the quote-side fees; base-side fees go to LPs in full.
+function getLpFeeCut(data, pool) {
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+  const carved = Number(data.holderShare || 0) + Number(data.nftShare || 0) + Number(data.protocolShare || 0);
+  return {
+    baseFees: Number(data.baseFees || 0) / Math.pow(10, getDecimals(base)),
+    quoteFees: Math.max(0, Number(data.quoteFees || 0) - carved) / Math.pow(10, getDecimals(quote)),
+  };
+}
+
+function recordPoolFees({ pool, sig, data }) {
+  if (!db || !sig || !pool || !data) return;
+  // Shares carved out of more than the quote fees mean the layout doesn't match the program
+  const carved = Number(data.holderShare || 0) + Number(data.nftShare || 0) + Number(data.protocolShare || 0);
+  if (carved > Number(data.quoteFees || 0)) {
+    log.debug(`FeesDistributed ${sig.slice(0, 8)} doesn't add up (shares ${carved} > quote fees ${data.quoteFees}), skipping`);
+    return;
+  }
+  const { baseFees, quoteFees } = getLpFeeCut(data, pool);
+  // Holder share feeds the sCIPHER claimable rewards estimate
+  const holderFees = Number(data.holderShare || 0) / Math.pow(10, getDecimals(pool.quoteMint || pool.quote));
+  try {
+    db.prepare('INSERT OR IGNORE INTO pool_fees (sig, pool_id, base_fees, quote_fees, holder_fees, time) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(sig, pool.id, baseFees, quoteFees, holderFees, Date.now());
+  } catch (e) { log.debug('recordPoolFees DB error:', e.message); }
+}
+
+// USD prices of a pool's base and quote near a point in time, from the closest recorded swap (±1 day).
+// Null when no swap was recorded that close.
+function findPoolPricesAt(pool, time) {
+  if (!db) return null;
+  try {
+    const query = (op, order) => db.prepare(`
+      SELECT usd, base_amount, quote_amount, time FROM trades
+      WHERE pool_id = ? AND time ${op} ? AND usd > 0 AND base_amount > 0 AND quote_amount > 0
+      ORDER BY time ${order} LIMIT 1
+    `).get(pool.id, time);
+    const before = query('<=', 'DESC');
+    const after = query('>', 'ASC');
+    const row = [before, after].filter(r => r && Math.abs(r.time - time) <= DAY_MS)
+      .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+    return row ? { base: row.usd / row.base_amount, quote: row.usd / row.quote_amount } : null;
+  } catch (e) {
+    log.debug('Pool price lookup failed:', e.message);
+    return null;
+  }
+}
+
+// Same, falling back to current prices
+function getPoolPricesAt(pool, time) {
+  return findPoolPricesAt(pool, time) || { base: getPrice(pool.baseMint || pool.base) || 0, quote: getPrice(pool.quoteMint || pool.quote) || 0 };
+}
+
+// A wallet's LP deposits and withdrawals. Decoded events win over history legs for the same
+// signature. Each entry is copied into lp_cost_basis the first time it's seen, so its USD
+// value at entry survives pruneEventHistory (which drops lp_events and the trades used for pricing).
+function getWalletLpLedger(wallet, history = []) {
+  const ledger = new Map(); // sig -> { poolId, position, isAdd, baseAmount, quoteAmount, usd, time, source }
+  const fresh = new Set(); // sigs not snapshotted yet (or snapshotted from history, now decoded)
+  const fromRow = (r, source) => ({
+    poolId: r.pool_id,
+    position: r.position || null,
+    isAdd: r.side === 'add',
+    baseAmount: r.base_amount || 0,
+    quoteAmount: r.quote_amount || 0,
+    usd: r.usd || 0,
+    time: r.time,
+    source,
+  });
+  if (db) {
+    try {
+      for (const r of db.prepare('SELECT * FROM lp_cost_basis WHERE wallet = ?').all(wallet)) ledger.set(r.sig, fromRow(r, r.source));
+      for (const r of db.prepare('SELECT * FROM lp_events WHERE wallet = ?').all(wallet)) {
+        if (ledger.get(r.sig)?.source === 'event') continue;
+        ledger.set(r.sig, fromRow(r, 'event'));
+        fresh.add(r.sig);
+      }
+    } catch (e) { log.debug('LP ledger lookup failed:', e.message); }
+  }
+  
+  for (const t of history) {
+    if (ledger.has(t.sig) || !t.flows || !LP_LEDGER_TYPES.includes(t.type)) continue;
+    const pool = poolMap.get(t.poolId);
+    if (!pool) continue;
+    // Deposits leave the wallet (negative legs), withdrawals come back
+    const isAdd = t.type === TX_TYPE.LP_ADD;
+    const baseMint = pool.baseMint || pool.base;
+    const quoteMint = pool.quoteMint || pool.quote;
+    const leg = (mint) => Math.max(0, (isAdd ? -1 : 1) * (t.flows[mint] || 0));
+    const baseAmount = leg(baseMint);
+    const quoteAmount = leg(quoteMint);
+    if (!baseAmount && !quoteAmount) continue;
+    // Crawled legs carry the prices at execution; older rows fall back to recorded swaps
+    const prices = getPoolPricesAt(pool, t.timestamp);
+    const basePrice = t.legPrices?.[baseMint] ?? prices.base;
+    const quotePrice = t.legPrices?.[quoteMint] ?? prices.quote;
+    ledger.set(t.sig, {
+      poolId: t.poolId,
+      position: null,
+      isAdd,
+      baseAmount,
+      quoteAmount,
+      usd: baseAmount * basePrice + quoteAmount * quotePrice,
+      time: t.timestamp,
+      source: 'history',
+    });
+    fresh.add(t.sig);
+  }
+  
+  if (db && fresh.size > 0) saveLpCostBasis(wallet, [...fresh].map(sig => ({ sig, ...ledger.get(sig) })));
+  return [...ledger.values()];
+}
+
+function saveLpCostBasis(wallet, entries) {
+  try {
+    const upsert = db.prepare(`
+      INSERT OR REPLACE INTO lp_cost_basis (wallet, sig, pool_id, position, side, base_amount, quote_amount, usd, source, time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      for (const e of entries) {
+        upsert.run(wallet, e.sig, e.poolId, e.position, e.isAdd ? 'add' : 'remove', e.baseAmount, e.quoteAmount, e.usd, e.source, e.time);
+      }
+    })();
+  } catch (e) { log.debug('saveLpCostBasis DB error:', e.message); }
+}
+
+// Fee rows past the retention window are rolled up at the start of their UTC day (see
+// pruneEventHistory), so a window reaching back that far starts at that day
+function getFeeWindowStart(since) {
+  const cutoff = Date.now() - CONFIG.eventRetentionDays * DAY_MS;
+  return since < cutoff ? since - since % DAY_MS : since;
+}
+
+// LP fees since `since`, scaled by the position's current share of pool TVL
+function estimateLpFees(pos, pool, since) {
+  const tvl = pool.tvl || pool.liquidity || 0;
+  if (!db || !tvl || !pos.valueUsd) return 0;
+  try {
+    const row = db.prepare('SELECT SUM(base_fees) AS base, SUM(quote_fees) AS quote FROM pool_fees WHERE pool_id = ? AND time >= ?').get(pool.id, getFeeWindowStart(since));
+    const usd = (row?.base || 0) * (getPrice(pool.baseMint || pool.base) || 0) + (row?.quote || 0) * (getPrice(pool.quoteMint || pool.quote) || 0);
+    return usd * Math.min(1, pos.valueUsd / tvl);
+  } catch (e) {
+    log.debug('LP fee lookup failed:', e.message);
+    return 0;
+  }
+}
+
+// Deposited vs current value, fees, IL against holding the deposited tokens, and net return
+function calculateLpPerformance(pos, pool, entries) {
+  let depositedUsd = 0, withdrawnUsd = 0, netBase = 0, netQuote = 0, since = Infinity;
+  for (const e of entries) {
+    const sign = e.isAdd ? 1 : -1;
+    netBase += sign * e.baseAmount;
+    netQuote += sign * e.quoteAmount;
+    if (e.isAdd) {
+      depositedUsd += e.usd;
+      since = Math.min(since, e.time);
+    } else {
+      withdrawnUsd += e.usd;
+    }
+  }
+  if (depositedUsd <= 0) return null;
+  
+  const holdValue = Math.max(0, netBase) * (getPrice(pool.baseMint || pool.base) || 0) +
+    Math.max(0, netQuote) * (getPrice(pool.quoteMint || pool.quote) || 0);
+  const currentValue = pos.valueUsd || 0;
+  const feesUsd = estimateLpFees(pos, pool, since);
+  const il = holdValue > 0 ? currentValue - holdValue : 0;
+  const netReturn = currentValue + withdrawnUsd + feesUsd - depositedUsd;
+  
+  return {
+    depositedUsd,
+    withdrawnUsd,
+    currentValue,
+    holdValue,
+    feesUsd,
+    il,
+    ilPct: holdValue > 0 ? (il / holdValue) * 100 : 0,
+    netReturn,
+    netReturnPct: (netReturn / depositedUsd) * 100,
+    since,
+  };
+}
+
+// Attach `performance` to a wallet's LP positions in known pools. An LP token balance is the
+// wallet's whole stake in its pool, so it takes every leg there; for DLMM positions, legs with
+// no position account are split across the wallet's positions in that pool by current value.
+function attachLpPerformance(wallet, positions, history) {
+  const pooled = positions.filter(p => poolMap.has(p.poolId));
+  if (pooled.length === 0) return positions;
+  const ledger = getWalletLpLedger(wallet, history);
+  
+  return positions.map(pos => {
+    const pool = poolMap.get(pos.poolId);
+    if (!pool) return pos;
+    if (pos.source !== 'dlmm') {
+      return { ...pos, performance: calculateLpPerformance(pos, pool, ledger.filter(e => e.poolId === pos.poolId)) };
+    }
+    const siblings = pooled.filter(p => p.source === 'dlmm' && p.poolId === pos.poolId);
+    const siblingValue = siblings.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
+    const weight = siblings.length === 1 ? 1 : siblingValue > 0 ? (pos.valueUsd || 0) / siblingValue : 1 / siblings.length;
+    
+    const entries = ledger
+      .filter(e => e.poolId === pos.poolId && (!e.position || e.position === pos.position))
+      .map(e => e.position ? e : { ...e, baseAmount: e.baseAmount * weight, quoteAmount: e.quoteAmount * weight, usd: e.usd * weight });
+    return { ...pos, performance: calculateLpPerformance(pos, pool, entries) };
+  });
+}
+
+// Two-line report for one position ('' without deposit history)
+function formatLpPerformance(pos) {
+  const p = pos.performance;
+  if (!p) return '';
+  return `*${escMd(pos.pool)}* • in ${fmt(p.depositedUsd)}${p.withdrawnUsd > 0 ? ` (out ${fmt(p.withdrawnUsd)})` : ''} → now ${fmt(p.currentValue)}
+   Fees ≈ ${formatSignedUsd(p.feesUsd)} • IL ${formatSignedUsd(p.il)} (${p.ilPct.toFixed(1)}%) • Net ${p.netReturn >= 0 ? '🟢' : '🔴'} ${formatSignedUsd(p.netReturn)} (${p.netReturnPct >= 0 ? '+' : ''}${p.netReturnPct.toFixed(1)}%)`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // PORTFOLIO TRACKING
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2612,6 +3981,123 @@ async function fetchWalletBalances(wallet) {
   }
 }
 
+// Net token amounts a wallet moved in a transaction, from Helius tokenTransfers (UI amounts).
+// Native SOL legs are read from nativeTransfers when no wrapped SOL transfer is present.
+function getWalletTokenDeltas(tx, wallet, { includeNative = true } = {}) {
+  const deltas = new Map();
+  const add = (mint, amount) => deltas.set(mint, (deltas.get(mint) || 0) + amount);
+  for (const t of tx.tokenTransfers || []) {
+    const amount = Math.abs(parseFloat(t.tokenAmount) || 0);
+    if (t.toUserAccount === wallet) add(t.mint, amount);
+    if (t.fromUserAccount === wallet) add(t.mint, -amount);
+  }
+  if (includeNative && !deltas.has(MINTS.SOL)) {
+    for (const t of tx.nativeTransfers || []) {
+      const amount = Math.abs(t.amount || 0) / 1e9;
+      if (t.toUserAccount === wallet) add(MINTS.SOL, amount);
+      if (t.fromUserAccount === wallet) add(MINTS.SOL, -amount);
+    }
+    // The network fee isn't part of the trade
+    if (deltas.has(MINTS.SOL) && tx.feePayer === wallet) add(MINTS.SOL, (tx.fee || 0) / 1e9);
+  }
+  for (const [mint, amount] of deltas) {
+    if (Math.abs(amount) < 1e-12) deltas.delete(mint);
+  }
+  return deltas;
+}
+
+// Net token quantities a wallet moved in a swap.
+// Returns null unless the wallet received one side of the pool and paid the other.
+function getSwapQuantities(tx, wallet, pool) {
+  const baseMint = pool?.baseMint || pool?.base;
+  const quoteMint = pool?.quoteMint || pool?.quote;
+  if (!baseMint || !quoteMint) return null;
+
+  const deltas = getWalletTokenDeltas(tx, wallet, { includeNative: baseMint === MINTS.SOL || quoteMint === MINTS.SOL });
+
+  const baseDelta = deltas.get(baseMint) || 0;
+  const quoteDelta = deltas.get(quoteMint) || 0;
+  if (baseDelta === 0 || quoteDelta === 0 || Math.sign(baseDelta) === Math.sign(quoteDelta)) return null;
+
+  const baseAmount = Math.abs(baseDelta);
+  const quoteAmount = Math.abs(quoteDelta);
+  const quotePrice = getPrice(quoteMint);
+  const basePrice = getPrice(baseMint);
+  const usd = quotePrice ? quoteAmount * quotePrice : basePrice ? baseAmount * basePrice : 0;
+
+  return { side: baseDelta > 0 ? 'buy' : 'sell', baseMint, quoteMint, baseAmount, quoteAmount, usd };
+}
+
+// Transaction type from the first recognised Orbit instruction in a Helius parsed transaction
+function getOrbitInstructionType(tx) {
+  const instructions = [
+    ...(tx.instructions || []),
+    ...(tx.instructions || []).flatMap(ix => ix.innerInstructions || []),
+  ];
+  for (const ix of instructions) {
+    if (ix?.programId !== ORBIT_PROGRAM_ID || !ix.data) continue;
+    try {
+      const type = detectFromInstructionData(Buffer.from(bs58.decode(ix.data)));
+      if (type !== TX_TYPE.UNKNOWN) return type;
+    } catch (_) {}
+  }
+  return TX_TYPE.UNKNOWN;
+}
+
+// Orbit trades, LP and reward transactions in a page of Helius parsed transactions
+function parseWalletOrbitTrades(txs, wallet) {
+  const orbitTrades = [];
+  
+  for (const tx of txs || []) {
+    // Check if transaction involves an Orbit pool
+    const accounts = tx.accountData?.map(a => a.account) || [];
+    const involvedPool = accounts.find(acc => poolMap.has(acc));
+    
+    if (involvedPool) {
+      const pool = poolMap.get(involvedPool);
+      // Only swaps get lot quantities; LP and reward transactions keep their raw token legs
+      const ixType = getOrbitInstructionType(tx);
+      const qty = ixType === TX_TYPE.SWAP || ixType === TX_TYPE.UNKNOWN ? getSwapQuantities(tx, wallet, pool) : null;
+      const type = qty ? TX_TYPE.SWAP : ixType;
+      const isBuy = qty ? qty.side === 'buy' : (tx.type === 'SWAP' && tx.tokenTransfers?.some(t => t.toUserAccount === wallet));
+      
+      // Calculate USD value (one side of the swap when quantities are known)
+      let usd = 0;
+      if (qty) {
+        usd = qty.usd;
+      } else if (tx.tokenTransfers?.length > 0) {
+        for (const transfer of tx.tokenTransfers) {
+          const price = getPrice(transfer.mint);
+          if (price) usd += Math.abs(parseFloat(transfer.tokenAmount) || 0) * price;
+        }
+        usd = usd / 2; // Divide by 2 since we're counting both sides
+      }
+      
+      orbitTrades.push({
+        sig: tx.signature,
+        pool: pool?.pairName || shortAddr(involvedPool),
+        poolId: involvedPool,
+        side: isBuy ? 'buy' : 'sell',
+        usd,
+        ...(qty ? {
+          baseMint: qty.baseMint,
+          quoteMint: qty.quoteMint,
+          baseAmount: qty.baseAmount,
+          quoteAmount: qty.quoteAmount,
+          price: qty.baseAmount > 0 ? usd / qty.baseAmount : 0,
+        } : {}),
+        type,
+        // Token legs for LP and reward transactions (mint -> signed amount)
+        ...(!qty && type !== TX_TYPE.UNKNOWN ? { flows: Object.fromEntries(getWalletTokenDeltas(tx, wallet)) } : {}),
+        timestamp: tx.timestamp * 1000,
+        isCipher: pool?.isCipher || false,
+      });
+    }
+  }
+  
+  return orbitTrades;
+}
+
 // Fetch user's recent Orbit trades
 async function fetchWalletOrbitTrades(wallet, limit = 50) {
   if (!wallet || !isValidWallet(wallet)) return [];
@@ -2644,53 +4130,20 @@ async function fetchWalletOrbitTrades(wallet, limit = 50) {
       }
     }
     
-    const orbitTrades = [];
-    
-    for (const tx of txs || []) {
-      // Check if transaction involves an Orbit pool
-      const accounts = tx.accountData?.map(a => a.account) || [];
-      const involvedPool = accounts.find(acc => poolMap.has(acc));
-      
-      if (involvedPool) {
-        const pool = poolMap.get(involvedPool);
-        const isBuy = tx.type === 'SWAP' && tx.tokenTransfers?.some(t => t.toUserAccount === wallet);
-        
-        // Calculate USD value
-        let usd = 0;
-        if (tx.tokenTransfers?.length > 0) {
-          for (const transfer of tx.tokenTransfers) {
-            const price = getPrice(transfer.mint);
-            if (price) {
-              const decimals = getDecimals(transfer.mint);
-              const amount = Math.abs(transfer.tokenAmount || 0) / Math.pow(10, decimals);
-              usd += amount * price;
-            }
-          }
-        }
-        
-        orbitTrades.push({
-          sig: tx.signature,
-          pool: pool?.pairName || shortAddr(involvedPool),
-          poolId: involvedPool,
-          side: isBuy ? 'buy' : 'sell',
-          usd: usd / 2, // Divide by 2 since we're counting both sides
-          timestamp: tx.timestamp * 1000,
-          isCipher: pool?.isCipher || false,
-        });
-      }
-    }
-    
-    return orbitTrades;
+    return parseWalletOrbitTrades(txs, wallet);
   } catch (e) {
     log.error('Trade history fetch error:', e.message);
     return [];
   }
 }
 
-// Identify LP tokens in wallet
+// LP positions: DLMM position accounts, or LP-looking tokens when the program can't be read
 async function fetchLpPositions(wallet) {
   if (!wallet || !isValidWallet(wallet)) return [];
   
+  const dlmm = await fetchDlmmPositions(wallet);
+  if (dlmm?.length) return dlmm;
+  
   try {
     const { tokens } = await fetchWalletBalances(wallet);
     const lpPositions = [];
@@ -2753,12 +4206,44 @@ async function fetchLpPositions(wallet) {
   }
 }
 
-// Calculate PnL from trade history
-function calculatePnL(trades) {
-  if (!trades || trades.length === 0) return { realized: 0, volume: 0, trades: 0 };
+// Cost basis methods for per-token lot accounting
+const COST_BASIS_METHODS = {
+  fifo: 'FIFO',
+  lifo: 'LIFO',
+  avg: 'Average cost',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Match a sell against open lots, returning the cost and qty-weighted holding time it consumed
+function consumeLots(lots, qty, method) {
+  let remaining = qty;
+  let cost = 0;
+  let heldMs = 0;
+  let atExecution = true;
+  while (remaining > 1e-12 && lots.length > 0) {
+    const lot = method === 'lifo' ? lots[lots.length - 1] : lots[0];
+    const take = Math.min(lot.qty, remaining);
+    const share = take / lot.qty;
+    cost += lot.cost * share;
+    heldMs += take * lot.time;
+    if (!lot.atExecution) atExecution = false;
+    lot.cost -= lot.cost * share;
+    lot.qty -= take;
+    remaining -= take;
+    if (lot.qty <= 1e-12) method === 'lifo' ? lots.pop() : lots.shift();
+  }
+  return { matched: qty - remaining, cost, acquiredMs: heldMs, atExecution };
+}
+
+// Calculate PnL from trade history with per-mint lots (FIFO, LIFO or average cost).
+// Trades without token quantities only count toward volume.
+function calculatePnL(trades, method = 'fifo') {
+  if (!trades || trades.length === 0) return { realized: 0, unrealized: 0, volume: 0, trades: 0, tokens: [], sales: [], method };
+  if (!COST_BASIS_METHODS[method]) method = 'fifo';
   
-  const positions = new Map(); // poolId -> { totalBought, totalSold, avgBuyPrice }
-  let realizedPnl = 0;
+  const books = new Map(); // baseMint -> { lots, realized, ... }
+  const sales = []; // Per-sell cost basis and realized gain
   let totalVolume = 0;
   
   // Sort by timestamp (oldest first)
@@ -2766,33 +4251,139 @@ function calculatePnL(trades) {
   
   for (const trade of sorted) {
     totalVolume += trade.usd || 0;
+    if (!trade.baseMint || !(trade.baseAmount > 0)) continue;
     
-    const pos = positions.get(trade.poolId) || { bought: 0, sold: 0, cost: 0 };
+    const book = books.get(trade.baseMint) || {
+      mint: trade.baseMint, lots: [], realized: 0, bought: 0, sold: 0,
+      proceeds: 0, unmatched: 0, closedQty: 0, closedHoldMs: 0, trades: 0,
+    };
+    book.trades++;
     
     if (trade.side === 'buy') {
-      pos.bought += trade.usd || 0;
-      pos.cost += trade.usd || 0;
-    } else {
-      pos.sold += trade.usd || 0;
-      // Realized PnL: sell value - proportional cost basis of remaining position
-      if (pos.cost > 0) {
-        const proportion = Math.min(trade.usd / pos.cost, 1);
-        const costBasis = pos.cost * proportion;
-        realizedPnl += (trade.usd || 0) - costBasis;
-        pos.cost -= costBasis;
+      book.bought += trade.baseAmount;
+      // Whether the lot's cost is the USD seen at execution rather than a later estimate
+      const atExecution = trade.usdSource === 'recorded' || trade.usdSource === 'historic';
+      if (method === 'avg' && book.lots.length > 0) {
+        // Average cost keeps one pooled lot with a qty-weighted acquisition time
+        const lot = book.lots[0];
+        lot.time = (lot.time * lot.qty + trade.timestamp * trade.baseAmount) / (lot.qty + trade.baseAmount);
+        lot.qty += trade.baseAmount;
+        lot.cost += trade.usd || 0;
+        lot.atExecution = lot.atExecution && atExecution;
+      } else {
+        book.lots.push({ qty: trade.baseAmount, cost: trade.usd || 0, time: trade.timestamp, atExecution });
       }
+    } else {
+      book.sold += trade.baseAmount;
+      const { matched, cost, acquiredMs, atExecution } = consumeLots(book.lots, trade.baseAmount, method);
+      // Tokens acquired before the fetched history have no known basis, so they don't count toward PnL
+      const matchedProceeds = (trade.usd || 0) * (matched / trade.baseAmount);
+      book.realized += matchedProceeds - cost;
+      book.proceeds += matchedProceeds;
+      book.unmatched += trade.baseAmount - matched;
+      book.closedQty += matched;
+      book.closedHoldMs += matched * trade.timestamp - acquiredMs;
+      sales.push({
+        sig: trade.sig,
+        mint: trade.baseMint,
+        qty: trade.baseAmount,
+        matched,
+        proceeds: matchedProceeds,
+        costBasis: cost,
+        realized: matchedProceeds - cost,
+        holdDays: matched > 0 ? (matched * trade.timestamp - acquiredMs) / matched / DAY_MS : null,
+        basisAtExecution: atExecution,
+      });
     }
     
-    positions.set(trade.poolId, pos);
+    books.set(trade.baseMint, book);
   }
   
+  const now = Date.now();
+  const tokens = [...books.values()].map(book => {
+    const held = book.lots.reduce((sum, l) => sum + l.qty, 0);
+    const costBasis = book.lots.reduce((sum, l) => sum + l.cost, 0);
+    const price = getPrice(book.mint);
+    const value = price ? held * price : null;
+    const openAgeMs = held > 0 ? book.lots.reduce((sum, l) => sum + l.qty * (now - l.time), 0) / held : 0;
+    return {
+      mint: book.mint,
+      symbol: getSymbol(book.mint),
+      held,
+      costBasis,
+      avgCost: held > 0 ? costBasis / held : 0,
+      value,
+      realized: book.realized,
+      unrealized: value !== null ? value - costBasis : 0,
+      bought: book.bought,
+      sold: book.sold,
+      unmatched: book.unmatched,
+      trades: book.trades,
+      avgHoldDays: book.closedQty > 0 ? book.closedHoldMs / book.closedQty / DAY_MS : null,
+      openAgeDays: held > 0 ? openAgeMs / DAY_MS : null,
+      firstBuy: book.lots.length > 0 ? Math.min(...book.lots.map(l => l.time)) : null,
+    };
+  }).sort((a, b) => Math.abs(b.realized + b.unrealized) - Math.abs(a.realized + a.unrealized));
+  
   return {
-    realized: realizedPnl,
+    realized: tokens.reduce((sum, t) => sum + t.realized, 0),
+    unrealized: tokens.reduce((sum, t) => sum + t.unrealized, 0),
     volume: totalVolume,
     trades: trades.length,
+    tokens,
+    sales,
+    method,
   };
 }
 
+// Combine per-wallet token PnL rows by mint
+function mergeTokenPnl(lists) {
+  const byMint = new Map();
+  for (const t of lists.flat()) {
+    const m = byMint.get(t.mint);
+    if (!m) {
+      byMint.set(t.mint, { ...t });
+      continue;
+    }
+    const held = m.held + t.held;
+    const closed = (m.sold - m.unmatched) + (t.sold - t.unmatched);
+    m.openAgeDays = held > 0 ? ((m.openAgeDays || 0) * m.held + (t.openAgeDays || 0) * t.held) / held : null;
+    m.avgHoldDays = closed > 0
+      ? ((m.avgHoldDays || 0) * (m.sold - m.unmatched) + (t.avgHoldDays || 0) * (t.sold - t.unmatched)) / closed
+      : null;
+    for (const k of ['held', 'costBasis', 'realized', 'unrealized', 'bought', 'sold', 'unmatched', 'trades']) m[k] += t[k];
+    m.value = m.value !== null && t.value !== null ? m.value + t.value : (m.value ?? t.value);
+    m.avgCost = m.held > 0 ? m.costBasis / m.held : 0;
+    m.firstBuy = [m.firstBuy, t.firstBuy].filter(Boolean).reduce((a, b) => Math.min(a, b), Infinity);
+    if (m.firstBuy === Infinity) m.firstBuy = null;
+  }
+  return [...byMint.values()]
+    .sort((a, b) => Math.abs(b.realized + b.unrealized) - Math.abs(a.realized + a.unrealized));
+}
+
+// Per-token PnL for a user's wallets, lots kept per wallet and merged by mint. Uses each
+// wallet's full crawled history, or its recent trades kept on the portfolio (capped across
+// all wallets, so a quiet wallet may have none there).
+function getTokenPnl(user, method = user?.pnlMethod || 'fifo') {
+  let walletList = user?.portfolioWallets || [];
+  if (user?.myWallet && !walletList.includes(user.myWallet)) {
+    walletList = [user.myWallet, ...walletList];
+  }
+  const recent = user?.portfolio?.trades || [];
+  const lists = walletList.map(wallet => {
+    const history = getWalletHistory(wallet);
+    return history.length > 0 ? history : recent.filter(t => t.wallet === wallet);
+  });
+  return mergeTokenPnl(lists.map(trades => calculatePnL(trades, method).tokens));
+}
+
+// Holding period label, e.g. "3d" or "5h"
+function formatHoldPeriod(days) {
+  if (days === null || days === undefined) return '—';
+  if (days >= 1) return `${Math.round(days)}d`;
+  return `${Math.max(1, Math.round(days * 24))}h`;
+}
+
 // Track ongoing portfolio syncs to prevent duplicate requests
 const pendingPortfolioSyncs = new Map(); // chatId -> Promise
 
@@ -2832,6 +4423,7 @@ async function _syncPortfolioInternal(chatId) {
     let totalVolume = 0;
     let totalRealizedPnl = 0;
     let totalUnrealizedPnl = 0;
+    let totalBirdeyePnl = null;
     let totalSolBalance = 0;
     let totalSolValue = 0;
     let totalTokenValue = 0;
@@ -2842,13 +4434,13 @@ async function _syncPortfolioInternal(chatId) {
     // Fetch data for each wallet in parallel
     const walletPromises = walletList.map(async (wallet) => {
       const [trades, lpPositions, balances, birdeyeData] = await Promise.all([
-        fetchWalletOrbitTrades(wallet, 50),
+        syncWalletHistory(wallet),
         fetchLpPositions(wallet),
         fetchWalletBalances(wallet),
         fetchBirdeyeWalletData(wallet),
       ]);
       
-      const pnlData = calculatePnL(trades);
+      const pnlData = calculatePnL(trades, user.pnlMethod);
       
       // Calculate wallet value from balances (most accurate)
       const solValue = balances.solValueUsd || (balances.nativeBalance * (getSolPrice() || 0));
@@ -2856,9 +4448,9 @@ async function _syncPortfolioInternal(chatId) {
       const lpValue = lpPositions.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
       const walletValue = solValue + tokenValue + lpValue;
       
-      // Use Birdeye PnL if available, otherwise use calculated
-      const walletPnl = birdeyeData?.totalPnl ?? pnlData.realized;
-      const walletUnrealized = birdeyeData?.unrealizedPnl || 0;
+      // PnL follows the user's cost basis method; Birdeye's all-DEX figure is kept alongside for reference
+      const walletPnl = pnlData.realized;
+      const walletUnrealized = pnlData.unrealized;
       
       // Count buys and sells
       const buys = trades.filter(t => t.side === 'buy').length;
@@ -2867,11 +4459,12 @@ async function _syncPortfolioInternal(chatId) {
       return {
         wallet,
         trades: trades.map(t => ({ ...t, wallet })),
-        lpPositions: lpPositions.map(p => ({ ...p, wallet })),
+        lpPositions: attachLpPerformance(wallet, lpPositions.map(p => ({ ...p, wallet })), trades),
         tokens: balances.tokens || [],
         volume: pnlData.volume,
         realizedPnl: walletPnl,
         unrealizedPnl: walletUnrealized,
+        birdeyePnl: birdeyeData?.totalPnl ?? null,
         value: walletValue,
         solBalance: balances.nativeBalance,
         solValue,
@@ -2900,6 +4493,7 @@ async function _syncPortfolioInternal(chatId) {
       totalVolume += result.volume;
       totalRealizedPnl += result.realizedPnl;
       totalUnrealizedPnl += result.unrealizedPnl;
+      if (result.birdeyePnl !== null) totalBirdeyePnl = (totalBirdeyePnl || 0) + result.birdeyePnl;
       totalSolBalance += result.solBalance;
       totalSolValue += result.solValue;
       totalTokenValue += result.tokenValue;
@@ -3002,6 +4596,7 @@ async function _syncPortfolioInternal(chatId) {
       // PnL
       realizedPnl: totalRealizedPnl,
       unrealizedPnl: totalUnrealizedPnl,
+      birdeyePnl: totalBirdeyePnl,
       
       // Totals
       totalValue,
@@ -3016,6 +4611,8 @@ async function _syncPortfolioInternal(chatId) {
     user.portfolioWallets = walletList;
     user.myWallet = walletList[0] || null; // Keep first wallet as legacy
     
+    recordPortfolioSnapshot(chatId, user.portfolio);
+    indexRangePositions(user);
     saveUsersDebounced();  // Debounced for performance
     return user.portfolio;
   } catch (e) {
@@ -3025,1011 +4622,3805 @@ async function _syncPortfolioInternal(chatId) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CIPHER TOKEN SUPPLY & STAKING DATA
+// NET WORTH HISTORY (portfolio snapshots)
 // ═══════════════════════════════════════════════════════════════════════════════
+const NETWORTH_RANGES = { '7d': 7, '30d': 30, all: null };
+const NETWORTH_CLASSES = [
+  { key: 'sol_value', label: 'SOL', icon: '◎', color: '#9945ff' },
+  { key: 'token_value', label: 'Tokens', icon: '🪙', color: '#4da3ff' },
+  { key: 'lp_value', label: 'LP', icon: '💧', color: '#00ff88' },
+  { key: 'staked_value', label: 'Staked', icon: '🔒', color: '#ffd43b' },
+];
+const NETWORTH_WALLET_COLORS = ['#4da3ff', '#00ff88', '#ffd43b', '#c77dff', '#ff8787', '#66d9e8'];
+const SNAPSHOT_DAILY_MS = 24 * 60 * 60 * 1000;
+
+// Write one snapshot per successful sync (skipped when every wallet fetch failed)
+function recordPortfolioSnapshot(chatId, portfolio) {
+  if (!db || !portfolio || Object.keys(portfolio.walletData || {}).length === 0) return;
+  try {
+    const wallets = {};
+    for (const [wallet, data] of Object.entries(portfolio.walletData)) wallets[wallet] = data.value || 0;
+    // Staking is fetched separately from the per-wallet totals
+    for (const s of portfolio.stakedPositions || []) wallets[s.wallet] = (wallets[s.wallet] || 0) + (s.valueUsd || 0);
+
+    db.prepare(`
+      INSERT INTO portfolio_snapshots (chat_id, time, total_value, sol_value, token_value, lp_value, staked_value, wallets)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      chatId, portfolio.lastSync || Date.now(), portfolio.totalValue || 0, portfolio.solValue || 0,
+      portfolio.totalTokenValue || 0, portfolio.lpValue || 0, portfolio.totalStakedValue || 0, JSON.stringify(wallets),
+    );
+  } catch (e) {
+    log.error('Failed to record portfolio snapshot:', e.message);
+  }
+}
 
-// Cache for CIPHER supply data (refresh every 5 minutes)
-let cipherSupplyCache = { data: null, timestamp: 0 };
-const CIPHER_SUPPLY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// CIPHER tokenomics constants
-const CIPHER_TOTAL_SUPPLY = 1_000_000_000; // 1 billion
-
-// Streamflow program ID for vesting
-const STREAMFLOW_PROGRAM = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+function getPortfolioSnapshots(chatId, days = null) {
+  if (!db) return [];
+  const since = days ? Date.now() - days * SNAPSHOT_DAILY_MS : 0;
+  try {
+    return db.prepare('SELECT * FROM portfolio_snapshots WHERE chat_id = ? AND time >= ? ORDER BY time ASC')
+      .all(chatId, since)
+      .map(r => ({ ...r, wallets: safeJsonParse(r.wallets) }));
+  } catch (e) {
+    log.error('Failed to load portfolio snapshots:', e.message);
+    return [];
+  }
+}
 
-// Fetch all CIPHER tokens held by Streamflow vesting contracts
-async function fetchStreamflowLockedAmount() {
+// Percent change between the newest snapshot and the newest one at least `days` old (null if no history)
+function getNetWorthChange(chatId, days) {
+  if (!db) return null;
   try {
-    // Get largest token accounts for CIPHER - vesting contracts will be among top holders
-    if (heliusLimiter) await heliusLimiter.acquire();
-    const res = await fetchWithRetry(HELIUS.rpc, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getTokenLargestAccounts',
-        params: [MINTS.CIPHER],
-      }),
-    });
-    
-    const data = await res.json();
-    if (!data?.result?.value) return null;
-    
-    // Get account info to check which are owned by Streamflow
-    const accounts = data.result.value;
-    let streamflowLocked = 0;
-    
-    // Check each large holder to see if it's a Streamflow escrow (throttled to avoid rate limits)
-    for (let i = 0; i < Math.min(accounts.length, 20); i++) {
-      const account = accounts[i];
-      try {
-        if (heliusLimiter) await heliusLimiter.acquire();
-        const infoRes = await fetchWithRetry(HELIUS.rpc, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'getAccountInfo',
-            params: [account.address, { encoding: 'jsonParsed' }],
-          }),
-        });
+    const latest = db.prepare('SELECT total_value FROM portfolio_snapshots WHERE chat_id = ? ORDER BY time DESC LIMIT 1').get(chatId);
+    const past = db.prepare('SELECT total_value FROM portfolio_snapshots WHERE chat_id = ? AND time <= ? ORDER BY time DESC LIMIT 1')
+      .get(chatId, Date.now() - days * SNAPSHOT_DAILY_MS);
+    if (!latest || !past || !(past.total_value > 0)) return null;
+    return ((latest.total_value - past.total_value) / past.total_value) * 100;
+  } catch (e) {
+    return null;
+  }
+}
 
-        const infoData = await infoRes.json();
-        const owner = infoData?.result?.value?.owner;
+// "24h +1.2% • 7d -3.4%" ('' until there is enough history)
+function formatNetWorthChanges(chatId) {
+  const parts = [];
+  for (const [label, days] of [['24h', 1], ['7d', 7]]) {
+    const pct = getNetWorthChange(chatId, days);
+    if (pct !== null) parts.push(`${label} ${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`);
+  }
+  return parts.join(' • ');
+}
 
-        // Check if owned by Streamflow program or known vesting contract
-        if (owner === STREAMFLOW_PROGRAM || owner === MINTS.CIPHER_VESTING) {
-          streamflowLocked += parseFloat(account.uiAmountString || account.uiAmount || 0);
+// Keep the last snapshot per bucket so long ranges stay readable
+function bucketSnapshots(rows, bucketMs) {
+  const buckets = new Map();
+  for (const r of rows) buckets.set(Math.floor(r.time / bucketMs), r);
+  return [...buckets.values()];
+}
+
+// Stacked area chart of net worth by asset class or by wallet
+async function generateNetWorthChart(rows, { range = '7d', view = 'asset' } = {}) {
+  if (!rows || rows.length < 2) return null;
+
+  try {
+    const renderer = getChartRenderer();
+    const labels = rows.map(r => dayjs(r.time).utc().format(range === '7d' ? 'MMM D HH:mm' : 'MMM D'));
+
+    let series;
+    if (view === 'wallet') {
+      const wallets = [...new Set(rows.flatMap(r => Object.keys(r.wallets || {})))];
+      series = wallets.map((w, i) => ({
+        label: shortAddr(w),
+        color: NETWORTH_WALLET_COLORS[i % NETWORTH_WALLET_COLORS.length],
+        data: rows.map(r => r.wallets?.[w] || 0),
+      }));
+    } else {
+      series = NETWORTH_CLASSES.map(c => ({ label: c.label, color: c.color, data: rows.map(r => r[c.key] || 0) }));
+    }
+    series = series.filter(s => s.data.some(v => v > 0));
+    if (series.length === 0) return null;
+
+    const config = {
+      type: 'line',
+      data: {
+        labels,
+        datasets: series.map((s, i) => ({
+          label: s.label,
+          data: s.data,
+          borderColor: s.color,
+          backgroundColor: `${s.color}55`,
+          fill: i === 0 ? 'origin' : '-1',
+          tension: 0.3,
+          pointRadius: 0,
+          borderWidth: 1.5,
+        })),
+      },
+      options: {
+        responsive: false,
+        plugins: {
+          legend: { display: true, position: 'bottom', labels: { color: '#ccc', boxWidth: 12 } },
+          title: {
+            display: true,
+            text: `Net Worth • ${range.toUpperCase()} • by ${view === 'wallet' ? 'wallet' : 'asset'}`,
+            color: '#ffffff',
+            font: { size: 16, weight: 'bold' }
+          }
+        },
+        scales: {
+          x: {
+            grid: { color: 'rgba(255,255,255,0.1)' },
+            ticks: { color: '#888', maxTicksLimit: 8 }
+          },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            grid: { color: 'rgba(255,255,255,0.1)' },
+            ticks: { color: '#888', callback: (v) => '$' + formatNumber(v) }
+          }
         }
-      } catch (e) {
-        // Skip this account on error
       }
-      // Throttle: 100ms between calls to avoid burning Helius rate limit
-      if (i < 19) await new Promise(r => setTimeout(r, 100));
-    }
-    
-    return streamflowLocked;
+    };
+
+    return await renderer.renderToBuffer(config);
   } catch (e) {
-    log.error('Streamflow locked fetch error:', e.message);
+    log.error('Net worth chart error:', e.message);
     return null;
   }
 }
 
-// Fetch token supply from Solana RPC
-async function fetchTokenSupply(mint) {
-  try {
-    if (heliusLimiter) await heliusLimiter.acquire();
-    const res = await fetchWithRetry(HELIUS.rpc, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getTokenSupply',
-        params: [mint],
-      }),
-    });
-    const data = await res.json();
-    if (data?.result?.value) {
-      return {
-        amount: parseFloat(data.result.value.amount),
-        decimals: data.result.value.decimals,
-        uiAmount: parseFloat(data.result.value.uiAmountString || data.result.value.uiAmount),
-      };
+// Make sure every portfolio gets at least one snapshot a day, even for users who aren't active
+async function snapshotStalePortfolios() {
+  if (!db) return;
+  const cutoff = Date.now() - 20 * 60 * 60 * 1000;
+  let synced = 0;
+
+  for (const user of users.values()) {
+    if (shutdownRequested) break;
+    const hasWallets = (user.portfolioWallets?.length > 0) || user.myWallet;
+    if (!hasWallets || user.blocked) continue;
+    try {
+      const last = db.prepare('SELECT MAX(time) AS t FROM portfolio_snapshots WHERE chat_id = ?').get(user.chatId)?.t || 0;
+      if (last > cutoff) continue;
+      await syncPortfolio(user.chatId);
+      synced++;
+      await new Promise(r => setTimeout(r, 500));
+    } catch (e) {
+      log.debug(`Daily snapshot failed for ${user.chatId}:`, e.message);
     }
-    return null;
+  }
+
+  if (synced > 0) log.info(`📸 Daily portfolio snapshots: ${synced} synced`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WALLET HISTORY CRAWLER (full Orbit lifetime per wallet)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Each wallet's Helius history is paged backwards with `before` cursors until the
+// first transaction, a few pages per run. Later runs read only what's newer than
+// the stored head (`until`). Orbit transactions and stake actions are kept in
+// wallet_history so PnL and exports cover the wallet's entire lifetime.
+const WALLET_HISTORY_PAGE_SIZE = 100;
+const pendingHistoryCrawls = new Map(); // wallet -> Promise
+
+// One page of a wallet's parsed transactions, newest first. `cursor` is where the next
+// (older) page starts, and is null only once a page comes back empty: Helius can return
+// short pages mid-history. When a page had nothing it could parse, Helius answers with an
+// error that names the next `before`, so this reads the body itself instead of using
+// fetchWithRetry (which throws on any non-2xx).
+async function fetchParsedTransactionsPage(wallet, { before = null, until = null } = {}) {
+  const params = new URLSearchParams({ 'api-key': CONFIG.heliusKey, limit: String(WALLET_HISTORY_PAGE_SIZE) });
+  if (before) params.set('before', before);
+  if (until) params.set('until', until);
+  const url = `${HELIUS.api}/addresses/${wallet}/transactions?${params}`;
+  
+  let lastError;
+  for (let i = 0; i < 3; i++) {
+    try {
+      const res = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: AbortSignal.timeout(15000) });
+      const data = await res.json().catch(() => null);
+      if (res.ok && Array.isArray(data)) {
+        return { txs: data, cursor: data[data.length - 1]?.signature || null };
+      }
+      const message = String(data?.error?.message || data?.error || `HTTP ${res.status}`);
+      const resume = message.match(/`before` parameter set to (\w+)/);
+      if (resume) return { txs: [], cursor: resume[1] };
+      lastError = new Error(message);
+      // Other 4xx answers won't change on a retry
+      if (res.status >= 400 && res.status < 500 && res.status !== 429) break;
+    } catch (e) {
+      lastError = e.name === 'TimeoutError' ? new Error('Request timeout') : e;
+    }
+    await new Promise(r => setTimeout(r, 1000 * (i + 1)));
+  }
+  throw lastError;
+}
+
+function getWalletHistoryState(wallet) {
+  if (!db) return null;
+  try {
+    return db.prepare('SELECT * FROM wallet_history_state WHERE wallet = ?').get(wallet) || null;
   } catch (e) {
-    log.error('Token supply fetch error:', e.message);
+    log.debug('getWalletHistoryState error:', e.message);
     return null;
   }
 }
 
-// Cache for global staking data
-let stakedCipherCache = { data: null, timestamp: 0 };
-const STAKED_CIPHER_CACHE_TTL = 60000; // 1 minute
+function saveWalletHistoryState(wallet, state) {
+  if (!db) return;
+  try {
+    db.prepare(`
+      INSERT INTO wallet_history_state (wallet, newest_sig, oldest_sig, complete, tx_scanned, gap_head, gap_before, updated_at)
+      VALUES (@wallet, @newestSig, @oldestSig, @complete, @txScanned, @gapHead, @gapBefore, @now)
+      ON CONFLICT(wallet) DO UPDATE SET newest_sig = @newestSig, oldest_sig = @oldestSig,
+        complete = @complete, tx_scanned = @txScanned, gap_head = @gapHead, gap_before = @gapBefore, updated_at = @now
+    `).run({
+      wallet,
+      newestSig: state.newestSig || null,
+      oldestSig: state.oldestSig || null,
+      complete: state.complete ? 1 : 0,
+      txScanned: state.txScanned || 0,
+      gapHead: state.gapHead || null,
+      gapBefore: state.gapBefore || null,
+      now: Date.now(),
+    });
+  } catch (e) { log.debug('saveWalletHistoryState error:', e.message); }
+}
 
-// Fetch total staked CIPHER data from stake pool
-async function fetchStakedCipher() {
-  // Return cached data if fresh
-  if (stakedCipherCache.data && Date.now() - stakedCipherCache.timestamp < STAKED_CIPHER_CACHE_TTL) {
-    return stakedCipherCache.data;
-  }
+// USD price of a token at a past time, from Birdeye in hourly buckets. Null when unknown.
+const historicPriceCache = new Map(); // `${mint}:${hour}` -> price | null
+const HISTORIC_PRICE_CACHE_MAX = 5000;
+
+async function fetchHistoricPrice(mint, time) {
+  if (mint === MINTS.USDC || mint === MINTS.USDT) return 1;
+  const hour = Math.floor(time / (60 * 60 * 1000));
+  const key = `${mint}:${hour}`;
+  if (historicPriceCache.has(key)) return historicPriceCache.get(key);
   
+  let price = null;
   try {
-    // Fetch both vault balance and receipt token supply in parallel
-    if (heliusLimiter) { await heliusLimiter.acquire(); await heliusLimiter.acquire(); }
-    const [vaultRes, receiptRes] = await Promise.all([
-      // Vault: Actual CIPHER staked (using stake pool address as token account)
-      fetchWithRetry(HELIUS.rpc, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getTokenAccountBalance',
-          params: [MINTS.CIPHER_STAKE_POOL],
-        }),
-      }),
-      // Receipt token supply (sCIPHER)
-      fetchWithRetry(HELIUS.rpc, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getTokenSupply',
-          params: [MINTS.CIPHER_STAKING_TOKEN],
-        }),
-      }),
-    ]);
-    
-    const vaultData = await vaultRes.json();
-    const receiptData = await receiptRes.json();
-    
-    const vaultBalance = parseFloat(vaultData?.result?.value?.uiAmountString || vaultData?.result?.value?.uiAmount || 0);
-    const receiptSupply = parseFloat(receiptData?.result?.value?.uiAmountString || receiptData?.result?.value?.uiAmount || 0);
-    
-    const result = {
-      stakedAmount: vaultBalance,      // Actual CIPHER in vault
-      receiptSupply: receiptSupply,    // Total sCIPHER supply
+    const res = await birdeyeFetch(BIRDEYE.historicalPrice(mint, hour * 60 * 60 * 1000));
+    const data = await res.json();
+    price = Number(data?.data?.value) || null;
+  } catch (e) {
+    log.debug(`Historic price lookup failed for ${shortAddr(mint)}:`, e.message);
+  }
+  if (historicPriceCache.size >= HISTORIC_PRICE_CACHE_MAX) historicPriceCache.clear();
+  historicPriceCache.set(key, price);
+  return price;
+}
+
+// Re-price crawled trades at their execution time (parseWalletOrbitTrades uses live prices).
+// Birdeye first, then the pool's recorded swaps around that time. `usdSource` is 'historic'
+// when every price came from one of those (or the trade is under an hour old), else 'estimated'.
+async function priceTradesAtExecution(trades) {
+  const cutoff = Date.now() - 60 * 60 * 1000;
+  for (const t of trades) {
+    if (t.timestamp > cutoff) {
+      t.usdSource = 'historic';
+      continue;
+    }
+    t.usdSource = 'estimated';
+    const pool = poolMap.get(t.poolId);
+    if (!pool || shutdownRequested) continue;
+    const baseMint = pool.baseMint || pool.base;
+    const quoteMint = pool.quoteMint || pool.quote;
+    const local = findPoolPricesAt(pool, t.timestamp);
+    let historic = true;
+    const priceOf = async (mint) => {
+      const price = (await fetchHistoricPrice(mint, t.timestamp)) || (mint === baseMint ? local?.base : mint === quoteMint ? local?.quote : null);
+      if (price) return price;
+      historic = false;
+      return getPrice(mint) || 0;
     };
     
-    // Cache the result
-    stakedCipherCache = { data: result, timestamp: Date.now() };
-    log.debug(`Staking pool: ${vaultBalance.toFixed(0)} CIPHER staked, ${receiptSupply.toFixed(0)} sCIPHER supply`);
-    
-    return result;
-  } catch (e) {
-    log.error('Staked CIPHER fetch error:', e.message);
-    return stakedCipherCache.data || { stakedAmount: 0, receiptSupply: 0 };
+    if (t.baseAmount > 0) {
+      const quotePrice = await priceOf(quoteMint);
+      t.usd = quotePrice ? t.quoteAmount * quotePrice : t.baseAmount * await priceOf(baseMint);
+      t.price = t.usd / t.baseAmount;
+    } else if (t.flows) {
+      // Per-token prices are kept for the LP cost basis
+      t.legPrices = {};
+      let usd = 0;
+      for (const [mint, amount] of Object.entries(t.flows)) {
+        t.legPrices[mint] = await priceOf(mint);
+        usd += Math.abs(amount) * t.legPrices[mint];
+      }
+      t.usd = usd;
+    }
+    if (historic) t.usdSource = 'historic';
   }
+  return trades;
 }
 
-// Find user's original staked CIPHER by analyzing token balance changes
-// Cache results per wallet to avoid excessive API calls
-const userStakeCache = new Map(); // wallet -> { originalStake, timestamp }
-const USER_STAKE_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+// Store the Orbit transactions and stake actions found in one page. Returns how many were new.
+async function storeWalletHistoryPage(wallet, txs) {
+  if (!db || txs.length === 0) return 0;
+  const trades = await priceTradesAtExecution(parseWalletOrbitTrades(txs, wallet));
+  const rows = [
+    ...trades.map(t => ({ sig: t.sig, kind: 'orbit', time: t.timestamp, data: t })),
+    ...parseStakeActions(txs, wallet).map(a => ({ sig: a.sig, kind: 'stake', time: a.timestamp, data: a })),
+  ];
+  if (rows.length === 0) return 0;
+  
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO wallet_history (wallet, sig, kind, time, data)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  let added = 0;
+  db.transaction(() => {
+    for (const r of rows) {
+      added += insert.run(wallet, r.sig, r.kind, r.time || 0, JSON.stringify(r.data)).changes;
+    }
+  })();
+  return added;
+}
 
-async function fetchUserStakeFromHistory(walletAddress) {
+// Stored history for a wallet, newest first ('orbit' trades or 'stake' actions)
+function getWalletHistory(wallet, kind = 'orbit') {
+  if (!db) return [];
   try {
-    // Check cache first
-    const cached = userStakeCache.get(walletAddress);
-    if (cached && Date.now() - cached.timestamp < USER_STAKE_CACHE_TTL) {
-      return cached.originalStake;
-    }
-    
-    // Use Helius Enhanced Transactions API to get parsed transaction history
-    const res = await fetchWithRetry(
-      `https://api-mainnet.helius-rpc.com/v0/addresses/${walletAddress}/transactions?api-key=${CONFIG.heliusKey}`,
-      { method: 'GET' }
-    );
-    
-    const transactions = await res.json();
-    
-    // Check for API errors or empty response
-    if (!transactions || !Array.isArray(transactions) || transactions.length === 0) {
-      return null;
+    return db.prepare('SELECT data FROM wallet_history WHERE wallet = ? AND kind = ? ORDER BY time DESC')
+      .all(wallet, kind)
+      .map(r => safeJsonParse(r.data, null))
+      .filter(Boolean);
+  } catch (e) {
+    log.debug('getWalletHistory error:', e.message);
+    return [];
+  }
+}
+
+function isWalletHistoryComplete(wallet) {
+  return !!getWalletHistoryState(wallet)?.complete;
+}
+
+// Read new transactions since the stored head, then continue the backfill.
+// At most CONFIG.historyMaxPages pages per call; the rest is picked up next time.
+async function crawlWalletHistory(wallet) {
+  const stored = getWalletHistoryState(wallet);
+  const state = {
+    newestSig: stored?.newest_sig || null,
+    oldestSig: stored?.oldest_sig || null,
+    complete: !!stored?.complete,
+    txScanned: stored?.tx_scanned || 0,
+    gapHead: stored?.gap_head || null,
+    gapBefore: stored?.gap_before || null,
+  };
+  let pages = 0;
+  let added = 0;
+  
+  // Newer than the stored head. A gap larger than the page budget keeps its own head and
+  // cursor, so the next run carries on where this one stopped instead of starting over.
+  if (state.newestSig) {
+    let reached = false;
+    while (pages < CONFIG.historyMaxPages && !shutdownRequested) {
+      const { txs, cursor } = await fetchParsedTransactionsPage(wallet, { before: state.gapBefore, until: state.newestSig });
+      pages++;
+      state.gapHead = state.gapHead || txs[0]?.signature || null;
+      added += await storeWalletHistoryPage(wallet, txs);
+      state.txScanned += txs.length;
+      if (!cursor) { reached = true; break; }
+      state.gapBefore = cursor;
+      await new Promise(r => setTimeout(r, 250));
+    }
+    if (reached) {
+      state.newestSig = state.gapHead || state.newestSig;
+      state.gapHead = null;
+      state.gapBefore = null;
+    } else {
+      log.warn(`⚠️ History: ${shortAddr(wallet)} has more than ${pages} pages of new transactions, resuming next sync`);
     }
-    
-    // Check for error response
-    if (transactions.error) {
-      log.error('Helius API error:', transactions.error);
-      return null;
+  }
+  
+  // Older history, resuming from the oldest transaction read so far
+  while (!state.complete && pages < CONFIG.historyMaxPages && !shutdownRequested) {
+    const { txs, cursor } = await fetchParsedTransactionsPage(wallet, { before: state.oldestSig });
+    pages++;
+    state.newestSig = state.newestSig || txs[0]?.signature || null;
+    added += await storeWalletHistoryPage(wallet, txs);
+    state.txScanned += txs.length;
+    if (cursor) {
+      state.oldestSig = cursor;
+    } else {
+      state.oldestSig = txs[txs.length - 1]?.signature || state.oldestSig;
+      state.complete = true;
     }
-    
-    let totalOriginalStake = 0;
-    
-    // Look through transactions for staking activity
-    for (const tx of transactions) {
-      if (!tx) continue;
-      
-      // Check if this transaction involves token transfers with CIPHER and sCIPHER
-      const tokenTransfers = tx.tokenTransfers || [];
-      
-      let cipherSent = 0;
-      let scipherReceived = 0;
-      
-      for (const transfer of tokenTransfers) {
-        if (!transfer) continue;
-        
-        // CIPHER sent FROM user (to stake pool)
-        if (transfer.mint === MINTS.CIPHER && 
-            transfer.fromUserAccount === walletAddress) {
-          cipherSent += parseFloat(transfer.tokenAmount) || 0;
-        }
-        
-        // sCIPHER received BY user (minted)
-        if (transfer.mint === MINTS.CIPHER_STAKING_TOKEN && 
-            transfer.toUserAccount === walletAddress) {
-          scipherReceived += parseFloat(transfer.tokenAmount) || 0;
-        }
-      }
-      
-      // Also check token balance changes for mints
-      const accountData = tx.accountData || [];
-      for (const account of accountData) {
-        if (!account) continue;
-        
-        const tokenChanges = account.tokenBalanceChanges || [];
-        for (const change of tokenChanges) {
-          if (!change) continue;
-          
-          // sCIPHER minted to user
-          if (change.mint === MINTS.CIPHER_STAKING_TOKEN && 
-              change.userAccount === walletAddress) {
-            const amount = parseFloat(change.rawTokenAmount?.tokenAmount || 0);
-            const decimals = parseInt(change.rawTokenAmount?.decimals) || 9;
-            if (amount > 0) {
-              scipherReceived = Math.max(scipherReceived, amount / Math.pow(10, decimals));
-            }
-          }
-          
-          // CIPHER sent from user
-          if (change.mint === MINTS.CIPHER && 
-              change.userAccount === walletAddress) {
-            const amount = parseFloat(change.rawTokenAmount?.tokenAmount || 0);
-            const decimals = parseInt(change.rawTokenAmount?.decimals) || 9;
-            if (amount < 0) { // Negative = sent
-              cipherSent = Math.max(cipherSent, Math.abs(amount) / Math.pow(10, decimals));
-            }
-          }
-        }
-      }
-      
-      // If we found both CIPHER sent AND sCIPHER received, this is a stake transaction
-      if (cipherSent > 0 && scipherReceived > 0) {
-        totalOriginalStake += cipherSent;
-      }
+    if (!state.complete) await new Promise(r => setTimeout(r, 250));
+  }
+  
+  saveWalletHistoryState(wallet, state);
+  if (added > 0 || (state.complete && !stored?.complete)) {
+    log.info(`📚 History ${shortAddr(wallet)}: +${added} Orbit txs over ${pages} pages (${state.txScanned} scanned${state.complete ? ', complete' : ''})`);
+  }
+  return { added, pages, complete: state.complete };
+}
+
+// Crawl (deduplicated per wallet) and return the wallet's full stored Orbit history.
+// Without a database this falls back to the most recent transactions only.
+async function syncWalletHistory(wallet) {
+  if (!wallet || !isValidWallet(wallet)) return [];
+  if (!db) return fetchWalletOrbitTrades(wallet, 50);
+  
+  if (!pendingHistoryCrawls.has(wallet)) {
+    const crawl = crawlWalletHistory(wallet)
+      .catch(e => log.warn(`History crawl failed for ${shortAddr(wallet)}:`, e.message))
+      .finally(() => pendingHistoryCrawls.delete(wallet));
+    pendingHistoryCrawls.set(wallet, crawl);
+  }
+  await pendingHistoryCrawls.get(wallet);
+  
+  const history = getWalletHistory(wallet);
+  return history.length > 0 ? history : fetchWalletOrbitTrades(wallet, 50);
+}
+
+// Keep backfilling portfolio wallets whose history isn't complete yet
+async function crawlIncompleteWalletHistories() {
+  if (!db) return;
+  const wallets = new Set();
+  for (const user of users.values()) {
+    if (user.myWallet) wallets.add(user.myWallet);
+    (user.portfolioWallets || []).forEach(w => wallets.add(w));
+  }
+  for (const wallet of wallets) {
+    if (shutdownRequested) break;
+    if (isWalletHistoryComplete(wallet)) continue;
+    await syncWalletHistory(wallet);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TAX EXPORT (CSV, Koinly, CoinTracker)
+// ═══════════════════════════════════════════════════════════════════════════════
+const EXPORT_FORMATS = {
+  csv: 'CSV',
+  koinly: 'Koinly',
+  cointracker: 'CoinTracker',
+};
+const pendingExports = new Set(); // chatIds with an export in progress
+
+// Export type for an Orbit transaction type (null = not exported)
+const EXPORT_TYPES = {
+  [TX_TYPE.LP_ADD]: 'lp_add',
+  [TX_TYPE.LP_REMOVE]: 'lp_remove',
+  [TX_TYPE.CLOSE_POSITION]: 'lp_remove',
+  [TX_TYPE.CLAIM_REWARDS]: 'claim',
+};
+
+const EXPORT_LABELS = {
+  koinly: { lp_add: 'liquidity in', lp_remove: 'liquidity out', claim: 'reward' },
+  cointracker: { claim: 'staked' },
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'number' ? String(Number(value.toFixed(9))) : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Tax tools need real tickers; fall back to the mint address rather than a shortened one
+const exportSymbol = (mint) => tokens.get(mint)?.symbol || mint;
+
+// USD values the bot recorded live for these signatures (sig -> usd)
+function getRecordedUsd(sigs) {
+  const recorded = new Map();
+  if (!db || sigs.length === 0) return recorded;
+  try {
+    for (let i = 0; i < sigs.length; i += 500) {
+      const chunk = sigs.slice(i, i + 500);
+      const marks = chunk.map(() => '?').join(',');
+      const rows = db.prepare(`
+        SELECT sig, usd FROM trades WHERE usd > 0 AND sig IN (${marks})
+        UNION ALL
+        SELECT sig, usd FROM lp_events WHERE usd > 0 AND sig IN (${marks})
+      `).all(...chunk, ...chunk);
+      for (const r of rows) recorded.set(r.sig, r.usd);
     }
-    
-    // Cache the result
-    userStakeCache.set(walletAddress, { originalStake: totalOriginalStake > 0 ? totalOriginalStake : null, timestamp: Date.now() });
-    
-    return totalOriginalStake > 0 ? totalOriginalStake : null;
   } catch (e) {
-    log.error('Stake history fetch error:', e.message);
-    return null;
+    log.debug('Recorded USD lookup failed:', e.message);
   }
+  return recorded;
 }
 
-// Fetch user's staked CIPHER position
-async function fetchUserStakedCipher(walletAddress) {
-  try {
-    let userScipherBalance = 0;
-    
-    // Try Helius SDK first
-    if (helius) {
-      try {
-        const response = await helius.rpc.getAssetsByOwner({
-          ownerAddress: walletAddress,
-          page: 1,
-          limit: 50,
-          displayOptions: { showFungible: true }
+// Every swap, LP add/remove, reward claim and stake action across a user's wallets (oldest first)
+async function collectExportEntries(user) {
+  let walletList = user?.portfolioWallets || [];
+  if (user?.myWallet && !walletList.includes(user.myWallet)) {
+    walletList = [user.myWallet, ...walletList];
+  }
+  const method = user?.pnlMethod || 'fifo';
+  const entries = [];
+  
+  for (const wallet of walletList) {
+    const trades = await syncWalletHistory(wallet);
+    const stakeActions = db ? getWalletHistory(wallet, 'stake') : await fetchWalletStakeActions(wallet).catch(() => null);
+    
+    // USD the bot saw live, else the crawler's execution-time price. Rows priced only with
+    // today's prices are exported without a USD value.
+    const recorded = getRecordedUsd(trades.map(t => t.sig).filter(Boolean));
+    const priced = trades.map(t => recorded.has(t.sig) ? { ...t, usd: recorded.get(t.sig), usdSource: 'recorded' } : t);
+    const exportUsd = (t) => t.usdSource === 'recorded' || t.usdSource === 'historic' ? t.usd : null;
+    const exportSource = (t) => exportUsd(t) === null ? null : t.usdSource;
+    const sales = new Map(calculatePnL(priced, method).sales.map(s => [s.sig, s]));
+    // A gain is only exported when the sell and every lot it drew on were priced at execution
+    const exportSale = (t) => {
+      const sale = sales.get(t.sig);
+      return exportUsd(t) === null || !sale?.basisAtExecution ? null : sale;
+    };
+    const seen = new Set();
+    
+    for (const t of priced) {
+      seen.add(t.sig);
+      if (t.type === TX_TYPE.SWAP && t.baseMint) {
+        const buy = t.side === 'buy';
+        const base = { mint: t.baseMint, amount: t.baseAmount };
+        const quote = { mint: t.quoteMint, amount: t.quoteAmount };
+        entries.push({
+          time: t.timestamp, wallet, type: t.side, pool: t.pool, sig: t.sig,
+          sent: [buy ? quote : base], received: [buy ? base : quote],
+          usd: exportUsd(t), usdSource: exportSource(t), sale: exportSale(t),
+          basisEstimated: exportUsd(t) !== null && sales.get(t.sig)?.basisAtExecution === false,
         });
-        
-        const scipherToken = (response.items || []).find(
-          item => item.id === MINTS.CIPHER_STAKING_TOKEN
-        );
-        
-        if (scipherToken) {
-          const balance = parseFloat(scipherToken.token_info?.balance || 0);
-          const decimals = scipherToken.token_info?.decimals || 9;
-          userScipherBalance = balance / Math.pow(10, decimals);
-        }
-        log.debug(`Helius SDK: sCIPHER balance for ${walletAddress.slice(0,8)}: ${userScipherBalance}`);
-      } catch (sdkErr) {
-        log.debug('Helius SDK failed for sCIPHER, trying RPC:', sdkErr.message);
+        continue;
       }
+      
+      const type = EXPORT_TYPES[t.type];
+      if (!type || !t.flows) continue;
+      const legs = Object.entries(t.flows).map(([mint, amount]) => ({ mint, amount }));
+      entries.push({
+        time: t.timestamp, wallet, type, pool: t.pool, sig: t.sig,
+        sent: legs.filter(l => l.amount < 0).map(l => ({ mint: l.mint, amount: -l.amount })),
+        received: legs.filter(l => l.amount > 0),
+        usd: exportUsd(t),
+        usdSource: exportSource(t),
+        legPrices: t.legPrices || null,
+        sale: null,
+      });
     }
     
-    // Fallback to direct RPC
-    if (userScipherBalance === 0) {
+    for (const a of stakeActions || []) {
+      if (seen.has(a.sig)) continue;
+      const cipher = { mint: MINTS.CIPHER, amount: a.cipher };
+      const scipher = { mint: MINTS.CIPHER_STAKING_TOKEN, amount: a.scipher };
+      const cipherPrice = await fetchHistoricPrice(MINTS.CIPHER, a.timestamp);
+      entries.push({
+        time: a.timestamp, wallet, type: a.type, pool: 'CIPHER Staking', sig: a.sig,
+        sent: [a.type === 'stake' ? cipher : scipher], received: [a.type === 'stake' ? scipher : cipher],
+        usd: cipherPrice ? a.cipher * cipherPrice : null, usdSource: cipherPrice ? 'historic' : null, sale: null,
+      });
+    }
+  }
+  
+  entries.sort((a, b) => a.time - b.time);
+  const incomplete = walletList.filter(w => !isWalletHistoryComplete(w)).length;
+  return { entries, wallets: walletList.length, method, incomplete };
+}
+
+// Split multi-token LP entries into one row per leg (USD shared by each leg's value at
+// execution, or today's value when the crawl didn't keep leg prices)
+function expandExportLegs(entry) {
+  if (entry.sent.length <= 1 && entry.received.length <= 1) {
+    return [{ ...entry, sent: entry.sent[0] || null, received: entry.received[0] || null }];
+  }
+  const legs = [...entry.sent.map(l => ({ sent: l, received: null })), ...entry.received.map(l => ({ sent: null, received: l }))];
+  if (entry.usd === null) return legs.map(l => ({ ...entry, ...l }));
+  const values = legs.map(l => {
+    const leg = l.sent || l.received;
+    return leg.amount * (entry.legPrices?.[leg.mint] ?? getPrice(leg.mint) ?? 0);
+  });
+  const total = values.reduce((a, b) => a + b, 0);
+  return legs.map((l, i) => ({
+    ...entry,
+    ...l,
+    usd: total > 0 ? entry.usd * (values[i] / total) : entry.usd / legs.length,
+  }));
+}
+
+// Render export entries in one of EXPORT_FORMATS
+function buildExportCsv(entries, format, method) {
+  const rows = entries.flatMap(expandExportLegs);
+  const label = (type) => EXPORT_LABELS[format]?.[type] || '';
+  const describe = (r) => `Orbit ${r.type.replace('_', ' ')} ${r.pool || ''}`.trim();
+  
+  if (format === 'koinly') {
+    return toCsv(
+      ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+      rows.map(r => [
+        dayjs(r.time).utc().format('YYYY-MM-DD HH:mm:ss [UTC]'),
+        r.sent?.amount, r.sent ? exportSymbol(r.sent.mint) : '',
+        r.received?.amount, r.received ? exportSymbol(r.received.mint) : '',
+        '', '',
+        r.usd > 0 ? r.usd.toFixed(2) : '', r.usd > 0 ? 'USD' : '',
+        label(r.type), describe(r), r.sig,
+      ])
+    );
+  }
+  
+  if (format === 'cointracker') {
+    return toCsv(
+      ['Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency', 'Fee Amount', 'Fee Currency', 'Tag'],
+      rows.map(r => [
+        dayjs(r.time).utc().format('MM/DD/YYYY HH:mm:ss'),
+        r.received?.amount, r.received ? exportSymbol(r.received.mint) : '',
+        r.sent?.amount, r.sent ? exportSymbol(r.sent.mint) : '',
+        '', '',
+        label(r.type),
+      ])
+    );
+  }
+  
+  return toCsv(
+    ['Date (UTC)', 'Type', 'Wallet', 'Pool', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+      'USD Value', 'USD Source', 'Cost Basis (USD)', 'Realized Gain (USD)', 'Holding Days', 'Cost Basis Method', 'Tx Hash'],
+    rows.map(r => [
+      dayjs(r.time).utc().format('YYYY-MM-DD HH:mm:ss'),
+      r.type, r.wallet, r.pool,
+      r.sent?.amount, r.sent ? exportSymbol(r.sent.mint) : '',
+      r.received?.amount, r.received ? exportSymbol(r.received.mint) : '',
+      r.usd > 0 ? r.usd.toFixed(2) : '', r.usdSource,
+      r.sale ? r.sale.costBasis.toFixed(2) : '',
+      r.sale ? r.sale.realized.toFixed(2) : '',
+      r.sale?.holdDays !== null && r.sale?.holdDays !== undefined ? r.sale.holdDays.toFixed(1) : '',
+      r.sale ? COST_BASIS_METHODS[method] : '',
+      r.sig,
+    ])
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CIPHER TOKEN SUPPLY & STAKING DATA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Cache for CIPHER supply data (refresh every 5 minutes)
+let cipherSupplyCache = { data: null, timestamp: 0 };
+const CIPHER_SUPPLY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// CIPHER tokenomics constants
+const CIPHER_TOTAL_SUPPLY = 1_000_000_000; // 1 billion
+
+// Streamflow program ID for vesting
+const STREAMFLOW_PROGRAM = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+
+// CIPHER still locked in Streamflow vesting: decoded contracts first, then the largest
+// holders owned by Streamflow as a fallback
+async function fetchStreamflowLockedAmount() {
+  const streams = await fetchVestingStreams();
+  if (streams?.length) return getVestingSummary(streams).locked;
+  
+  try {
+    // Get largest token accounts for CIPHER - vesting contracts will be among top holders
+    if (heliusLimiter) await heliusLimiter.acquire();
+    const res = await fetchWithRetry(HELIUS.rpc, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getTokenLargestAccounts',
+        params: [MINTS.CIPHER],
+      }),
+    });
+    
+    const data = await res.json();
+    if (!data?.result?.value) return null;
+    
+    // Get account info to check which are owned by Streamflow
+    const accounts = data.result.value;
+    let streamflowLocked = 0;
+    
+    // Check each large holder to see if it's a Streamflow escrow (throttled to avoid rate limits)
+    for (let i = 0; i < Math.min(accounts.length, 20); i++) {
+      const account = accounts[i];
       try {
-        const conn = await getConnection();
-        const pubkey = new PublicKey(walletAddress);
-        const mintPubkey = new PublicKey(MINTS.CIPHER_STAKING_TOKEN);
-        
-        const tokenAccounts = await conn.getParsedTokenAccountsByOwner(pubkey, { mint: mintPubkey });
-        
-        for (const account of tokenAccounts.value) {
-          const balance = account.account?.data?.parsed?.info?.tokenAmount?.uiAmount;
-          if (balance) {
-            userScipherBalance += parseFloat(balance);
-          }
-        }
-        log.debug(`Direct RPC: sCIPHER balance for ${walletAddress.slice(0,8)}: ${userScipherBalance}`);
-      } catch (rpcErr) {
-        // Final fallback to HTTP
         if (heliusLimiter) await heliusLimiter.acquire();
-        const scipherRes = await fetchWithRetry(HELIUS.rpc, {
+        const infoRes = await fetchWithRetry(HELIUS.rpc, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             jsonrpc: '2.0',
             id: 1,
-            method: 'getTokenAccountsByOwner',
-            params: [
-              walletAddress,
-              { mint: MINTS.CIPHER_STAKING_TOKEN },
-              { encoding: 'jsonParsed' }
-            ],
+            method: 'getAccountInfo',
+            params: [account.address, { encoding: 'jsonParsed' }],
           }),
         });
-        
-        const scipherData = await scipherRes.json();
-        
-        if (scipherData?.result?.value) {
-          for (const account of scipherData.result.value) {
-            const balance = account.account?.data?.parsed?.info?.tokenAmount?.uiAmount;
-            if (balance) {
-              userScipherBalance += parseFloat(balance);
-            }
-          }
+
+        const infoData = await infoRes.json();
+        const owner = infoData?.result?.value?.owner;
+
+        // Check if owned by Streamflow program or known vesting contract
+        if (owner === STREAMFLOW_PROGRAM || owner === MINTS.CIPHER_VESTING) {
+          streamflowLocked += parseFloat(account.uiAmountString || account.uiAmount || 0);
         }
+      } catch (e) {
+        // Skip this account on error
       }
+      // Throttle: 100ms between calls to avoid burning Helius rate limit
+      if (i < 19) await new Promise(r => setTimeout(r, 100));
     }
     
-    if (userScipherBalance === 0) {
-      return null;
+    return streamflowLocked;
+  } catch (e) {
+    log.error('Streamflow locked fetch error:', e.message);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CIPHER VESTING (Streamflow)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Vesting contracts are the Streamflow program's accounts filtered by the CIPHER mint, decoded
+// with the SDK. Each contract releases its cliff amount at the cliff, then amountPerPeriod every period.
+
+const VESTING_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const VESTING_HORIZON_DAYS = 90;
+const VESTING_ALERT_STEPS = [100_000, 1_000_000, 5_000_000, 10_000_000, 25_000_000];
+let vestingCache = { streams: null, timestamp: 0 };
+// The SDK only searches by sender/recipient; the mint follows sender, sender_tokens, recipient, recipient_tokens
+const STREAMFLOW_MINT_OFFSET = StreamflowSolana.constants.STREAM_STRUCT_OFFSET_SENDER + 4 * 32;
+
+const bnToUi = (bn, decimals) => Number(bn?.toString() || 0) / Math.pow(10, decimals);
+
+// Active CIPHER vesting contracts in UI units and ms timestamps (null when Streamflow can't be read)
+async function fetchVestingStreams() {
+  if (vestingCache.streams && Date.now() - vestingCache.timestamp < VESTING_CACHE_TTL) {
+    return vestingCache.streams;
+  }
+  
+  try {
+    if (heliusLimiter) await heliusLimiter.acquire();
+    const accounts = await solanaConnection.getProgramAccounts(new PublicKey(StreamflowSolana.constants.PROGRAM_ID.mainnet), {
+      filters: [{ memcmp: { offset: STREAMFLOW_MINT_OFFSET, bytes: MINTS.CIPHER } }],
+    });
+    const decimals = getDecimals(MINTS.CIPHER);
+    
+    const streams = accounts
+      .map(({ pubkey, account }) => ({ pubkey, s: new StreamflowSolana.Contract(StreamflowSolana.decodeStream(account.data)) }))
+      .filter(({ s }) => !s.closed && !(Number(s.canceledAt) > 0))
+      .map(({ pubkey, s }) => ({
+        id: pubkey.toBase58(),
+        name: String(s.name || '').replace(/\0/g, '').trim(),
+        recipient: String(s.recipient),
+        deposited: bnToUi(s.depositedAmount, decimals),
+        cliff: Number(s.cliff) * 1000,
+        cliffAmount: bnToUi(s.cliffAmount, decimals),
+        period: Number(s.period) * 1000,
+        amountPerPeriod: bnToUi(s.amountPerPeriod, decimals),
+        end: Number(s.end) * 1000,
+      }));
+    
+    vestingCache = { streams, timestamp: Date.now() };
+    log.debug(`Vesting: ${streams.length} active CIPHER contracts`);
+    return streams;
+  } catch (e) {
+    log.error('Streamflow vesting fetch error:', e.message);
+    return vestingCache.streams;
+  }
+}
+
+// CIPHER a contract has released by `time`
+function vestedAt(stream, time) {
+  if (time < stream.cliff) return 0;
+  if (!(stream.period > 0)) return stream.deposited;
+  const periods = Math.floor((time - stream.cliff) / stream.period);
+  return Math.min(stream.deposited, stream.cliffAmount + periods * stream.amountPerPeriod);
+}
+
+// Discrete unlocks in (from, to], grouped by timestamp: cliffs, plus period releases for contracts
+// that unlock a day or more at a time (faster streams are continuous and only show in totals)
+function getUnlockEvents(streams, from, to) {
+  const byTime = new Map(); // time -> { time, amount, contracts, cliff }
+  const add = (time, amount, isCliff) => {
+    if (amount <= 0) return;
+    const ev = byTime.get(time) || { time, amount: 0, contracts: 0, cliff: false };
+    ev.amount += amount;
+    ev.contracts++;
+    ev.cliff = ev.cliff || isCliff;
+    byTime.set(time, ev);
+  };
+  
+  for (const s of streams) {
+    if (s.cliff > from && s.cliff <= to) add(s.cliff, vestedAt(s, s.cliff), true);
+    if (s.period < DAY_MS) continue;
+    const first = Math.max(1, Math.ceil((from - s.cliff) / s.period));
+    for (let t = s.cliff + first * s.period; t <= to; t += s.period) {
+      if (t <= from) continue;
+      const amount = vestedAt(s, t) - vestedAt(s, t - 1);
+      if (amount <= 0) break; // Fully vested
+      add(t, amount, false);
+    }
+  }
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+function getVestingSummary(streams) {
+  const now = Date.now();
+  const releasedBy = (time, list = streams) => list.reduce((sum, s) => sum + vestedAt(s, time) - vestedAt(s, now), 0);
+  return {
+    contracts: streams.length,
+    locked: streams.reduce((sum, s) => sum + s.deposited - vestedAt(s, now), 0),
+    next7d: releasedBy(now + 7 * DAY_MS),
+    next30d: releasedBy(now + 30 * DAY_MS),
+    next90d: releasedBy(now + VESTING_HORIZON_DAYS * DAY_MS),
+    linearPerDay: releasedBy(now + DAY_MS, streams.filter(s => s.period < DAY_MS)),
+    events: getUnlockEvents(streams, now, now + VESTING_HORIZON_DAYS * DAY_MS),
+  };
+}
+
+// Hourly: warn opted-in users about unlocks in the next 24h (each unlock is announced once)
+async function checkUpcomingUnlocks() {
+  if (!db) return;
+  const streams = await fetchVestingStreams();
+  if (!streams?.length) return;
+  const now = Date.now();
+  const cipherPrice = getPrice(MINTS.CIPHER) || 0;
+  
+  for (const ev of getUnlockEvents(streams, now, now + DAY_MS)) {
+    try {
+      if (db.prepare('SELECT 1 FROM vesting_notices WHERE time = ?').get(ev.time)) continue;
+      db.prepare('INSERT OR IGNORE INTO vesting_notices (time, amount, notified_at) VALUES (?, ?, ?)').run(ev.time, ev.amount, now);
+    } catch (e) {
+      log.debug('Vesting notice error:', e.message);
+      continue;
     }
     
-    // Try to find original stake from transaction history
-    const originalStake = await fetchUserStakeFromHistory(walletAddress);
+    const recipients = [...users.values()].filter(u =>
+      u.vestingAlerts && u.enabled && !u.blocked && !isUserSnoozed(u) && ev.amount >= (u.vestingAlertMin || 0));
+    if (recipients.length === 0) continue;
     
-    // Get CIPHER price - try multiple sources
-    let cipherPrice = await getCipherPrice();
+    const pct = (ev.amount / CIPHER_TOTAL_SUPPLY) * 100;
+    const msg = `🔓 ━━━ *CIPHER UNLOCK IN 24H* ━━━ 🔓
+
+*${fmtSupply(ev.amount)} CIPHER*${cipherPrice ? ` (${fmt(ev.amount * cipherPrice)})` : ''}
+${ev.cliff ? '🧱 Cliff unlock' : '📅 Scheduled release'} • ${pct.toFixed(2)}% of supply
+${ev.contracts} contract${ev.contracts !== 1 ? 's' : ''} • ${dayjs(ev.time).utc().format('MMM D, HH:mm')} UTC
+
+⏱ ${fmtTime()} UTC • Streamflow`;
     
-    if (originalStake && originalStake > 0) {
-      // We found the original staked amount from history!
+    queueAlert(recipients, msg, {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+      ...Markup.inlineKeyboard([
+        [Markup.button.callback('🔓 Unlock Calendar', 'vest:view'), Markup.button.url('📋 Streamflow', 'https://app.streamflow.finance/token-dashboard/solana/mainnet/' + MINTS.CIPHER)],
+      ]),
+    }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'unlock', token: 'CIPHER', usd: ev.amount * cipherPrice } });
+    log.info(`🔓 Unlock alert: ${fmtSupply(ev.amount)} CIPHER at ${new Date(ev.time).toISOString()} → ${recipients.length} user(s)`);
+  }
+}
+
+// Fetch token supply from Solana RPC
+async function fetchTokenSupply(mint) {
+  try {
+    if (heliusLimiter) await heliusLimiter.acquire();
+    const res = await fetchWithRetry(HELIUS.rpc, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getTokenSupply',
+        params: [mint],
+      }),
+    });
+    const data = await res.json();
+    if (data?.result?.value) {
       return {
-        scipherBalance: userScipherBalance,
-        originalStake: originalStake,
-        stakedValueUsd: originalStake * cipherPrice,
-        multiplier: userScipherBalance / originalStake,
-        source: 'history',
+        amount: parseFloat(data.result.value.amount),
+        decimals: data.result.value.decimals,
+        uiAmount: parseFloat(data.result.value.uiAmountString || data.result.value.uiAmount),
       };
     }
-    
-    // Fallback: Calculate vault share if history lookup failed
-    const stakingData = await fetchStakedCipher();
-    const totalScipherSupply = stakingData.receiptSupply || 1;
-    const totalVaultCipher = stakingData.stakedAmount || 0;
-    
-    const userShare = userScipherBalance / totalScipherSupply;
-    const userVaultCipher = userShare * totalVaultCipher;
-    const vaultShareValue = userVaultCipher * cipherPrice;
-    
-    log.debug(`Staked CIPHER calc: sCIPHER=${userScipherBalance}, share=${(userShare*100).toFixed(2)}%, vault=${userVaultCipher}, price=$${cipherPrice}, value=$${vaultShareValue}`);
-    
-    return {
-      scipherBalance: userScipherBalance,
-      originalStake: null,  // Unknown
-      vaultShare: userVaultCipher,
-      stakedValueUsd: vaultShareValue,
-      source: 'vault_share',
-    };
+    return null;
   } catch (e) {
-    log.error('User staked CIPHER fetch error:', e.message);
+    log.error('Token supply fetch error:', e.message);
     return null;
   }
 }
 
-// Fetch comprehensive CIPHER supply data
-async function fetchCipherSupplyData() {
-  // Check cache
-  if (cipherSupplyCache.data && Date.now() - cipherSupplyCache.timestamp < CIPHER_SUPPLY_CACHE_TTL) {
-    return cipherSupplyCache.data;
+// Cache for global staking data
+let stakedCipherCache = { data: null, timestamp: 0 };
+const STAKED_CIPHER_CACHE_TTL = 60000; // 1 minute
+
+// Fetch total staked CIPHER data from stake pool
+async function fetchStakedCipher() {
+  // Return cached data if fresh
+  if (stakedCipherCache.data && Date.now() - stakedCipherCache.timestamp < STAKED_CIPHER_CACHE_TTL) {
+    return stakedCipherCache.data;
   }
   
   try {
-    // Fetch all data in parallel
-    const [supplyData, streamflowLocked, stakingData] = await Promise.all([
-      fetchTokenSupply(MINTS.CIPHER),
-      fetchStreamflowLockedAmount(),
-      fetchStakedCipher(),
-    ]);
-    
-    const totalSupply = supplyData?.uiAmount || CIPHER_TOTAL_SUPPLY;
-    const staked = stakingData?.stakedAmount || 0;
-    const receiptSupply = stakingData?.receiptSupply || 0;
-    
-    // Get locked amount from on-chain data or use fallback
-    let locked = streamflowLocked || 0;
+    // Fetch both vault balance and receipt token supply in parallel
+    if (heliusLimiter) { await heliusLimiter.acquire(); await heliusLimiter.acquire(); }
+    const [vaultRes, receiptRes] = await Promise.all([
+      // Vault: Actual CIPHER staked (using stake pool address as token account)
+      fetchWithRetry(HELIUS.rpc, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getTokenAccountBalance',
+          params: [MINTS.CIPHER_STAKE_POOL],
+        }),
+      }),
+      // Receipt token supply (sCIPHER)
+      fetchWithRetry(HELIUS.rpc, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'getTokenSupply',
+          params: [MINTS.CIPHER_STAKING_TOKEN],
+        }),
+      }),
+    ]);
     
-    // If on-chain fetch failed or returned 0, use known percentage as fallback
-    // This percentage should be updated periodically based on actual vesting schedule
-    if (locked === 0 || locked < totalSupply * 0.5) {
-      // Fallback: Calculate based on known vesting schedule
-      // As of the screenshot: 80.02% locked
-      locked = totalSupply * 0.8002;
-    }
+    const vaultData = await vaultRes.json();
+    const receiptData = await receiptRes.json();
     
-    // Circulating = Total - Locked (vesting that hasn't unlocked yet)
-    const circulating = totalSupply - locked;
+    const vaultBalance = parseFloat(vaultData?.result?.value?.uiAmountString || vaultData?.result?.value?.uiAmount || 0);
+    const receiptSupply = parseFloat(receiptData?.result?.value?.uiAmountString || receiptData?.result?.value?.uiAmount || 0);
     
     const result = {
-      totalSupply,
-      lockedVesting: locked,
-      circulatingSupply: circulating,
-      stakedSupply: staked,
-      receiptTokenSupply: receiptSupply,
-      // Percentages (guard against division by zero)
-      lockedPercent: totalSupply > 0 ? (locked / totalSupply * 100) : 0,
-      stakedPercent: totalSupply > 0 ? (staked / totalSupply * 100) : 0,
-      circulatingPercent: totalSupply > 0 ? (circulating / totalSupply * 100) : 0,
+      stakedAmount: vaultBalance,      // Actual CIPHER in vault
+      receiptSupply: receiptSupply,    // Total sCIPHER supply
     };
     
-    // Update cache
-    cipherSupplyCache = { data: result, timestamp: Date.now() };
+    // Cache the result
+    stakedCipherCache = { data: result, timestamp: Date.now() };
+    log.debug(`Staking pool: ${vaultBalance.toFixed(0)} CIPHER staked, ${receiptSupply.toFixed(0)} sCIPHER supply`);
     
     return result;
   } catch (e) {
-    log.error('CIPHER supply data error:', e.message);
+    log.error('Staked CIPHER fetch error:', e.message);
+    return stakedCipherCache.data || { stakedAmount: 0, receiptSupply: 0 };
+  }
+}
+
+// Find user's original staked CIPHER by analyzing token balance changes
+// Cache results per wallet to avoid excessive API calls
+const userStakeCache = new Map(); // wallet -> { originalStake, timestamp }
+const USER_STAKE_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Stake and unstake actions in a wallet's parsed transactions (CIPHER <-> sCIPHER swaps with the staking vault)
+function parseStakeActions(transactions, walletAddress) {
+  const actions = [];
+  
+  for (const tx of transactions || []) {
+    if (!tx) continue;
     
-    // Return fallback data based on known values from Streamflow dashboard
-    const fallback = {
-      totalSupply: CIPHER_TOTAL_SUPPLY,
-      lockedVesting: 800_200_000, // 80.02%
-      unlockedVesting: 199_800_000, // 19.98%
-      stakedSupply: 70_600_000,   // 7.06%
-      circulatingSupply: 199_800_000, // 19.98%
-      lockedPercent: 80.02,
-      stakedPercent: 7.06,
-      circulatingPercent: 19.98,
-    };
+    // Check if this transaction involves token transfers with CIPHER and sCIPHER
+    const tokenTransfers = tx.tokenTransfers || [];
     
-    cipherSupplyCache = { data: fallback, timestamp: Date.now() };
-    return fallback;
+    let cipherSent = 0;
+    let cipherReceived = 0;
+    let scipherReceived = 0;
+    let scipherSent = 0;
+    
+    for (const transfer of tokenTransfers) {
+      if (!transfer) continue;
+      const amount = parseFloat(transfer.tokenAmount) || 0;
+      
+      // CIPHER sent FROM user (to stake pool) or back TO user (unstake)
+      if (transfer.mint === MINTS.CIPHER) {
+        if (transfer.fromUserAccount === walletAddress) cipherSent += amount;
+        if (transfer.toUserAccount === walletAddress) cipherReceived += amount;
+      }
+      
+      // sCIPHER received BY user (minted) or sent back (burned)
+      if (transfer.mint === MINTS.CIPHER_STAKING_TOKEN) {
+        if (transfer.toUserAccount === walletAddress) scipherReceived += amount;
+        if (transfer.fromUserAccount === walletAddress) scipherSent += amount;
+      }
+    }
+    
+    // Also check token balance changes for mints
+    const accountData = tx.accountData || [];
+    for (const account of accountData) {
+      if (!account) continue;
+      
+      const tokenChanges = account.tokenBalanceChanges || [];
+      for (const change of tokenChanges) {
+        if (!change || change.userAccount !== walletAddress) continue;
+        const amount = parseFloat(change.rawTokenAmount?.tokenAmount || 0);
+        const decimals = parseInt(change.rawTokenAmount?.decimals) || 9;
+        const ui = Math.abs(amount) / Math.pow(10, decimals);
+        
+        // sCIPHER minted to user / burned from user
+        if (change.mint === MINTS.CIPHER_STAKING_TOKEN) {
+          if (amount > 0) scipherReceived = Math.max(scipherReceived, ui);
+          if (amount < 0) scipherSent = Math.max(scipherSent, ui);
+        }
+        
+        // CIPHER sent from user / returned to user
+        if (change.mint === MINTS.CIPHER) {
+          if (amount < 0) cipherSent = Math.max(cipherSent, ui);
+          if (amount > 0) cipherReceived = Math.max(cipherReceived, ui);
+        }
+      }
+    }
+    
+    // CIPHER sent AND sCIPHER received is a stake; the reverse is an unstake
+    const base = { sig: tx.signature, timestamp: (tx.timestamp || 0) * 1000, wallet: walletAddress };
+    if (cipherSent > 0 && scipherReceived > 0) {
+      actions.push({ ...base, type: 'stake', cipher: cipherSent, scipher: scipherReceived });
+    } else if (scipherSent > 0 && cipherReceived > 0) {
+      actions.push({ ...base, type: 'unstake', cipher: cipherReceived, scipher: scipherSent });
+    }
+  }
+  
+  return actions;
+}
+
+// Fetch and parse a wallet's staking actions (null when history is unavailable)
+async function fetchWalletStakeActions(walletAddress) {
+  // Use Helius Enhanced Transactions API to get parsed transaction history
+  const res = await fetchWithRetry(
+    `https://api-mainnet.helius-rpc.com/v0/addresses/${walletAddress}/transactions?api-key=${CONFIG.heliusKey}`,
+    { method: 'GET' }
+  );
+  
+  const transactions = await res.json();
+  
+  // Check for API errors or empty response
+  if (!transactions || !Array.isArray(transactions) || transactions.length === 0) {
+    if (transactions?.error) log.error('Helius API error:', transactions.error);
+    return null;
+  }
+  
+  return parseStakeActions(transactions, walletAddress);
+}
+
+async function fetchUserStakeFromHistory(walletAddress) {
+  try {
+    // Check cache first
+    const cached = userStakeCache.get(walletAddress);
+    if (cached && Date.now() - cached.timestamp < USER_STAKE_CACHE_TTL) {
+      return cached.originalStake;
+    }
+    
+    // A fully crawled wallet has every stake on record; otherwise read recent history
+    const actions = isWalletHistoryComplete(walletAddress)
+      ? getWalletHistory(walletAddress, 'stake')
+      : await fetchWalletStakeActions(walletAddress);
+    if (!actions) return null;
+    
+    const totalOriginalStake = actions
+      .filter(a => a.type === 'stake')
+      .reduce((sum, a) => sum + a.cipher, 0);
+    
+    // Cache the result
+    userStakeCache.set(walletAddress, { originalStake: totalOriginalStake > 0 ? totalOriginalStake : null, timestamp: Date.now() });
+    
+    return totalOriginalStake > 0 ? totalOriginalStake : null;
+  } catch (e) {
+    log.error('Stake history fetch error:', e.message);
+    return null;
+  }
+}
+
+// Fetch user's staked CIPHER position
+async function fetchUserStakedCipher(walletAddress) {
+  try {
+    let userScipherBalance = 0;
+    
+    // Try Helius SDK first
+    if (helius) {
+      try {
+        const response = await helius.rpc.getAssetsByOwner({
+          ownerAddress: walletAddress,
+          page: 1,
+          limit: 50,
+          displayOptions: { showFungible: true }
+        });
+        
+        const scipherToken = (response.items || []).find(
+          item => item.id === MINTS.CIPHER_STAKING_TOKEN
+        );
+        
+        if (scipherToken) {
+          const balance = parseFloat(scipherToken.token_info?.balance || 0);
+          const decimals = scipherToken.token_info?.decimals || 9;
+          userScipherBalance = balance / Math.pow(10, decimals);
+        }
+        log.debug(`Helius SDK: sCIPHER balance for ${walletAddress.slice(0,8)}: ${userScipherBalance}`);
+      } catch (sdkErr) {
+        log.debug('Helius SDK failed for sCIPHER, trying RPC:', sdkErr.message);
+      }
+    }
+    
+    // Fallback to direct RPC
+    if (userScipherBalance === 0) {
+      try {
+        const conn = await getConnection();
+        const pubkey = new PublicKey(walletAddress);
+        const mintPubkey = new PublicKey(MINTS.CIPHER_STAKING_TOKEN);
+        
+        const tokenAccounts = await conn.getParsedTokenAccountsByOwner(pubkey, { mint: mintPubkey });
+        
+        for (const account of tokenAccounts.value) {
+          const balance = account.account?.data?.parsed?.info?.tokenAmount?.uiAmount;
+          if (balance) {
+            userScipherBalance += parseFloat(balance);
+          }
+        }
+        log.debug(`Direct RPC: sCIPHER balance for ${walletAddress.slice(0,8)}: ${userScipherBalance}`);
+      } catch (rpcErr) {
+        // Final fallback to HTTP
+        if (heliusLimiter) await heliusLimiter.acquire();
+        const scipherRes = await fetchWithRetry(HELIUS.rpc, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'getTokenAccountsByOwner',
+            params: [
+              walletAddress,
+              { mint: MINTS.CIPHER_STAKING_TOKEN },
+              { encoding: 'jsonParsed' }
+            ],
+          }),
+        });
+        
+        const scipherData = await scipherRes.json();
+        
+        if (scipherData?.result?.value) {
+          for (const account of scipherData.result.value) {
+            const balance = account.account?.data?.parsed?.info?.tokenAmount?.uiAmount;
+            if (balance) {
+              userScipherBalance += parseFloat(balance);
+            }
+          }
+        }
+      }
+    }
+    
+    if (userScipherBalance === 0) {
+      return null;
+    }
+    
+    // Try to find original stake from transaction history
+    const originalStake = await fetchUserStakeFromHistory(walletAddress);
+    
+    // Get CIPHER price - try multiple sources
+    let cipherPrice = await getCipherPrice();
+    
+    if (originalStake && originalStake > 0) {
+      // We found the original staked amount from history!
+      return {
+        scipherBalance: userScipherBalance,
+        originalStake: originalStake,
+        stakedValueUsd: originalStake * cipherPrice,
+        multiplier: userScipherBalance / originalStake,
+        source: 'history',
+      };
+    }
+    
+    // Fallback: Calculate vault share if history lookup failed
+    const stakingData = await fetchStakedCipher();
+    const totalScipherSupply = stakingData.receiptSupply || 1;
+    const totalVaultCipher = stakingData.stakedAmount || 0;
+    
+    const userShare = userScipherBalance / totalScipherSupply;
+    const userVaultCipher = userShare * totalVaultCipher;
+    const vaultShareValue = userVaultCipher * cipherPrice;
+    
+    log.debug(`Staked CIPHER calc: sCIPHER=${userScipherBalance}, share=${(userShare*100).toFixed(2)}%, vault=${userVaultCipher}, price=$${cipherPrice}, value=$${vaultShareValue}`);
+    
+    return {
+      scipherBalance: userScipherBalance,
+      originalStake: null,  // Unknown
+      vaultShare: userVaultCipher,
+      stakedValueUsd: vaultShareValue,
+      source: 'vault_share',
+    };
+  } catch (e) {
+    log.error('User staked CIPHER fetch error:', e.message);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STAKING TRACKER (timeline, rewards, APR)
+// ═══════════════════════════════════════════════════════════════════════════════
+// sCIPHER is a receipt token: rewards show up as a rising CIPHER-per-sCIPHER rate.
+// The rate curve comes from hourly stake pool snapshots plus the rate fixed by every
+// stake/unstake, so rewards per period = sCIPHER held × rate change over the period.
+
+const YEAR_MS = 365 * DAY_MS;
+const CLAIM_ALERT_STEPS = [0, 10, 25, 50, 100, 250, 500];
+
+// CIPHER per sCIPHER (null while the pool can't be read)
+const getStakingRate = (data) => data?.receiptSupply > 0 ? data.stakedAmount / data.receiptSupply : null;
+
+async function snapshotStakingPool() {
+  const data = await fetchStakedCipher();
+  if (!db || !getStakingRate(data)) return;
+  try {
+    db.prepare('INSERT OR IGNORE INTO staking_snapshots (time, staked, receipt_supply) VALUES (?, ?, ?)')
+      .run(Date.now(), data.stakedAmount, data.receiptSupply);
+  } catch (e) { log.debug('Staking snapshot error:', e.message); }
+}
+
+function getStakingRatePoints(since = 0) {
+  if (!db) return [];
+  try {
+    return db.prepare('SELECT time, staked, receipt_supply FROM staking_snapshots WHERE time >= ? AND receipt_supply > 0 ORDER BY time')
+      .all(since)
+      .map(r => ({ time: r.time, rate: r.staked / r.receipt_supply }));
+  } catch (e) {
+    log.debug('Staking snapshot lookup failed:', e.message);
+    return [];
+  }
+}
+
+// Annualised growth of the sCIPHER rate over the last `days` (null with under a day of snapshots)
+function getProtocolStakingApr(days) {
+  const points = getStakingRatePoints(Date.now() - days * DAY_MS);
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (last.time - first.time < DAY_MS || !first.rate) return null;
+  return (last.rate / first.rate - 1) * (YEAR_MS / (last.time - first.time)) * 100;
+}
+
+// Linear interpolation over a sorted rate curve, clamped at both ends
+function getRateAt(points, time) {
+  if (points.length === 0) return 0;
+  if (time <= points[0].time) return points[0].rate;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (time <= b.time) return b.time === a.time ? b.rate : a.rate + (b.rate - a.rate) * (time - a.time) / (b.time - a.time);
+  }
+  return points[points.length - 1].rate;
+}
+
+// Rewards (in CIPHER) per calendar month and realised APR from stake/unstake actions
+function calculateStakingRewards(actions, currentRate) {
+  const sorted = [...actions].sort((a, b) => a.timestamp - b.timestamp);
+  if (sorted.length === 0 || !currentRate) return null;
+  const now = Date.now();
+  const start = sorted[0].timestamp;
+  
+  const points = [
+    ...sorted.filter(a => a.scipher > 0).map(a => ({ time: a.timestamp, rate: a.cipher / a.scipher })),
+    ...getStakingRatePoints(start),
+    { time: now, rate: currentRate },
+  ].sort((a, b) => a.time - b.time);
+  
+  // Balance only changes at actions; month starts split the reward buckets
+  const bounds = new Set([...sorted.map(a => a.timestamp), now]);
+  for (let m = dayjs(start).utc().startOf('month').add(1, 'month'); m.valueOf() < now; m = m.add(1, 'month')) {
+    bounds.add(m.valueOf());
+  }
+  const times = [...bounds].sort((a, b) => a - b);
+  
+  const periods = new Map(); // 'YYYY-MM' -> CIPHER
+  let balance = 0, next = 0, total = 0, principalTime = 0;
+  for (let i = 0; i < times.length - 1; i++) {
+    const t = times[i];
+    while (next < sorted.length && sorted[next].timestamp <= t) {
+      const a = sorted[next++];
+      balance = Math.max(0, balance + (a.type === 'stake' ? a.scipher : -a.scipher));
+    }
+    const rateStart = getRateAt(points, t);
+    const reward = balance * (getRateAt(points, times[i + 1]) - rateStart);
+    const month = dayjs(t).utc().format('YYYY-MM');
+    periods.set(month, (periods.get(month) || 0) + reward);
+    total += reward;
+    principalTime += balance * rateStart * (times[i + 1] - t);
+  }
+  
+  return {
+    actions: sorted,
+    periods: [...periods].map(([month, cipher]) => ({ month, cipher })),
+    totalRewards: total,
+    // CIPHER earned per CIPHER-year staked
+    realizedApr: principalTime > 0 && now - start >= DAY_MS ? (total / (principalTime / YEAR_MS)) * 100 : null,
+    since: start,
+  };
+}
+
+// claim_holder_rewards transactions from the crawled history, valued at current prices
+function getRewardClaims(wallet) {
+  return getWalletHistory(wallet, 'orbit')
+    .filter(t => t.type === TX_TYPE.CLAIM_REWARDS)
+    .map(t => ({
+      sig: t.sig,
+      wallet,
+      timestamp: t.timestamp,
+      usd: Object.entries(t.flows || {}).reduce((sum, [mint, amount]) => sum + (amount > 0 ? amount * (getPrice(mint) || 0) : 0), 0),
+    }));
+}
+
+// Holder fee share recorded since `since`, scaled by this wallet's slice of the sCIPHER supply
+function estimatePendingHolderRewards(scipher, receiptSupply, since) {
+  if (!db || !scipher || !receiptSupply) return 0;
+  try {
+    // Stakers who haven't claimed in months reach into the daily roll-ups
+    const rows = db.prepare('SELECT pool_id, SUM(holder_fees) AS fees FROM pool_fees WHERE time >= ? GROUP BY pool_id').all(getFeeWindowStart(since));
+    const usd = rows.reduce((sum, r) => {
+      const pool = poolMap.get(r.pool_id);
+      return sum + (pool ? (r.fees || 0) * (getPrice(pool.quoteMint || pool.quote) || 0) : 0);
+    }, 0);
+    return usd * Math.min(1, scipher / receiptSupply);
+  } catch (e) {
+    log.debug('Holder reward estimate failed:', e.message);
+    return 0;
+  }
+}
+
+// Everything the staking view needs, across all of a user's wallets
+async function getStakingReport(user) {
+  let walletList = user?.portfolioWallets || [];
+  if (user?.myWallet && !walletList.includes(user.myWallet)) walletList = [user.myWallet, ...walletList];
+  
+  const stakingData = await fetchStakedCipher();
+  const currentRate = getStakingRate(stakingData);
+  const cipherPrice = await getCipherPrice();
+  const positions = user?.portfolio?.stakedPositions || [];
+  
+  const actions = [];
+  const claims = [];
+  let pendingUsd = 0;
+  for (const wallet of walletList) {
+    const walletActions = db ? getWalletHistory(wallet, 'stake') : (await fetchWalletStakeActions(wallet).catch(() => null)) || [];
+    const walletClaims = getRewardClaims(wallet);
+    actions.push(...walletActions);
+    claims.push(...walletClaims);
+    
+    // Pending holder rewards accrue from the last claim (or the first stake)
+    const scipher = positions.find(p => p.wallet === wallet)?.scipherBalance || 0;
+    const lastClaim = Math.max(0, ...walletClaims.map(c => c.timestamp));
+    const firstStake = Math.min(...walletActions.map(a => a.timestamp));
+    const since = lastClaim || (isFinite(firstStake) ? firstStake : 0);
+    if (since) pendingUsd += estimatePendingHolderRewards(scipher, stakingData.receiptSupply, since);
+  }
+  
+  const scipherBalance = positions.reduce((sum, p) => sum + (p.scipherBalance || 0), 0);
+  return {
+    scipherBalance,
+    cipherValue: currentRate ? scipherBalance * currentRate : null,
+    cipherPrice,
+    currentRate,
+    rewards: calculateStakingRewards(actions, currentRate),
+    protocolApr: { d7: getProtocolStakingApr(7), d30: getProtocolStakingApr(30) },
+    claims: claims.sort((a, b) => a.timestamp - b.timestamp),
+    lastClaim: Math.max(0, ...claims.map(c => c.timestamp)),
+    pendingUsd,
+  };
+}
+
+// Hourly: tell users once per claim cycle when their claimable holder rewards pass their threshold
+async function checkClaimableRewards() {
+  let sent = 0;
+  for (const u of users.values()) {
+    if (!(u.claimAlertUsd > 0) || !u.enabled || u.blocked || isUserSnoozed(u)) continue;
+    if (!(u.portfolio?.stakedPositions?.length > 0)) continue;
+    try {
+      const report = await getStakingReport(u);
+      // Re-armed by the next claim after the last alert
+      if (u.claimAlertedAt && report.lastClaim < u.claimAlertedAt) continue;
+      if (report.pendingUsd < u.claimAlertUsd) continue;
+      
+      const msg = `🎁 ━━━ *REWARDS TO CLAIM* ━━━ 🎁
+
+Your sCIPHER holder rewards are worth about *${fmt(report.pendingUsd)}*
+Alert threshold: ${fmt(u.claimAlertUsd)}
+${report.lastClaim ? `Last claim: ${dayjs(report.lastClaim).utc().format('MMM D')}` : 'No claims on record yet'}
+
+⏱ ${fmtTime()} UTC • Orbit`;
+      queueAlert([u], msg, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        ...Markup.inlineKeyboard([[Markup.button.callback('🔒 Staking', 'portfolio:staking')]]),
+      }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'reward', token: 'sCIPHER', usd: report.pendingUsd } });
+      updateUser(u.chatId, { claimAlertedAt: Date.now() });
+      sent++;
+    } catch (e) {
+      log.debug(`Claim check failed for ${u.chatId}:`, e.message);
+    }
+  }
+  if (sent > 0) log.info(`🎁 Sent ${sent} claimable reward alert(s)`);
+}
+
+// Fetch comprehensive CIPHER supply data
+async function fetchCipherSupplyData() {
+  // Check cache
+  if (cipherSupplyCache.data && Date.now() - cipherSupplyCache.timestamp < CIPHER_SUPPLY_CACHE_TTL) {
+    return cipherSupplyCache.data;
+  }
+  
+  try {
+    // Fetch all data in parallel
+    const [supplyData, streamflowLocked, stakingData] = await Promise.all([
+      fetchTokenSupply(MINTS.CIPHER),
+      fetchStreamflowLockedAmount(),
+      fetchStakedCipher(),
+    ]);
+    
+    const totalSupply = supplyData?.uiAmount || CIPHER_TOTAL_SUPPLY;
+    const staked = stakingData?.stakedAmount || 0;
+    const receiptSupply = stakingData?.receiptSupply || 0;
+    
+    // Get locked amount from on-chain data or use fallback
+    let locked = streamflowLocked || 0;
+    
+    // If on-chain fetch failed or returned 0, use known percentage as fallback
+    // This percentage should be updated periodically based on actual vesting schedule
+    if (locked === 0 || locked < totalSupply * 0.5) {
+      // Fallback: Calculate based on known vesting schedule
+      // As of the screenshot: 80.02% locked
+      locked = totalSupply * 0.8002;
+    }
+    
+    // Circulating = Total - Locked (vesting that hasn't unlocked yet)
+    const circulating = totalSupply - locked;
+    
+    const result = {
+      totalSupply,
+      lockedVesting: locked,
+      circulatingSupply: circulating,
+      stakedSupply: staked,
+      receiptTokenSupply: receiptSupply,
+      // Percentages (guard against division by zero)
+      lockedPercent: totalSupply > 0 ? (locked / totalSupply * 100) : 0,
+      stakedPercent: totalSupply > 0 ? (staked / totalSupply * 100) : 0,
+      circulatingPercent: totalSupply > 0 ? (circulating / totalSupply * 100) : 0,
+    };
+    
+    // Update cache
+    cipherSupplyCache = { data: result, timestamp: Date.now() };
+    
+    return result;
+  } catch (e) {
+    log.error('CIPHER supply data error:', e.message);
+    
+    // Return fallback data based on known values from Streamflow dashboard
+    const fallback = {
+      totalSupply: CIPHER_TOTAL_SUPPLY,
+      lockedVesting: 800_200_000, // 80.02%
+      unlockedVesting: 199_800_000, // 19.98%
+      stakedSupply: 70_600_000,   // 7.06%
+      circulatingSupply: 199_800_000, // 19.98%
+      lockedPercent: 80.02,
+      stakedPercent: 7.06,
+      circulatingPercent: 19.98,
+    };
+    
+    cipherSupplyCache = { data: fallback, timestamp: Date.now() };
+    return fallback;
+  }
+}
+
+// Format large numbers with K/M/B suffix (uses numeral)
+function fmtSupply(num) {
+  return formatNumber(num, 2);
+}
+
+// Compact format for volumes (e.g. $1.2M)
+function fmtCompact(num) {
+  if (!num || isNaN(num)) return '$0';
+  if (num >= 1e9) return `$${(num / 1e9).toFixed(1)}B`;
+  if (num >= 1e6) return `$${(num / 1e6).toFixed(1)}M`;
+  if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+  return `$${num.toFixed(0)}`;
+}
+
+// Get pools sorted by volume, TVL, or trades
+function getSortedPools(sortBy = 'volume') {
+  const poolsWithData = pools.map(p => ({
+    ...p,
+    volume24h: orbitVolumes.pools?.[p.id]?.volume24h || 0,
+    tvl: p.tvl || p.liquidity || 0,
+    trades24h: orbitVolumes.pools?.[p.id]?.trades24h || 0,
+  }));
+  
+  switch (sortBy) {
+    case 'tvl':
+      return poolsWithData.sort((a, b) => b.tvl - a.tvl);
+    case 'trades':
+      return poolsWithData.sort((a, b) => b.trades24h - a.trades24h);
+    case 'volume':
+    default:
+      return poolsWithData.sort((a, b) => b.volume24h - a.volume24h);
+  }
+}
+
+// Get top N pools by 24h volume
+function getTopPoolsByVolume(n = 10) {
+  return getSortedPools('volume').slice(0, n);
+}
+
+// Get pool by ID
+function getPoolById(poolId) {
+  return poolMap.get(poolId) || pools.find(p => p.id === poolId);
+}
+
+// Get pools added in the last N hours
+function getNewPools(hours = 48) {
+  const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+  return pools
+    .filter(p => p.createdAt && p.createdAt > cutoff)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+// Get human-readable pool age
+function getPoolAge(pool) {
+  if (!pool?.createdAt) return 'Unknown';
+  const hours = Math.floor((Date.now() - pool.createdAt) / (60 * 60 * 1000));
+  if (hours < 1) return 'Just now';
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ago`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BIRDEYE ENHANCED DATA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Fetch wallet data from Birdeye (PnL, holdings, total value)
+async function fetchBirdeyeWalletData(wallet) {
+  if (!wallet) return null;
+  
+  try {
+    const res = await birdeyeFetch(BIRDEYE.walletNetWorth(wallet));
+    const data = await res.json();
+    
+    if (!data?.success || !data?.data) {
+      updateApiHealth('birdeye', false);
+      return null;
+    }
+    
+    updateApiHealth('birdeye', true);
+    
+    const items = data.data.items || [];
+    let totalValue = 0;
+    let totalPnl = 0;
+    let unrealizedPnl = 0;
+    
+    for (const item of items) {
+      const value = item.valueUsd || 0;
+      totalValue += value;
+      
+      // Calculate PnL from cost basis if available
+      if (item.priceInfo?.pnl) {
+        totalPnl += item.priceInfo.pnl;
+      }
+      if (item.priceInfo?.unrealizedPnl) {
+        unrealizedPnl += item.priceInfo.unrealizedPnl;
+      }
+    }
+    
+    return {
+      totalValue,
+      totalPnl,
+      unrealizedPnl,
+      tokenCount: items.length,
+      tokens: items.slice(0, 20).map(t => ({
+        mint: t.address,
+        symbol: t.symbol,
+        balance: t.uiAmount,
+        valueUsd: t.valueUsd,
+        price: t.priceUsd,
+      })),
+    };
+  } catch (e) {
+    log.error('Birdeye wallet fetch error:', e.message);
+    updateApiHealth('birdeye', false);
+    return null;
+  }
+}
+
+// Fetch enhanced token overview from Birdeye
+async function fetchTokenOverview(mint) {
+  if (!mint) return null;
+  
+  try {
+    const res = await birdeyeFetch(BIRDEYE.overview(mint));
+    const data = await res.json();
+    
+    if (!data?.success || !data?.data) {
+      return null;
+    }
+    
+    updateApiHealth('birdeye', true);
+    const d = data.data;
+    
+    return {
+      price: d.price,
+      priceChange24h: d.priceChange24hPercent,
+      priceChange1h: d.priceChange1hPercent,
+      volume24h: d.v24hUSD,
+      volume24hChange: d.v24hChangePercent,
+      liquidity: d.liquidity,
+      mc: d.mc,
+      fdv: d.fdv,
+      holders: d.holder,
+      trades24h: d.trade24h,
+      buy24h: d.buy24h,
+      sell24h: d.sell24h,
+      uniqueWallets24h: d.uniqueWallet24h,
+      lastTradeTime: d.lastTradeUnixTime,
+    };
+  } catch (e) {
+    log.error('Token overview fetch error:', e.message);
+    return null;
+  }
+}
+
+// Fetch token security info from Birdeye
+async function fetchTokenSecurity(mint) {
+  if (!mint) return null;
+  
+  try {
+    const res = await birdeyeFetch(BIRDEYE.security(mint));
+    const data = await res.json();
+    
+    if (!data?.success || !data?.data) {
+      return null;
+    }
+    
+    const d = data.data;
+    return {
+      isHoneypot: d.isHoneypot,
+      top10HolderPercent: d.top10HolderPercent,
+      creatorPercent: d.creatorPercent,
+      ownerPercent: d.ownerPercent,
+      isMintable: d.isMintable,
+      isFreezable: d.isFreezable,
+      creationTime: d.creationTime,
+      creatorAddress: d.creatorAddress,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Cache for token overviews (don't fetch too often)
+const tokenOverviewCache = new Map();
+const TOKEN_OVERVIEW_TTL = 60000; // 1 minute cache
+
+async function getTokenOverview(mint) {
+  const cached = tokenOverviewCache.get(mint);
+  if (cached && Date.now() - cached.fetchedAt < TOKEN_OVERVIEW_TTL) {
+    return cached.data;
+  }
+  
+  const data = await fetchTokenOverview(mint);
+  if (data) {
+    tokenOverviewCache.set(mint, { data, fetchedAt: Date.now() });
+  }
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PNL LEADERBOARDS (ORBIT DLMM SPECIFIC)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Cache for leaderboard data (expensive to compute)
+const leaderboardCache = new BoundedCache(20, 300000); // 5 min TTL
+
+// Fetch trades from Orbit and compute PnL leaderboard
+async function fetchOrbitLeaderboard(poolId, limit = 10) {
+  if (!poolId) return { traders: [], pool: null };
+  
+  const cacheKey = `leaderboard:${poolId}`;
+  const cached = leaderboardCache.get(cacheKey);
+  if (cached) return cached;
+  
+  try {
+    const pool = poolMap.get(poolId);
+    if (!pool) return { traders: [], pool: null };
+    
+    // Fetch recent trades from Orbit API
+    const res = await fetchWithRetry(ORBIT.trades(poolId, 500)); // Get last 500 trades
+    const data = await res.json();
+    
+    const trades = Array.isArray(data) ? data : (data.trades || data.items || []);
+    
+    if (trades.length === 0) {
+      return { traders: [], pool };
+    }
+    
+    // Aggregate trades by wallet
+    const walletStats = new Map();
+    
+    for (const trade of trades) {
+      const wallet = trade.wallet || trade.user || trade.owner || trade.maker || trade.taker;
+      if (!wallet) continue;
+      
+      const isBuy = trade.side === 'buy' || trade.type === 'buy';
+      const usd = parseFloat(trade.usd) || parseFloat(trade.amountUsd) || parseFloat(trade.volumeUsd) || 0;
+      const baseAmount = parseFloat(trade.baseAmount) || parseFloat(trade.amount) || 0;
+      const price = parseFloat(trade.price) || 0;
+      
+      if (!walletStats.has(wallet)) {
+        walletStats.set(wallet, {
+          wallet,
+          buys: 0,
+          sells: 0,
+          buyVolume: 0,
+          sellVolume: 0,
+          buyAmount: 0,
+          sellAmount: 0,
+          totalTrades: 0,
+          firstTrade: trade.timestamp || Date.now(),
+          lastTrade: trade.timestamp || Date.now(),
+        });
+      }
+      
+      const stats = walletStats.get(wallet);
+      stats.totalTrades++;
+      
+      if (isBuy) {
+        stats.buys++;
+        stats.buyVolume += usd;
+        stats.buyAmount += baseAmount;
+      } else {
+        stats.sells++;
+        stats.sellVolume += usd;
+        stats.sellAmount += baseAmount;
+      }
+      
+      if (trade.timestamp) {
+        stats.lastTrade = Math.max(stats.lastTrade, trade.timestamp);
+        stats.firstTrade = Math.min(stats.firstTrade, trade.timestamp);
+      }
+    }
+    
+    // Calculate PnL for each wallet
+    const currentPrice = getPrice(pool.baseMint) || 0;
+    
+    const traders = [...walletStats.values()].map(stats => {
+      // PnL: cost-basis-adjusted realized + unrealized
+      const remainingTokens = stats.buyAmount - stats.sellAmount;
+      const avgCostPerToken = stats.buyAmount > 0 ? stats.buyVolume / stats.buyAmount : 0;
+      const soldCostBasis = stats.sellAmount * avgCostPerToken;
+      const realizedPnl = stats.sellVolume - soldCostBasis;
+      const remainingCostBasis = remainingTokens > 0 ? remainingTokens * avgCostPerToken : 0;
+      const unrealizedValue = remainingTokens > 0 ? remainingTokens * currentPrice : 0;
+      const totalPnl = realizedPnl + (unrealizedValue - remainingCostBasis);
+      
+      const totalVolume = stats.buyVolume + stats.sellVolume;
+      const pnlPercent = stats.buyVolume > 0 ? (totalPnl / stats.buyVolume) * 100 : 0;
+      
+      return {
+        wallet: stats.wallet,
+        shortWallet: shortAddr(stats.wallet),
+        pnl: totalPnl,
+        pnlPercent: isFinite(pnlPercent) ? pnlPercent : 0,
+        volume: totalVolume,
+        trades: stats.totalTrades,
+        buys: stats.buys,
+        sells: stats.sells,
+        buyVolume: stats.buyVolume,
+        sellVolume: stats.sellVolume,
+        holding: remainingTokens,
+        holdingUsd: unrealizedValue,
+      };
+    })
+    .filter(t => t.trades >= 2 && t.volume > 10) // Min 2 trades and $10 volume
+    .sort((a, b) => b.pnl - a.pnl) // Sort by PnL
+    .slice(0, limit)
+    .map((t, i) => ({ ...t, rank: i + 1 }));
+    
+    const result = { traders, pool };
+    leaderboardCache.set(cacheKey, result);
+    
+    return result;
+  } catch (e) {
+    log.error('Orbit leaderboard fetch error:', e.message);
+    return { traders: [], pool: null };
+  }
+}
+
+// Fetch leaderboard for a token (finds best Orbit pool)
+async function fetchPnLLeaderboard(mintOrPoolId, limit = 10) {
+  // Check if it's a pool ID
+  if (poolMap.has(mintOrPoolId)) {
+    return fetchOrbitLeaderboard(mintOrPoolId, limit);
+  }
+  
+  // Find Orbit pools for this token
+  const tokenPools = pools.filter(p => 
+    p.baseMint === mintOrPoolId || 
+    p.quoteMint === mintOrPoolId
+  );
+  
+  if (tokenPools.length === 0) {
+    // No Orbit pools for this token
+    return { 
+      traders: [], 
+      pool: null,
+      error: 'This token has no Orbit DLMM pools. Only Orbit pools are tracked.'
+    };
+  }
+  
+  // Use the pool with most activity (or first CIPHER pool)
+  const pool = tokenPools.find(p => p.isCipher) || tokenPools[0];
+  return fetchOrbitLeaderboard(pool.id, limit);
+}
+
+// Format PnL leaderboard message
+function formatLeaderboardMessage(data) {
+  if (data.error) {
+    return `❌ *Not Available*\n\n${data.error}`;
+  }
+  
+  if (!data.traders || data.traders.length === 0) {
+    return `❌ *No leaderboard data*\n\nNo recent trading activity found for this Orbit pool.`;
+  }
+  
+  const { traders, pool } = data;
+  const symbol = pool?.pairName || 'POOL';
+  
+  let msg = `🏆 *ORBIT DLMM LEADERBOARD*\n`;
+  msg += `━━━━━━━━━━━━━━━━━━━━━\n`;
+  msg += `📊 *${escMd(symbol)}*`;
+  if (pool) {
+    const price = getPrice(pool.baseMint);
+    if (price) msg += ` • ${fmtPrice(price)}`;
+  }
+  msg += `\n\n`;
+  
+  traders.forEach((t, i) => {
+    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`;
+    const pnlIcon = t.pnl >= 0 ? '🟢' : '🔴';
+    const pnlStr = t.pnl >= 0 ? `+${fmt(t.pnl)}` : fmt(t.pnl);
+    
+    msg += `${medal} \`${t.shortWallet}\`\n`;
+    msg += `   ${pnlIcon} *${pnlStr}*`;
+    if (t.pnlPercent && isFinite(t.pnlPercent)) {
+      msg += ` (${t.pnlPercent > 0 ? '+' : ''}${t.pnlPercent.toFixed(1)}%)`;
+    }
+    msg += `\n`;
+    msg += `   📈 ${t.trades} trades • Vol: ${fmt(t.volume)}\n`;
+    if (t.holding > 0 && t.holdingUsd > 1) {
+      msg += `   💎 Holding: ${fmt(t.holdingUsd)}\n`;
+    }
+    msg += `\n`;
+  });
+  
+  msg += `_Updated ${fmtTime()} UTC_`;
+  
+  return msg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OHLCV CHART GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Fetch OHLCV candle data
+async function fetchOHLCVData(poolId, timeframe = '1h', limit = 48) {
+  if (!poolId) return [];
+  
+  try {
+    // Try Orbit API first
+    const res = await fetchWithRetry(ORBIT.candles(poolId, timeframe, limit));
+    const data = await res.json();
+    
+    if (Array.isArray(data) && data.length > 0) {
+      return data.map(c => ({
+        time: c.time || c.timestamp || c.t || 0,
+        open: parseFloat(c.open || c.o) || 0,
+        high: parseFloat(c.high || c.h) || 0,
+        low: parseFloat(c.low || c.l) || 0,
+        close: parseFloat(c.close || c.c) || 0,
+        volume: parseFloat(c.volume || c.v) || 0,
+      })).filter(c => c.time > 0).sort((a, b) => a.time - b.time);
+    }
+    
+    return [];
+  } catch (e) {
+    log.debug('OHLCV fetch error:', e.message);
+    return [];
+  }
+}
+
+// Chart styles: compact callback code + switcher label
+const CHART_STYLES = {
+  candle: { code: 'c', label: '🕯 Candles' },
+  line: { code: 'l', label: '📈 Line' },
+  area: { code: 'a', label: '🏔 Area' },
+};
+const CHART_UP = '#00ff88';
+const CHART_DOWN = '#ff4444';
+const CHART_ENTRY = '#ffd43b';
+
+const chartStyleByCode = (code) => Object.keys(CHART_STYLES).find(s => CHART_STYLES[s].code === code) || null;
+
+function getChartStyle(chatId) {
+  const style = getUser(chatId)?.chartStyle;
+  return CHART_STYLES[style] ? style : 'candle';
+}
+
+// Style switcher row for chart keyboards (current style is ticked)
+function chartStyleRow(poolId, tf, style) {
+  return Object.entries(CHART_STYLES).map(([s, { code, label }]) =>
+    Markup.button.callback(s === style ? `✓ ${label}` : label, `chart:${poolId}:${tf}:${code}`));
+}
+
+// Dashed line across the price panel at a price level, with a tag over the axis
+function priceLinePlugin(id, price, color, label = '') {
+  return {
+    id,
+    afterDatasetsDraw(chart) {
+      const { ctx, chartArea } = chart;
+      const y = chart.scales.y;
+      const py = y.getPixelForValue(price);
+      if (py < y.top || py > y.bottom) return;
+
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(chartArea.left, py);
+      ctx.lineTo(chartArea.right, py);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const text = label ? `${label} ${formatPrice(price)}` : formatPrice(price);
+      ctx.font = 'bold 12px sans-serif';
+      const w = ctx.measureText(text).width + 10;
+      ctx.fillStyle = color;
+      ctx.fillRect(chartArea.right, py - 9, w, 18);
+      ctx.fillStyle = '#1a1a2e';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, chartArea.right + 5, py);
+      ctx.restore();
+    },
+  };
+}
+
+// Indicator overlays: compact callback code + toggle label
+const CHART_INDICATORS = {
+  sma: { code: 's', label: 'SMA20', color: '#f5c542' },
+  ema: { code: 'e', label: 'EMA21', color: '#4da3ff' },
+  vwap: { code: 'v', label: 'VWAP', color: '#c77dff' },
+  bb: { code: 'b', label: 'BB', color: 'rgba(255, 255, 255, 0.45)' },
+  rsi: { code: 'r', label: 'RSI', color: '#ffa94d' },
+};
+
+const chartIndicatorByCode = (code) => Object.keys(CHART_INDICATORS).find(k => CHART_INDICATORS[k].code === code) || null;
+
+function getChartIndicators(chatId) {
+  const list = getUser(chatId)?.chartIndicators;
+  return Array.isArray(list) ? list.filter(k => CHART_INDICATORS[k]) : [];
+}
+
+// Indicator toggle row for chart keyboards (enabled ones are ticked)
+function chartIndicatorRow(poolId, tf, indicators) {
+  return Object.entries(CHART_INDICATORS).map(([k, { code, label }]) =>
+    Markup.button.callback(indicators.includes(k) ? `✓ ${label}` : label, `cind:${poolId}:${tf}:${code}`));
+}
+
+// Simple moving average (null until the window fills)
+function calcSma(values, period) {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? sum / period : null;
+  });
+}
+
+// Exponential moving average seeded with the first SMA
+function calcEma(values, period) {
+  const k = 2 / (period + 1);
+  let prev = null;
+  return values.map((v, i) => {
+    if (i < period - 1) return null;
+    if (prev === null) {
+      prev = values.slice(0, period).reduce((s, x) => s + x, 0) / period;
+      return prev;
+    }
+    prev = v * k + prev * (1 - k);
+    return prev;
+  });
+}
+
+// Volume-weighted average price over the charted window
+function calcVwap(candles) {
+  let pv = 0, vol = 0;
+  return candles.map(c => {
+    pv += ((c.high + c.low + c.close) / 3) * c.volume;
+    vol += c.volume;
+    return vol > 0 ? pv / vol : null;
+  });
+}
+
+// Bollinger Bands: SMA ± k standard deviations
+function calcBollinger(values, period = 20, k = 2) {
+  const mid = calcSma(values, period);
+  const upper = [], lower = [];
+  values.forEach((_, i) => {
+    if (mid[i] === null) { upper.push(null); lower.push(null); return; }
+    const window = values.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(window.reduce((s, x) => s + (x - mid[i]) ** 2, 0) / period);
+    upper.push(mid[i] + k * sd);
+    lower.push(mid[i] - k * sd);
+  });
+  return { mid, upper, lower };
+}
+
+// Relative Strength Index with Wilder smoothing
+function calcRsi(values, period = 14) {
+  const out = values.map(() => null);
+  if (values.length <= period) return out;
+  let gain = 0, loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const d = values[i] - values[i - 1];
+    if (d > 0) gain += d; else loss -= d;
+  }
+  gain /= period;
+  loss /= period;
+  const rsiOf = (g, l) => l === 0 ? (g === 0 ? 50 : 100) : 100 - 100 / (1 + g / l);
+  out[period] = rsiOf(gain, loss);
+  for (let i = period + 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(d, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-d, 0)) / period;
+    out[i] = rsiOf(gain, loss);
+  }
+  return out;
+}
+
+function computeIndicators(candles, indicators) {
+  const closes = candles.map(c => c.close);
+  const out = {};
+  if (indicators.includes('sma')) out.sma = calcSma(closes, 20);
+  if (indicators.includes('ema')) out.ema = calcEma(closes, 21);
+  if (indicators.includes('vwap')) out.vwap = calcVwap(candles);
+  if (indicators.includes('bb')) out.bb = calcBollinger(closes, 20, 2);
+  if (indicators.includes('rsi')) out.rsi = calcRsi(closes, 14);
+  return out;
+}
+
+// One-line caption summary of the latest indicator values ('' when none are on)
+function describeIndicators(candles, indicators) {
+  if (!indicators.length || candles.length === 0) return '';
+  const ind = computeIndicators(candles, indicators);
+  const last = (arr) => arr?.[arr.length - 1] ?? null;
+  const close = candles[candles.length - 1].close;
+  const parts = [];
+
+  if (ind.sma && last(ind.sma) !== null) parts.push(`SMA20 ${fmtPrice(last(ind.sma))}`);
+  if (ind.ema && last(ind.ema) !== null) parts.push(`EMA21 ${fmtPrice(last(ind.ema))}`);
+  if (ind.vwap && last(ind.vwap) !== null) parts.push(`VWAP ${fmtPrice(last(ind.vwap))} (${close >= last(ind.vwap) ? 'above' : 'below'})`);
+  if (ind.bb && last(ind.bb.upper) !== null) {
+    const upper = last(ind.bb.upper), lower = last(ind.bb.lower);
+    const where = close > upper ? ' above upper' : close < lower ? ' below lower' : '';
+    parts.push(`BB ${fmtPrice(lower)}–${fmtPrice(upper)}${where}`);
+  }
+  if (ind.rsi && last(ind.rsi) !== null) {
+    const r = last(ind.rsi);
+    const zone = r >= 70 ? ' overbought' : r <= 30 ? ' oversold' : '';
+    parts.push(`RSI ${r.toFixed(0)}${zone}`);
+  }
+  return parts.length ? `📐 ${parts.join(' • ')}` : `📐 _Not enough candles for indicators_`;
+}
+
+// The user's own trades in a pool, placed on the charted candles.
+// Price comes from our trades table when we saw the swap, else the close of the candle it landed in.
+function getMyChartTrades(chatId, poolId, candles) {
+  const user = getUser(chatId);
+  // Entry of the tokens still held, from the cost basis lots over each wallet's full history,
+  // so it doesn't move with the timeframe or depend on the recent trades kept on the portfolio
+  const pool = poolMap.get(poolId);
+  const position = pool && user ? getTokenPnl(user).find(t => t.mint === (pool.baseMint || pool.base)) : null;
+  const avgEntry = position?.held > 0 && position.avgCost > 0 ? position.avgCost : null;
+
+  const trades = (user?.portfolio?.trades || []).filter(t => t.poolId === poolId && t.timestamp);
+  if (trades.length === 0 || candles.length < 2) return { markers: [], avgEntry, buys: 0, sells: 0 };
+
+  const knownPrices = new Map();
+  const sigs = trades.map(t => t.sig).filter(Boolean);
+  if (db && sigs.length > 0) {
+    try {
+      const rows = db.prepare(`SELECT sig, price FROM trades WHERE price > 0 AND sig IN (${sigs.map(() => '?').join(',')})`).all(...sigs);
+      for (const r of rows) knownPrices.set(r.sig, r.price);
+    } catch (e) {
+      log.debug('My chart trades lookup failed:', e.message);
+    }
+  }
+
+  // Candle index for a timestamp (ms); trades past the last candle's span are dropped
+  const times = candles.map(c => c.time * 1000);
+  const span = times[1] - times[0];
+  const indexFor = (ts) => {
+    if (ts < times[0] || ts >= times[times.length - 1] + span) return -1;
+    let i = times.length - 1;
+    while (i > 0 && times[i] > ts) i--;
+    return i;
+  };
+
+  const markers = [];
+  for (const t of trades) {
+    const index = indexFor(t.timestamp);
+    const price = knownPrices.get(t.sig) || (index >= 0 ? candles[index].close : 0);
+    if (index >= 0 && price > 0) markers.push({ index, side: t.side, price, usd: t.usd || 0 });
+  }
+
+  return {
+    markers,
+    avgEntry,
+    buys: trades.filter(t => t.side === 'buy').length,
+    sells: trades.filter(t => t.side !== 'buy').length,
+  };
+}
+
+// Caption lines for the user's own trades and entry ('' when there's neither)
+function describeMyChartTrades(mine, lastPrice) {
+  if (!mine) return '';
+  const traded = mine.buys > 0 || mine.sells > 0;
+  const lines = [];
+  if (traded) lines.push(`🧾 *Your trades:* ${mine.buys} buy${mine.buys === 1 ? '' : 's'} • ${mine.sells} sell${mine.sells === 1 ? '' : 's'}`);
+  if (mine.avgEntry) {
+    const vs = lastPrice > 0 ? ((lastPrice - mine.avgEntry) / mine.avgEntry) * 100 : 0;
+    lines.push(`🎯 *Avg entry:* ${fmtPrice(mine.avgEntry)} (${vs >= 0 ? '+' : ''}${vs.toFixed(1)}% vs now)`);
+  }
+  if (traded && mine.markers.length === 0) lines.push(`_None in this window — try a longer timeframe_`);
+  return lines.join('\n');
+}
+
+// Generate price chart image: OHLC candles (or line/area of closes) with a volume sub-panel,
+// optional indicator overlays, an RSI panel and the user's own trades
+async function generatePriceChart(candles, symbol, timeframe = '1h', { style = 'candle', indicators = [], myTrades = [], avgEntry = null } = {}) {
+  if (!candles || candles.length < 2) return null;
+  
+  try {
+    const renderer = getChartRenderer();
+    // Prepare data
+    const labels = candles.map(c => {
+      const d = dayjs(c.time * 1000);
+      return timeframe.includes('d') ? d.format('MMM D') : d.format('HH:mm');
+    });
+    
+    const prices = candles.map(c => c.close);
+    const candleColors = candles.map(c => c.close >= c.open ? CHART_UP : CHART_DOWN);
+    const volumeColors = candles.map(c => c.close >= c.open ? 'rgba(0, 255, 136, 0.35)' : 'rgba(255, 68, 68, 0.35)');
+    
+    // Determine if price went up or down
+    const startPrice = candles[0].open || prices[0];
+    const endPrice = prices[prices.length - 1];
+    const priceUp = endPrice >= startPrice;
+    const lineColor = priceUp ? CHART_UP : CHART_DOWN;
+    const fillColor = priceUp ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 68, 68, 0.1)';
+
+    // Candles are two overlapping floating bars: a thin high-low wick and an open-close body
+    const priceDatasets = style === 'candle' ? [
+      {
+        label: 'Wick',
+        data: candles.map(c => [c.low || Math.min(c.open, c.close), c.high || Math.max(c.open, c.close)]),
+        backgroundColor: candleColors,
+        barThickness: 1,
+        grouped: false,
+        yAxisID: 'y',
+      },
+      {
+        label: `${symbol} Price`,
+        data: candles.map(c => [Math.min(c.open, c.close), Math.max(c.open, c.close)]),
+        backgroundColor: candleColors,
+        barPercentage: 0.7,
+        minBarLength: 1,
+        grouped: false,
+        yAxisID: 'y',
+      },
+    ] : [{
+      type: 'line',
+      label: `${symbol} Price`,
+      data: prices,
+      borderColor: lineColor,
+      backgroundColor: fillColor,
+      fill: style === 'area' ? 'start' : false,
+      tension: 0.3,
+      pointRadius: 0,
+      borderWidth: 2,
+      yAxisID: 'y',
+    }];
+
+    // Indicator overlays on the price panel
+    const ind = computeIndicators(candles, indicators);
+    const overlay = (label, data, color, extra = {}) => ({
+      type: 'line', label, data, borderColor: color, backgroundColor: color,
+      borderWidth: 1.5, pointRadius: 0, tension: 0.2, fill: false, spanGaps: false, yAxisID: 'y', ...extra,
+    });
+    const overlayDatasets = [];
+    if (ind.sma) overlayDatasets.push(overlay('SMA20', ind.sma, CHART_INDICATORS.sma.color));
+    if (ind.ema) overlayDatasets.push(overlay('EMA21', ind.ema, CHART_INDICATORS.ema.color));
+    if (ind.vwap) overlayDatasets.push(overlay('VWAP', ind.vwap, CHART_INDICATORS.vwap.color, { borderDash: [6, 3] }));
+    if (ind.bb) {
+      const bbColor = CHART_INDICATORS.bb.color;
+      overlayDatasets.push(overlay('BB Upper', ind.bb.upper, bbColor));
+      overlayDatasets.push(overlay('BB Mid', ind.bb.mid, bbColor, { borderDash: [2, 3], borderWidth: 1 }));
+      overlayDatasets.push(overlay('BB Lower', ind.bb.lower, bbColor));
+    }
+
+    // The user's buys/sells as triangles at their price (one per side per candle)
+    const markerData = (side) => {
+      const data = candles.map(() => null);
+      for (const m of myTrades) if ((m.side === 'buy') === (side === 'buy')) data[m.index] = m.price;
+      return data;
+    };
+    const tradeDatasets = myTrades.length > 0 ? ['buy', 'sell'].map(side => ({
+      type: 'line',
+      label: side === 'buy' ? 'My buys' : 'My sells',
+      data: markerData(side),
+      showLine: false,
+      pointStyle: 'triangle',
+      rotation: side === 'buy' ? 0 : 180,
+      pointRadius: 7,
+      pointBackgroundColor: side === 'buy' ? CHART_UP : CHART_DOWN,
+      pointBorderColor: '#ffffff',
+      pointBorderWidth: 1,
+      yAxisID: 'y',
+    })) : [];
+
+    // RSI gets its own panel between price and volume, with 70/30 guides
+    const rsiDatasets = ind.rsi ? [
+      overlay('RSI', ind.rsi, CHART_INDICATORS.rsi.color, { yAxisID: 'rsi' }),
+      overlay('RSI 70', candles.map(() => 70), 'rgba(255, 68, 68, 0.5)', { yAxisID: 'rsi', borderDash: [4, 4], borderWidth: 1 }),
+      overlay('RSI 30', candles.map(() => 30), 'rgba(0, 255, 136, 0.5)', { yAxisID: 'rsi', borderDash: [4, 4], borderWidth: 1 }),
+    ] : [];
+    const rsiScale = ind.rsi ? {
+      rsi: {
+        position: 'right',
+        stack: 'panels',
+        stackWeight: 1,
+        weight: 0.5,
+        offset: true,
+        min: 0,
+        max: 100,
+        grid: { color: 'rgba(255,255,255,0.05)' },
+        ticks: { color: '#888', stepSize: 50 }
+      }
+    } : {};
+    
+    const config = {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          ...priceDatasets,
+          ...overlayDatasets,
+          ...tradeDatasets,
+          ...rsiDatasets,
+          {
+            label: 'Volume',
+            data: candles.map(c => c.volume),
+            backgroundColor: volumeColors,
+            barPercentage: 0.7,
+            grouped: false,
+            yAxisID: 'volume',
+          },
+        ]
+      },
+      options: {
+        responsive: false,
+        layout: { padding: { right: 10 } },
+        plugins: {
+          legend: { display: false },
+          title: {
+            display: true,
+            text: `${symbol} • ${timeframe.toUpperCase()}`,
+            color: '#ffffff',
+            font: { size: 16, weight: 'bold' }
+          }
+        },
+        scales: {
+          x: {
+            grid: { color: 'rgba(255,255,255,0.1)' },
+            ticks: { color: '#888', maxTicksLimit: 8 }
+          },
+          // Price (top) and volume (bottom) share one stack on the right edge
+          y: {
+            position: 'right',
+            stack: 'panels',
+            stackWeight: 3,
+            weight: 0,
+            // Keep the entry line in view even when price has moved far from it
+            ...(avgEntry ? { suggestedMin: avgEntry, suggestedMax: avgEntry } : {}),
+            grid: { color: 'rgba(255,255,255,0.1)' },
+            ticks: { 
+              color: '#888',
+              callback: (v) => '$' + formatNumber(v)
+            }
+          },
+          ...rsiScale,
+          volume: {
+            position: 'right',
+            stack: 'panels',
+            stackWeight: 1,
+            weight: 1,
+            offset: true,
+            beginAtZero: true,
+            grid: { display: false },
+            ticks: {
+              color: '#666',
+              maxTicksLimit: 3,
+              callback: (v) => formatNumber(v)
+            }
+          }
+        }
+      },
+      plugins: [
+        priceLinePlugin('lastPriceMarker', endPrice, lineColor),
+        ...(avgEntry ? [priceLinePlugin('avgEntryMarker', avgEntry, CHART_ENTRY, 'Entry')] : []),
+      ],
+    };
+    
+    const buffer = await renderer.renderToBuffer(config);
+    return buffer;
+  } catch (e) {
+    log.error('Chart generation error:', e.message);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENHANCED LIQUIDITY TRACKING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Track significant liquidity changes (in-memory fallback when DB is unavailable)
+const recentLiquidityEvents = new BoundedCache(100, 3600000); // 1 hour TTL
+
+function recordLiquidityEvent(event) {
+  const key = `${event.poolId}_${event.timestamp}`;
+  recentLiquidityEvents.set(key, event);
+
+  if (!db || !event.sig) return;
+  try {
+    db.prepare(`
+      INSERT OR IGNORE INTO lp_events (sig, pool_id, wallet, position, side, base_amount, quote_amount, usd, price, confidence, time)
+      VALUES (@sig, @poolId, @wallet, @position, @side, @baseAmount, @quoteAmount, @usd, @price, @confidence, @time)
+    `).run({
+      sig: event.sig,
+      poolId: event.poolId,
+      wallet: event.wallet || null,
+      position: event.position || null,
+      side: event.isAdd ? 'add' : 'remove',
+      baseAmount: event.baseAmount || 0,
+      quoteAmount: event.quoteAmount || 0,
+      usd: event.usd || 0,
+      price: event.price || 0,
+      confidence: event.confidence || null,
+      time: event.timestamp,
+    });
+  } catch (e) { log.debug('recordLiquidityEvent DB error:', e.message); }
+}
+
+// Get liquidity history for a pool (DB first, memory cache as fallback)
+function getLiquidityHistory(poolId, limit = 20) {
+  if (db) {
+    try {
+      const rows = db.prepare('SELECT * FROM lp_events WHERE pool_id = ? ORDER BY time DESC LIMIT ?').all(poolId, limit);
+      return rows.map(r => ({
+        poolId: r.pool_id,
+        isAdd: r.side === 'add',
+        usd: r.usd,
+        sig: r.sig,
+        timestamp: r.time,
+        wallet: r.wallet,
+        baseAmount: r.base_amount,
+        quoteAmount: r.quote_amount,
+      }));
+    } catch (e) { log.debug('getLiquidityHistory DB error:', e.message); }
+  }
+
+  const events = [];
+  for (const [key, event] of recentLiquidityEvents.cache.entries()) {
+    if (event.value.poolId === poolId) {
+      events.push(event.value);
+    }
+  }
+  return events
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
+// Format liquidity history message
+function formatLiquidityHistory(poolId) {
+  const pool = poolMap.get(poolId);
+  if (!pool) return '❌ Pool not found';
+  
+  const events = getLiquidityHistory(poolId);
+  
+  if (events.length === 0) {
+    return `💧 *Liquidity History*\n\n*${escMd(pool.pairName)}*\n\n_No recent liquidity events_`;
+  }
+  
+  let msg = `💧 *Liquidity History*\n`;
+  msg += `━━━━━━━━━━━━━━━━━━━━━\n`;
+  msg += `*${escMd(pool.pairName)}*\n\n`;
+  
+  events.forEach(e => {
+    const icon = e.isAdd ? '🟢 ADD' : '🔴 REMOVE';
+    const time = timeAgo(e.timestamp);
+    msg += `${icon} • ${fmt(e.usd)} • ${time}\n`;
+  });
+
+  return msg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRADE HISTORY (persistent event store)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Normalize a seconds-or-milliseconds timestamp to milliseconds
+function toMs(ts) {
+  const n = Number(ts);
+  if (!n || isNaN(n)) return Date.now();
+  return n < 1e12 ? n * 1000 : n;
+}
+
+// Convert raw swap amounts into UI base/quote amounts (API amounts first, decoded ones when missing)
+function getTradeAmounts(trade, pool, isBuy) {
+  if (trade._exact && !(trade.amountIn && trade.amountOut)) return getExactAmounts(trade._exact, pool);
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+  let baseAmount = 0, quoteAmount = 0;
+  if (trade.amountIn && trade.amountOut) {
+    const amountIn = parseFloat(trade.amountIn || 0);
+    const amountOut = parseFloat(trade.amountOut || 0);
+    if (isBuy) {
+      quoteAmount = amountIn / Math.pow(10, getDecimals(quote));
+      baseAmount = amountOut / Math.pow(10, getDecimals(base));
+    } else {
+      baseAmount = amountIn / Math.pow(10, getDecimals(base));
+      quoteAmount = amountOut / Math.pow(10, getDecimals(quote));
+    }
+  }
+  return { baseAmount, quoteAmount };
+}
+
+// Convert raw LP amounts into UI base/quote amounts
+function getLpAmounts(msg, pool) {
+  if (msg._exact && !(msg.baseAmount && msg.quoteAmount) && !(msg.amountX && msg.amountY)) return getExactAmounts(msg._exact, pool);
+  const base = pool.baseMint || pool.base;
+  const quote = pool.quoteMint || pool.quote;
+  let baseAmount = 0, quoteAmount = 0;
+  if (msg.baseAmount && msg.quoteAmount) {
+    baseAmount = parseFloat(msg.baseAmount) / Math.pow(10, getDecimals(base));
+    quoteAmount = parseFloat(msg.quoteAmount) / Math.pow(10, getDecimals(quote));
+  } else if (msg.amountX && msg.amountY) {
+    baseAmount = parseFloat(msg.amountX) / Math.pow(10, getDecimals(base));
+    quoteAmount = parseFloat(msg.amountY) / Math.pow(10, getDecimals(quote));
+  }
+  return { baseAmount, quoteAmount };
+}
+
+function recordTrade({ pool, trade, usd, isBuy, sig, confidence }) {
+  if (!db || !sig) return;
+  const { baseAmount, quoteAmount } = getTradeAmounts(trade, pool, isBuy);
+  const price = baseAmount > 0 && usd > 0 ? usd / baseAmount : (pool.price || 0);
+  const time = toMs(trade.timestamp || trade.blockTime || trade.time);
+  try {
+    db.prepare(`
+      INSERT OR IGNORE INTO trades (sig, pool_id, trader, side, base_amount, quote_amount, usd, price, confidence, time)
+      VALUES (@sig, @poolId, @trader, @side, @baseAmount, @quoteAmount, @usd, @price, @confidence, @time)
+    `).run({
+      sig,
+      poolId: pool.id,
+      trader: trade._exact?.user || trade.wallet || trade.user || trade.owner || trade.maker || trade.taker || null,
+      side: isBuy ? 'buy' : 'sell',
+      baseAmount,
+      quoteAmount,
+      usd: usd || 0,
+      price,
+      confidence: confidence || null,
+      time,
+    });
+    advancePoolCheckpoint(pool.id, { sig, time });
+  } catch (e) { log.debug('recordTrade DB error:', e.message); }
+}
+
+// Drop trade and LP rows older than the retention window
+function pruneEventHistory() {
+  if (!db) return;
+  const cutoff = Date.now() - CONFIG.eventRetentionDays * 24 * 60 * 60 * 1000;
+  try {
+    const t = db.prepare('DELETE FROM trades WHERE time < ?').run(cutoff);
+    const l = db.prepare('DELETE FROM lp_events WHERE time < ?').run(cutoff);
+    // Fee records are summed from a position's first deposit or a staker's last claim, however
+    // old, so they're rolled up into one row per pool per UTC day instead of deleted
+    const f = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO pool_fees (sig, pool_id, base_fees, quote_fees, holder_fees, time)
+        SELECT 'day:' || pool_id || ':' || day, pool_id, SUM(base_fees), SUM(quote_fees), COALESCE(SUM(holder_fees), 0), day
+        FROM (SELECT *, time - time % 86400000 AS day FROM pool_fees WHERE time < ? AND sig NOT LIKE 'day:%')
+        WHERE true GROUP BY pool_id, day
+        ON CONFLICT(sig) DO UPDATE SET base_fees = base_fees + excluded.base_fees,
+          quote_fees = quote_fees + excluded.quote_fees, holder_fees = holder_fees + excluded.holder_fees
+      `).run(cutoff);
+      return db.prepare("DELETE FROM pool_fees WHERE time < ? AND sig NOT LIKE 'day:%'").run(cutoff);
+    })();
+    if (t.changes || l.changes) {
+      log.info(`🧹 Pruned ${t.changes} trades and ${l.changes} LP events older than ${CONFIG.eventRetentionDays}d`);
+    }
+    if (f.changes) log.info(`🧹 Rolled ${f.changes} fee records older than ${CONFIG.eventRetentionDays}d into daily totals`);
+
+    // Held alerts outlive one digest only when nobody collects them (e.g. the chat was disabled)
+    const b = db.prepare('DELETE FROM alert_batches WHERE time < ?').run(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    if (b.changes) log.info(`🧹 Dropped ${b.changes} held alerts older than 2d`);
+
+    // Net worth history: keep every sync for 30 days, then the last snapshot of each UTC day
+    const snapCutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const s = db.prepare(`
+      DELETE FROM portfolio_snapshots WHERE time < ? AND id NOT IN (
+        SELECT MAX(id) FROM portfolio_snapshots WHERE time < ? GROUP BY chat_id, time / 86400000
+      )
+    `).run(snapCutoff, snapCutoff);
+    if (s.changes) log.info(`🧹 Thinned ${s.changes} portfolio snapshots older than 30d`);
+  } catch (e) {
+    log.error('pruneEventHistory failed:', e.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PRICE ALERTS
+// ═══════════════════════════════════════════════════════════════════════════════
+const priceAlerts = new Map(); // id -> alert
+const lastPoolPrices = new Map(); // poolId -> last traded USD price of base token
+
+const PRICE_ALERT_CONDITIONS = {
+  above: ['above', 'over'],
+  below: ['below', 'under'],
+  pct: ['move', 'moves', 'pct', 'change'],
+};
+
+function dbRowToPriceAlert(row) {
+  return {
+    id: row.id,
+    chatId: row.chat_id,
+    targetType: row.target_type,
+    target: row.target,
+    label: row.label,
+    condition: row.condition,
+    value: row.value,
+    basePrice: row.base_price,
+    rearm: row.rearm === 1,
+    triggered: row.triggered === 1,
+    active: row.active === 1,
+    snoozedUntil: row.snoozed_until || 0,
+    lastTriggered: row.last_triggered || 0,
+    createdAt: row.created_at,
+  };
+}
+
+function loadPriceAlerts() {
+  if (!db) return;
+  try {
+    const rows = db.prepare('SELECT * FROM price_alerts').all();
+    rows.forEach(r => priceAlerts.set(r.id, dbRowToPriceAlert(r)));
+    log.info(`✅ Loaded ${rows.length} price alerts`);
+  } catch (e) {
+    log.error('Failed to load price alerts:', e.message);
+  }
+}
+
+function savePriceAlert(alert) {
+  if (!db) return;
+  try {
+    db.prepare(`
+      UPDATE price_alerts SET base_price = @basePrice, rearm = @rearm, triggered = @triggered, active = @active,
+        snoozed_until = @snoozedUntil, last_triggered = @lastTriggered
+      WHERE id = @id
+    `).run({
+      id: alert.id,
+      basePrice: alert.basePrice ?? null,
+      rearm: alert.rearm ? 1 : 0,
+      triggered: alert.triggered ? 1 : 0,
+      active: alert.active ? 1 : 0,
+      snoozedUntil: alert.snoozedUntil || 0,
+      lastTriggered: alert.lastTriggered || 0,
+    });
+  } catch (e) { log.debug('savePriceAlert error:', e.message); }
+}
+
+function getUserPriceAlerts(chatId) {
+  return [...priceAlerts.values()].filter(a => a.chatId === chatId).sort((a, b) => a.id - b.id);
+}
+
+function createPriceAlert(chatId, { targetType, target, label, condition, value }) {
+  if (!db) return null;
+  const basePrice = condition === 'pct' ? getPriceAlertTargetPrice({ targetType, target }) : null;
+  try {
+    const info = db.prepare(`
+      INSERT INTO price_alerts (chat_id, target_type, target, label, condition, value, base_price, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(chatId, targetType, target, label, condition, value, basePrice, Date.now());
+    const row = db.prepare('SELECT * FROM price_alerts WHERE id = ?').get(info.lastInsertRowid);
+    const alert = dbRowToPriceAlert(row);
+    priceAlerts.set(alert.id, alert);
+    return alert;
+  } catch (e) {
+    log.error('createPriceAlert failed:', e.message);
+    return null;
   }
 }
 
-// Format large numbers with K/M/B suffix (uses numeral)
-function fmtSupply(num) {
-  return formatNumber(num, 2);
+function deletePriceAlert(id) {
+  priceAlerts.delete(id);
+  if (!db) return;
+  try { db.prepare('DELETE FROM price_alerts WHERE id = ?').run(id); }
+  catch (e) { log.debug('deletePriceAlert error:', e.message); }
 }
 
-// Compact format for volumes (e.g. $1.2M)
-function fmtCompact(num) {
-  if (!num || isNaN(num)) return '$0';
-  if (num >= 1e9) return `$${(num / 1e9).toFixed(1)}B`;
-  if (num >= 1e6) return `$${(num / 1e6).toFixed(1)}M`;
-  if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
-  return `$${num.toFixed(0)}`;
+// Resolve "CIPHER", "CIPHER/SOL", a mint or a pool id into an alert target
+function resolvePriceAlertTarget(query) {
+  if (!query) return null;
+  if (isValidMint(query)) {
+    const pool = poolMap.get(query);
+    if (pool) return { targetType: 'pool', target: pool.id, label: pool.pairName };
+    return { targetType: 'mint', target: query, label: getSymbol(query) };
+  }
+
+  const q = query.toUpperCase();
+  if (q.includes('/')) {
+    const pool = pools.find(p => p.pairName?.toUpperCase() === q);
+    return pool ? { targetType: 'pool', target: pool.id, label: pool.pairName } : null;
+  }
+
+  if (MINTS[q]) return { targetType: 'mint', target: MINTS[q], label: q };
+  for (const p of pools) {
+    for (const mint of [p.baseMint || p.base, p.quoteMint || p.quote]) {
+      if (mint && tokens.get(mint)?.symbol?.toUpperCase() === q) {
+        return { targetType: 'mint', target: mint, label: tokens.get(mint).symbol };
+      }
+    }
+  }
+  return null;
 }
 
-// Get pools sorted by volume, TVL, or trades
-function getSortedPools(sortBy = 'volume') {
-  const poolsWithData = pools.map(p => ({
-    ...p,
-    volume24h: orbitVolumes.pools?.[p.id]?.volume24h || 0,
-    tvl: p.tvl || p.liquidity || 0,
-    trades24h: orbitVolumes.pools?.[p.id]?.trades24h || 0,
-  }));
-  
-  switch (sortBy) {
-    case 'tvl':
-      return poolsWithData.sort((a, b) => b.tvl - a.tvl);
-    case 'trades':
-      return poolsWithData.sort((a, b) => b.trades24h - a.trades24h);
-    case 'volume':
-    default:
-      return poolsWithData.sort((a, b) => b.volume24h - a.volume24h);
+// Parse "CIPHER above 0.05", "SOL below 120" or "CIPHER move 10%"
+function parsePriceAlertInput(input) {
+  const parts = sanitizeInput(input, 100).split(/\s+/).filter(Boolean);
+  if (parts.length < 3) return { error: 'Usage: `/alert <token|pair> <above|below|move> <value>`' };
+
+  const [query, condRaw, valueRaw] = parts;
+  const condition = Object.keys(PRICE_ALERT_CONDITIONS).find(c => PRICE_ALERT_CONDITIONS[c].includes(condRaw.toLowerCase()));
+  if (!condition) return { error: 'Condition must be `above`, `below` or `move`' };
+
+  const value = parseFloat(valueRaw.replace(/[$%,]/g, ''));
+  if (isNaN(value) || value <= 0 || value > 1e9) return { error: 'Value must be a positive number' };
+  if (condition === 'pct' && value > 1000) return { error: 'Percent move must be 1000% or less' };
+
+  const target = resolvePriceAlertTarget(query);
+  if (!target) return { error: `Token or pool not found: ${escMd(query)}` };
+
+  return { ...target, condition, value };
+}
+
+// Remember the latest traded price for a pool and check its price alerts
+function notePoolTradePrice({ pool, trade, usd, isBuy }) {
+  const { baseAmount } = getTradeAmounts(trade, pool, isBuy);
+  if (baseAmount > 0 && usd > 0) lastPoolPrices.set(pool.id, usd / baseAmount);
+  checkPriceAlerts({ poolId: pool.id }).catch(e => log.debug('Price alert check failed:', e.message));
+}
+
+function getPriceAlertTargetPrice(alert) {
+  if (alert.targetType === 'pool') {
+    return lastPoolPrices.get(alert.target) || poolMap.get(alert.target)?.price || null;
   }
+  return getPrice(alert.target);
 }
 
-// Get top N pools by 24h volume
-function getTopPoolsByVolume(n = 10) {
-  return getSortedPools('volume').slice(0, n);
+function describePriceAlert(alert) {
+  if (alert.condition === 'above') return `${alert.label} ≥ ${fmtPrice(alert.value)}`;
+  if (alert.condition === 'below') return `${alert.label} ≤ ${fmtPrice(alert.value)}`;
+  return `${alert.label} ±${alert.value}%`;
 }
 
-// Get pool by ID
-function getPoolById(poolId) {
-  return poolMap.get(poolId) || pools.find(p => p.id === poolId);
+// Evaluate one alert against the current price; returns true if it should fire
+function evaluatePriceAlert(alert, price) {
+  if (alert.condition === 'above') {
+    if (alert.triggered && price < alert.value) { alert.triggered = false; savePriceAlert(alert); }
+    return !alert.triggered && price >= alert.value;
+  }
+  if (alert.condition === 'below') {
+    if (alert.triggered && price > alert.value) { alert.triggered = false; savePriceAlert(alert); }
+    return !alert.triggered && price <= alert.value;
+  }
+  if (!alert.basePrice) {
+    alert.basePrice = price;
+    savePriceAlert(alert);
+    return false;
+  }
+  return Math.abs(price - alert.basePrice) / alert.basePrice * 100 >= alert.value;
 }
 
-// Get pools added in the last N hours
-function getNewPools(hours = 48) {
-  const cutoff = Date.now() - (hours * 60 * 60 * 1000);
-  return pools
-    .filter(p => p.createdAt && p.createdAt > cutoff)
-    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+// Check price alerts (all of them, or only those for a given pool/mint)
+async function checkPriceAlerts({ poolId, mint } = {}) {
+  if (priceAlerts.size === 0) return;
+  const now = Date.now();
+
+  for (const alert of priceAlerts.values()) {
+    if (!alert.active || alert.snoozedUntil > now) continue;
+    if (poolId && !(alert.targetType === 'pool' && alert.target === poolId)) continue;
+    if (mint && !(alert.targetType === 'mint' && alert.target === mint)) continue;
+
+    const user = users.get(alert.chatId);
+    if (!user || !user.enabled || user.blocked || isUserSnoozed(user)) continue;
+
+    const price = getPriceAlertTargetPrice(alert);
+    if (!price || price <= 0) continue;
+    if (!evaluatePriceAlert(alert, price)) continue;
+
+    const prevBase = alert.basePrice;
+    alert.lastTriggered = now;
+    if (alert.condition === 'pct') {
+      if (alert.rearm) alert.basePrice = price;
+      else alert.active = false;
+    } else {
+      alert.triggered = true;
+      if (!alert.rearm) alert.active = false;
+    }
+    savePriceAlert(alert);
+
+    sendPriceAlert(user, alert, price, prevBase);
+  }
 }
 
-// Get human-readable pool age
-function getPoolAge(pool) {
-  if (!pool?.createdAt) return 'Unknown';
-  const hours = Math.floor((Date.now() - pool.createdAt) / (60 * 60 * 1000));
-  if (hours < 1) return 'Just now';
-  if (hours < 24) return `${hours}h ago`;
-  const days = Math.floor(hours / 24);
-  return `${days}d ago`;
+function sendPriceAlert(user, alert, price, prevBase) {
+  let headline;
+  if (alert.condition === 'above') headline = `📈 crossed above ${fmtPrice(alert.value)}`;
+  else if (alert.condition === 'below') headline = `📉 dropped below ${fmtPrice(alert.value)}`;
+  else {
+    const change = (price - prevBase) / prevBase * 100;
+    headline = `${change >= 0 ? '📈' : '📉'} moved ${change >= 0 ? '+' : ''}${change.toFixed(2)}% from ${fmtPrice(prevBase)}`;
+  }
+
+  const msg = `🎯 ━━━ *PRICE ALERT* ━━━ 🎯
+*${escMd(alert.label)}*
+
+${headline}
+💰 Now: *${fmtPrice(price)}*
+${alert.active ? '🔁 Re-armed' : '1️⃣ One-shot (now off)'}
+
+⏱ ${fmtTime()} UTC • Orbit`;
+
+  queueAlert([user], msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...menu.priceAlertActions(alert),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'price', token: alert.label, usd: price } });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// BIRDEYE ENHANCED DATA
+// ALERT ROUTING (rule engine + filter language)
 // ═══════════════════════════════════════════════════════════════════════════════
+// A rule is a list of AND-ed conditions plus an action (notify / mute / digest).
+// Custom rules run first in creation order, then the defaults compiled from the
+// user's toggles and thresholds. First match wins; no match means mute.
+const customRules = new Map(); // chatId -> [rule] sorted by id
+const compiledRuleCache = new Map(); // chatId -> { key, rules }
+
+const RULE_ACTIONS = { notify: 'notify', mute: 'mute', digest: 'digest', 'digest-only': 'digest' };
+const RULE_EVENT_TYPES = ['trade', 'lp', 'wallet', 'newpool', 'lock', 'unlock', 'reward', 'close', 'fees', 'admin', 'range', 'spike', 'drain'];
+const RULE_OPS = ['>=', '<=', '!=', '=', '>', '<'];
+
+const RULE_FIELDS = {
+  type: { ops: ['=', '!=', 'in', '!in'], values: RULE_EVENT_TYPES },
+  side: { ops: ['=', '!=', 'in', '!in'], values: ['buy', 'sell', 'add', 'remove'] },
+  pool: { ops: ['=', '!=', 'in', '!in'] },
+  token: { ops: ['=', '!=', 'in', '!in'] },
+  trader: { ops: ['=', '!=', 'in', '!in'] },
+  cipher: { ops: ['=', '!='], values: ['yes', 'no'] },
+  usd: { ops: RULE_OPS },
+};
 
-// Fetch wallet data from Birdeye (PnL, holdings, total value)
-async function fetchBirdeyeWalletData(wallet) {
-  if (!wallet) return null;
-  
-  try {
-    const res = await birdeyeFetch(BIRDEYE.walletNetWorth(wallet));
-    const data = await res.json();
-    
-    if (!data?.success || !data?.data) {
-      updateApiHealth('birdeye', false);
-      return null;
+// Named lists usable with `in`, resolved against the user at evaluation time
+const RULE_LISTS = {
+  my_whales: { field: 'trader', get: (u) => u.wallets || [] },
+  my_wallets: { field: 'trader', get: (u) => u.portfolioWallets?.length ? u.portfolioWallets : (u.myWallet ? [u.myWallet] : []) },
+  my_tokens: { field: 'token', get: (u) => u.trackedTokens || [] },
+  watchlist: { field: 'pool', get: (u) => u.watchlist || [] },
+  spike_pools: { field: 'pool', get: (u) => u.spikePools || [] },
+  my_lp_pools: { field: 'pool', get: (u) => (u.portfolio?.lpPositions || []).map(p => p.poolId).filter(Boolean) },
+};
+
+// Turn one raw value into its canonical form (pool id, mint, wallet, number or keyword)
+function parseRuleValue(field, raw) {
+  if (field === 'usd') {
+    const m = raw.match(/^\$?(\d+(?:\.\d+)?)(k|m)?$/i);
+    if (!m) return { error: `\`${raw}\` is not a USD amount` };
+    const mult = { k: 1e3, m: 1e6 }[m[2]?.toLowerCase()] || 1;
+    return { value: parseFloat(m[1]) * mult };
+  }
+  if (field === 'cipher') {
+    const v = raw.toLowerCase();
+    if (['yes', 'true', 'on'].includes(v)) return { value: 'yes' };
+    if (['no', 'false', 'off'].includes(v)) return { value: 'no' };
+    return { error: '`cipher` must be yes or no' };
+  }
+  if (RULE_FIELDS[field].values) {
+    const v = raw.toLowerCase();
+    if (!RULE_FIELDS[field].values.includes(v)) return { error: `\`${field}\` must be one of: ${RULE_FIELDS[field].values.join(', ')}` };
+    return { value: v };
+  }
+  if (field === 'trader') {
+    return isValidWallet(raw) ? { value: raw } : { error: `\`${raw}\` is not a wallet address` };
+  }
+  // pool / token: ids are kept as-is so rules load before the pool list does, except a
+  // token mint given as a pool once the pools are known (it would never match)
+  if (isValidMint(raw)) {
+    const isTokenMint = field === 'pool' && !poolMap.has(raw) &&
+      pools.some(p => (p.baseMint || p.base) === raw || (p.quoteMint || p.quote) === raw);
+    if (isTokenMint) return { error: `\`${raw}\` is a token mint, not a pool: use \`token=${raw}\` to match every pool that trades it` };
+    return { value: raw };
+  }
+  const resolved = resolvePriceAlertTarget(raw);
+  if (field === 'pool' && resolved?.targetType === 'pool') return { value: resolved.target };
+  if (field === 'token' && resolved?.targetType === 'mint') return { value: resolved.target };
+  return { error: `Unknown ${field} \`${raw}\`` };
+}
+
+// Parse "pool=CIPHER/SOL side=sell usd>=2500 trader in my_whales" into AND-ed conditions
+function parseRuleExpr(expr) {
+  const parts = String(expr || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { error: 'Add at least one condition, e.g. `side=sell usd>=2500`' };
+  if (parts.some(p => !/^[\w.\/:,$<>=!-]+$/.test(p))) return { error: 'Rules may only use letters, numbers and `. / : , $ < > = ! -`' };
+
+  const conditions = [];
+  for (let i = 0; i < parts.length; i++) {
+    let field, op, raw;
+    const m = parts[i].match(/^([a-z_]+)(>=|<=|!=|=|>|<)(.*)$/i);
+    if (parts[i + 1] === 'in') {
+      [field, op, raw] = [parts[i], 'in', parts[i + 2]];
+      i += 2;
+    } else if (parts[i + 1] === 'not' && parts[i + 2] === 'in') {
+      [field, op, raw] = [parts[i], '!in', parts[i + 3]];
+      i += 3;
+    } else if (m) {
+      [field, op, raw] = [m[1], m[2], m[3] || parts[++i]];
+    } else if (RULE_OPS.includes(parts[i + 1])) {
+      [field, op, raw] = [parts[i], parts[i + 1], parts[i + 2]];
+      i += 2;
+    } else {
+      return { error: `Can't read \`${parts[i]}\` — expected something like \`usd>=2500\`` };
     }
-    
-    updateApiHealth('birdeye', true);
-    
-    const items = data.data.items || [];
-    let totalValue = 0;
-    let totalPnl = 0;
-    let unrealizedPnl = 0;
-    
-    for (const item of items) {
-      const value = item.valueUsd || 0;
-      totalValue += value;
-      
-      // Calculate PnL from cost basis if available
-      if (item.priceInfo?.pnl) {
-        totalPnl += item.priceInfo.pnl;
+
+    field = field.toLowerCase();
+    const spec = RULE_FIELDS[field];
+    if (!spec) return { error: `Unknown field \`${field}\`. Use: ${Object.keys(RULE_FIELDS).join(', ')}` };
+    if (!spec.ops.includes(op)) return { error: `\`${field}\` doesn't support \`${op === '!in' ? 'not in' : op}\`` };
+    if (!raw) return { error: `Missing value for \`${field}\`` };
+
+    if (op === 'in' || op === '!in') {
+      const list = RULE_LISTS[raw.toLowerCase()];
+      if (list) {
+        if (list.field !== field) return { error: `\`${raw}\` is a list of ${list.field}s` };
+        conditions.push({ field, op, list: raw.toLowerCase() });
+        continue;
       }
-      if (item.priceInfo?.unrealizedPnl) {
-        unrealizedPnl += item.priceInfo.unrealizedPnl;
+      const values = [];
+      for (const item of raw.split(',').filter(Boolean)) {
+        const parsed = parseRuleValue(field, item);
+        if (parsed.error) return parsed;
+        values.push(parsed.value);
       }
+      conditions.push({ field, op, values });
+    } else {
+      const parsed = parseRuleValue(field, raw);
+      if (parsed.error) return parsed;
+      conditions.push({ field, op, value: parsed.value });
     }
-    
-    return {
-      totalValue,
-      totalPnl,
-      unrealizedPnl,
-      tokenCount: items.length,
-      tokens: items.slice(0, 20).map(t => ({
-        mint: t.address,
-        symbol: t.symbol,
-        balance: t.uiAmount,
-        valueUsd: t.valueUsd,
-        price: t.priceUsd,
-      })),
-    };
-  } catch (e) {
-    log.error('Birdeye wallet fetch error:', e.message);
-    updateApiHealth('birdeye', false);
+  }
+  return { conditions };
+}
+
+// Canonical text form (what gets stored and re-parsed on load)
+function formatRuleExpr(conditions) {
+  return conditions.map(c => {
+    if (c.op === 'in' || c.op === '!in') return `${c.field} ${c.op === 'in' ? 'in' : 'not in'} ${c.list || c.values.join(',')}`;
+    return `${c.field}${c.op}${c.value}`;
+  }).join(' ');
+}
+
+// Human-readable form: pool ids become pair names, mints become symbols
+function describeRule(rule) {
+  const label = (field, v) => {
+    if (field === 'pool') return poolMap.get(v)?.pairName || shortAddr(v);
+    if (field === 'token') return getSymbol(v);
+    if (field === 'trader') return shortAddr(v);
+    return String(v);
+  };
+  const conds = rule.conditions.map(c => {
+    if (c.op === 'in' || c.op === '!in') return `${c.field} ${c.op === 'in' ? 'in' : 'not in'} ${c.list || c.values.map(v => label(c.field, v)).join(',')}`;
+    return `${c.field}${c.op}${label(c.field, c.value)}`;
+  });
+  return `${conds.join(' ')} → ${rule.action}`;
+}
+
+function dbRowToCustomRule(row) {
+  const parsed = parseRuleExpr(row.expr);
+  if (parsed.error) {
+    log.warn(`⚠️ Skipping unreadable rule ${row.id}: ${parsed.error}`);
     return null;
   }
+  return {
+    id: row.id,
+    chatId: row.chat_id,
+    expr: row.expr,
+    conditions: parsed.conditions,
+    action: row.action,
+    active: row.active === 1,
+    createdAt: row.created_at,
+  };
 }
 
-// Fetch enhanced token overview from Birdeye
-async function fetchTokenOverview(mint) {
-  if (!mint) return null;
-  
+function loadCustomRules() {
+  if (!db) return;
   try {
-    const res = await birdeyeFetch(BIRDEYE.overview(mint));
-    const data = await res.json();
-    
-    if (!data?.success || !data?.data) {
-      return null;
+    const rows = db.prepare('SELECT * FROM custom_rules ORDER BY id').all();
+    let loaded = 0;
+    for (const row of rows) {
+      const rule = dbRowToCustomRule(row);
+      if (!rule) continue;
+      if (!customRules.has(rule.chatId)) customRules.set(rule.chatId, []);
+      customRules.get(rule.chatId).push(rule);
+      loaded++;
     }
-    
-    updateApiHealth('birdeye', true);
-    const d = data.data;
-    
-    return {
-      price: d.price,
-      priceChange24h: d.priceChange24hPercent,
-      priceChange1h: d.priceChange1hPercent,
-      volume24h: d.v24hUSD,
-      volume24hChange: d.v24hChangePercent,
-      liquidity: d.liquidity,
-      mc: d.mc,
-      fdv: d.fdv,
-      holders: d.holder,
-      trades24h: d.trade24h,
-      buy24h: d.buy24h,
-      sell24h: d.sell24h,
-      uniqueWallets24h: d.uniqueWallet24h,
-      lastTradeTime: d.lastTradeUnixTime,
-    };
+    log.info(`✅ Loaded ${loaded} custom rules`);
   } catch (e) {
-    log.error('Token overview fetch error:', e.message);
+    log.error('Failed to load custom rules:', e.message);
+  }
+}
+
+function getUserCustomRules(chatId) {
+  return customRules.get(chatId) || [];
+}
+
+function getCustomRule(chatId, id) {
+  return getUserCustomRules(chatId).find(r => r.id === id) || null;
+}
+
+function createCustomRule(chatId, { conditions, action }) {
+  if (!db) return null;
+  const expr = formatRuleExpr(conditions);
+  try {
+    const info = db.prepare('INSERT INTO custom_rules (chat_id, expr, action, created_at) VALUES (?, ?, ?, ?)')
+      .run(chatId, expr, action, Date.now());
+    const rule = dbRowToCustomRule(db.prepare('SELECT * FROM custom_rules WHERE id = ?').get(info.lastInsertRowid));
+    if (!rule) return null;
+    if (!customRules.has(chatId)) customRules.set(chatId, []);
+    customRules.get(chatId).push(rule);
+    return rule;
+  } catch (e) {
+    log.error('createCustomRule failed:', e.message);
     return null;
   }
 }
 
-// Fetch token security info from Birdeye
-async function fetchTokenSecurity(mint) {
-  if (!mint) return null;
-  
+function setCustomRuleActive(rule, active) {
+  rule.active = active;
+  if (!db) return;
+  try { db.prepare('UPDATE custom_rules SET active = ? WHERE id = ?').run(active ? 1 : 0, rule.id); }
+  catch (e) { log.debug('setCustomRuleActive error:', e.message); }
+}
+
+function deleteCustomRule(chatId, id) {
+  const rules = getUserCustomRules(chatId).filter(r => r.id !== id);
+  if (rules.length) customRules.set(chatId, rules);
+  else customRules.delete(chatId);
+  if (!db) return;
+  try { db.prepare('DELETE FROM custom_rules WHERE id = ? AND chat_id = ?').run(id, chatId); }
+  catch (e) { log.debug('deleteCustomRule error:', e.message); }
+}
+
+// Parse "/rule" input: "<notify|mute|digest> <conditions>"
+function parseCustomRuleInput(input) {
+  const [first, ...rest] = String(input || '').trim().split(/\s+/);
+  const action = RULE_ACTIONS[first?.toLowerCase()];
+  if (!action) return { error: 'Start with an action: `notify`, `mute` or `digest`' };
+  const parsed = parseRuleExpr(rest.join(' '));
+  if (parsed.error) return parsed;
+  return { action, conditions: parsed.conditions };
+}
+
+// Compile toggles, thresholds and per-pool/token overrides into rules (same language as custom rules)
+function compileDefaultRules(user) {
+  const rules = [];
+  const add = (expr, action = 'notify') => {
+    const parsed = parseRuleExpr(expr);
+    if (parsed.error) log.warn(`⚠️ Default rule failed to compile (${expr}): ${parsed.error}`);
+    else rules.push({ conditions: parsed.conditions, action, source: 'default' });
+  };
+
+  // Non-CIPHER pools only alert when watched or when one of their tokens is tracked
+  const addTradeLpRules = (scope, isCipher, rule) => {
+    if (!isCipher && user.trackOtherPools === false) return;
+    for (const gate of isCipher ? [''] : [' pool in watchlist', ' token in my_tokens']) {
+      // Watched pools use their own trade minimum (watchlist menu)
+      const min = gate === ' pool in watchlist' ? rule.watchThreshold ?? rule.threshold : rule.threshold;
+      if (rule.buys) add(`type=trade ${scope}${gate} side=buy usd>=${min}`);
+      if (rule.sells) add(`type=trade ${scope}${gate} side=sell usd>=${min}`);
+      if (rule.lpAdd) add(`type=lp ${scope}${gate} side=add usd>=${rule.lpThreshold}`);
+      if (rule.lpRemove) add(`type=lp ${scope}${gate} side=remove usd>=${rule.lpThreshold}`);
+    }
+  };
+
+  // Pools touched by an override get their own fully-resolved rules ahead of the globals
+  const overridden = new Map();
+  for (const poolId of Object.keys(user.alertRules?.pool || {})) {
+    const pool = poolMap.get(poolId);
+    if (pool) overridden.set(poolId, pool);
+  }
+  const tokenOverrides = Object.keys(user.alertRules?.token || {});
+  if (tokenOverrides.length > 0) {
+    for (const pool of pools) {
+      if (tokenOverrides.includes(pool.baseMint || pool.base) || tokenOverrides.includes(pool.quoteMint || pool.quote)) {
+        overridden.set(pool.id, pool);
+      }
+    }
+  }
+  for (const pool of overridden.values()) {
+    addTradeLpRules(`pool=${pool.id}`, pool.isCipher, resolveAlertRule(user, pool));
+    add(`type in trade,lp pool=${pool.id}`, 'mute');
+  }
+
+  addTradeLpRules('cipher=yes', true, getDefaultAlertRule(user, true));
+  addTradeLpRules('cipher=no', false, getDefaultAlertRule(user, false));
+
+  if (user.walletAlerts) add('type=wallet trader in my_whales');
+  if (user.newPoolAlerts !== false) add('type=newpool');
+  if (user.lockAlerts !== false) add('type in lock,unlock');
+  if (user.rewardAlerts !== false) add('type=reward');
+  if (user.closePoolAlerts !== false) add('type=close');
+  if (user.protocolFeeAlerts !== false) add('type=fees');
+  if (user.adminAlerts !== false) add('type=admin');
+  if (user.rangeAlerts !== false) add('type=range');
+  if (user.cipherSpikes !== false) add('type=spike cipher=yes');
+  if (user.watchlistSpikes) add('type=spike pool in watchlist');
+  add('type=spike pool in spike_pools');
+  if (user.drainAlerts !== false) {
+    add('type=drain cipher=yes');
+    add('type=drain pool in my_lp_pools');
+    add('type=drain pool in watchlist');
+  }
+  return rules;
+}
+
+// Compiled defaults are cached until a toggle, threshold, override or the pool list changes
+function getDefaultRules(user) {
+  const key = JSON.stringify([
+    [...ALLOWED_TOGGLES].map(f => user[f]),
+    user.cipherThreshold, user.otherThreshold, user.watchThreshold, user.otherLpThreshold,
+    user.alertRules, pools.length,
+  ]);
+  const cached = compiledRuleCache.get(user.chatId);
+  if (cached?.key === key) return cached.rules;
+  const rules = compileDefaultRules(user);
+  compiledRuleCache.set(user.chatId, { key, rules });
+  return rules;
+}
+
+// Normalize broadcaster input into the fields rules can match on
+function buildAlertEvent(type, { pool = null, poolId = null, side = null, usd = null, trader = null } = {}) {
+  const p = pool || (poolId ? poolMap.get(poolId) : null);
+  return {
+    type,
+    poolId: p?.id || poolId,
+    base: p ? (p.baseMint || p.base) : null,
+    quote: p ? (p.quoteMint || p.quote) : null,
+    cipher: !!p?.isCipher,
+    side,
+    usd,
+    trader,
+  };
+}
+
+function matchRuleCondition(cond, event, user) {
+  if (cond.field === 'usd') {
+    const v = event.usd;
+    if (v === null || v === undefined) return false;
+    switch (cond.op) {
+      case '>=': return v >= cond.value;
+      case '<=': return v <= cond.value;
+      case '>': return v > cond.value;
+      case '<': return v < cond.value;
+      case '=': return v === cond.value;
+      default: return v !== cond.value;
+    }
+  }
+  const have = {
+    type: [event.type],
+    side: [event.side],
+    pool: [event.poolId],
+    token: [event.base, event.quote],
+    trader: [event.trader],
+    cipher: [event.cipher ? 'yes' : 'no'],
+  }[cond.field].filter(Boolean);
+  const wanted = cond.list ? RULE_LISTS[cond.list].get(user) : (cond.values || [cond.value]);
+  const hit = have.some(v => wanted.includes(v));
+  return (cond.op === '=' || cond.op === 'in') ? hit : !hit;
+}
+
+function matchRule(rule, event, user) {
+  return rule.conditions.every(c => matchRuleCondition(c, event, user));
+}
+
+// Decide what happens to an event for one user: 'notify', 'digest' or 'mute'
+function routeAlert(user, event) {
+  for (const rule of getUserCustomRules(user.chatId)) {
+    if (rule.active && matchRule(rule, event, user)) return rule.action;
+  }
+  for (const rule of getDefaultRules(user)) {
+    if (matchRule(rule, event, user)) return rule.action;
+  }
+  return 'mute';
+}
+
+// Digest-only: keep it in history and count it for the daily digest, but don't send now
+function holdForDigest(user, alert) {
+  addRecentAlert(user.chatId, alert);
+  user.todayStats = user.todayStats || {};
+  user.todayStats.held = (user.todayStats.held || 0) + 1;
+  saveUserDebounced(user);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERT BATCHING (batched / digest-only delivery)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Trade and LP alerts are the ones that flood busy pools. For users on 'batch' or 'digest'
+// delivery they're stored in alert_batches instead of sent; flushAlertBatches sends one
+// per-pool summary per interval, and digest-only users get theirs in the daily digest.
+// Batch mode still sends everything else (wallets, range, spikes, drains, events) as it
+// happens; digest-only holds those for the digest too.
+const DELIVERY_MODES = ['instant', 'batch', 'digest'];
+const BATCH_INTERVAL_STEPS = [5, 15, 30, 60];
+const BATCH_SUMMARY_POOLS = 8;
+
+const deliversInstantly = (user) => (user.deliveryMode || 'instant') === 'instant';
+
+function describeDeliveryMode(user) {
+  if (user?.deliveryMode === 'batch') return `📦 Batched every ${user.batchMinutes || 15}m`;
+  if (user?.deliveryMode === 'digest') return '📬 Digest only';
+  return '⚡ Instant';
+}
+
+// Digest-only users get every other routed alert in the daily digest as well
+function routeForDelivery(user, event) {
+  const action = routeAlert(user, event);
+  return action === 'notify' && user.deliveryMode === 'digest' ? 'digest' : action;
+}
+
+// `effects` are the ones the alert would have applied on delivery (see queueAlert)
+function holdForBatch(user, alert, effects) {
+  if (db) {
+    try {
+      db.prepare(`
+        INSERT INTO alert_batches (chat_id, pool_id, type, pair, usd, is_buy, is_add, sig, time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(user.chatId, alert.poolId, alert.type, alert.pair, alert.usd || 0, alert.isBuy ? 1 : 0, alert.isAdd ? 1 : 0, alert.sig, Date.now());
+    } catch (e) {
+      log.debug('Failed to hold alert for batch:', e.message);
+    }
+  }
+  applyAlertEffects(user, user.deliveryMode === 'digest' ? { ...effects, today: { held: 1 } } : effects);
+}
+
+// Read and clear a user's held alerts
+function takeAlertBatch(chatId) {
+  if (!db) return [];
   try {
-    const res = await birdeyeFetch(BIRDEYE.security(mint));
-    const data = await res.json();
-    
-    if (!data?.success || !data?.data) {
-      return null;
-    }
-    
-    const d = data.data;
-    return {
-      isHoneypot: d.isHoneypot,
-      top10HolderPercent: d.top10HolderPercent,
-      creatorPercent: d.creatorPercent,
-      ownerPercent: d.ownerPercent,
-      isMintable: d.isMintable,
-      isFreezable: d.isFreezable,
-      creationTime: d.creationTime,
-      creatorAddress: d.creatorAddress,
-    };
+    return db.transaction(() => {
+      const rows = db.prepare('SELECT * FROM alert_batches WHERE chat_id = ? ORDER BY time').all(chatId);
+      db.prepare('DELETE FROM alert_batches WHERE chat_id = ?').run(chatId);
+      return rows;
+    })();
   } catch (e) {
-    return null;
+    log.debug('Failed to read alert batch:', e.message);
+    return [];
   }
 }
 
-// Cache for token overviews (don't fetch too often)
-const tokenOverviewCache = new Map();
-const TOKEN_OVERVIEW_TTL = 60000; // 1 minute cache
+// Net flow, largest trades and LP changes per pool, busiest pools first
+function formatBatchSummary(rows) {
+  const byPool = new Map();
+  for (const r of rows) {
+    const key = r.pool_id || r.pair;
+    if (!byPool.has(key)) {
+      byPool.set(key, { pair: r.pair, isCipher: !!poolMap.get(r.pool_id)?.isCipher, buys: 0, sells: 0, buyCount: 0, sellCount: 0, lpAdd: 0, lpRemove: 0, lpCount: 0, topBuy: 0, topSell: 0 });
+    }
+    const p = byPool.get(key);
+    if (r.type === 'lp') {
+      p[r.is_add ? 'lpAdd' : 'lpRemove'] += r.usd;
+      p.lpCount++;
+    } else if (r.is_buy) {
+      p.buys += r.usd;
+      p.buyCount++;
+      p.topBuy = Math.max(p.topBuy, r.usd);
+    } else {
+      p.sells += r.usd;
+      p.sellCount++;
+      p.topSell = Math.max(p.topSell, r.usd);
+    }
+  }
 
-async function getTokenOverview(mint) {
-  const cached = tokenOverviewCache.get(mint);
-  if (cached && Date.now() - cached.fetchedAt < TOKEN_OVERVIEW_TTL) {
-    return cached.data;
+  const sorted = [...byPool.values()].sort((a, b) => (b.buys + b.sells + b.lpAdd + b.lpRemove) - (a.buys + a.sells + a.lpAdd + a.lpRemove));
+  const sections = sorted.slice(0, BATCH_SUMMARY_POOLS).map(p => {
+    const lines = [`*${escMd(p.pair || 'Unknown pool')}*${p.isCipher ? ' 🔷' : ''}`];
+    if (p.buyCount || p.sellCount) {
+      const net = p.buys - p.sells;
+      lines.push(`🟢 ${fmt(p.buys)} (${p.buyCount}) • 🔴 ${fmt(p.sells)} (${p.sellCount}) • Net ${net >= 0 ? '+' : '-'}${fmt(Math.abs(net))}`);
+      const largest = [p.topBuy ? `🟢 ${fmt(p.topBuy)}` : null, p.topSell ? `🔴 ${fmt(p.topSell)}` : null].filter(Boolean).join(' • ');
+      lines.push(`🐋 Largest: ${largest}`);
+    }
+    if (p.lpCount) lines.push(`💧 LP +${fmt(p.lpAdd)} / -${fmt(p.lpRemove)} (${p.lpCount})`);
+    return lines.join('\n');
+  });
+  if (sorted.length > BATCH_SUMMARY_POOLS) sections.push(`_+${sorted.length - BATCH_SUMMARY_POOLS} more pools_`);
+  return sections.join('\n\n');
+}
+
+// Held rows keyed by the topic their live alert would have used (null = general chat)
+function groupBatchByTopic(user, rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    const category = r.type === 'lp' ? 'lp' : poolMap.get(r.pool_id)?.isCipher ? 'cipher_trades' : null;
+    const topic = category && user.alertTopics?.[category] ? category : null;
+    if (!groups.has(topic)) groups.set(topic, []);
+    groups.get(topic).push(r);
   }
-  
-  const data = await fetchTokenOverview(mint);
-  if (data) {
-    tokenOverviewCache.set(mint, { data, fetchedAt: Date.now() });
+  return groups;
+}
+
+// Runs every minute: send each batch-mode user's summary once their oldest held alert is an interval old
+function flushAlertBatches(now = Date.now()) {
+  if (!db) return;
+  let pending;
+  try {
+    pending = db.prepare('SELECT chat_id, MIN(time) AS first FROM alert_batches GROUP BY chat_id').all();
+  } catch (e) {
+    log.debug('Failed to list alert batches:', e.message);
+    return;
   }
-  return data;
+
+  let sent = 0;
+  for (const { chat_id: chatId, first } of pending) {
+    const user = users.get(chatId);
+    if (!user || user.blocked) { takeAlertBatch(chatId); continue; }
+    if (user.deliveryMode === 'digest') continue;
+    // Paused, snoozed or in quiet hours: keep the rows held until alerts are back on
+    if (!user.enabled || isUserSnoozed(user)) continue;
+    // Users who switched back to instant get what was held straight away
+    if (user.deliveryMode === 'batch' && now - first < (user.batchMinutes || 15) * 60 * 1000) continue;
+
+    const rows = takeAlertBatch(chatId);
+    if (rows.length === 0) continue;
+    const minutes = Math.max(1, Math.round((now - rows[0].time) / 60000));
+    // One summary per bound forum topic; unbound categories share the general chat
+    for (const [topic, topicRows] of groupBatchByTopic(user, rows)) {
+      const msg = `📦 ━━━ *ALERT SUMMARY* ━━━ 📦
+_${topicRows.length} alert${topicRows.length !== 1 ? 's' : ''} in the last ${minutes}m_
+
+${formatBatchSummary(topicRows)}
+
+⏱ ${fmtTime()} UTC • Orbit`;
+      sent += queueAlert([user], msg, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        ...Markup.inlineKeyboard([
+          [Markup.button.callback('📜 History', 'nav:history'), Markup.button.callback('📦 Delivery', 'nav:settings')],
+        ]),
+      }, null, topic);
+    }
+  }
+  if (sent > 0) log.info(`📦 Sent ${sent} alert summar${sent !== 1 ? 'ies' : 'y'}`);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// PNL LEADERBOARDS (ORBIT DLMM SPECIFIC)
+// POSITION RANGE ALERTS
 // ═══════════════════════════════════════════════════════════════════════════════
+// Checked when a swap moves a pool's active bin: a position whose pool's active bin leaves
+// its range (or comes within the user's edge warning) alerts once per state change, plus an
+// all-clear when an out-of-range position is back in range.
+const RANGE_EDGE_STEPS = [0, 1, 2, 3, 5, 10];
+const positionRangeStates = new Map(); // `${chatId}:${position}` -> 'in' | 'edge' | 'out'
+const rangeWatchers = new Map(); // poolId -> Set<chatId> with synced DLMM positions in it
+const rangeCheckedBins = new Map(); // poolId -> active bin at the last check
+
+// Re-index a user's synced DLMM positions by pool (after load and every portfolio sync)
+function indexRangePositions(user) {
+  for (const [poolId, chatIds] of rangeWatchers) {
+    if (chatIds.delete(user.chatId) && chatIds.size === 0) rangeWatchers.delete(poolId);
+  }
+  for (const pos of user.portfolio?.lpPositions || []) {
+    if (pos.source !== 'dlmm' || !pos.poolId) continue;
+    if (!rangeWatchers.has(pos.poolId)) rangeWatchers.set(pos.poolId, new Set());
+    rangeWatchers.get(pos.poolId).add(user.chatId);
+    // New or re-synced positions get checked on the next swap even if the bin hasn't moved
+    rangeCheckedBins.delete(pos.poolId);
+  }
+}
 
-// Cache for leaderboard data (expensive to compute)
-const leaderboardCache = new BoundedCache(20, 300000); // 5 min TTL
+function getRangeState(status, edgeBins) {
+  if (status.inRange === null || status.inRange === undefined) return null;
+  if (!status.inRange) return 'out';
+  return edgeBins > 0 && status.edgeDistance <= edgeBins ? 'edge' : 'in';
+}
 
-// Fetch trades from Orbit and compute PnL leaderboard
-async function fetchOrbitLeaderboard(poolId, limit = 10) {
-  if (!poolId) return { traders: [], pool: null };
-  
-  const cacheKey = `leaderboard:${poolId}`;
-  const cached = leaderboardCache.get(cacheKey);
-  if (cached) return cached;
-  
-  try {
-    const pool = poolMap.get(poolId);
-    if (!pool) return { traders: [], pool: null };
-    
-    // Fetch recent trades from Orbit API
-    const res = await fetchWithRetry(ORBIT.trades(poolId, 500)); // Get last 500 trades
-    const data = await res.json();
-    
-    const trades = Array.isArray(data) ? data : (data.trades || data.items || []);
-    
-    if (trades.length === 0) {
-      return { traders: [], pool };
-    }
-    
-    // Aggregate trades by wallet
-    const walletStats = new Map();
-    
-    for (const trade of trades) {
-      const wallet = trade.wallet || trade.user || trade.owner || trade.maker || trade.taker;
-      if (!wallet) continue;
-      
-      const isBuy = trade.side === 'buy' || trade.type === 'buy';
-      const usd = parseFloat(trade.usd) || parseFloat(trade.amountUsd) || parseFloat(trade.volumeUsd) || 0;
-      const baseAmount = parseFloat(trade.baseAmount) || parseFloat(trade.amount) || 0;
-      const price = parseFloat(trade.price) || 0;
-      
-      if (!walletStats.has(wallet)) {
-        walletStats.set(wallet, {
-          wallet,
-          buys: 0,
-          sells: 0,
-          buyVolume: 0,
-          sellVolume: 0,
-          buyAmount: 0,
-          sellAmount: 0,
-          totalTrades: 0,
-          firstTrade: trade.timestamp || Date.now(),
-          lastTrade: trade.timestamp || Date.now(),
-        });
-      }
-      
-      const stats = walletStats.get(wallet);
-      stats.totalTrades++;
-      
-      if (isBuy) {
-        stats.buys++;
-        stats.buyVolume += usd;
-        stats.buyAmount += baseAmount;
-      } else {
-        stats.sells++;
-        stats.sellVolume += usd;
-        stats.sellAmount += baseAmount;
-      }
+function checkPositionRanges(pool) {
+  const chatIds = rangeWatchers.get(pool.id);
+  if (!chatIds) return;
+  const activeBin = getPoolActiveBin(pool);
+  if (activeBin === null || rangeCheckedBins.get(pool.id) === activeBin) return;
+  rangeCheckedBins.set(pool.id, activeBin);
+  
+  for (const chatId of chatIds) {
+    const u = users.get(chatId);
+    if (!u) continue;
+    for (const pos of u.portfolio?.lpPositions || []) {
+      if (pos.source !== 'dlmm' || pos.poolId !== pool.id) continue;
+      const status = getBinRangeStatus(pos.lowerBin, pos.upperBin, activeBin);
+      const state = getRangeState(status, u.rangeAlertBins);
+      const key = `${u.chatId}:${pos.position}`;
+      // Before the first check, compare against the state at the last portfolio sync
+      const prev = positionRangeStates.has(key) ? positionRangeStates.get(key) : getRangeState(pos, u.rangeAlertBins);
+      positionRangeStates.set(key, state);
       
-      if (trade.timestamp) {
-        stats.lastTrade = Math.max(stats.lastTrade, trade.timestamp);
-        stats.firstTrade = Math.min(stats.firstTrade, trade.timestamp);
-      }
+      if (!state || state === prev) continue;
+      if (state === 'in' && prev !== 'out') continue; // Leaving the edge zone isn't news
+      broadcastRangeAlert(u, { pool, pos, status, activeBin, state, prev });
     }
-    
-    // Calculate PnL for each wallet
-    const currentPrice = getPrice(pool.baseMint) || 0;
-    
-    const traders = [...walletStats.values()].map(stats => {
-      // PnL: cost-basis-adjusted realized + unrealized
-      const remainingTokens = stats.buyAmount - stats.sellAmount;
-      const avgCostPerToken = stats.buyAmount > 0 ? stats.buyVolume / stats.buyAmount : 0;
-      const soldCostBasis = stats.sellAmount * avgCostPerToken;
-      const realizedPnl = stats.sellVolume - soldCostBasis;
-      const remainingCostBasis = remainingTokens > 0 ? remainingTokens * avgCostPerToken : 0;
-      const unrealizedValue = remainingTokens > 0 ? remainingTokens * currentPrice : 0;
-      const totalPnl = realizedPnl + (unrealizedValue - remainingCostBasis);
-      
-      const totalVolume = stats.buyVolume + stats.sellVolume;
-      const pnlPercent = stats.buyVolume > 0 ? (totalPnl / stats.buyVolume) * 100 : 0;
-      
-      return {
-        wallet: stats.wallet,
-        shortWallet: shortAddr(stats.wallet),
-        pnl: totalPnl,
-        pnlPercent: isFinite(pnlPercent) ? pnlPercent : 0,
-        volume: totalVolume,
-        trades: stats.totalTrades,
-        buys: stats.buys,
-        sells: stats.sells,
-        buyVolume: stats.buyVolume,
-        sellVolume: stats.sellVolume,
-        holding: remainingTokens,
-        holdingUsd: unrealizedValue,
-      };
-    })
-    .filter(t => t.trades >= 2 && t.volume > 10) // Min 2 trades and $10 volume
-    .sort((a, b) => b.pnl - a.pnl) // Sort by PnL
-    .slice(0, limit)
-    .map((t, i) => ({ ...t, rank: i + 1 }));
-    
-    const result = { traders, pool };
-    leaderboardCache.set(cacheKey, result);
-    
-    return result;
-  } catch (e) {
-    log.error('Orbit leaderboard fetch error:', e.message);
-    return { traders: [], pool: null };
   }
 }
 
-// Fetch leaderboard for a token (finds best Orbit pool)
-async function fetchPnLLeaderboard(mintOrPoolId, limit = 10) {
-  // Check if it's a pool ID
-  if (poolMap.has(mintOrPoolId)) {
-    return fetchOrbitLeaderboard(mintOrPoolId, limit);
+function broadcastRangeAlert(user, { pool, pos, status, activeBin, state, prev }) {
+  if (!user.enabled || user.blocked || isUserSnoozed(user)) return;
+  const event = buildAlertEvent('range', { pool, usd: pos.valueUsd });
+  const action = routeForDelivery(user, event);
+  const recent = { type: 'range', pair: pool.pairName, usd: pos.valueUsd || 0, sig: null };
+  if (action === 'digest') return holdForDigest(user, recent);
+  if (action !== 'notify') return;
+  
+  const range = `${pos.lowerBin} → ${pos.upperBin}`;
+  const backIn = prev === 'out';
+  let header, line;
+  if (state === 'out') {
+    const n = Math.abs(status.outsideBy);
+    header = '🔴 ━━━ *OUT OF RANGE* ━━━ 🔴';
+    line = `Active bin ${activeBin} is ${n} bin${n !== 1 ? 's' : ''} ${status.outsideBy > 0 ? 'above' : 'below'} your range (${range})\n💤 Not earning fees until price returns`;
+  } else if (backIn) {
+    header = '🟢 ━━━ *BACK IN RANGE* ━━━ 🟢';
+    line = `Active bin ${activeBin} is inside your range (${range}) again\n💰 Earning fees`;
+  } else {
+    const side = activeBin - pos.lowerBin <= pos.upperBin - activeBin ? 'lower' : 'upper';
+    header = '⚠️ ━━━ *NEAR RANGE EDGE* ━━━ ⚠️';
+    line = `Active bin ${activeBin} is ${status.edgeDistance} bin${status.edgeDistance !== 1 ? 's' : ''} from your ${side} edge (${range})`;
   }
   
-  // Find Orbit pools for this token
-  const tokenPools = pools.filter(p => 
-    p.baseMint === mintOrPoolId || 
-    p.quoteMint === mintOrPoolId
-  );
-  
-  if (tokenPools.length === 0) {
-    // No Orbit pools for this token
-    return { 
-      traders: [], 
-      pool: null,
-      error: 'This token has no Orbit DLMM pools. Only Orbit pools are tracked.'
-    };
-  }
+  const msg = `${header}
+*${escMd(pool.pairName)}*
+${line}
+💧 Position: ${fmt(pos.valueUsd || 0)}
+
+⏱ ${fmtTime()} UTC • Orbit`;
   
-  // Use the pool with most activity (or first CIPHER pool)
-  const pool = tokenPools.find(p => p.isCipher) || tokenPools[0];
-  return fetchOrbitLeaderboard(pool.id, limit);
+  queueAlert([user], msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...Markup.inlineKeyboard([
+      [Markup.button.callback('💧 Position', `view:lp:${pos.position}`), Markup.button.url('🔍 Pool', `https://markets.cipherlabsx.com/pools/${pool.id}`)],
+    ]),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent });
 }
 
-// Format PnL leaderboard message
-function formatLeaderboardMessage(data) {
-  if (data.error) {
-    return `❌ *Not Available*\n\n${data.error}`;
+// ═══════════════════════════════════════════════════════════════════════════════
+// UNUSUAL ACTIVITY (volume spikes)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every swap from processTrade lands in per-minute buckets. A pool's rolling 5m and 1h
+// volume and trade count are compared with the median of the same window over the last
+// 24h. Until the bot has been up for 6h, the baseline is the 24h average from fetchVolumes.
+
+const ACTIVITY_BUCKET_MS = 60 * 1000;
+const SPIKE_WINDOWS = { '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000 };
+const SPIKE_COOLDOWN_MS = 60 * 60 * 1000;
+const SPIKE_MIN_TRADES = 5;
+const SPIKE_MIN_HISTORY_MS = 6 * 60 * 60 * 1000;
+const poolActivity = new Map(); // poolId -> Map(minute -> { usd, buyUsd, trades })
+const spikeCooldowns = new Map(); // poolId -> last alert time
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// `time` is when the trade happened; backfilled trades pass their own and skip the spike check
+function noteTradeActivity(pool, { usd, isBuy }, time = Date.now(), checkSpike = true) {
+  let buckets = poolActivity.get(pool.id);
+  if (!buckets) {
+    buckets = new Map();
+    poolActivity.set(pool.id, buckets);
   }
+  const minute = Math.floor(time / ACTIVITY_BUCKET_MS) * ACTIVITY_BUCKET_MS;
+  const isNew = !buckets.has(minute);
+  const bucket = buckets.get(minute) || { usd: 0, buyUsd: 0, trades: 0 };
+  bucket.usd += usd || 0;
+  if (isBuy) bucket.buyUsd += usd || 0;
+  bucket.trades++;
+  buckets.set(minute, bucket);
   
-  if (!data.traders || data.traders.length === 0) {
-    return `❌ *No leaderboard data*\n\nNo recent trading activity found for this Orbit pool.`;
+  // Keep buckets in time order (a backfilled minute can land behind newer ones)
+  const newest = [...buckets.keys()].at(-1);
+  if (isNew && minute < newest) {
+    buckets = new Map([...buckets].sort((a, b) => a[0] - b[0]));
+    poolActivity.set(pool.id, buckets);
   }
   
-  const { traders, pool } = data;
-  const symbol = pool?.pairName || 'POOL';
+  // Stale buckets sit at the front
+  const cutoff = Date.now() - DAY_MS - SPIKE_WINDOWS['1h'];
+  for (const t of buckets.keys()) {
+    if (t >= cutoff) break;
+    buckets.delete(t);
+  }
   
-  let msg = `🏆 *ORBIT DLMM LEADERBOARD*\n`;
-  msg += `━━━━━━━━━━━━━━━━━━━━━\n`;
-  msg += `📊 *${escMd(symbol)}*`;
-  if (pool) {
-    const price = getPrice(pool.baseMint);
-    if (price) msg += ` • ${fmtPrice(price)}`;
+  if (checkSpike) checkActivitySpike(pool);
+}
+
+function sumActivity(buckets, from, to) {
+  const total = { usd: 0, buyUsd: 0, trades: 0 };
+  for (const [t, b] of buckets || []) {
+    if (t < from || t >= to) continue;
+    total.usd += b.usd;
+    total.buyUsd += b.buyUsd;
+    total.trades += b.trades;
   }
-  msg += `\n\n`;
+  return total;
+}
+
+// Median volume and trades per window over the previous 24h (excluding the current window)
+function getActivityBaseline(poolId, windowMs, now) {
+  const since = now - windowMs;
+  if (now - botStartTime >= SPIKE_MIN_HISTORY_MS) {
+    // Windows before the bot started have no data, so they're left out rather than counted as zero
+    const count = Math.floor((since - Math.max(botStartTime, now - DAY_MS)) / windowMs);
+    const usd = new Array(count).fill(0);
+    const trades = new Array(count).fill(0);
+    for (const [t, b] of poolActivity.get(poolId) || []) {
+      const i = Math.floor((since - 1 - t) / windowMs);
+      if (t >= since || i >= count) continue;
+      usd[i] += b.usd;
+      trades[i] += b.trades;
+    }
+    if (count > 0) return { usd: median(usd), trades: median(trades), source: '24h median' };
+  }
+  
+  const v = orbitVolumes.pools?.[poolId];
+  if (!v?.volume24h) return null;
+  const share = windowMs / DAY_MS;
+  return { usd: v.volume24h * share, trades: (v.trades24h || 0) * share, source: '24h average' };
+}
+
+function checkActivitySpike(pool, now = Date.now()) {
+  if (now - (spikeCooldowns.get(pool.id) || 0) < SPIKE_COOLDOWN_MS) return;
+  const buckets = poolActivity.get(pool.id);
   
-  traders.forEach((t, i) => {
-    const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`;
-    const pnlIcon = t.pnl >= 0 ? '🟢' : '🔴';
-    const pnlStr = t.pnl >= 0 ? `+${fmt(t.pnl)}` : fmt(t.pnl);
+  for (const [label, windowMs] of Object.entries(SPIKE_WINDOWS)) {
+    const current = sumActivity(buckets, now - windowMs, now + ACTIVITY_BUCKET_MS);
+    if (current.usd < CONFIG.spikeMinUsd || current.trades < SPIKE_MIN_TRADES) continue;
+    const baseline = getActivityBaseline(pool.id, windowMs, now);
+    if (!baseline) continue;
     
-    msg += `${medal} \`${t.shortWallet}\`\n`;
-    msg += `   ${pnlIcon} *${pnlStr}*`;
-    if (t.pnlPercent && isFinite(t.pnlPercent)) {
-      msg += ` (${t.pnlPercent > 0 ? '+' : ''}${t.pnlPercent.toFixed(1)}%)`;
-    }
-    msg += `\n`;
-    msg += `   📈 ${t.trades} trades • Vol: ${fmt(t.volume)}\n`;
-    if (t.holding > 0 && t.holdingUsd > 1) {
-      msg += `   💎 Holding: ${fmt(t.holdingUsd)}\n`;
-    }
-    msg += `\n`;
-  });
+    const volumeRatio = baseline.usd > 0 ? current.usd / baseline.usd : Infinity;
+    const tradeRatio = baseline.trades > 0 ? current.trades / baseline.trades : Infinity;
+    if (volumeRatio < CONFIG.spikeMultiplier && tradeRatio < CONFIG.spikeMultiplier) continue;
+    
+    // One alert per pool per hour: a 5m spike would otherwise repeat as a 1h spike
+    spikeCooldowns.set(pool.id, now);
+    broadcastSpikeAlert({ pool, label, current, baseline, volumeRatio, tradeRatio })
+      .catch(e => log.debug('Spike alert failed:', e.message));
+    return;
+  }
+}
+
+async function broadcastSpikeAlert({ pool, label, current, baseline, volumeRatio, tradeRatio }) {
+  const event = buildAlertEvent('spike', { pool, usd: current.usd });
+  const recent = { type: 'spike', pair: pool.pairName, usd: current.usd };
+  const toNotify = [];
+  
+  for (const user of users.values()) {
+    if (!user.enabled || user.blocked || isUserSnoozed(user)) continue;
+    const action = routeForDelivery(user, event);
+    if (action === 'notify') toNotify.push(user);
+    else if (action === 'digest') holdForDigest(user, recent);
+  }
   
-  msg += `_Updated ${fmtTime()} UTC_`;
+  log.info(`📈 Spike: ${pool.pairName} ${fmt(current.usd)} in ${label} (${Number.isFinite(volumeRatio) ? volumeRatio.toFixed(1) : '∞'}x) → ${toNotify.length} user(s)`);
+  if (toNotify.length === 0) return;
   
-  return msg;
+  const ratio = (r) => Number.isFinite(r) ? `${r.toFixed(1)}x` : 'new';
+  const buyPct = current.usd > 0 ? Math.round((current.buyUsd / current.usd) * 100) : 0;
+  const msg = `📈 ━━━ *UNUSUAL ACTIVITY* ━━━ 📈
+*${escMd(pool.pairName)}*${pool.isCipher ? ' 🔷' : ''}
+
+💵 *${fmt(current.usd)}* in the last ${label} • ${current.trades} trades
+📊 Volume ${ratio(volumeRatio)} usual • Trades ${ratio(tradeRatio)} usual
+🟢 ${buyPct}% buys / 🔴 ${100 - buyPct}% sells
+_Usual ${label}: ${fmt(baseline.usd)} • ${baseline.trades.toFixed(1)} trades (${baseline.source})_
+
+⏱ ${fmtTime()} UTC • Orbit`;
+  
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...Markup.inlineKeyboard([
+      [Markup.button.callback('📊 Chart', `chart:${pool.id}:15m`), Markup.button.callback('💎 Pool', `view:pool:${pool.id}`)],
+      [Markup.button.callback('🔕 Snooze 1h', 'snooze:alert:60')],
+    ]),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// OHLCV CHART GENERATION
+// TVL DRAIN WARNINGS
 // ═══════════════════════════════════════════════════════════════════════════════
+// The drop is measured on the API's TVL from pool refreshes. USD TVL also falls when the
+// pool's token crashes, so a drop only counts as a drain when LP withdrawals seen in the same
+// window account for at least half of it. A drop of CONFIG.tvlDrainPct within the window
+// backed by withdrawals, or any admin withdrawal, is a high-priority alert:
+// it ignores snooze, quiet hours and digest rules (rules can still mute it, and digest-only
+// delivery holds it for the digest).
+
+const TVL_DRAIN_MIN_USD = 1000; // Ignore pools too small for a drop to mean anything
+const TVL_DRAIN_WITHDRAWN_SHARE = 0.5; // Share of the drop that withdrawals must explain
+const poolTvlHistory = new Map(); // poolId -> [{ time, tvl }]
+const poolWithdrawals = new Map(); // poolId -> [{ time, wallet, usd, sig, admin }]
+const drainCooldowns = new Map(); // poolId -> last alert time
+
+const getTvlDrainWindowMs = () => CONFIG.tvlDrainWindowMin * 60 * 1000;
+
+function pruneWindow(list, now) {
+  const since = now - getTvlDrainWindowMs();
+  while (list.length && list[0].time < since) list.shift();
+}
 
-// Fetch OHLCV candle data
-async function fetchOHLCVData(poolId, timeframe = '1h', limit = 48) {
-  if (!poolId) return [];
+function notePoolTvl(pool, tvl, now = Date.now()) {
+  let history = poolTvlHistory.get(pool.id);
+  if (!history) {
+    history = [];
+    poolTvlHistory.set(pool.id, history);
+  }
+  history.push({ time: now, tvl });
+  pruneWindow(history, now);
+  checkTvlDrain(pool, now);
+}
+
+// Called by processLpEvent after the event is recorded
+function noteLiquidityChange(pool, { isAdd, usd, wallet, sig, admin }, now = Date.now()) {
   
-  try {
-    // Try Orbit API first
-    const res = await fetchWithRetry(ORBIT.candles(poolId, timeframe, limit));
-    const data = await res.json();
-    
-    if (Array.isArray(data) && data.length > 0) {
-      return data.map(c => ({
-        time: c.time || c.timestamp || c.t || 0,
-        open: parseFloat(c.open || c.o) || 0,
-        high: parseFloat(c.high || c.h) || 0,
-        low: parseFloat(c.low || c.l) || 0,
-        close: parseFloat(c.close || c.c) || 0,
-        volume: parseFloat(c.volume || c.v) || 0,
-      })).filter(c => c.time > 0).sort((a, b) => a.time - b.time);
+  if (!isAdd) {
+    let withdrawals = poolWithdrawals.get(pool.id);
+    if (!withdrawals) {
+      withdrawals = [];
+      poolWithdrawals.set(pool.id, withdrawals);
     }
-    
-    return [];
-  } catch (e) {
-    log.debug('OHLCV fetch error:', e.message);
-    return [];
+    withdrawals.push({ time: now, wallet, usd, sig, admin });
+    pruneWindow(withdrawals, now);
+  }
+  
+  if (admin) {
+    // Sent on its own, so the next drain check shouldn't repeat it
+    drainCooldowns.set(pool.id, now);
+    const before = poolTvlHistory.get(pool.id)?.at(-1)?.tvl ?? (pool.tvl || pool.liquidity || 0);
+    broadcastDrainAlert({ pool, admin: true, before, after: Math.max(0, before - usd), usd, wallet, sig })
+      .catch(e => log.debug('Drain alert failed:', e.message));
   }
 }
 
-// Generate price chart image
-async function generatePriceChart(candles, symbol, timeframe = '1h') {
-  if (!candles || candles.length < 2) return null;
+function checkTvlDrain(pool, now = Date.now()) {
+  const windowMs = getTvlDrainWindowMs();
+  if (now - (drainCooldowns.get(pool.id) || 0) < windowMs) return;
+  const history = poolTvlHistory.get(pool.id) || [];
+  if (history.length < 2) return;
+  
+  const peak = history.reduce((best, p) => (p.tvl > best.tvl ? p : best));
+  const current = history.at(-1).tvl;
+  if (peak.tvl < TVL_DRAIN_MIN_USD) return;
+  const dropPct = ((peak.tvl - current) / peak.tvl) * 100;
+  if (dropPct < CONFIG.tvlDrainPct) return;
+  
+  // A price move shrinks USD TVL without anyone pulling liquidity
+  const withdrawals = (poolWithdrawals.get(pool.id) || []).filter(w => w.time >= peak.time);
+  const withdrawnUsd = withdrawals.reduce((sum, w) => sum + (w.usd || 0), 0);
+  if (withdrawnUsd < (peak.tvl - current) * TVL_DRAIN_WITHDRAWN_SHARE) return;
+  
+  drainCooldowns.set(pool.id, now);
+  broadcastDrainAlert({ pool, before: peak.tvl, after: current, minutes: Math.max(1, Math.round((now - peak.time) / 60000)), withdrawals })
+    .catch(e => log.debug('Drain alert failed:', e.message));
+}
+
+// Withdrawals grouped by wallet, largest first
+function summarizeWithdrawers(withdrawals) {
+  const byWallet = new Map();
+  for (const w of withdrawals) {
+    const key = w.wallet || 'unknown';
+    const entry = byWallet.get(key) || { wallet: w.wallet, usd: 0, count: 0, admin: false };
+    entry.usd += w.usd || 0;
+    entry.count++;
+    entry.admin = entry.admin || !!w.admin;
+    byWallet.set(key, entry);
+  }
+  return [...byWallet.values()].sort((a, b) => b.usd - a.usd);
+}
+
+async function broadcastDrainAlert({ pool, admin = false, before, after, minutes, usd, wallet, sig, withdrawals = [] }) {
+  const dropPct = before > 0 ? ((before - after) / before) * 100 : 0;
+  const event = buildAlertEvent('drain', { pool, side: 'remove', usd: admin ? usd : before - after, trader: wallet });
+  const recent = { type: 'drain', pair: pool.pairName, usd: admin ? usd : before - after, sig };
+  const toNotify = [];
   
-  try {
-    const renderer = getChartRenderer();
-    // Prepare data
-    const labels = candles.map(c => {
-      const d = dayjs(c.time * 1000);
-      return timeframe.includes('d') ? d.format('MMM D') : d.format('HH:mm');
-    });
-    
-    const prices = candles.map(c => c.close);
-    const volumes = candles.map(c => c.volume);
-    
-    // Determine if price went up or down
-    const startPrice = prices[0];
-    const endPrice = prices[prices.length - 1];
-    const priceUp = endPrice >= startPrice;
-    const lineColor = priceUp ? '#00ff88' : '#ff4444';
-    const fillColor = priceUp ? 'rgba(0, 255, 136, 0.1)' : 'rgba(255, 68, 68, 0.1)';
-    
-    const config = {
-      type: 'line',
-      data: {
-        labels,
-        datasets: [{
-          label: `${symbol} Price`,
-          data: prices,
-          borderColor: lineColor,
-          backgroundColor: fillColor,
-          fill: true,
-          tension: 0.4,
-          pointRadius: 0,
-          borderWidth: 2,
-        }]
-      },
-      options: {
-        responsive: false,
-        plugins: {
-          legend: { display: false },
-          title: {
-            display: true,
-            text: `${symbol} • ${timeframe.toUpperCase()}`,
-            color: '#ffffff',
-            font: { size: 16, weight: 'bold' }
-          }
-        },
-        scales: {
-          x: {
-            grid: { color: 'rgba(255,255,255,0.1)' },
-            ticks: { color: '#888', maxTicksLimit: 8 }
-          },
-          y: {
-            grid: { color: 'rgba(255,255,255,0.1)' },
-            ticks: { 
-              color: '#888',
-              callback: (v) => '$' + formatNumber(v)
-            }
-          }
-        }
-      }
-    };
-    
-    const buffer = await renderer.renderToBuffer(config);
-    return buffer;
-  } catch (e) {
-    log.error('Chart generation error:', e.message);
-    return null;
+  for (const user of users.values()) {
+    if (!user.enabled || user.blocked) continue;
+    // Digest rules can't hold a drain back, but a digest-only delivery mode does
+    if (routeAlert(user, event) === 'mute') continue;
+    if (user.deliveryMode === 'digest') holdForDigest(user, recent);
+    else toNotify.push(user);
+  }
+  
+  log.warn(`🚨 ${admin ? 'Admin withdrawal' : 'TVL drain'}: ${pool.pairName} ${fmt(before)} → ${fmt(after)} (-${dropPct.toFixed(0)}%) → ${toNotify.length} user(s)`);
+  if (toNotify.length === 0) return;
+  
+  let msg;
+  if (admin) {
+    msg = `🚨 ━━━ *ADMIN LIQUIDITY WITHDRAWAL* ━━━ 🚨
+*${escMd(pool.pairName)}*
+
+💵 *${fmt(usd)}* pulled by the pool admin
+👤 ${wallet ? `\`${wallet}\`` : 'Unknown wallet'}
+💧 TVL ${fmt(before)} → ${fmt(after)} (-${dropPct.toFixed(0)}%)`;
+  } else {
+    const withdrawers = summarizeWithdrawers(withdrawals);
+    const lines = withdrawers.slice(0, 5).map(w =>
+      `• ${w.wallet ? `\`${shortAddr(w.wallet)}\`` : 'unknown'} — ${fmt(w.usd)}${w.count > 1 ? ` (${w.count}x)` : ''}${w.admin ? ' ⚠️ admin' : ''}`);
+    if (withdrawers.length > 5) lines.push(`_+${withdrawers.length - 5} more_`);
+    msg = `🚨 ━━━ *TVL DRAIN* ━━━ 🚨
+*${escMd(pool.pairName)}*
+
+📉 TVL down *${dropPct.toFixed(0)}%* in ${minutes}m
+💧 ${fmt(before)} → ${fmt(after)}
+
+*Withdrawn by:*
+${lines.join('\n')}`;
   }
+  msg += `\n\n⏱ ${fmtTime()} UTC • Orbit`;
+  
+  const btns = [[Markup.button.callback('💧 LP History', `liqhistory:${pool.id}`), Markup.button.callback('💎 Pool', `view:pool:${pool.id}`)]];
+  if (sig) btns.push([Markup.button.url('🔍 View TX', `https://solscan.io/tx/${sig}`)]);
+  
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...Markup.inlineKeyboard(btns),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent }, 'lp');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// ENHANCED LIQUIDITY TRACKING
+// BACKFILL (gap recovery after downtime)
 // ═══════════════════════════════════════════════════════════════════════════════
+// Every stored trade moves its pool's checkpoint forward. After a restart or a WS
+// reconnect each pool is re-read from ORBIT.trades back to that checkpoint; recent
+// gaps are alerted with a "delayed" tag, older ones are only recorded.
+const poolCheckpoints = new Map(); // poolId -> { sig, time }
+let isBackfillRunning = false;
 
-// Track significant liquidity changes
-const recentLiquidityEvents = new BoundedCache(100, 3600000); // 1 hour TTL
+function loadPoolCheckpoints() {
+  if (!db) return;
+  try {
+    // Pools with stored trades but no checkpoint yet resume from their newest trade
+    db.prepare(`
+      INSERT OR IGNORE INTO pool_checkpoints (pool_id, last_sig, last_time)
+      SELECT pool_id, sig, MAX(time) FROM trades GROUP BY pool_id
+    `).run();
+    const rows = db.prepare('SELECT * FROM pool_checkpoints').all();
+    rows.forEach(r => poolCheckpoints.set(r.pool_id, { sig: r.last_sig, time: r.last_time || 0 }));
+    log.info(`✅ Loaded ${rows.length} pool checkpoints`);
+  } catch (e) {
+    log.error('Failed to load pool checkpoints:', e.message);
+  }
+}
 
-function recordLiquidityEvent(event) {
-  const key = `${event.poolId}_${event.timestamp}`;
-  recentLiquidityEvents.set(key, event);
+function savePoolCheckpoint(poolId, cp) {
+  poolCheckpoints.set(poolId, cp);
+  if (!db) return;
+  try {
+    db.prepare(`
+      INSERT INTO pool_checkpoints (pool_id, last_sig, last_time, updated_at)
+      VALUES (@poolId, @sig, @time, @now)
+      ON CONFLICT(pool_id) DO UPDATE SET last_sig = @sig, last_time = @time, updated_at = @now
+    `).run({ poolId, sig: cp.sig || null, time: cp.time || 0, now: Date.now() });
+  } catch (e) { log.debug('savePoolCheckpoint error:', e.message); }
 }
 
-// Get liquidity history for a pool
-function getLiquidityHistory(poolId, limit = 20) {
-  const events = [];
-  for (const [key, event] of recentLiquidityEvents.cache.entries()) {
-    if (event.value.poolId === poolId) {
-      events.push(event.value);
+// Only ever moves forward, so an old trade arriving late can't rewind the checkpoint
+function advancePoolCheckpoint(poolId, { sig, time }) {
+  const cp = poolCheckpoints.get(poolId);
+  if (cp && cp.time >= time) return;
+  savePoolCheckpoint(poolId, { sig, time });
+}
+
+// Fill one pool's gap since its checkpoint. Returns the number of new trades found.
+async function backfillPool(pool, { limit = CONFIG.backfillMaxTrades } = {}) {
+  const res = await fetchWithRetry(ORBIT.trades(pool.id, limit), {}, 1);
+  const data = await res.json();
+  const trades = Array.isArray(data) ? data : (data?.trades || data?.items || []);
+  const cp = poolCheckpoints.get(pool.id);
+
+  // Newest first: collect until we reach the checkpoint
+  const missed = [];
+  let reachedCheckpoint = !cp;
+  for (const trade of trades) {
+    const sig = trade.signature || trade.txId || trade.id;
+    if (!sig) continue;
+    if (cp && (sig === cp.sig || toMs(trade.timestamp || trade.blockTime || trade.time) < cp.time)) {
+      reachedCheckpoint = true;
+      break;
     }
+    if (!seenTxs.has(sig)) missed.push({ trade, sig });
   }
-  return events
-    .sort((a, b) => b.timestamp - a.timestamp)
-    .slice(0, limit);
+  if (!reachedCheckpoint && trades.length >= limit) {
+    log.warn(`⚠️ Backfill: ${pool.pairName} gap is larger than ${limit} trades, older trades were skipped`);
+  }
+
+  // First sight of a pool: record what's there, but don't alert on history
+  const silentAll = !cp;
+  const now = Date.now();
+  const maxAlertAge = CONFIG.backfillAlertMaxAgeMinutes * 60000;
+  let alerted = false;
+
+  for (const { trade, sig } of missed.reverse()) {
+    seenTxs.add(sig);
+    persistSeenTx(sig);
+    const usd = estimateTradeUsd(trade, pool);
+    const isBuy = trade.side === 'buy';
+    const age = now - toMs(trade.timestamp || trade.blockTime || trade.time);
+
+    recordTrade({ pool, trade, usd, isBuy, sig, confidence: 'low' });
+    // Counted at the time it happened, so the spike baseline covers the downtime too
+    noteTradeActivity(pool, { usd, isBuy }, Number.isFinite(age) ? now - age : Date.now(), false);
+    if (silentAll || age > maxAlertAge) continue;
+    alerted = true;
+
+    notePoolTradePrice({ pool, trade, usd, isBuy });
+    // A minute late is normal for the polling path; beyond that, say so
+    const delayedMs = age > 60000 ? age : 0;
+    broadcastTradeAlert({ pool, trade, usd, isBuy, sig, delayedMs }).catch(e => log.debug('Trade alert failed:', e.message));
+  }
+  if (alerted) checkActivitySpike(pool);
+  return missed.length;
 }
 
-// Format liquidity history message
-function formatLiquidityHistory(poolId) {
-  const pool = poolMap.get(poolId);
-  if (!pool) return '❌ Pool not found';
-  
-  const events = getLiquidityHistory(poolId);
-  
-  if (events.length === 0) {
-    return `💧 *Liquidity History*\n\n*${escMd(pool.pairName)}*\n\n_No recent liquidity events_`;
+// Backfill every pool; runs on startup and whenever the Orbit WS (re)connects
+async function runBackfill(reason) {
+  if (isBackfillRunning || pools.length === 0) return;
+  isBackfillRunning = true;
+  const started = Date.now();
+  let recovered = 0;
+  try {
+    log.info(`🔄 Backfill (${reason}): scanning ${pools.length} pools`);
+    for (const pool of pools) {
+      if (shutdownRequested) break;
+      try {
+        recovered += await backfillPool(pool);
+      } catch (e) {
+        log.debug(`Backfill error for pool ${pool.id}:`, e.message);
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
+    cleanSeenTxs();
+    log.info(`✅ Backfill (${reason}): recovered ${recovered} trades in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  } finally {
+    isBackfillRunning = false;
   }
-  
-  let msg = `💧 *Liquidity History*\n`;
-  msg += `━━━━━━━━━━━━━━━━━━━━━\n`;
-  msg += `*${escMd(pool.pairName)}*\n\n`;
-  
-  events.forEach(e => {
-    const icon = e.isAdd ? '🟢 ADD' : '🔴 REMOVE';
-    const time = timeAgo(e.timestamp);
-    msg += `${icon} • ${fmt(e.usd)} • ${time}\n`;
-  });
-  
-  return msg;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -4037,6 +8428,7 @@ function formatLiquidityHistory(poolId) {
 // ═══════════════════════════════════════════════════════════════════════════════
 let orbitWs = null;
 let orbitWsRunning = false;
+let orbitWsConnectedOnce = false; // first 'open' is startup, later ones are reconnects
 let shutdownRequested = false;
 const activeIntervals = [];
 const activeCronJobs = [];
@@ -4090,6 +8482,8 @@ async function connectOrbitWs() {
 
     orbitWs.on('open', () => {
       log.info('✅ Orbit WS connected');
+      const reason = orbitWsConnectedOnce ? 'reconnect' : 'startup';
+      orbitWsConnectedOnce = true;
       orbitWsReconnectAttempts = 0; // Reset backoff on successful connect
       pools.forEach(p => {
         try {
@@ -4113,6 +8507,9 @@ async function connectOrbitWs() {
       }, 30000);
 
       orbitWs.on('pong', () => { orbitPongReceived = true; });
+
+      // Catch up on whatever happened while we weren't listening
+      runBackfill(reason).catch(e => log.error('Backfill failed:', e.message));
     });
 
     orbitWs.on('message', (data) => {
@@ -4163,6 +8560,11 @@ function handleOrbitMessage(msg) {
   
   // Use the improved discriminator-based detection
   const detection = detectTransactionType(msg);
+
+  // Decode the event body from the logs; only trust it for pools we know about
+  let decoded = decodeEventFromLogs(msg.logs);
+  if (decoded?.data?.pool && !poolMap.has(decoded.data.pool)) decoded = null;
+  if (decoded) log.debug(`🧬 Decoded ${decoded.name} for ${shortAddr(decoded.data.pool || '')}`);
   
   log.debug(`📨 WS: Detected ${detection.type} | Direction: ${detection.direction} | Confidence: ${detection.confidence}`);
   
@@ -4173,30 +8575,40 @@ function handleOrbitMessage(msg) {
   }
   
   // Extract common fields
-  const poolId = msg.pool || msg.poolId || msg.poolAddress || msg.pair;
-  const user = msg.user || msg.wallet || msg.owner || msg.trader || msg.maker;
+  const poolId = msg.pool || msg.poolId || msg.poolAddress || msg.pair || decoded?.data?.pool;
+  const decodedActor = decoded?.data?.user || decoded?.data?.owner || decoded?.data?.authority;
+  const user = decodedActor || msg.user || msg.wallet || msg.owner || msg.trader || msg.maker;
   const timestamp = msg.timestamp || msg.ts || msg.time || Date.now();
+  const details = describeDecodedEvent(decoded);
+
+  // Exact base/quote amounts for swaps and LP events feed USD estimation and history
+  const exact = decoded && getExactEventFields(decoded, poolMap.get(poolId));
+  if (exact?.endBin !== undefined) notePoolActiveBin(poolId, exact.endBin);
+  if (exact) {
+    msg = { ...msg, pool: poolId, _exact: exact };
+    if (msg.trade) msg.trade = { ...msg.trade, _exact: exact };
+  }
   
   // Route to appropriate handler
   switch (detection.type) {
     case TX_TYPE.SWAP:
       log.info(`📊 Trade: ${detection.direction || 'unknown'} [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
-      processTrade({ ...msg, _detectedDirection: detection.direction });
+      processTrade({ ...msg, _detectedDirection: exact?.side || detection.direction, _confidence: detection.confidence });
       break;
 
     case TX_TYPE.LP_ADD:
       log.info(`💧 LP Add [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
-      processLpEvent({ ...msg, _isAdd: true });
+      processLpEvent({ ...msg, _isAdd: true, _confidence: detection.confidence });
       break;
 
     case TX_TYPE.LP_REMOVE:
       log.info(`🔥 LP Remove [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
-      processLpEvent({ ...msg, _isAdd: false });
+      processLpEvent({ ...msg, _isAdd: false, _eventName: detection.eventName || decoded?.name, _confidence: detection.confidence });
       break;
 
     case TX_TYPE.CLOSE_POSITION:
       log.info(`🗑️ Close Position [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
-      processLpEvent({ ...msg, _isAdd: false });
+      processLpEvent({ ...msg, _isAdd: false, _confidence: detection.confidence });
       break;
 
     case TX_TYPE.POOL_INIT:
@@ -4211,6 +8623,11 @@ function handleOrbitMessage(msg) {
     case TX_TYPE.FEES_DISTRIBUTED:
       log.info(`💸 Fees Distributed [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
       if (sig) { seenTxs.add(sig); persistSeenTx(sig); }
+      if (decoded?.name === 'FeesDistributed') {
+        const d = decoded.data;
+        log.info(`   base=${d.baseFees} quote=${d.quoteFees} holders=${d.holderShare} nft=${d.nftShare} protocol=${d.protocolShare}`);
+        recordPoolFees({ pool: poolMap.get(d.pool || poolId), sig, data: d });
+      }
       break;
 
     case TX_TYPE.CLAIM_REWARDS:
@@ -4222,7 +8639,7 @@ function handleOrbitMessage(msg) {
     case TX_TYPE.LOCK_LIQUIDITY:
       log.info(`🔒 Liquidity Locked [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
       if (sig) { seenTxs.add(sig); persistSeenTx(sig); }
-      broadcastLockAlert({ poolId, isLock: true, user, sig, timestamp }).catch(e => log.debug('Lock alert failed:', e.message));
+      broadcastLockAlert({ poolId, isLock: true, user, sig, timestamp, details }).catch(e => log.debug('Lock alert failed:', e.message));
       break;
 
     case TX_TYPE.UNLOCK_LIQUIDITY:
@@ -4251,7 +8668,7 @@ function handleOrbitMessage(msg) {
     case TX_TYPE.ADMIN:
       log.info(`⚠️ Admin Action [${sig?.slice(0,8) || 'no-sig'}...] conf:${detection.confidence}`);
       if (sig) { seenTxs.add(sig); persistSeenTx(sig); }
-      broadcastAdminAlert({ poolId, user, sig, timestamp, eventName: detection.eventName }).catch(e => log.debug('Admin alert failed:', e.message));
+      broadcastAdminAlert({ poolId, user, sig, timestamp, eventName: detection.eventName || decoded?.name, details }).catch(e => log.debug('Admin alert failed:', e.message));
       break;
 
     case TX_TYPE.SETUP:
@@ -4304,7 +8721,15 @@ function processTrade(msg) {
   
   // Log for debugging
   log.info(`📊 Trade: ${pool.pairName} ${isBuy ? 'BUY' : 'SELL'} $${usd.toFixed(0)} [${sig.slice(0,8)}...]`);
-  
+
+  recordTrade({ pool, trade, usd, isBuy, sig, confidence: msg._confidence });
+  notePoolTradePrice({ pool, trade, usd, isBuy });
+
+  // The swap may have moved the active bin out of (or back into) someone's range
+  notePoolActiveBin(poolId, msg._exact?.endBin ?? trade.endBinId ?? trade.end_bin_id ?? trade.activeBinId);
+  checkPositionRanges(pool);
+  noteTradeActivity(pool, { usd, isBuy });
+
   broadcastTradeAlert({ pool, trade, usd, isBuy, sig }).catch(e => log.debug('Trade alert failed:', e.message));
   cleanSeenTxs();
 }
@@ -4357,15 +8782,25 @@ function processLpEvent(msg) {
   log.info(`💧 LP: ${pool.pairName} ${isAdd ? 'ADD' : 'REMOVE'} $${usd.toFixed(0)} [${sig.slice(0,8)}...]`);
   
   // Record for liquidity history
+  const { baseAmount, quoteAmount } = getLpAmounts(msg, pool);
+  const wallet = msg._exact?.user || msg.wallet || msg.user || msg.owner;
   recordLiquidityEvent({
     poolId,
     pairName: pool.pairName,
     isAdd,
     usd,
     sig,
-    timestamp: Date.now(),
-    wallet: msg.wallet || msg.user || msg.owner,
+    // Chain time, so replayed or late events land at the right point in the history
+    timestamp: toMs(msg.timestamp || msg.blockTime || msg.time),
+    wallet,
+    position: msg._exact?.position || null,
+    baseAmount,
+    quoteAmount,
+    price: pool.price || 0,
+    confidence: msg._confidence,
   });
+  forgetPositionBins(msg._exact?.position);
+  noteLiquidityChange(pool, { isAdd, usd, wallet, sig, admin: !!msg._exact?.admin || msg._eventName === 'LiquidityWithdrawnAdmin' });
   
   broadcastLpAlert({ pool, isAdd, usd, sig, msg }).catch(e => log.debug('LP alert failed:', e.message));
   cleanSeenTxs();
@@ -4798,46 +9233,245 @@ const safeEdit = async (ctx, text, extra) => {
     log.debug('Edit failed:', e.message);
     return false;
   }
-};
+};
+
+const safeReply = async (ctx, text, extra = {}) => {
+  try { 
+    return await ctx.reply(text, extra); 
+  } catch (e) {
+    log.error('Reply failed:', e.message);
+    return null;
+  }
+};
+
+const safeSend = async (chatId, text, extra = {}) => {
+  try { 
+    return await bot.telegram.sendMessage(chatId, text, extra); 
+  } catch (e) {
+    const newChatId = e.parameters?.migrate_to_chat_id;
+    if (newChatId) {
+      migrateChat(chatId, newChatId);
+      return safeSend(newChatId, text, extra);
+    }
+    // Handle common Telegram errors
+    if (e.description?.includes('bot was blocked') || 
+        e.description?.includes('chat not found') ||
+        e.description?.includes('user is deactivated')) {
+      // User blocked bot or deleted account - mark as inactive
+      const user = users.get(chatId);
+      if (user) {
+        user.enabled = false;
+        user.blocked = true;
+      }
+    }
+    return null;
+  }
+};
+
+// Middleware to track user activity (for auto-sync feature)
+bot.use((ctx, next) => {
+  if (ctx.chat?.id) {
+    const user = users.get(ctx.chat.id);
+    if (user) {
+      user.lastActive = Date.now();
+      if (ctx.chat.type && user.chatType !== ctx.chat.type) user.chatType = ctx.chat.type;
+    }
+  }
+  return next();
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GROUPS & CHANNELS (admin-only settings)
+// ═══════════════════════════════════════════════════════════════════════════════
+// A group or channel is one chat record, so it has its own watchlist and thresholds.
+// Anyone in it can read (prices, charts, pool views); changing anything needs a chat admin.
+const GROUP_PUBLIC_COMMANDS = new Set([
+  'menu', 'help', 'status', 'price', 'cipher', 'unlocks', 'pools', 'trending', 'newpools',
+  'chart', 'leaderboard', 'liquidity', 'stats', 'settings', 'wallets', 'portfolio', 'lp', 'pnl', 'networth', 'staking',
+]);
+const GROUP_READ_ONLY_ACTIONS = /^(noop|nav:|view:|info:|pool:view:|pools:(page|sort):|browse:|chart:|leaderboard:|liqhistory:|history:page:|nw:|vest:view$|cmd:refreshprice$|portfolio:(stats|tokens|lp|staking|trades|wallets|view:))/;
+const CHAT_ADMIN_TTL = 5 * 60 * 1000;
+const CHAT_NON_ADMIN_TTL = 30 * 1000;
+const chatAdminCache = new Map(); // `${chatId}:${userId}` -> { at, isAdmin }
+
+async function isChatAdmin(ctx) {
+  // Anonymous admins send as the group itself
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+  const userId = ctx.from?.id;
+  if (!userId) return false;
+  const key = `${ctx.chat.id}:${userId}`;
+  // Non-admins are only cached briefly, so a newly promoted admin isn't locked out for long
+  // while a member tapping buttons doesn't cost a getChatMember call each time
+  const cached = chatAdminCache.get(key);
+  if (cached && Date.now() - cached.at < (cached.isAdmin ? CHAT_ADMIN_TTL : CHAT_NON_ADMIN_TTL)) return cached.isAdmin;
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, userId);
+    const isAdmin = member.status === 'creator' || member.status === 'administrator';
+    chatAdminCache.set(key, { at: Date.now(), isAdmin });
+    return isAdmin;
+  } catch (e) {
+    log.debug(`Admin check failed for ${ctx.chat.id}:`, e.message);
+    return false;
+  }
+}
+
+// Public views that also remember a preference (chart style, PnL method) only save it for admins
+async function canSaveChatPreference(ctx) {
+  const type = ctx.chat?.type;
+  if (!type || type === 'private' || ctx.channelPost) return true;
+  return isChatAdmin(ctx);
+}
+
+// `/cmd@OtherBot` in a group is meant for another bot
+function isCommandForOtherBot(ctx) {
+  const mention = ctx.message?.text?.match(/^\/[a-z0-9_]+@(\w+)/i)?.[1];
+  return !!mention && mention.toLowerCase() !== ctx.botInfo?.username?.toLowerCase();
+}
+
+// With privacy mode on, a bot in a group only sees messages that reply to it, so text prompts
+// there are followed by a force-reply message for the admin to answer
+async function askForGroupReply(ctx, placeholder) {
+  const type = ctx.chat?.type;
+  if (type !== 'group' && type !== 'supergroup') return;
+  try {
+    await ctx.reply(`✍️ Reply to this message with the ${placeholder}`, Markup.forceReply().placeholder(placeholder));
+  } catch (e) {
+    log.debug(`Force-reply prompt failed for ${ctx.chat.id}:`, e.message);
+  }
+}
+
+// Would this update change the chat's settings or state?
+function isSettingsUpdate(ctx) {
+  if (ctx.callbackQuery) return !GROUP_READ_ONLY_ACTIONS.test(ctx.callbackQuery.data || '');
+  const msgText = ctx.message?.text;
+  if (!msgText) return false;
+  const command = msgText.match(/^\/([a-z0-9_]+)/i);
+  if (command) return !GROUP_PUBLIC_COMMANDS.has(command[1].toLowerCase());
+  // Plain text only matters when it answers a pending prompt (wallet, search, alert, rule...)
+  return !!getUserState(ctx.chat.id)?.awaiting;
+}
+
+// The service message arrives in both chats: migrate_to_chat_id in the old group,
+// migrate_from_chat_id in the new supergroup. Whichever comes first moves the record.
+bot.use((ctx, next) => {
+  const msg = ctx.message;
+  if (msg?.migrate_to_chat_id) return migrateChat(ctx.chat.id, msg.migrate_to_chat_id);
+  if (msg?.migrate_from_chat_id) return migrateChat(msg.migrate_from_chat_id, ctx.chat.id);
+  return next();
+});
+
+bot.use(async (ctx, next) => {
+  const type = ctx.chat?.type;
+  if (!type || type === 'private') return next();
+  // Only admins can post in a channel
+  if (ctx.channelPost) return next();
+  if (isCommandForOtherBot(ctx)) return;
+  // Most handlers create the chat's record on first use, which subscribes it to alerts
+  const registered = users.has(ctx.chat.id);
+  if ((registered && !isSettingsUpdate(ctx)) || await isChatAdmin(ctx)) return next();
+
+  if (ctx.callbackQuery) {
+    await safeAnswer(ctx, '🔒 Only chat admins can change settings');
+  } else if (ctx.message?.text?.startsWith('/')) {
+    const reason = registered ? 'Only chat admins can change settings in this chat.' : 'A chat admin needs to run /start first.';
+    try { await ctx.reply(`🔒 ${reason}`, { reply_to_message_id: ctx.message.message_id }); } catch (e) {}
+  }
+});
+
+// Forum groups: alert categories that can be bound to a topic (message_thread_id).
+// Categories without a binding, and alerts outside these categories, go to the general chat.
+const ALERT_TOPICS = {
+  cipher_trades: '🔷 CIPHER Trades',
+  lp: '💧 LP Events',
+  new_pools: '🆕 New Pools',
+  admin: '⚠️ Admin & Governance',
+  whales: '👛 Whale Wallets',
+};
+
+function clearAlertTopic(user, threadId) {
+  const topics = { ...(user.alertTopics || {}) };
+  for (const [category, id] of Object.entries(topics)) {
+    if (id === threadId) delete topics[category];
+  }
+  updateUser(user.chatId, { alertTopics: topics });
+}
+
+// Upgrading a group to a supergroup gives it a new chat id and the old one stops accepting
+// messages. Move the chat record and everything keyed by its id over to the new chat.
+function migrateChat(oldId, newId) {
+  if (!newId || oldId === newId) return;
+  const user = users.get(oldId);
+  if (!user) {
+    // No settings to carry over, but anything already queued still belongs to the new chat
+    if (db) db.prepare('UPDATE outbox SET chat_id = ? WHERE chat_id = ?').run(newId, oldId);
+    return;
+  }
+  if (users.has(newId)) {
+    // The supergroup was already set up on its own, so the old record just goes quiet
+    log.warn(`⚠️ Chat ${oldId} moved to ${newId}, which already has settings; disabling the old record`);
+    user.enabled = false;
+    user.blocked = true;
+    saveUserDebounced(user);
+    if (db) db.prepare('DELETE FROM outbox WHERE chat_id = ?').run(oldId);
+    return;
+  }
 
-const safeReply = async (ctx, text, extra = {}) => {
-  try { 
-    return await ctx.reply(text, extra); 
-  } catch (e) {
-    log.error('Reply failed:', e.message);
-    return null;
+  user.chatId = newId;
+  user.chatType = 'supergroup';
+  users.delete(oldId);
+  users.set(newId, user);
+  if (db) {
+    try {
+      db.transaction(() => {
+        // Inserts the new row with its watchlist, tokens, wallets and overrides
+        saveUser(user);
+        for (const table of ['price_alerts', 'custom_rules', 'recent_alerts', 'outbox', 'alert_batches', 'portfolio_snapshots']) {
+          db.prepare(`UPDATE ${table} SET chat_id = ? WHERE chat_id = ?`).run(newId, oldId);
+        }
+        db.prepare('DELETE FROM users WHERE chat_id = ?').run(oldId);
+      })();
+    } catch (e) {
+      log.error(`Failed to move chat ${oldId} to ${newId}:`, e.message);
+    }
   }
-};
 
-const safeSend = async (chatId, text, extra = {}) => {
-  try { 
-    return await bot.telegram.sendMessage(chatId, text, extra); 
-  } catch (e) {
-    // Handle common Telegram errors
-    if (e.description?.includes('bot was blocked') || 
-        e.description?.includes('chat not found') ||
-        e.description?.includes('user is deactivated')) {
-      // User blocked bot or deleted account - mark as inactive
-      const user = users.get(chatId);
-      if (user) {
-        user.enabled = false;
-        user.blocked = true;
-      }
-    }
-    return null;
+  for (const alert of priceAlerts.values()) {
+    if (alert.chatId === oldId) alert.chatId = newId;
   }
-};
+  if (customRules.has(oldId)) {
+    customRules.set(newId, customRules.get(oldId));
+    customRules.delete(oldId);
+  }
+  compiledRuleCache.delete(oldId);
+  for (const chatIds of rangeWatchers.values()) {
+    if (chatIds.delete(oldId)) chatIds.add(newId);
+  }
+  for (const [key, state] of [...positionRangeStates]) {
+    if (!key.startsWith(`${oldId}:`)) continue;
+    positionRangeStates.delete(key);
+    positionRangeStates.set(`${newId}:${key.slice(String(oldId).length + 1)}`, state);
+  }
+  if (userStates.has(oldId)) {
+    userStates.set(newId, userStates.get(oldId));
+    userStates.delete(oldId);
+  }
+  chatNextSendAt.delete(oldId);
+  log.info(`🔀 Moved chat ${oldId} to supergroup ${newId}`);
+}
 
-// Middleware to track user activity (for auto-sync feature)
-bot.use((ctx, next) => {
-  if (ctx.chat?.id) {
-    const user = users.get(ctx.chat.id);
-    if (user) {
-      user.lastActive = Date.now();
-    }
+// Public CIPHER alerts feed: a channel with the bot as admin, set up from ALERT_CHANNEL_ID on startup
+function ensureChannelFeed() {
+  if (!CONFIG.alertChannelId) return;
+  const chatId = Number(CONFIG.alertChannelId);
+  if (!Number.isInteger(chatId)) {
+    log.warn(`⚠️ ALERT_CHANNEL_ID must be a numeric chat id (e.g. -100...), got ${CONFIG.alertChannelId}`);
+    return;
   }
-  return next();
-});
+  if (getUser(chatId)) return;
+  createUser(chatId);
+  updateUser(chatId, { ...SETUP_PRESETS.cipher, chatType: 'channel', onboarded: true, walletAlerts: false });
+  log.info(`📢 Created CIPHER alert feed for channel ${chatId}`);
+}
 
 // Bot-level error handler middleware
 bot.catch((err, ctx) => {
@@ -4904,6 +9538,7 @@ const menu = {
     [Markup.button.callback(`${u?.cipherLpAdd ? '✅' : '⬜'} LP Add`, 'tog:cipherLpAdd'),
      Markup.button.callback(`${u?.cipherLpRemove ? '✅' : '⬜'} LP Remove`, 'tog:cipherLpRemove')],
     [Markup.button.callback(`💰 Minimum: ${fmt(u?.cipherThreshold || 100)}`, 'thresh:cipher')],
+    [Markup.button.callback(`${u?.cipherSpikes !== false ? '✅' : '⬜'} Volume Spikes`, 'tog:cipherSpikes')],
     [Markup.button.callback('🏠 Menu', 'nav:main')],
   ]),
   
@@ -4911,6 +9546,11 @@ const menu = {
     [Markup.button.callback(`${u?.otherLpAdd ? '✅' : '⬜'} LP Add Alerts`, 'tog:otherLpAdd'),
      Markup.button.callback(`${u?.otherLpRemove ? '✅' : '⬜'} LP Remove`, 'tog:otherLpRemove')],
     [Markup.button.callback(`💰 Minimum: ${fmt(u?.otherLpThreshold || 500)}`, 'thresh:lp')],
+    ...(canReadDlmmPositions() ? [[
+      Markup.button.callback(`${u?.rangeAlerts !== false ? '✅' : '⬜'} My Range Alerts`, 'tog:rangeAlerts'),
+      Markup.button.callback(`📏 Edge: ${u?.rangeAlertBins ? `${u.rangeAlertBins} bins` : 'off'}`, 'lprange:bins'),
+    ]] : []),
+    [Markup.button.callback(`${u?.drainAlerts !== false ? '✅' : '⬜'} TVL Drain Warnings`, 'tog:drainAlerts')],
     [Markup.button.callback('🏠 Menu', 'nav:main')],
   ]),
   
@@ -4993,12 +9633,15 @@ const menu = {
   poolView: (pool, user) => {
     const poolId = pool?.id;
     const inWatchlist = user?.watchlist?.includes(poolId);
+    const spikeAlerts = user?.spikePools?.includes(poolId);
     
     const btns = [
       [Markup.button.callback('📊 Chart', `chart:${poolId}:1h`),
        Markup.button.callback('💧 LP History', `liqhistory:${poolId}`)],
-      [Markup.button.callback('🏆 Leaderboard', `leaderboard:${pool?.baseMint || pool?.base}`)],
-      [Markup.button.callback(inWatchlist ? '❌ Remove from Watchlist' : '☆ Add to Watchlist', `pool:watch:${poolId}`)],
+      [Markup.button.callback('🏆 Leaderboard', `leaderboard:${pool?.baseMint || pool?.base}`),
+       Markup.button.callback('🎛️ Alert Rules', `rules:p:${poolId}`)],
+      [Markup.button.callback(inWatchlist ? '❌ Remove from Watchlist' : '☆ Add to Watchlist', `pool:watch:${poolId}`),
+       Markup.button.callback(`${spikeAlerts ? '✅' : '⬜'} Spike Alerts`, `spike:${poolId}`)],
       [Markup.button.callback('🔗 Solscan', 'noop'), Markup.button.callback('🦅 Birdeye', 'noop')],
       [Markup.button.callback('« Back', 'nav:pools'), Markup.button.callback('🏠 Menu', 'nav:main')],
     ];
@@ -5090,7 +9733,8 @@ const menu = {
         Markup.button.callback(`${u?.otherBuys ? '✅' : '⬜'} Buys`, 'tog:otherBuys'),
         Markup.button.callback(`${u?.otherSells ? '✅' : '⬜'} Sells`, 'tog:otherSells'),
       ]);
-      btns.push([Markup.button.callback(`💰 Minimum: ${fmt(u?.otherThreshold || 500)}`, 'thresh:watch')]);
+      btns.push([Markup.button.callback(`💰 Minimum: ${fmt(u?.watchThreshold ?? u?.otherThreshold ?? 500)}`, 'thresh:watch')]);
+      btns.push([Markup.button.callback(`${u?.watchlistSpikes ? '✅' : '⬜'} Volume Spike Alerts`, 'tog:watchlistSpikes')]);
       btns.push([Markup.button.callback('🗑️ Clear All', 'confirm:clearwatchlist')]);
     }
     
@@ -5098,6 +9742,19 @@ const menu = {
     return Markup.inlineKeyboard(btns);
   },
   
+  // Bind alert categories to the forum topic the menu was opened in
+  topics: (u, threadId) => {
+    const btns = [];
+    if (threadId) {
+      for (const [category, label] of Object.entries(ALERT_TOPICS)) {
+        const here = u?.alertTopics?.[category] === threadId;
+        btns.push([Markup.button.callback(`${here ? '✅' : '➕'} ${label}`, `topic:${category}`)]);
+      }
+    }
+    btns.push([Markup.button.callback('⚙️ Settings', 'nav:settings'), Markup.button.callback('🏠 Menu', 'nav:main')]);
+    return Markup.inlineKeyboard(btns);
+  },
+  
   snooze: (u) => {
     const btns = [];
     const quietActive = isQuietHoursActive(u);
@@ -5149,6 +9806,10 @@ const menu = {
         else if (a.type === 'close_pool') icon = '🚫';
         else if (a.type === 'protocol_fees') icon = '💰';
         else if (a.type === 'admin') icon = '⚠️';
+        else if (a.type === 'price') icon = '🎯';
+        else if (a.type === 'range') icon = '📏';
+        else if (a.type === 'spike') icon = '📈';
+        else if (a.type === 'drain') icon = '🚨';
         const time = new Date(a.time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC' });
         const label = a.pair || a.token || a.wallet || '???';
         if (a.sig) {
@@ -5183,7 +9844,11 @@ const menu = {
      Markup.button.callback(u?.closePoolAlerts !== false ? '🚫 Close Pool: ON' : '🚫 Close Pool: OFF', 'tog:closePoolAlerts')],
     [Markup.button.callback(u?.protocolFeeAlerts !== false ? '💰 Fees: ON' : '💰 Fees: OFF', 'tog:protocolFeeAlerts'),
      Markup.button.callback(u?.adminAlerts !== false ? '⚠️ Admin: ON' : '⚠️ Admin: OFF', 'tog:adminAlerts')],
-    [Markup.button.callback(u?.dailyDigest ? '📬 Digest: ON' : '📭 Digest: OFF', 'tog:dailyDigest')],
+    [Markup.button.callback(u?.dailyDigest ? '📬 Digest: ON' : '📭 Digest: OFF', 'tog:dailyDigest'),
+     Markup.button.callback('🎯 Price Alerts', 'nav:pricealerts')],
+    [Markup.button.callback(`Delivery: ${describeDeliveryMode(u)}`, 'delivery:mode'),
+     ...(u?.deliveryMode === 'batch' ? [Markup.button.callback(`⏲️ Every ${u.batchMinutes || 15}m`, 'delivery:interval')] : [])],
+    [Markup.button.callback('🧩 Custom Rules', 'nav:customrules')],
     [Markup.button.callback('🗑️ Reset Statistics', 'confirm:resetstats'), Markup.button.callback('❓ Help', 'info:help')],
     [Markup.button.callback('🏠 Menu', 'nav:main')],
   ]),
@@ -5206,6 +9871,42 @@ const menu = {
     btns.push([Markup.button.callback('« Back', backNav), Markup.button.callback('🏠 Menu', 'nav:main')]);
     return Markup.inlineKeyboard(btns);
   },
+
+  // Per-pool / per-token alert rules (callback data kept short: pool ids are up to 44 chars)
+  alertRules: (rc) => {
+    const k = rc.targetType === 'pool' ? 'p' : 't';
+    const mark = (field) => rc.override[field] !== null && rc.override[field] !== undefined ? ' •' : '';
+    const tog = (code, label) => {
+      const field = ALERT_RULE_TOGGLES[code];
+      return Markup.button.callback(`${rc.effective[field] ? '✅' : '⬜'} ${label}${mark(field)}`, `rtog:${k}:${rc.target}:${code}`);
+    };
+    const btns = [
+      [tog('b', 'Buys'), tog('s', 'Sells')],
+      [tog('la', 'LP Add'), tog('lr', 'LP Remove')],
+      [Markup.button.callback(`💰 Trade Min: ${fmt(rc.effective.threshold)}${mark('threshold')}`, `rth:${k}:${rc.target}:t`)],
+      [Markup.button.callback(`💧 LP Min: ${fmt(rc.effective.lpThreshold)}${mark('lpThreshold')}`, `rth:${k}:${rc.target}:l`)],
+    ];
+    if (Object.values(rc.override).some(v => v !== null && v !== undefined)) {
+      btns.push([Markup.button.callback('↩️ Reset to Defaults', `rreset:${k}:${rc.target}`)]);
+    }
+    btns.push([Markup.button.callback('« Back', rc.backNav), Markup.button.callback('🏠 Menu', 'nav:main')]);
+    return Markup.inlineKeyboard(btns);
+  },
+
+  ruleThreshold: (rc, kind, current) => {
+    const k = rc.targetType === 'pool' ? 'p' : 't';
+    const opts = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000];
+    const btns = [];
+    for (let i = 0; i < opts.length; i += 3) {
+      btns.push(opts.slice(i, i + 3).map(v => {
+        const label = v >= 1000 ? `$${v/1000}K` : `$${v}`;
+        return Markup.button.callback(current === v ? `✓ ${label}` : label, `rset:${k}:${rc.target}:${kind}:${v}`);
+      }));
+    }
+    btns.push([Markup.button.callback('↩️ Use Default', `rset:${k}:${rc.target}:${kind}:d`)]);
+    btns.push([Markup.button.callback('« Back', `rules:${k}:${rc.target}`), Markup.button.callback('🏠 Menu', 'nav:main')]);
+    return Markup.inlineKeyboard(btns);
+  },
   
   browse: (page, u) => {
     const perPage = 5;
@@ -5248,6 +9949,7 @@ const menu = {
     
     const isTracked = u?.trackedTokens?.includes(mint);
     btns.push([Markup.button.callback(isTracked ? '🔕 Stop Tracking Token' : '🔔 Track This Token', isTracked ? `rm:token:${mint}` : `add:token:${mint}`)]);
+    btns.push([Markup.button.callback('🎛️ Alert Rules for Token', `rules:t:${mint}`)]);
     btns.push([
       Markup.button.url('📊 Chart', `https://dexscreener.com/solana/${mint}`),
       Markup.button.url('🔍 Solscan', `https://solscan.io/token/${mint}`),
@@ -5270,6 +9972,46 @@ const menu = {
     [Markup.button.url('🔍 View on Solscan', `https://solscan.io/tx/${sig}`)],
     [Markup.button.callback('🔕 Snooze 1h', 'snooze:alert:60')],
   ]),
+
+  priceAlertActions: (alert) => Markup.inlineKeyboard([
+    alert.active
+      ? [Markup.button.callback('🔕 Snooze This Alert 1h', `snooze:palert:${alert.id}:60`)]
+      : [Markup.button.callback('🔁 Re-arm', `palert:rearm:${alert.id}`)],
+    [Markup.button.callback('🎯 My Price Alerts', 'nav:pricealerts'), Markup.button.callback('🔕 Snooze All 1h', 'snooze:alert:60')],
+  ]),
+
+  priceAlerts: (alerts) => {
+    const btns = alerts.map(a => {
+      const snoozed = a.snoozedUntil > Date.now();
+      const icon = !a.active ? '⚫' : snoozed ? '🔕' : '🟢';
+      return [
+        Markup.button.callback(`${icon} ${describePriceAlert(a)}`, `palert:toggle:${a.id}`),
+        Markup.button.callback(a.rearm ? '🔁' : '1️⃣', `palert:mode:${a.id}`),
+        Markup.button.callback('🗑️', `palert:rm:${a.id}`),
+      ];
+    });
+    if (alerts.length < CONFIG.maxPriceAlertsPerUser) {
+      btns.push([Markup.button.callback('➕ New Price Alert', 'input:pricealert')]);
+    }
+    btns.push([Markup.button.callback('« Back', 'nav:settings'), Markup.button.callback('🏠 Menu', 'nav:main')]);
+    return Markup.inlineKeyboard(btns);
+  },
+
+  customRules: (rules) => {
+    const btns = [];
+    for (let i = 0; i < rules.length; i += 2) {
+      btns.push(rules.slice(i, i + 2).flatMap((r, j) => [
+        Markup.button.callback(`${r.active ? '🟢' : '⚫'} #${i + j + 1}`, `crule:toggle:${r.id}`),
+        Markup.button.callback('🗑️', `crule:rm:${r.id}`),
+      ]));
+    }
+    if (rules.length < CONFIG.maxCustomRulesPerUser) {
+      btns.push([Markup.button.callback('➕ New Rule', 'input:customrule')]);
+    }
+    btns.push([Markup.button.callback('📜 Default Rules', 'crule:defaults')]);
+    btns.push([Markup.button.callback('« Back', 'nav:settings'), Markup.button.callback('🏠 Menu', 'nav:main')]);
+    return Markup.inlineKeyboard(btns);
+  },
   
   // Portfolio menus
   portfolio: (u) => {
@@ -5287,6 +10029,10 @@ const menu = {
         Markup.button.callback('💧 LP', 'portfolio:lp'),
         Markup.button.callback('📜 Trades', 'portfolio:trades'),
       ]);
+      btns.push([
+        Markup.button.callback('💎 Net Worth', 'nw:7d:a'),
+        Markup.button.callback('🔒 Staking', 'portfolio:staking'),
+      ]);
       btns.push([
         Markup.button.callback('🔄 Refresh', 'portfolio:sync'),
         Markup.button.callback(`👛 Wallets (${walletCount})`, 'portfolio:wallets'),
@@ -5351,8 +10097,8 @@ const menu = {
     const btns = pagePositions.map(pos => {
       return [
         Markup.button.callback(
-          `${pos.isCipher ? '🔷' : '💧'} ${pos.pool} • ${fmt(pos.valueUsd)}`,
-          `view:lp:${pos.poolId}`
+          `${pos.inRange === false ? '🔴' : pos.isCipher ? '🔷' : '💧'} ${pos.pool} • ${fmt(pos.valueUsd)}`,
+          `view:lp:${pos.position || pos.poolId}`
         )
       ];
     });
@@ -5369,6 +10115,24 @@ const menu = {
     return Markup.inlineKeyboard(btns);
   },
   
+  unlocks: (u) => Markup.inlineKeyboard([
+    [
+      Markup.button.callback(u?.vestingAlerts ? '🔔 Alerts: On' : '🔕 Alerts: Off', 'vest:alerts'),
+      Markup.button.callback(`📏 Min: ${fmtSupply(u?.vestingAlertMin ?? 1000000)}`, 'vest:min'),
+    ],
+    [
+      Markup.button.callback('🔄 Refresh', 'vest:view'),
+      Markup.button.url('📋 Streamflow', 'https://app.streamflow.finance/token-dashboard/solana/mainnet/' + MINTS.CIPHER),
+    ],
+    [Markup.button.callback('🏠 Menu', 'nav:main')],
+  ]),
+  
+  staking: (u) => Markup.inlineKeyboard([
+    [Markup.button.callback(`🔔 Claim alert: ${u?.claimAlertUsd > 0 ? fmt(u.claimAlertUsd) : 'off'}`, 'stk:claim')],
+    [Markup.button.callback('🔄 Refresh', 'portfolio:sync'), Markup.button.callback('« Back', 'nav:portfolio')],
+    [Markup.button.callback('🏠 Menu', 'nav:main')],
+  ]),
+  
   portfolioTrades: (trades, page = 0) => {
     if (!trades || trades.length === 0) {
       return Markup.inlineKeyboard([
@@ -5481,7 +10245,10 @@ _No wallet connection required. Read-only. Safe._`,
 
 *Portfolio:*
 /portfolio — View your portfolio
-/pnl — Quick PnL summary
+/pnl — PnL by token (add fifo, lifo or avg)
+/networth — Net worth history (7d, 30d, all)
+/export — Tax export (CSV, Koinly, CoinTracker)
+/staking — sCIPHER rewards, APR and claim alerts
 /lp — View LP positions
 /refresh — Sync portfolio data
 /wallets — Manage tracked wallets
@@ -5494,11 +10261,14 @@ _No wallet connection required. Read-only. Safe._`,
 *Market Info:*
 /price — SOL & CIPHER prices
 /cipher — CIPHER token stats
-/chart — Price chart (try /chart CIPHER 1h)
+/unlocks — CIPHER vesting unlock calendar
+/chart — Price chart (try /chart CIPHER 1h candle)
 /leaderboard — Top traders PnL
 /liquidity — LP event history
 
 *Alerts:*
+/alert — Price-level alerts (try /alert SOL below 120)
+/rule — Custom alert rules (try /rule mute type=lp usd<1000)
 /pause — Pause all alerts
 /resume — Resume alerts
 /snooze — Snooze for 1 hour
@@ -5516,6 +10286,12 @@ _No wallet connection required. Read-only. Safe._`,
 • Use quiet hours for overnight
 • Track whale wallets to copy trades
 
+*Groups & Channels:*
+• Add the bot to a group and have an admin run /start
+• The group gets its own watchlist and thresholds
+• Anyone can check prices and charts; only admins change settings
+• Forum groups: /topics in a topic sends alert categories there
+
 *Need help?*
 [@cipherlabsx](https://x.com/cipherlabsx)`,
 
@@ -5528,7 +10304,8 @@ Get notified for CIPHER pool activity.
 • Sells: ${u?.cipherSells ? 'ON' : 'OFF'}
 • LP Add: ${u?.cipherLpAdd ? 'ON' : 'OFF'}
 • LP Remove: ${u?.cipherLpRemove ? 'ON' : 'OFF'}
-• Minimum: ${fmt(u?.cipherThreshold || 100)}`,
+• Minimum: ${fmt(u?.cipherThreshold || 100)}
+• Volume spikes: ${u?.cipherSpikes !== false ? 'ON' : 'OFF'}`,
   
   lp: (u) => `💧 *LP Alerts*
 
@@ -5537,7 +10314,15 @@ Get notified when liquidity is added or removed.
 *Current settings:*
 • LP Add: ${u?.otherLpAdd ? 'ON' : 'OFF'}
 • LP Remove: ${u?.otherLpRemove ? 'ON' : 'OFF'}
-• Minimum: ${fmt(u?.otherLpThreshold || 500)}`,
+• Minimum: ${fmt(u?.otherLpThreshold || 500)}
+${canReadDlmmPositions() ? `
+*My positions:*
+• Range alerts: ${u?.rangeAlerts !== false ? 'ON' : 'OFF'}
+• Edge warning: ${u?.rangeAlertBins ? `within ${u.rangeAlertBins} bin${u.rangeAlertBins !== 1 ? 's' : ''}` : 'OFF'}
+_Alerts when the active bin leaves your DLMM range or nears its edge._
+` : ''}
+*Rug warnings:* ${u?.drainAlerts !== false ? 'ON' : 'OFF'}
+_TVL down ${CONFIG.tvlDrainPct}% within ${CONFIG.tvlDrainWindowMin}m through LP withdrawals, or any admin withdrawal, in CIPHER, watchlist or your LP pools. Sent even when snoozed._`,
 
   wallets: (u) => {
     const count = u?.wallets?.length || 0;
@@ -5565,7 +10350,8 @@ Use *Search* to find tokens by name or address, or *Browse* to see all pools.`;
     }
     return `⭐ *Watchlist*
 
-Tracking *${count}* item${count !== 1 ? 's' : ''}.`;
+Tracking *${count}* item${count !== 1 ? 's' : ''}.
+Spike alerts: ${u?.watchlistSpikes ? '✅ ON' : '⬜ OFF'}`;
   },
   
   // Pool Explorer texts
@@ -5663,6 +10449,20 @@ _Tap a pool for details, charts, and leaderboards._`;
 _Configure alerts for all non-CIPHER pools on Orbit._`;
   },
   
+  topics: (u, threadId) => {
+    const lines = Object.entries(ALERT_TOPICS).map(([category, label]) => {
+      const id = u?.alertTopics?.[category];
+      return `${label} — ${!id ? 'General' : id === threadId ? '*this topic*' : `topic #${id}`}`;
+    });
+    return `🧵 *Forum Topics*
+
+Send each alert category to its own topic.
+
+${lines.join('\n')}
+
+${threadId ? '_Tap a category to send it to this topic (tap again to move it back to General)._' : '_Run /topics inside the topic you want to use, then pick its categories._'}`;
+  },
+  
   snooze: (u) => {
     const quietActive = isQuietHoursActive(u);
     if (quietActive) {
@@ -5714,7 +10514,8 @@ ${count} alert${count !== 1 ? 's' : ''}. Tap to view on Solscan.`;
     return `⚙️ *Settings*
 
 *Alert Status:* ${alertStatus}
-*Daily Digest:* ${u?.dailyDigest ? '📬 ON (9:00 UTC)' : '📭 OFF'}
+*Daily Digest:* ${u?.dailyDigest || u?.deliveryMode === 'digest' ? '📬 ON (9:00 UTC)' : '📭 OFF'}
+*Delivery:* ${describeDeliveryMode(u)}
 *CIPHER Alerts:* ${cipherAlerts}
 *Min Amount:* ${fmt(u?.cipherThreshold || 100)}
 *Other Pools:* ${u?.trackOtherPools !== false ? 'ON' : 'OFF'}
@@ -5732,6 +10533,88 @@ ${count} alert${count !== 1 ? 's' : ''}. Tap to view on Solscan.`;
 • ${u?.portfolioWallets?.length || (u?.myWallet ? 1 : 0)} portfolio wallets`;
   },
 
+  alertRules: (rc) => {
+    const hasOverride = Object.values(rc.override).some(v => v !== null && v !== undefined);
+    const scope = rc.targetType === 'pool'
+      ? 'Applies to this pool only and beats token and global settings.'
+      : 'Applies to every pool with this token unless the pool has its own rule.';
+    const source = rc.targetType === 'pool' && rc.effective.source === 'token' ? '\n_Inherits a token rule._' : '';
+    return `🎛️ *Alert Rules*
+*${escMd(rc.label)}*
+
+${hasOverride ? '✏️ Custom rule active' : '🌐 Using global settings'}${source}
+_${scope}_
+_Fields marked • are overridden here._`;
+  },
+
+  priceAlerts: (alerts) => {
+    if (alerts.length === 0) {
+      return `🎯 *Price Alerts*
+
+No price alerts yet.
+
+Get pinged when a token or pool price crosses a level or moves by a percentage.
+
+_Example:_ \`/alert CIPHER above 0.05\``;
+    }
+    return `🎯 *Price Alerts* (${alerts.length}/${CONFIG.maxPriceAlertsPerUser})
+
+🟢 armed • 🔕 snoozed • ⚫ off
+Tap an alert to turn it on/off, 🔁/1️⃣ to switch re-arm mode.`;
+  },
+
+  customRules: (rules) => {
+    if (rules.length === 0) {
+      return `🧩 *Custom Rules*
+
+No custom rules yet — alerts follow your regular settings.
+
+Rules run before your settings, top to bottom; the first match decides.
+
+_Example:_ \`/rule notify pool=CIPHER/SOL side=sell usd>=2500 trader in my_whales\``;
+    }
+    const icons = { notify: '🔔', mute: '🔇', digest: '📥' };
+    const lines = rules.map((r, i) => `${r.active ? '🟢' : '⚫'} *#${i + 1}* ${icons[r.action] || ''} \`${describeRule(r)}\``);
+    return `🧩 *Custom Rules* (${rules.length}/${CONFIG.maxCustomRulesPerUser})
+
+${lines.join('\n')}
+
+Checked top to bottom before your regular settings; the first match wins.
+🔔 notify • 🔇 mute • 📥 digest only`;
+  },
+
+  addCustomRule: () => `🧩 *New Rule*
+
+Send an action followed by conditions (all must match):
+
+• \`notify pool=CIPHER/SOL side=sell usd>=2500\`
+• \`mute type=lp usd<1000\`
+• \`digest type in lock,unlock,admin\`
+• \`notify trader in my_whales usd>=500\`
+
+*Fields:* type, side, pool, token, trader, cipher, usd
+*Types:* ${RULE_EVENT_TYPES.join(', ')}
+*Lists:* ${Object.keys(RULE_LISTS).map(l => `\`${l}\``).join(', ')}
+_📥 digest holds alerts for the Daily Digest_`,
+
+  defaultRules: (rules) => {
+    const shown = rules.slice(0, 30).map(r => `• \`${describeRule(r)}\``);
+    const more = rules.length > shown.length ? `\n_…and ${rules.length - shown.length} more_` : '';
+    return `📜 *Default Rules*
+
+Compiled from your toggles, thresholds and per-pool/token overrides. Anything that matches nothing here is muted.
+
+${shown.join('\n') || '_Everything is turned off._'}${more}`;
+  },
+
+  addPriceAlert: () => `🎯 *New Price Alert*
+
+Send the token or pair, a condition and a value:
+
+• \`CIPHER above 0.05\`
+• \`SOL below 120\`
+• \`CIPHER/SOL move 10\` _(percent, either direction)_`,
+
   search: () => `🔍 *Search*
 
 Enter a token name (e.g. "SOL") or paste a contract address:`,
@@ -5741,6 +10624,11 @@ Enter a token name (e.g. "SOL") or paste a contract address:`,
 Paste a Solana wallet address to track:`,
 
   status: () => {
+    const describeChatCounts = () => {
+      const groups = [...users.values()].filter(u => u.chatType === 'group' || u.chatType === 'supergroup').length;
+      const channels = [...users.values()].filter(u => u.chatType === 'channel').length;
+      return groups || channels ? ` (${groups} group${groups !== 1 ? 's' : ''}, ${channels} channel${channels !== 1 ? 's' : ''})` : '';
+    };
     const uptime = Math.floor((Date.now() - botStartTime) / 60000);
     const h = Math.floor(uptime / 60);
     const m = uptime % 60;
@@ -5769,8 +10657,10 @@ Paste a Solana wallet address to track:`,
 
 *Uptime:* ${h}h ${m}m
 *Pools:* ${cipherPools.length} CIPHER, ${otherPools.length} other
-*Users:* ${users.size}
+*Users:* ${users.size}${describeChatCounts()}
 *Tracked wallets:* ${getAllTrackedWallets().length}
+*Alert queue:* ${getOutboxSize()}
+*Program IDL:* ${escMd(orbitIdl.source === 'built-in' ? 'built-in' : path.basename(orbitIdl.source))}${unknownDiscriminators.size > 0 ? ` (${unknownDiscriminators.size} unknown discriminators)` : ''}
 *Tokens cached:* ${tokens.size}
 *Orbit 24h vol:* ${orbitVolumes.total24h ? fmt(orbitVolumes.total24h) : 'N/A'}
 
@@ -5861,9 +10751,11 @@ _Add up to 5 wallets_`;
     const tradeCount = parseInt(p.tradeCount) || 0;
     const totalVolume = parseFloat(p.totalVolume) || 0;
     
+    const changes = formatNetWorthChanges(u.chatId);
+
     return `📈 *Portfolio* — ${walletsDisplay}
 
-💎 *Net Worth:* ${fmt(totalValue)}
+💎 *Net Worth:* ${fmt(totalValue)}${changes ? `\n📅 ${changes}` : ''}
 
 ${holdingsText}
 📊 *Trading:*
@@ -6018,11 +10910,103 @@ _Tap Refresh to sync your data._`;
     const total = positions.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
     const cipherCount = positions.filter(p => p.isCipher).length;
     const otherCount = positions.length - cipherCount;
+    const outOfRange = positions.filter(p => p.inRange === false).length;
+    
+    // Bin range and composition for DLMM positions
+    const dlmmLines = positions.filter(p => p.source === 'dlmm').slice(0, 8).map(p =>
+      `*${escMd(p.pool)}* • ${fmt(p.valueUsd)}
+   ${formatNumber(p.baseAmount)} ${getSymbol(p.baseMint)} + ${formatNumber(p.quoteAmount)} ${getSymbol(p.quoteMint)}
+   Bins ${p.lowerBin} → ${p.upperBin} • ${describeBinRange(p)}`
+    ).join('\n');
+    
+    // Fees and IL for positions with deposit history
+    const withPerf = positions.filter(p => p.performance);
+    const perfLines = withPerf.slice(0, 8).map(formatLpPerformance).join('\n');
+    const sum = (key) => withPerf.reduce((acc, p) => acc + p.performance[key], 0);
+    const perfSection = withPerf.length > 0 ? `\n\n📈 *Fees & IL*
+${perfLines}
+*Total:* Fees ≈ ${formatSignedUsd(sum('feesUsd'))} • IL ${formatSignedUsd(sum('il'))} • Net ${formatSignedUsd(sum('netReturn'))}
+_Fees are estimated from your share of pool TVL_` : '';
     
     return `💧 *LP Positions*
 
 *Total Value:* ${fmt(total)}
-*Positions:* ${positions.length} (🔷 ${cipherCount} CIPHER, 🌐 ${otherCount} other)`;
+*Positions:* ${positions.length} (🔷 ${cipherCount} CIPHER, 🌐 ${otherCount} other)${outOfRange > 0 ? `\n⚠️ *${outOfRange} out of range* — not earning fees` : ''}${dlmmLines ? `\n\n${dlmmLines}` : ''}${perfSection}`;
+  },
+  
+  unlocks: (summary, u) => {
+    const alertLine = `🔔 Alerts: ${u?.vestingAlerts ? `on, unlocks ≥ ${fmtSupply(u.vestingAlertMin)} CIPHER` : 'off'}`;
+    if (!summary) {
+      return `🔓 *CIPHER Unlock Calendar*
+
+⚠️ Couldn't read the Streamflow vesting contracts right now. Try again in a minute.
+
+${alertLine}`;
+    }
+    const price = getPrice(MINTS.CIPHER) || 0;
+    const amount = (v) => `${fmtSupply(v)}${price ? ` (${fmt(v * price)})` : ''}`;
+    const pct = (v) => `${((v / CIPHER_TOTAL_SUPPLY) * 100).toFixed(2)}%`;
+    
+    const eventLines = summary.events.slice(0, 10).map(ev =>
+      `${dayjs(ev.time).utc().format('MMM D')} • ${ev.cliff ? '🧱' : '📅'} ${amount(ev.amount)} • ${pct(ev.amount)}${ev.contracts > 1 ? ` • ${ev.contracts} contracts` : ''}`
+    ).join('\n');
+    
+    return `🔓 *CIPHER Unlock Calendar*
+
+*Still locked:* ${fmtSupply(summary.locked)} CIPHER (${pct(summary.locked)}) in ${summary.contracts} contract${summary.contracts !== 1 ? 's' : ''}
+
+*Unlocking:*
+Next 7d: ${amount(summary.next7d)}
+Next 30d: ${amount(summary.next30d)}
+Next ${VESTING_HORIZON_DAYS}d: ${amount(summary.next90d)}${summary.linearPerDay > 0 ? `\n📈 Linear: ~${fmtSupply(summary.linearPerDay)} CIPHER/day` : ''}
+
+*Upcoming unlocks:*
+${eventLines || '_No cliff or scheduled releases in the next 90 days_'}
+
+🧱 cliff • 📅 scheduled release
+${alertLine}`;
+  },
+  
+  staking: (report, u) => {
+    if (!report || (report.scipherBalance <= 0 && !report.rewards)) {
+      return `🔒 *Staking*
+
+No sCIPHER found in your wallets.
+
+_Tap Refresh to sync your data._`;
+    }
+    const { rewards, protocolApr } = report;
+    const apr = (v) => v === null || v === undefined ? '—' : `${v.toFixed(1)}%`;
+    const cipherUsd = (v) => report.cipherPrice ? ` (${fmt(v * report.cipherPrice)})` : '';
+    
+    const periodLines = (rewards?.periods || []).slice(-6).reverse()
+      .map(p => `${dayjs(`${p.month}-01`).format('MMM YYYY')}: +${formatNumber(p.cipher)} CIPHER${cipherUsd(p.cipher)}`)
+      .join('\n');
+    const timeline = [
+      ...(rewards?.actions || []).map(a => ({ time: a.timestamp, line: a.type === 'stake'
+        ? `🟢 Staked ${formatNumber(a.cipher)} CIPHER → ${formatNumber(a.scipher)} sCIPHER`
+        : `🔴 Unstaked ${formatNumber(a.scipher)} sCIPHER → ${formatNumber(a.cipher)} CIPHER` })),
+      ...report.claims.map(c => ({ time: c.timestamp, line: `🎁 Claimed holder rewards ${fmt(c.usd)}` })),
+    ].sort((a, b) => b.time - a.time).slice(0, 8)
+      .map(e => `${dayjs(e.time).utc().format('MMM D')} • ${e.line}`)
+      .join('\n');
+    
+    return `🔒 *Staking — sCIPHER*
+
+*Staked:* ${formatNumber(report.scipherBalance)} sCIPHER${report.cipherValue !== null ? ` ≈ ${formatNumber(report.cipherValue)} CIPHER${cipherUsd(report.cipherValue)}` : ''}${rewards ? `
+*Rewards accrued:* +${formatNumber(rewards.totalRewards)} CIPHER${cipherUsd(rewards.totalRewards)} since ${dayjs(rewards.since).utc().format('MMM D, YYYY')}
+*Realised APR:* ${apr(rewards.realizedApr)}` : ''}
+*Protocol APR:* 7d ${apr(protocolApr.d7)} • 30d ${apr(protocolApr.d30)}
+🎁 *Claimable holder rewards:* ≈ ${fmt(report.pendingUsd)}${report.lastClaim ? ` (last claim ${dayjs(report.lastClaim).utc().format('MMM D')})` : ''}${periodLines ? `
+
+*Rewards by month:*
+${periodLines}` : ''}${timeline ? `
+
+*Timeline:*
+${timeline}` : ''}
+
+🔔 Claim alert: ${u?.claimAlertUsd > 0 ? `above ${fmt(u.claimAlertUsd)}` : 'off'}
+_Protocol APR comes from hourly stake pool snapshots; claimable rewards are estimated from recorded fee distributions._`;
   },
   
   portfolioTrades: (trades) => {
@@ -6066,7 +11050,8 @@ bot.command('start', async (ctx) => {
     let user = getUser(ctx.chat.id) || createUser(ctx.chat.id);
     const name = ctx.from?.first_name || '';
     if (!user.onboarded) {
-      await ctx.reply(text.welcome(name), { parse_mode: 'Markdown', ...menu.welcome() });
+      const groupNote = ctx.chat.type !== 'private' ? '\n\n👥 _Alerts go to this chat; only chat admins can change its settings._' : '';
+      await ctx.reply(text.welcome(name) + groupNote, { parse_mode: 'Markdown', ...menu.welcome() });
     } else {
       await ctx.reply(text.dashboard(user, name), { parse_mode: 'Markdown', ...menu.main(user) });
     }
@@ -6185,7 +11170,7 @@ bot.command('cipher', async (ctx) => {
           Markup.button.url('🔒 Staking', 'https://app.cipherlabsx.com/staking'),
           Markup.button.url('📋 Vesting', 'https://app.streamflow.finance/token-dashboard/solana/mainnet/' + MINTS.CIPHER),
         ],
-        [Markup.button.callback('🔷 CIPHER Settings', 'nav:cipher')],
+        [Markup.button.callback('🔓 Unlocks', 'vest:view'), Markup.button.callback('🔷 CIPHER Settings', 'nav:cipher')],
       ])
     });
   } catch (e) {
@@ -6194,6 +11179,50 @@ bot.command('cipher', async (ctx) => {
   }
 });
 
+async function getUnlockSummary() {
+  const streams = await fetchVestingStreams();
+  return streams ? getVestingSummary(streams) : null;
+}
+
+bot.command('unlocks', async (ctx) => {
+  try {
+    const user = getUser(ctx.chat.id);
+    const summary = await getUnlockSummary();
+    await ctx.reply(text.unlocks(summary, user), { parse_mode: 'Markdown', ...menu.unlocks(user) });
+  } catch (e) {
+    log.error('Unlocks command error:', e);
+    await ctx.reply('❌ Failed to load the unlock calendar.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+bot.action(/^vest:(view|alerts|min)$/, async (ctx) => {
+  const action = ctx.match[1];
+  const user = getUser(ctx.chat.id);
+  if (user && action === 'alerts') {
+    updateUser(ctx.chat.id, { vestingAlerts: !user.vestingAlerts });
+    await safeAnswer(ctx, user.vestingAlerts ? '🔔 Unlock alerts on' : '🔕 Unlock alerts off');
+  } else if (user && action === 'min') {
+    const current = VESTING_ALERT_STEPS.indexOf(user.vestingAlertMin);
+    const next = VESTING_ALERT_STEPS[(current + 1) % VESTING_ALERT_STEPS.length];
+    updateUser(ctx.chat.id, { vestingAlertMin: next });
+    await safeAnswer(ctx, `📏 Alert on unlocks ≥ ${fmtSupply(next)} CIPHER`);
+  } else {
+    await safeAnswer(ctx, '🔓 Loading...');
+  }
+  
+  try {
+    const summary = await getUnlockSummary();
+    // Opened from an alert or /cipher: send a new message instead of replacing it
+    if (action === 'view' && !ctx.callbackQuery?.message?.text?.startsWith('🔓 CIPHER Unlock Calendar')) {
+      await ctx.reply(text.unlocks(summary, user), { parse_mode: 'Markdown', ...menu.unlocks(user) });
+    } else {
+      await safeEdit(ctx, text.unlocks(summary, user), { parse_mode: 'Markdown', ...menu.unlocks(user) });
+    }
+  } catch (e) {
+    log.debug('Unlock calendar refresh failed:', e.message);
+  }
+});
+
 bot.command('price', async (ctx) => {
   try {
     const solPrice = getPrice(MINTS.SOL);
@@ -6246,77 +11275,291 @@ bot.command('help', async (ctx) => {
       ])
     });
   } catch (e) {
-    try { await ctx.reply('❌ Failed to load help.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) }); } catch (e2) {}
+    try { await ctx.reply('❌ Failed to load help.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) }); } catch (e2) {}
+  }
+});
+
+bot.command('lp', async (ctx) => {
+  try {
+    const user = getUser(ctx.chat.id);
+    const walletList = user?.portfolioWallets || [];
+    const hasWallets = walletList.length > 0 || !!user?.myWallet;
+    
+    if (!hasWallets) {
+      await ctx.reply('💧 Add a wallet first to view LP positions.', {
+        ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+      });
+      return;
+    }
+
+    const positions = user.portfolio?.lpPositions || [];
+    await ctx.reply(text.portfolioLp(positions), { parse_mode: 'Markdown', ...menu.portfolioLp(positions) });
+  } catch (e) {
+    await ctx.reply('❌ Failed to load LP positions.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+// PnL summary with per-token lots (shared by /pnl and the method buttons)
+async function replyWithPnl(ctx) {
+  const user = getUser(ctx.chat.id);
+  const walletList = user?.portfolioWallets || [];
+  const hasWallets = walletList.length > 0 || !!user?.myWallet;
+  
+  if (!hasWallets) {
+    await ctx.reply('📊 Add a wallet first to view PnL.', {
+      ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+    });
+    return;
+  }
+  
+  const p = user.portfolio || {};
+  const method = user.pnlMethod || 'fifo';
+  const walletCount = p.walletCount || walletList.length || 1;
+  // Recomputed from the stored trades so switching method changes the totals right away
+  const allTokenPnl = getTokenPnl(user, method);
+  const realizedPnl = allTokenPnl.reduce((sum, t) => sum + t.realized, 0);
+  const unrealizedPnl = allTokenPnl.reduce((sum, t) => sum + t.unrealized, 0);
+  const totalPnl = realizedPnl + unrealizedPnl;
+  const pnlPercent = p.totalVolume > 0 ? ((realizedPnl / p.totalVolume) * 100).toFixed(1) : '0.0';
+  
+  const pnlIcon = totalPnl >= 0 ? '🟢' : '🔴';
+  const realIcon = realizedPnl >= 0 ? '🟢' : '🔴';
+  const unrealIcon = unrealizedPnl >= 0 ? '📈' : '📉';
+  const signed = (v) => `${v >= 0 ? '+' : '-'}${fmt(Math.abs(v))}`;
+  
+  const tokenPnl = allTokenPnl.slice(0, 8);
+  let tokenSection = '';
+  if (tokenPnl.length > 0) {
+    tokenSection = `\n*By token (${COST_BASIS_METHODS[method]}):*\n` + tokenPnl.map(t => {
+      const held = t.held > 0
+        ? `\n   💎 ${formatNumber(t.held)} @ ${formatPrice(t.avgCost)} • ${signed(t.unrealized)} open • held ${formatHoldPeriod(t.openAgeDays)}`
+        : '';
+      const closed = t.sold - t.unmatched > 0 ? ` • avg hold ${formatHoldPeriod(t.avgHoldDays)}` : '';
+      return `${t.realized + t.unrealized >= 0 ? '🟢' : '🔴'} *${escMd(t.symbol)}* ${signed(t.realized)} realized${closed}${held}`;
+    }).join('\n') + '\n';
+    if (tokenPnl.some(t => t.unmatched > 0)) tokenSection += `_Sells of tokens bought before the synced history are left out._\n`;
+  }
+  
+  const msg = `${pnlIcon} *PnL Summary*
+
+*${walletCount} wallet${walletCount !== 1 ? 's' : ''} tracked*
+
+${realIcon} *Realized:* ${signed(realizedPnl)} (${pnlPercent}%)
+${unrealIcon} *Unrealized:* ${signed(unrealizedPnl)}
+
+💎 *Total:* ${signed(totalPnl)}
+_${COST_BASIS_METHODS[method]} on synced Orbit trades_${p.birdeyePnl !== null && p.birdeyePnl !== undefined ? `\n🐦 Birdeye (all DEXes): ${signed(p.birdeyePnl)}` : ''}
+
+📈 Volume: ${fmt(p.totalVolume || 0)}
+🔄 Trades: ${p.tradeCount || 0} (🟢 ${p.buyCount || 0} / 🔴 ${p.sellCount || 0})
+${tokenSection}
+_Last sync: ${p.lastSync ? new Date(p.lastSync).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC' }) : 'Never'} UTC_`;
+
+  await ctx.reply(msg, { 
+    parse_mode: 'Markdown',
+    ...Markup.inlineKeyboard([
+      Object.entries(COST_BASIS_METHODS).map(([key, label]) =>
+        Markup.button.callback(key === method ? `✓ ${key.toUpperCase()}` : key.toUpperCase(), `pnlm:${key}`)),
+      [Markup.button.callback('🔄 Refresh', 'portfolio:sync'), Markup.button.callback('📊 Full Stats', 'portfolio:stats')],
+      [Markup.button.callback('📈 Portfolio', 'nav:portfolio'), Markup.button.callback('🏠 Menu', 'nav:main')],
+    ])
+  });
+}
+
+bot.command('pnl', async (ctx) => {
+  try {
+    // Optional cost basis method: /pnl fifo | lifo | avg
+    const arg = (ctx.message.text.split(' ')[1] || '').toLowerCase();
+    const user = getUser(ctx.chat.id);
+    if (user && COST_BASIS_METHODS[arg] && user.pnlMethod !== arg && await canSaveChatPreference(ctx)) {
+      user.pnlMethod = arg;
+      saveUserDebounced(user);
+    }
+    await replyWithPnl(ctx);
+  } catch (e) {
+    log.error('PnL command error:', e);
+    await ctx.reply('❌ Failed to load PnL.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+bot.action(/^pnlm:(fifo|lifo|avg)$/, async (ctx) => {
+  await safeAnswer(ctx, `📊 ${COST_BASIS_METHODS[ctx.match[1]]}`);
+  try {
+    const user = getUser(ctx.chat.id);
+    if (user) {
+      user.pnlMethod = ctx.match[1];
+      saveUserDebounced(user);
+    }
+    await replyWithPnl(ctx);
+  } catch (e) {
+    log.error('PnL method action error:', e);
+    await ctx.reply('❌ Failed to load PnL.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+// Net worth chart with asset/wallet breakdown (shared by /networth and its buttons)
+async function replyWithNetWorth(ctx, range = '7d', view = 'asset') {
+  const user = getUser(ctx.chat.id);
+  const hasWallets = (user?.portfolioWallets?.length > 0) || !!user?.myWallet;
+  if (!hasWallets) {
+    return await ctx.reply('💎 Add a wallet first to track net worth.', {
+      ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+    });
+  }
+
+  const all = getPortfolioSnapshots(ctx.chat.id, NETWORTH_RANGES[range]);
+  const rows = range === '7d' ? bucketSnapshots(all, 60 * 60 * 1000) : bucketSnapshots(all, SNAPSHOT_DAILY_MS);
+  const v = view === 'wallet' ? 'w' : 'a';
+  const keyboard = Markup.inlineKeyboard([
+    Object.keys(NETWORTH_RANGES).map(r =>
+      Markup.button.callback(r === range ? `✓ ${r.toUpperCase()}` : r.toUpperCase(), `nw:${r}:${v}`)),
+    [
+      Markup.button.callback(view === 'wallet' ? '📊 By Asset' : '👛 By Wallet', `nw:${range}:${view === 'wallet' ? 'a' : 'w'}`),
+      Markup.button.callback('🔄 Sync', 'portfolio:sync'),
+    ],
+    [Markup.button.callback('📈 Portfolio', 'nav:portfolio'), Markup.button.callback('🏠 Menu', 'nav:main')],
+  ]);
+
+  const chartBuffer = rows.length >= 2 ? await generateNetWorthChart(rows, { range, view }) : null;
+  if (!chartBuffer) {
+    return await ctx.reply(`💎 *Net Worth History*
+
+Not enough history for ${range.toUpperCase()} yet. A snapshot is saved on every portfolio sync and at least once a day.`, {
+      parse_mode: 'Markdown',
+      ...keyboard,
+    });
+  }
+
+  const first = rows[0];
+  const latest = rows[rows.length - 1];
+  const rangeChange = first.total_value > 0 ? ((latest.total_value - first.total_value) / first.total_value) * 100 : 0;
+  const changes = formatNetWorthChanges(ctx.chat.id);
+
+  const assetLines = NETWORTH_CLASSES
+    .filter(c => latest[c.key] > 0)
+    .map(c => `${c.icon} ${c.label}: ${fmt(latest[c.key])}`)
+    .join('\n');
+  const walletLines = Object.entries(latest.wallets || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([w, value]) => `\`${shortAddr(w)}\`: ${fmt(value)}`)
+    .join('\n');
+
+  const caption = `💎 *Net Worth* — ${range.toUpperCase()}
+
+*Now:* ${fmt(latest.total_value)} (${rangeChange >= 0 ? '+' : ''}${rangeChange.toFixed(1)}% over range)${changes ? `\n📅 ${changes}` : ''}
+
+*By asset:*
+${assetLines || '_None_'}
+
+*By wallet:*
+${walletLines || '_None_'}
+
+_${all.length} snapshots since ${dayjs(first.time).utc().format('MMM D')}_`;
+
+  await ctx.replyWithPhoto({ source: chartBuffer }, { caption, parse_mode: 'Markdown', ...keyboard });
+}
+
+bot.command('networth', async (ctx) => {
+  if (!checkCooldown(ctx.chat.id)) {
+    return await ctx.reply('⏳ Too fast! Try again in a second.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+  try {
+    try { await ctx.sendChatAction('upload_photo'); } catch (_) {}
+    const arg = (ctx.message.text.split(' ')[1] || '7d').toLowerCase();
+    const range = NETWORTH_RANGES[arg] !== undefined ? arg : '7d';
+    await replyWithNetWorth(ctx, range, 'asset');
+  } catch (e) {
+    log.error('Net worth command error:', e);
+    await ctx.reply('❌ Failed to load net worth history.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
   }
 });
 
-bot.command('lp', async (ctx) => {
+bot.action(/^nw:(7d|30d|all):(a|w)$/, async (ctx) => {
+  await safeAnswer(ctx, '💎 Loading...');
   try {
-    const user = getUser(ctx.chat.id);
-    const walletList = user?.portfolioWallets || [];
-    const hasWallets = walletList.length > 0 || !!user?.myWallet;
-    
-    if (!hasWallets) {
-      await ctx.reply('💧 Add a wallet first to view LP positions.', {
-        ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
-      });
-      return;
-    }
-
-    const positions = user.portfolio?.lpPositions || [];
-    await ctx.reply(text.portfolioLp(positions), { parse_mode: 'Markdown', ...menu.portfolioLp(positions) });
+    await replyWithNetWorth(ctx, ctx.match[1], ctx.match[2] === 'w' ? 'wallet' : 'asset');
   } catch (e) {
-    await ctx.reply('❌ Failed to load LP positions.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+    log.error('Net worth action error:', e);
+    await ctx.reply('❌ Failed to load net worth history.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
   }
 });
 
-bot.command('pnl', async (ctx) => {
+// Build and send a tax export as a document (shared by /export and its buttons)
+async function replyWithExport(ctx, format) {
+  const chatId = ctx.chat.id;
+  const user = getUser(chatId);
+  const hasWallets = (user?.portfolioWallets?.length > 0) || !!user?.myWallet;
+  if (!hasWallets) {
+    return await ctx.reply('🧾 Add a wallet first to export your history.', {
+      ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+    });
+  }
+  if (pendingExports.has(chatId)) {
+    return await ctx.reply('⏳ Your export is still being prepared.');
+  }
+  
+  pendingExports.add(chatId);
   try {
-    const user = getUser(ctx.chat.id);
-    const walletList = user?.portfolioWallets || [];
-    const hasWallets = walletList.length > 0 || !!user?.myWallet;
+    await ctx.reply(`🧾 Preparing ${EXPORT_FORMATS[format]} export...`);
+    try { await ctx.sendChatAction('upload_document'); } catch (_) {}
     
-    if (!hasWallets) {
-      await ctx.reply('📊 Add a wallet first to view PnL.', {
-        ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+    const { entries, wallets, method, incomplete } = await collectExportEntries(user);
+    if (entries.length === 0) {
+      return await ctx.reply('🧾 No Orbit swaps, LP or staking transactions found for your wallets.', {
+        ...Markup.inlineKeyboard([[Markup.button.callback('📈 Portfolio', 'nav:portfolio'), Markup.button.callback('🏠 Menu', 'nav:main')]])
       });
-      return;
     }
     
-    const p = user.portfolio || {};
-    const walletCount = p.walletCount || walletList.length || 1;
-    const realizedPnl = p.realizedPnl || 0;
-    const unrealizedPnl = p.unrealizedPnl || 0;
-    const totalPnl = realizedPnl + unrealizedPnl;
-    const pnlPercent = p.totalVolume > 0 ? ((realizedPnl / p.totalVolume) * 100).toFixed(1) : '0.0';
-    
-    const pnlIcon = totalPnl >= 0 ? '🟢' : '🔴';
-    const realIcon = realizedPnl >= 0 ? '🟢' : '🔴';
-    const unrealIcon = unrealizedPnl >= 0 ? '📈' : '📉';
+    const csv = buildExportCsv(entries, format, method);
+    const realized = entries.reduce((sum, e) => sum + (e.sale?.realized || 0), 0);
+    const unpriced = entries.filter(e => e.usd === null).length;
+    const basisEstimated = entries.filter(e => e.basisEstimated).length;
+    const filename = `orbit-${format === 'csv' ? 'history' : format}-${dayjs().utc().format('YYYY-MM-DD')}.csv`;
     
-    const msg = `${pnlIcon} *PnL Summary*
-
-*${walletCount} wallet${walletCount !== 1 ? 's' : ''} tracked*
-
-${realIcon} *Realized:* ${realizedPnl >= 0 ? '+' : '-'}${fmt(Math.abs(realizedPnl))} (${pnlPercent}%)
-${unrealIcon} *Unrealized:* ${unrealizedPnl >= 0 ? '+' : '-'}${fmt(Math.abs(unrealizedPnl))}
+    const caption = `🧾 *${EXPORT_FORMATS[format]} export*
 
-💎 *Total:* ${totalPnl >= 0 ? '+' : '-'}${fmt(Math.abs(totalPnl))}
+${entries.length} transactions across ${wallets} wallet${wallets !== 1 ? 's' : ''}
+${dayjs(entries[0].time).utc().format('MMM D, YYYY')} → ${dayjs(entries[entries.length - 1].time).utc().format('MMM D, YYYY')}
+📊 Realized (${COST_BASIS_METHODS[method]}): ${realized >= 0 ? '+' : '-'}${fmt(Math.abs(realized))}
+${unpriced > 0 ? `\n_${unpriced} transactions have no price from their execution time, so their USD value is left blank._` : ''}${basisEstimated > 0 ? `\n_${basisEstimated} sell${basisEstimated !== 1 ? 's draw' : ' draws'} on buys without an execution-time price, so cost basis and gain are left blank._` : ''}${incomplete > 0 ? `\n_Older history for ${incomplete} wallet${incomplete !== 1 ? 's is' : ' is'} still loading — export again later for the full lifetime._` : ''}`;
+    
+    await ctx.replyWithDocument({ source: Buffer.from(csv, 'utf8'), filename }, { caption, parse_mode: 'Markdown' });
+    log.info(`🧾 Export (${format}) for ${chatId}: ${entries.length} entries`);
+  } finally {
+    pendingExports.delete(chatId);
+  }
+}
 
-📈 Volume: ${fmt(p.totalVolume || 0)}
-🔄 Trades: ${p.tradeCount || 0} (🟢 ${p.buyCount || 0} / 🔴 ${p.sellCount || 0})
+bot.command('export', async (ctx) => {
+  try {
+    const arg = (ctx.message.text.split(' ')[1] || '').toLowerCase();
+    if (EXPORT_FORMATS[arg]) return await replyWithExport(ctx, arg);
+    
+    await ctx.reply(`🧾 *Export History*
 
-_Last sync: ${p.lastSync ? new Date(p.lastSync).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC' }) : 'Never'} UTC_`;
+Every Orbit swap, LP add/remove, reward claim and staking action across your portfolio wallets, with USD values and realized gains.
 
-    await ctx.reply(msg, { 
+*CSV* — full detail incl. cost basis
+*Koinly* / *CoinTracker* — ready to import`, {
       parse_mode: 'Markdown',
       ...Markup.inlineKeyboard([
-        [Markup.button.callback('🔄 Refresh', 'portfolio:sync'), Markup.button.callback('📊 Full Stats', 'portfolio:stats')],
+        Object.entries(EXPORT_FORMATS).map(([key, label]) => Markup.button.callback(`📄 ${label}`, `export:${key}`)),
         [Markup.button.callback('📈 Portfolio', 'nav:portfolio'), Markup.button.callback('🏠 Menu', 'nav:main')],
       ])
     });
   } catch (e) {
-    await ctx.reply('❌ Failed to load PnL.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+    log.error('Export command error:', e);
+    await ctx.reply('❌ Export failed. Try again later.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+bot.action(/^export:(csv|koinly|cointracker)$/, async (ctx) => {
+  await safeAnswer(ctx, '🧾 Preparing export...');
+  try {
+    await replyWithExport(ctx, ctx.match[1]);
+  } catch (e) {
+    log.error('Export action error:', e);
+    await ctx.reply('❌ Export failed. Try again later.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
   }
 });
 
@@ -6410,6 +11653,24 @@ bot.command('settings', async (ctx) => {
   }
 });
 
+bot.command('topics', async (ctx) => {
+  try {
+    if (!ctx.chat.is_forum) {
+      await ctx.reply('🧵 Topic routing is for groups with forum topics turned on.');
+      return;
+    }
+    const user = getUser(ctx.chat.id);
+    if (!user) {
+      await ctx.reply('🧵 Run /start first to set up alerts for this chat.');
+      return;
+    }
+    const threadId = ctx.message.is_topic_message ? ctx.message.message_thread_id : null;
+    await ctx.reply(text.topics(user, threadId), { parse_mode: 'Markdown', message_thread_id: threadId || undefined, ...menu.topics(user, threadId) });
+  } catch (e) {
+    try { await ctx.reply('❌ Failed to load topic settings.'); } catch (e2) {}
+  }
+});
+
 bot.command('stats', async (ctx) => {
   try {
     const user = getUser(ctx.chat.id);
@@ -6569,6 +11830,16 @@ bot.command('chart', async (ctx) => {
     // Validate timeframe
     const validTimeframes = ['15m', '1h', '4h', '1d'];
     const tf = validTimeframes.includes(timeframe) ? timeframe : '1h';
+
+    // Optional style (candle/line/area) is remembered for later charts
+    const styleArg = (args[2] || '').toLowerCase();
+    const user = getUser(ctx.chat.id);
+    if (CHART_STYLES[styleArg] && user && await canSaveChatPreference(ctx)) {
+      user.chartStyle = styleArg;
+      saveUserDebounced(user);
+    }
+    const style = CHART_STYLES[styleArg] ? styleArg : getChartStyle(ctx.chat.id);
+    const indicators = getChartIndicators(ctx.chat.id);
     
     // Find pool
     let pool = null;
@@ -6617,7 +11888,8 @@ bot.command('chart', async (ctx) => {
     }
 
     // Generate chart image
-    const chartBuffer = await generatePriceChart(candles, symbol, tf);
+    const mine = getMyChartTrades(ctx.chat.id, pool.id, candles);
+    const chartBuffer = await generatePriceChart(candles, symbol, tf, { style, indicators, myTrades: mine.markers, avgEntry: mine.avgEntry });
 
     if (!chartBuffer) {
       try { await ctx.telegram.deleteMessage(ctx.chat.id, chartLoadingMsg.message_id); } catch (e) {}
@@ -6636,6 +11908,8 @@ bot.command('chart', async (ctx) => {
     const high = Math.max(...candles.map(c => c.high));
     const low = Math.min(...candles.map(c => c.low));
     const volume = candles.reduce((sum, c) => sum + c.volume, 0);
+    const indicatorLine = describeIndicators(candles, indicators);
+    const myTradesLine = describeMyChartTrades(mine, lastPrice);
     
     const caption = `📊 *${escMd(symbol)}* • ${tf.toUpperCase()}
 
@@ -6645,7 +11919,7 @@ ${change >= 0 ? '📈' : '📉'} *Change:* ${change >= 0 ? '+' : ''}${change.toF
 📈 *High:* ${fmtPrice(high)}
 📉 *Low:* ${fmtPrice(low)}
 📊 *Volume:* ${fmt(volume)}
-
+${indicatorLine ? `\n${indicatorLine}\n` : ''}${myTradesLine ? `\n${myTradesLine}\n` : ''}
 _${candles.length} candles • Updated ${fmtTime()} UTC_`;
     
     try { await ctx.telegram.deleteMessage(ctx.chat.id, chartLoadingMsg.message_id); } catch (e) {}
@@ -6662,6 +11936,8 @@ _${candles.length} candles • Updated ${fmtTime()} UTC_`;
             Markup.button.callback('4H', `chart:${pool.id}:4h`),
             Markup.button.callback('1D', `chart:${pool.id}:1d`),
           ],
+          chartStyleRow(pool.id, tf, style),
+          chartIndicatorRow(pool.id, tf, indicators),
           [Markup.button.callback('🔄 Refresh', `chart:${pool.id}:${tf}`)],
           [Markup.button.callback('🏆 Leaderboard', `leaderboard:${baseMint}`)],
           [Markup.button.url('📊 DexScreener', `https://dexscreener.com/solana/${baseMint}`)],
@@ -6678,14 +11954,12 @@ _${candles.length} candles • Updated ${fmtTime()} UTC_`;
   }
 });
 
-// Chart action (timeframe switching)
-bot.action(/^chart:(.+):(15m|1h|4h|1d)$/, async (ctx) => {
-  await safeAnswer(ctx, '📊 Loading...');
-
+// Send a fresh chart photo for a pool using the user's saved style and indicators
+async function replyWithPoolChart(ctx, poolId, tf, styleOverride = null) {
   try {
     try { await ctx.sendChatAction('typing'); } catch (_) {}
-    const poolId = ctx.match[1];
-    const tf = ctx.match[2];
+    const style = styleOverride || getChartStyle(ctx.chat.id);
+    const indicators = getChartIndicators(ctx.chat.id);
     
     const pool = poolMap.get(poolId);
     if (!pool) {
@@ -6707,7 +11981,9 @@ bot.action(/^chart:(.+):(15m|1h|4h|1d)$/, async (ctx) => {
       });
     }
 
-    const chartBuffer = await generatePriceChart(candles, symbol, tf);
+    const mine = getMyChartTrades(ctx.chat.id, pool.id, candles);
+
+    const chartBuffer = await generatePriceChart(candles, symbol, tf, { style, indicators, myTrades: mine.markers, avgEntry: mine.avgEntry });
 
     if (!chartBuffer) {
       return await ctx.reply('❌ Failed to generate chart.', {
@@ -6723,13 +11999,15 @@ bot.action(/^chart:(.+):(15m|1h|4h|1d)$/, async (ctx) => {
     const change = firstPrice > 0 ? ((lastPrice - firstPrice) / firstPrice) * 100 : 0;
     const high = Math.max(...candles.map(c => c.high));
     const low = Math.min(...candles.map(c => c.low));
+    const indicatorLine = describeIndicators(candles, indicators);
+    const myTradesLine = describeMyChartTrades(mine, lastPrice);
 
     const caption = `📊 *${escMd(symbol)}* • ${tf.toUpperCase()}
 
 💰 *Price:* ${fmtPrice(lastPrice)}
 ${change >= 0 ? '📈' : '📉'} *Change:* ${change >= 0 ? '+' : ''}${change.toFixed(2)}%
 📈 *High:* ${fmtPrice(high)} • 📉 *Low:* ${fmtPrice(low)}
-
+${indicatorLine ? `\n${indicatorLine}\n` : ''}${myTradesLine ? `\n${myTradesLine}\n` : ''}
 _Updated ${fmtTime()} UTC_`;
 
     // Send new photo (can't edit photo)
@@ -6745,6 +12023,8 @@ _Updated ${fmtTime()} UTC_`;
             Markup.button.callback('4H', `chart:${poolId}:4h`),
             Markup.button.callback('1D', `chart:${poolId}:1d`),
           ],
+          chartStyleRow(poolId, tf, style),
+          chartIndicatorRow(poolId, tf, indicators),
           [Markup.button.callback('🔄 Refresh', `chart:${poolId}:${tf}`)],
           [Markup.button.url('📊 DexScreener', `https://dexscreener.com/solana/${baseMint}`)],
         ])
@@ -6756,6 +12036,34 @@ _Updated ${fmtTime()} UTC_`;
       ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]])
     });
   }
+}
+
+// Chart action (timeframe and style switching)
+bot.action(/^chart:(.+):(15m|1h|4h|1d)(?::([cla]))?$/, async (ctx) => {
+  await safeAnswer(ctx, '📊 Loading...');
+
+  // Picking a style remembers it for later charts
+  const pickedStyle = chartStyleByCode(ctx.match[3]);
+  const user = getUser(ctx.chat.id);
+  if (pickedStyle && user && await canSaveChatPreference(ctx)) {
+    user.chartStyle = pickedStyle;
+    saveUserDebounced(user);
+  }
+  await replyWithPoolChart(ctx, ctx.match[1], ctx.match[2], pickedStyle);
+});
+
+// Indicator toggle (persists per user, then redraws)
+bot.action(/^cind:(.+):(15m|1h|4h|1d):([sevbr])$/, async (ctx) => {
+  const key = chartIndicatorByCode(ctx.match[3]);
+  const user = getUser(ctx.chat.id);
+  if (!key || !user) return safeAnswer(ctx, '❌ Start the bot first with /start');
+
+  const current = getChartIndicators(ctx.chat.id);
+  const enabled = !current.includes(key);
+  user.chartIndicators = enabled ? [...current, key] : current.filter(k => k !== key);
+  saveUserDebounced(user);
+  await safeAnswer(ctx, `${CHART_INDICATORS[key].label} ${enabled ? 'on' : 'off'}`);
+  await replyWithPoolChart(ctx, ctx.match[1], ctx.match[2]);
 });
 
 // Chart action (from token mint)
@@ -6782,6 +12090,8 @@ bot.action(/^chart:([1-9A-HJ-NP-Za-km-z]{32,44})$/, async (ctx) => {
 
     const symbol = pool.pairName;
     const tf = '1h';
+    const style = getChartStyle(ctx.chat.id);
+    const indicators = getChartIndicators(ctx.chat.id);
     const candles = await fetchOHLCVData(pool.id, tf, 48);
 
     if (candles.length < 2) {
@@ -6793,7 +12103,9 @@ bot.action(/^chart:([1-9A-HJ-NP-Za-km-z]{32,44})$/, async (ctx) => {
       });
     }
 
-    const chartBuffer = await generatePriceChart(candles, symbol, tf);
+    const mine = getMyChartTrades(ctx.chat.id, pool.id, candles);
+
+    const chartBuffer = await generatePriceChart(candles, symbol, tf, { style, indicators, myTrades: mine.markers, avgEntry: mine.avgEntry });
 
     if (!chartBuffer) {
       return await ctx.reply('❌ Failed to generate chart.', {
@@ -6809,7 +12121,7 @@ bot.action(/^chart:([1-9A-HJ-NP-Za-km-z]{32,44})$/, async (ctx) => {
     await ctx.replyWithPhoto(
       { source: chartBuffer },
       {
-        caption: `📊 *${escMd(symbol)}* • 1H\n\n💰 Price: ${fmtPrice(lastPrice)}`,
+        caption: `📊 *${escMd(symbol)}* • 1H\n\n💰 Price: ${fmtPrice(lastPrice)}${indicators.length ? `\n\n${describeIndicators(candles, indicators)}` : ''}${mine.buys + mine.sells > 0 ? `\n\n${describeMyChartTrades(mine, lastPrice)}` : ''}`,
         parse_mode: 'Markdown',
         ...Markup.inlineKeyboard([
           [
@@ -6818,6 +12130,8 @@ bot.action(/^chart:([1-9A-HJ-NP-Za-km-z]{32,44})$/, async (ctx) => {
             Markup.button.callback('4H', `chart:${pool.id}:4h`),
             Markup.button.callback('1D', `chart:${pool.id}:1d`),
           ],
+          chartStyleRow(pool.id, tf, style),
+          chartIndicatorRow(pool.id, tf, indicators),
           [Markup.button.url('📊 DexScreener', dexUrl)],
         ])
       }
@@ -6896,6 +12210,83 @@ bot.action(/^liqhistory:(.+)$/, async (ctx) => {
   });
 });
 
+bot.command('alert', async (ctx) => {
+  try {
+    const user = getUser(ctx.chat.id) || createUser(ctx.chat.id);
+    const input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+    if (!input) {
+      const alerts = getUserPriceAlerts(ctx.chat.id);
+      return await ctx.reply(text.priceAlerts(alerts), { parse_mode: 'Markdown', ...menu.priceAlerts(alerts) });
+    }
+
+    if (getUserPriceAlerts(ctx.chat.id).length >= CONFIG.maxPriceAlertsPerUser) {
+      return await ctx.reply(`⚠️ *Limit reached*\n\nYou can have up to ${CONFIG.maxPriceAlertsPerUser} price alerts. Remove one first.`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback('🎯 Manage Alerts', 'nav:pricealerts')]])
+      });
+    }
+
+    const parsed = parsePriceAlertInput(input);
+    if (parsed.error) {
+      return await ctx.reply(`❌ ${parsed.error}\n\n${text.addPriceAlert()}`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback('🎯 My Alerts', 'nav:pricealerts'), Markup.button.callback('🏠 Menu', 'nav:main')]])
+      });
+    }
+
+    const alert = createPriceAlert(user.chatId, parsed);
+    if (!alert) throw new Error('createPriceAlert returned null');
+
+    const price = getPriceAlertTargetPrice(alert);
+    await ctx.reply(`✅ *Price Alert Set*\n\n🎯 ${escMd(describePriceAlert(alert))}\n💰 Now: ${price ? fmtPrice(price) : 'N/A'}`, {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([[Markup.button.callback('🎯 My Alerts', 'nav:pricealerts'), Markup.button.callback('🏠 Menu', 'nav:main')]])
+    });
+  } catch (e) {
+    log.error('Alert command error:', e);
+    await ctx.reply('❌ Failed to set price alert.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+bot.command('rule', async (ctx) => {
+  try {
+    const user = getUser(ctx.chat.id) || createUser(ctx.chat.id);
+    const input = ctx.message.text.split(' ').slice(1).join(' ').trim();
+
+    if (!input) {
+      const rules = getUserCustomRules(ctx.chat.id);
+      return await ctx.reply(text.customRules(rules), { parse_mode: 'Markdown', ...menu.customRules(rules) });
+    }
+
+    if (getUserCustomRules(ctx.chat.id).length >= CONFIG.maxCustomRulesPerUser) {
+      return await ctx.reply(`⚠️ *Limit reached*\n\nYou can have up to ${CONFIG.maxCustomRulesPerUser} custom rules. Remove one first.`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback('🧩 Manage Rules', 'nav:customrules')]])
+      });
+    }
+
+    const parsed = parseCustomRuleInput(input);
+    if (parsed.error) {
+      return await ctx.reply(`❌ ${parsed.error}\n\n${text.addCustomRule()}`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback('🧩 My Rules', 'nav:customrules'), Markup.button.callback('🏠 Menu', 'nav:main')]])
+      });
+    }
+
+    const rule = createCustomRule(user.chatId, parsed);
+    if (!rule) throw new Error('createCustomRule returned null');
+
+    await ctx.reply(`✅ *Rule Added*\n\n\`${describeRule(rule)}\``, {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([[Markup.button.callback('🧩 My Rules', 'nav:customrules'), Markup.button.callback('🏠 Menu', 'nav:main')]])
+    });
+  } catch (e) {
+    log.error('Rule command error:', e);
+    await ctx.reply('❌ Failed to add rule.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
 // Shortcut actions for CIPHER
 bot.action('chart:cipher', async (ctx) => {
   await safeAnswer(ctx, '📊 Loading CIPHER chart...');
@@ -6914,6 +12305,8 @@ bot.action('chart:cipher', async (ctx) => {
     }
 
     const tf = '1h';
+    const style = getChartStyle(ctx.chat.id);
+    const indicators = getChartIndicators(ctx.chat.id);
     const candles = await fetchOHLCVData(pool.id, tf, 48);
 
     if (candles.length < 2) {
@@ -6925,7 +12318,9 @@ bot.action('chart:cipher', async (ctx) => {
       });
     }
 
-    const chartBuffer = await generatePriceChart(candles, pool.pairName, tf);
+    const mine = getMyChartTrades(ctx.chat.id, pool.id, candles);
+
+    const chartBuffer = await generatePriceChart(candles, pool.pairName, tf, { style, indicators, myTrades: mine.markers, avgEntry: mine.avgEntry });
 
     if (!chartBuffer) {
       return await ctx.reply('❌ Failed to generate chart.', {
@@ -6943,7 +12338,7 @@ bot.action('chart:cipher', async (ctx) => {
     await ctx.replyWithPhoto(
       { source: chartBuffer },
       {
-        caption: `📊 *${escMd(pool.pairName)}* • 1H\n\n💰 *Price:* ${fmtPrice(lastPrice)}\n${change >= 0 ? '📈' : '📉'} *Change:* ${change >= 0 ? '+' : ''}${change.toFixed(2)}%`,
+        caption: `📊 *${escMd(pool.pairName)}* • 1H\n\n💰 *Price:* ${fmtPrice(lastPrice)}\n${change >= 0 ? '📈' : '📉'} *Change:* ${change >= 0 ? '+' : ''}${change.toFixed(2)}%${indicators.length ? `\n\n${describeIndicators(candles, indicators)}` : ''}${mine.buys + mine.sells > 0 ? `\n\n${describeMyChartTrades(mine, lastPrice)}` : ''}`,
         parse_mode: 'Markdown',
         ...Markup.inlineKeyboard([
           [
@@ -6952,6 +12347,8 @@ bot.action('chart:cipher', async (ctx) => {
             Markup.button.callback('4H', `chart:${pool.id}:4h`),
             Markup.button.callback('1D', `chart:${pool.id}:1d`),
           ],
+          chartStyleRow(pool.id, tf, style),
+          chartIndicatorRow(pool.id, tf, indicators),
           [Markup.button.callback('🏆 Leaderboard', `leaderboard:${MINTS.CIPHER}`)],
           [Markup.button.url('📊 DexScreener', dexUrl)],
         ])
@@ -6992,6 +12389,7 @@ bot.action('leaderboard:cipher', async (ctx) => {
 bot.action('cmd:refreshprice', async (ctx) => {
   await safeAnswer(ctx, '🔄 Refreshing prices...');
   await fetchPrices();
+  checkPriceAlerts().catch(e => log.debug('Price alert check failed:', e.message));
   
   const solPrice = getPrice(MINTS.SOL);
   const cipherPrice = getPrice(MINTS.CIPHER);
@@ -7137,6 +12535,7 @@ Enter a token name or symbol (e.g. "SOL", "BONK"):`, {
     parse_mode: 'Markdown',
     ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', 'nav:pools')]])
   });
+  await askForGroupReply(ctx, 'token name or symbol');
 });
 
 // View single pool
@@ -7187,6 +12586,32 @@ bot.action(/^pool:watch:(.+)$/, async (ctx) => {
   }
 });
 
+// Per-pool volume spike subscription
+bot.action(/^spike:(.+)$/, async (ctx) => {
+  const poolId = ctx.match[1];
+  const user = getUser(ctx.chat.id);
+  if (!user) return safeAnswer(ctx);
+  
+  if (!user.spikePools) user.spikePools = [];
+  
+  const index = user.spikePools.indexOf(poolId);
+  if (index > -1) {
+    user.spikePools.splice(index, 1);
+    await safeAnswer(ctx, '📈 Spike alerts off for this pool');
+  } else {
+    if (!poolMap.has(poolId)) return safeAnswer(ctx, '❌ Pool not found');
+    user.spikePools.push(poolId);
+    await safeAnswer(ctx, '📈 Spike alerts on for this pool');
+  }
+
+  saveUsersDebounced();
+  
+  const pool = getPoolById(poolId);
+  if (pool) {
+    await safeEdit(ctx, text.poolView(pool), { parse_mode: 'Markdown', ...menu.poolView(pool, user) });
+  }
+});
+
 bot.action('nav:allwatchlist', async (ctx) => {
   await safeAnswer(ctx);
   const user = getUser(ctx.chat.id);
@@ -7325,6 +12750,60 @@ bot.action('portfolio:lp', async (ctx) => {
   await safeEdit(ctx, text.portfolioLp(positions), { parse_mode: 'Markdown', ...menu.portfolioLp(positions) });
 });
 
+bot.command('staking', async (ctx) => {
+  try {
+    const user = getUser(ctx.chat.id);
+    const hasWallets = (user?.portfolioWallets?.length > 0) || !!user?.myWallet;
+    if (!hasWallets) {
+      return await ctx.reply('🔒 Add a wallet first to track staking.', {
+        ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')]])
+      });
+    }
+    const report = await getStakingReport(user);
+    await ctx.reply(text.staking(report, user), { parse_mode: 'Markdown', ...menu.staking(user) });
+  } catch (e) {
+    log.error('Staking command error:', e);
+    await ctx.reply('❌ Failed to load staking.', { ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  }
+});
+
+bot.action('portfolio:staking', async (ctx) => {
+  await safeAnswer(ctx);
+  const user = getUser(ctx.chat.id);
+  const hasWallets = (user?.portfolioWallets?.length > 0) || !!user?.myWallet;
+  if (!hasWallets) {
+    await safeEdit(ctx, `🔒 *Staking*\n\nAdd a wallet to track staking.`, {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([[Markup.button.callback('➕ Add Wallet', 'portfolio:addwallet')], [Markup.button.callback('🏠 Menu', 'nav:main')]])
+    });
+    return;
+  }
+  try {
+    const report = await getStakingReport(user);
+    await safeEdit(ctx, text.staking(report, user), { parse_mode: 'Markdown', ...menu.staking(user) });
+  } catch (e) {
+    log.error('Staking view error:', e);
+    await safeEdit(ctx, '❌ Failed to load staking.', { ...Markup.inlineKeyboard([[Markup.button.callback('« Back', 'nav:portfolio')]]) });
+  }
+});
+
+// Cycle the claimable rewards alert threshold
+bot.action('stk:claim', async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  if (!user) { await safeAnswer(ctx); return; }
+  const current = CLAIM_ALERT_STEPS.indexOf(user.claimAlertUsd || 0);
+  const next = CLAIM_ALERT_STEPS[(current + 1) % CLAIM_ALERT_STEPS.length];
+  // A new threshold re-arms the alert
+  updateUser(ctx.chat.id, { claimAlertUsd: next, claimAlertedAt: 0 });
+  await safeAnswer(ctx, next ? `🔔 Alert when claimable rewards pass ${fmt(next)}` : '🔕 Claim alert off');
+  try {
+    const report = await getStakingReport(user);
+    await safeEdit(ctx, text.staking(report, user), { parse_mode: 'Markdown', ...menu.staking(user) });
+  } catch (e) {
+    log.debug('Staking view refresh failed:', e.message);
+  }
+});
+
 bot.action('portfolio:trades', async (ctx) => {
   await safeAnswer(ctx);
   const user = getUser(ctx.chat.id);
@@ -7409,6 +12888,7 @@ bot.action('portfolio:addwallet', async (ctx) => {
     parse_mode: 'Markdown',
     ...Markup.inlineKeyboard([[Markup.button.callback('« Cancel', 'portfolio:wallets')]])
   });
+  await askForGroupReply(ctx, 'wallet address');
 });
 
 bot.action(/^portfolio:rmwallet:(.+)$/, async (ctx) => {
@@ -7504,9 +12984,10 @@ ${pnlIcon} PnL: ${pnlSign}${fmt(Math.abs(walletData.pnl || 0))}`;
 
 bot.action(/^view:lp:(.+)$/, async (ctx) => {
   await safeAnswer(ctx);
-  const poolId = ctx.match[1];
+  const id = ctx.match[1];
   const user = getUser(ctx.chat.id);
-  const position = user?.portfolio?.lpPositions?.find(p => p.poolId === poolId);
+  const position = user?.portfolio?.lpPositions?.find(p => p.position === id) ||
+    user?.portfolio?.lpPositions?.find(p => p.poolId === id);
 
   if (!position) {
     await safeEdit(ctx, `❌ *Position Not Found*\n\nThis LP position may have been closed.`, {
@@ -7516,17 +12997,46 @@ bot.action(/^view:lp:(.+)$/, async (ctx) => {
     return;
   }
 
+  const poolId = position.poolId;
   const pool = poolMap.get(poolId);
   const baseMint = pool?.baseMint || pool?.base || position.baseMint || poolId;
   
+  let positionText;
+  if (position.source === 'dlmm') {
+    // Live active bin if a swap has moved it since the last sync
+    const activeBin = getPoolActiveBin(pool) ?? position.activeBin;
+    const range = { ...position, activeBin, ...getBinRangeStatus(position.lowerBin, position.upperBin, activeBin) };
+    const lowPrice = getBinPrice(pool, position.lowerBin);
+    const highPrice = getBinPrice(pool, position.upperBin);
+    const quoteUsd = getPrice(position.quoteMint) || 0;
+    const baseUsd = position.baseAmount * (getPrice(position.baseMint) || 0);
+    const quoteValue = position.quoteAmount * quoteUsd;
+    const pct = (v) => position.valueUsd > 0 ? ` (${((v / position.valueUsd) * 100).toFixed(0)}%)` : '';
+    
+    positionText = `*Bins:* ${position.lowerBin} → ${position.upperBin} (${position.binCount} with liquidity)${lowPrice && highPrice && quoteUsd ? `\n*Price range:* ${formatPrice(lowPrice * quoteUsd)} – ${formatPrice(highPrice * quoteUsd)}` : ''}
+*Active bin:* ${activeBin ?? '—'} • ${describeBinRange(range)}
+
+*Composition:*
+🪙 ${formatNumber(position.baseAmount)} ${getSymbol(position.baseMint)} • ${fmt(baseUsd)}${pct(baseUsd)}
+🪙 ${formatNumber(position.quoteAmount)} ${getSymbol(position.quoteMint)} • ${fmt(quoteValue)}${pct(quoteValue)}
+
+💰 *Value:* ${fmt(position.valueUsd)}${position.performance ? `
+
+📈 *Performance:*
+${formatLpPerformance(position).split('\n').slice(1).join('\n').trim()}
+Deposited ${fmt(position.performance.depositedUsd)} • Held instead ${fmt(position.performance.holdValue)}` : ''}`;
+  } else {
+    positionText = `*Your Position:*
+📊 Shares: ${(position.shares || 0).toFixed(6)}
+💰 Value: ${fmt(position.valueUsd)}`;
+  }
+  
   const msg = `💧 *LP Position*
 
 *Pool:* ${position.pool}
 ${position.isCipher ? '🔷 CIPHER Pool' : '🌐 Other Pool'}
 
-*Your Position:*
-📊 Shares: ${position.shares.toFixed(6)}
-💰 Value: ${fmt(position.valueUsd)}`;
+${positionText}`;
 
   await safeEdit(ctx, msg, {
     parse_mode: 'Markdown',
@@ -7535,6 +13045,7 @@ ${position.isCipher ? '🔷 CIPHER Pool' : '🌐 Other Pool'}
         Markup.button.url('🔍 Pool', `https://markets.cipherlabsx.com/pools/${poolId}`),
         Markup.button.url('📊 Chart', `https://dexscreener.com/solana/${baseMint}`),
       ],
+      ...(position.position ? [[Markup.button.url('🧾 Position', `https://solscan.io/account/${position.position}`)]] : []),
       [Markup.button.callback('« Back', 'portfolio:lp'), Markup.button.callback('🏠 Menu', 'nav:main')],
     ])
   });
@@ -7578,17 +13089,19 @@ Choose a preset to get started:
 _You can customize thresholds anytime from Settings._`, { parse_mode: 'Markdown', ...menu.setup() });
 });
 
+const SETUP_PRESETS = {
+  cipher: { cipherBuys: true, cipherSells: true, cipherLpAdd: true, cipherLpRemove: true, cipherThreshold: 100, trackOtherPools: false },
+  lp: { cipherBuys: false, cipherSells: false, cipherLpAdd: true, cipherLpRemove: true, trackOtherPools: true, otherLpAdd: true, otherLpRemove: true, otherLpThreshold: 250 },
+  all: { cipherBuys: true, cipherSells: true, cipherLpAdd: true, cipherLpRemove: true, cipherThreshold: 100, trackOtherPools: true, otherLpAdd: true, otherLpRemove: true, otherLpThreshold: 500, otherBuys: true, otherSells: true, otherThreshold: 500, watchThreshold: 500 },
+};
+
 bot.action(/^preset:(.+)$/, async (ctx) => {
   const mode = ctx.match[1];
-  const presets = {
-    cipher: { cipherBuys: true, cipherSells: true, cipherLpAdd: true, cipherLpRemove: true, cipherThreshold: 100, trackOtherPools: false },
-    lp: { cipherBuys: false, cipherSells: false, cipherLpAdd: true, cipherLpRemove: true, trackOtherPools: true, otherLpAdd: true, otherLpRemove: true, otherLpThreshold: 250 },
-    all: { cipherBuys: true, cipherSells: true, cipherLpAdd: true, cipherLpRemove: true, cipherThreshold: 100, trackOtherPools: true, otherLpAdd: true, otherLpRemove: true, otherLpThreshold: 500, otherBuys: true, otherSells: true, otherThreshold: 500 },
-  };
+  if (!SETUP_PRESETS[mode]) { await safeAnswer(ctx); return; }
   
   const modeNames = { cipher: 'CIPHER Alerts', lp: 'LP Tracking', all: 'Everything' };
   
-  updateUser(ctx.chat.id, { ...presets[mode], onboarded: true });
+  updateUser(ctx.chat.id, { ...SETUP_PRESETS[mode], onboarded: true });
   const user = getUser(ctx.chat.id);
   
   await safeEdit(ctx, `✅ *You're all set!*
@@ -7611,9 +13124,56 @@ const ALLOWED_TOGGLES = new Set([
   'enabled', 'cipherBuys', 'cipherSells', 'cipherLpAdd', 'cipherLpRemove',
   'trackOtherPools', 'otherLpAdd', 'otherLpRemove', 'otherBuys', 'otherSells',
   'walletAlerts', 'dailyDigest', 'newPoolAlerts', 'lockAlerts', 'rewardAlerts',
-  'closePoolAlerts', 'protocolFeeAlerts', 'adminAlerts',
+  'closePoolAlerts', 'protocolFeeAlerts', 'adminAlerts', 'rangeAlerts',
+  'cipherSpikes', 'watchlistSpikes', 'drainAlerts',
 ]);
 
+// Cycle the edge warning distance for position range alerts
+bot.action('lprange:bins', async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  if (!user || !canReadDlmmPositions()) { await safeAnswer(ctx); return; }
+  const current = RANGE_EDGE_STEPS.indexOf(user.rangeAlertBins ?? 3);
+  const next = RANGE_EDGE_STEPS[(current + 1) % RANGE_EDGE_STEPS.length];
+  updateUser(ctx.chat.id, { rangeAlertBins: next });
+  await safeAnswer(ctx, next ? `📏 Warn within ${next} bin${next !== 1 ? 's' : ''} of the edge` : '📏 Edge warning off');
+  const updated = getUser(ctx.chat.id);
+  await safeEdit(ctx, text.lp(updated), { parse_mode: 'Markdown', ...menu.lp(updated) });
+});
+
+// Bind (or unbind) an alert category to the topic this menu lives in
+bot.action(/^topic:(\w+)$/, async (ctx) => {
+  const category = ctx.match[1];
+  const user = getUser(ctx.chat.id);
+  const message = ctx.callbackQuery.message;
+  const threadId = message?.is_topic_message ? message.message_thread_id : null;
+  if (!user || !ALERT_TOPICS[category] || !threadId) { await safeAnswer(ctx); return; }
+
+  const topics = { ...(user.alertTopics || {}) };
+  if (topics[category] === threadId) delete topics[category];
+  else topics[category] = threadId;
+  updateUser(ctx.chat.id, { alertTopics: topics });
+
+  const updated = getUser(ctx.chat.id);
+  await safeAnswer(ctx, topics[category] ? `${ALERT_TOPICS[category]} → this topic` : `${ALERT_TOPICS[category]} → General`);
+  await safeEdit(ctx, text.topics(updated, threadId), { parse_mode: 'Markdown', ...menu.topics(updated, threadId) });
+});
+
+// Cycle alert delivery (instant → batched → digest only) and the batch interval
+bot.action(/^delivery:(mode|interval)$/, async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  if (!user) { await safeAnswer(ctx); return; }
+  if (ctx.match[1] === 'mode') {
+    const next = DELIVERY_MODES[(DELIVERY_MODES.indexOf(user.deliveryMode || 'instant') + 1) % DELIVERY_MODES.length];
+    updateUser(ctx.chat.id, { deliveryMode: next });
+  } else {
+    const current = BATCH_INTERVAL_STEPS.indexOf(user.batchMinutes || 15);
+    updateUser(ctx.chat.id, { batchMinutes: BATCH_INTERVAL_STEPS[(current + 1) % BATCH_INTERVAL_STEPS.length] });
+  }
+  const updated = getUser(ctx.chat.id);
+  await safeAnswer(ctx, describeDeliveryMode(updated));
+  await safeEdit(ctx, text.settings(updated), { parse_mode: 'Markdown', ...menu.settings(updated) });
+});
+
 bot.action(/^tog:(.+)$/, async (ctx) => {
   const field = ctx.match[1];
   const user = getUser(ctx.chat.id);
@@ -7638,8 +13198,10 @@ bot.action(/^tog:(.+)$/, async (ctx) => {
     await safeEdit(ctx, text.settings(updated), { parse_mode: 'Markdown', ...menu.settings(updated) });
   } else if (field.startsWith('cipher')) {
     await safeEdit(ctx, text.cipher(updated), { parse_mode: 'Markdown', ...menu.cipher(updated) });
-  } else if (field.startsWith('otherLp')) {
+  } else if (field.startsWith('otherLp') || field === 'rangeAlerts' || field === 'drainAlerts') {
     await safeEdit(ctx, text.lp(updated), { parse_mode: 'Markdown', ...menu.lp(updated) });
+  } else if (field === 'watchlistSpikes') {
+    await safeEdit(ctx, text.watchlist(updated), { parse_mode: 'Markdown', ...menu.watchlist(updated) });
   } else if (field === 'otherBuys' || field === 'otherSells') {
     await safeEdit(ctx, text.otherPoolSettings(updated), { parse_mode: 'Markdown', ...menu.otherPoolSettings(updated) });
   } else if (field === 'dailyDigest') {
@@ -7665,14 +13227,14 @@ bot.action(/^thresh:(.+)$/, async (ctx) => {
   await safeAnswer(ctx);
   const type = ctx.match[1];
   const user = getUser(ctx.chat.id);
-  const currentMap = { cipher: user?.cipherThreshold, lp: user?.otherLpThreshold, other: user?.otherThreshold, watch: user?.otherThreshold };
+  const currentMap = { cipher: user?.cipherThreshold, lp: user?.otherLpThreshold, other: user?.otherThreshold, watch: user?.watchThreshold };
   await safeEdit(ctx, `💰 *Set Minimum Amount*\n\nOnly get alerts above this value:`, { parse_mode: 'Markdown', ...menu.threshold(type, currentMap[type]) });
 });
 
 bot.action(/^setth:(.+):(\d+)$/, async (ctx) => {
   const type = ctx.match[1];
   const val = parseInt(ctx.match[2], 10);
-  const fieldMap = { cipher: 'cipherThreshold', lp: 'otherLpThreshold', other: 'otherThreshold', watch: 'otherThreshold' };
+  const fieldMap = { cipher: 'cipherThreshold', lp: 'otherLpThreshold', other: 'otherThreshold', watch: 'watchThreshold' };
   if (!fieldMap[type] || isNaN(val) || val < 0 || val > 1000000) return safeAnswer(ctx, '❌ Invalid threshold');
   updateUser(ctx.chat.id, { [fieldMap[type]]: val });
   
@@ -7685,6 +13247,75 @@ bot.action(/^setth:(.+):(\d+)$/, async (ctx) => {
   else await safeEdit(ctx, text.watchlist(user), { parse_mode: 'Markdown', ...menu.watchlist(user) });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERT RULES
+// ═══════════════════════════════════════════════════════════════════════════════
+const RULE_TARGET_TYPES = { p: 'pool', t: 'token' };
+
+async function showAlertRules(ctx, rc) {
+  await safeEdit(ctx, text.alertRules(rc), { parse_mode: 'Markdown', ...menu.alertRules(rc) });
+}
+
+bot.action(/^rules:(p|t):(.+)$/, async (ctx) => {
+  await safeAnswer(ctx);
+  const user = getUser(ctx.chat.id) || createUser(ctx.chat.id);
+  const rc = getAlertRuleContext(user, RULE_TARGET_TYPES[ctx.match[1]], ctx.match[2]);
+  if (!rc) return safeEdit(ctx, `❌ *Pool Not Found*\n\nThis pool may have been removed.`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('🏠 Menu', 'nav:main')]]) });
+  await showAlertRules(ctx, rc);
+});
+
+bot.action(/^rtog:(p|t):([^:]+):(b|s|la|lr)$/, async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  const targetType = RULE_TARGET_TYPES[ctx.match[1]];
+  const target = ctx.match[2];
+  const field = ALERT_RULE_TOGGLES[ctx.match[3]];
+  const rc = user && getAlertRuleContext(user, targetType, target);
+  if (!rc) return safeAnswer(ctx, '❌ Not found');
+
+  setAlertOverride(user, targetType, target, { [field]: !rc.effective[field] });
+  const updated = getAlertRuleContext(user, targetType, target);
+  await safeAnswer(ctx, updated.effective[field] ? '✅ Turned on' : '⬜ Turned off');
+  await showAlertRules(ctx, updated);
+});
+
+bot.action(/^rth:(p|t):([^:]+):(t|l)$/, async (ctx) => {
+  await safeAnswer(ctx);
+  const user = getUser(ctx.chat.id);
+  const rc = user && getAlertRuleContext(user, RULE_TARGET_TYPES[ctx.match[1]], ctx.match[2]);
+  if (!rc) return;
+  const kind = ctx.match[3];
+  const current = rc.effective[ALERT_RULE_THRESHOLDS[kind]];
+  await safeEdit(ctx, `💰 *Set Minimum Amount*\n*${escMd(rc.label)}*\n\nOnly get ${kind === 't' ? 'trade' : 'LP'} alerts above this value:`, {
+    parse_mode: 'Markdown',
+    ...menu.ruleThreshold(rc, kind, current),
+  });
+});
+
+bot.action(/^rset:(p|t):([^:]+):(t|l):(\d+|d)$/, async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  const targetType = RULE_TARGET_TYPES[ctx.match[1]];
+  const target = ctx.match[2];
+  const field = ALERT_RULE_THRESHOLDS[ctx.match[3]];
+  const val = ctx.match[4] === 'd' ? null : parseInt(ctx.match[4], 10);
+  if (val !== null && (isNaN(val) || val < 0 || val > 1000000)) return safeAnswer(ctx, '❌ Invalid threshold');
+  if (!user || !getAlertRuleContext(user, targetType, target)) return safeAnswer(ctx, '❌ Not found');
+
+  setAlertOverride(user, targetType, target, { [field]: val });
+  await safeAnswer(ctx, val === null ? '↩️ Using default' : `✅ Set to ${fmt(val)}`);
+  await showAlertRules(ctx, getAlertRuleContext(user, targetType, target));
+});
+
+bot.action(/^rreset:(p|t):(.+)$/, async (ctx) => {
+  const user = getUser(ctx.chat.id);
+  const targetType = RULE_TARGET_TYPES[ctx.match[1]];
+  const target = ctx.match[2];
+  if (!user) return safeAnswer(ctx);
+  clearAlertOverride(user, targetType, target);
+  await safeAnswer(ctx, '↩️ Rule reset to defaults');
+  const rc = getAlertRuleContext(user, targetType, target);
+  if (rc) await showAlertRules(ctx, rc);
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SNOOZE & QUIET
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -7738,6 +13369,112 @@ bot.action('quiet:off', async (ctx) => {
   await safeEdit(ctx, text.quiet(user), { parse_mode: 'Markdown', ...menu.quiet(user) });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PRICE ALERT ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+bot.action('nav:pricealerts', async (ctx) => {
+  await safeAnswer(ctx);
+  const alerts = getUserPriceAlerts(ctx.chat.id);
+  await safeEdit(ctx, text.priceAlerts(alerts), { parse_mode: 'Markdown', ...menu.priceAlerts(alerts) });
+});
+
+bot.action('input:pricealert', async (ctx) => {
+  await safeAnswer(ctx);
+  setUserState(ctx.chat.id, { awaiting: 'priceAlert' });
+  await safeEdit(ctx, text.addPriceAlert(), { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', 'nav:pricealerts')]]) });
+  await askForGroupReply(ctx, 'price alert');
+});
+
+bot.action(/^palert:(toggle|mode|rm):(\d+)$/, async (ctx) => {
+  const action = ctx.match[1];
+  const alert = priceAlerts.get(parseInt(ctx.match[2], 10));
+  if (!alert || alert.chatId !== ctx.chat.id) return safeAnswer(ctx, '❌ Alert not found');
+
+  if (action === 'rm') {
+    deletePriceAlert(alert.id);
+    await safeAnswer(ctx, '🗑️ Alert removed');
+  } else if (action === 'toggle') {
+    alert.active = !alert.active;
+    alert.triggered = false;
+    alert.snoozedUntil = 0;
+    if (alert.active && alert.condition === 'pct') alert.basePrice = getPriceAlertTargetPrice(alert);
+    savePriceAlert(alert);
+    await safeAnswer(ctx, alert.active ? '🟢 Alert on' : '⚫ Alert off');
+  } else {
+    alert.rearm = !alert.rearm;
+    savePriceAlert(alert);
+    await safeAnswer(ctx, alert.rearm ? '🔁 Re-arms after firing' : '1️⃣ Fires once');
+  }
+
+  const alerts = getUserPriceAlerts(ctx.chat.id);
+  await safeEdit(ctx, text.priceAlerts(alerts), { parse_mode: 'Markdown', ...menu.priceAlerts(alerts) });
+});
+
+// Re-arm a fired one-shot alert straight from the alert message
+bot.action(/^palert:rearm:(\d+)$/, async (ctx) => {
+  const alert = priceAlerts.get(parseInt(ctx.match[1], 10));
+  if (!alert || alert.chatId !== ctx.chat.id) return safeAnswer(ctx, '❌ Alert not found');
+  alert.active = true;
+  alert.triggered = false;
+  if (alert.condition === 'pct') alert.basePrice = getPriceAlertTargetPrice(alert);
+  savePriceAlert(alert);
+  await safeAnswer(ctx, `🔁 ${describePriceAlert(alert)} re-armed`);
+  try { await ctx.editMessageReplyMarkup(undefined); } catch (_) {}
+});
+
+bot.action(/^snooze:palert:(\d+):(\d+)$/, async (ctx) => {
+  const alert = priceAlerts.get(parseInt(ctx.match[1], 10));
+  const mins = parseInt(ctx.match[2], 10);
+  if (!alert || alert.chatId !== ctx.chat.id) return safeAnswer(ctx, '❌ Alert not found');
+  if (isNaN(mins) || mins < 0 || mins > 1440) return safeAnswer(ctx, '❌ Invalid snooze duration');
+  alert.snoozedUntil = Date.now() + mins * 60000;
+  savePriceAlert(alert);
+  const label = mins >= 60 ? `${mins/60}h` : `${mins}m`;
+  await safeAnswer(ctx, `🔕 ${describePriceAlert(alert)} snoozed for ${label}`);
+  try { await ctx.editMessageReplyMarkup(undefined); } catch (_) {}
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUSTOM RULE ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+bot.action('nav:customrules', async (ctx) => {
+  await safeAnswer(ctx);
+  const rules = getUserCustomRules(ctx.chat.id);
+  await safeEdit(ctx, text.customRules(rules), { parse_mode: 'Markdown', ...menu.customRules(rules) });
+});
+
+bot.action('input:customrule', async (ctx) => {
+  await safeAnswer(ctx);
+  setUserState(ctx.chat.id, { awaiting: 'customRule' });
+  await safeEdit(ctx, text.addCustomRule(), { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', 'nav:customrules')]]) });
+  await askForGroupReply(ctx, 'rule');
+});
+
+bot.action('crule:defaults', async (ctx) => {
+  await safeAnswer(ctx);
+  const user = getUser(ctx.chat.id) || createUser(ctx.chat.id);
+  await safeEdit(ctx, text.defaultRules(getDefaultRules(user)), {
+    parse_mode: 'Markdown',
+    ...Markup.inlineKeyboard([[Markup.button.callback('« Back', 'nav:customrules'), Markup.button.callback('🏠 Menu', 'nav:main')]])
+  });
+});
+
+bot.action(/^crule:(toggle|rm):(\d+)$/, async (ctx) => {
+  const rule = getCustomRule(ctx.chat.id, parseInt(ctx.match[2], 10));
+  if (!rule) return safeAnswer(ctx, '❌ Rule not found');
+
+  if (ctx.match[1] === 'rm') {
+    deleteCustomRule(ctx.chat.id, rule.id);
+    await safeAnswer(ctx, '🗑️ Rule removed');
+  } else {
+    setCustomRuleActive(rule, !rule.active);
+    await safeAnswer(ctx, rule.active ? '🟢 Rule on' : '⚫ Rule off');
+  }
+
+  const rules = getUserCustomRules(ctx.chat.id);
+  await safeEdit(ctx, text.customRules(rules), { parse_mode: 'Markdown', ...menu.customRules(rules) });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BROWSE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -7755,12 +13492,14 @@ bot.action('input:wallet', async (ctx) => {
   await safeAnswer(ctx);
   setUserState(ctx.chat.id, { awaiting: 'wallet' });
   await safeEdit(ctx, text.addWallet(), { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', 'nav:wallets')]]) });
+  await askForGroupReply(ctx, 'wallet address');
 });
 
 bot.action('input:search', async (ctx) => {
   await safeAnswer(ctx);
   setUserState(ctx.chat.id, { awaiting: 'search' });
   await safeEdit(ctx, text.search(), { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', 'nav:watchlist')]]) });
+  await askForGroupReply(ctx, 'token name or contract address');
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -8114,6 +13853,7 @@ bot.action(/^view:pool:(.+)$/, async (ctx) => {
        Markup.button.callback('💧 LP History', `liqhistory:${poolId}`)],
       [Markup.button.callback('🏆 Leaderboard', `leaderboard:${baseMint}`),
        Markup.button.callback(inList ? '❌ Remove' : '➕ Add Watchlist', inList ? `confirm:rmpool:${poolId}` : `add:pool:${poolId}`)],
+      [Markup.button.callback('🎛️ Alert Rules', `rules:p:${poolId}`)],
       [
         Markup.button.url('🔍 Solscan', `https://solscan.io/account/${poolId}`),
         Markup.button.url('🦅 Birdeye', `https://birdeye.so/token/${baseMint}?chain=solana`),
@@ -8229,6 +13969,44 @@ bot.on('text', async (ctx) => {
       }
     }
     
+    // Price alert input
+    if (state.awaiting === 'priceAlert') {
+      if (getUserPriceAlerts(ctx.chat.id).length >= CONFIG.maxPriceAlertsPerUser) {
+        await ctx.reply(`⚠️ *Limit reached*\n\nYou can have up to ${CONFIG.maxPriceAlertsPerUser} price alerts. Remove one first.`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('« Back', 'nav:pricealerts')]]) });
+        return;
+      }
+      const parsed = parsePriceAlertInput(input);
+      if (parsed.error) {
+        await ctx.reply(`❌ ${parsed.error}`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('🔄 Try Again', 'input:pricealert')], [Markup.button.callback('« Back', 'nav:pricealerts')]]) });
+        return;
+      }
+      const alert = createPriceAlert(user.chatId, parsed);
+      if (!alert) throw new Error('createPriceAlert returned null');
+      const price = getPriceAlertTargetPrice(alert);
+      await ctx.reply(`✅ *Price Alert Set*\n\n🎯 ${escMd(describePriceAlert(alert))}\n💰 Now: ${price ? fmtPrice(price) : 'N/A'}`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([
+        [Markup.button.callback('➕ Add Another', 'input:pricealert')],
+        [Markup.button.callback('✓ Done', 'nav:pricealerts')],
+      ])});
+    }
+
+    if (state.awaiting === 'customRule') {
+      if (getUserCustomRules(ctx.chat.id).length >= CONFIG.maxCustomRulesPerUser) {
+        await ctx.reply(`⚠️ *Limit reached*\n\nYou can have up to ${CONFIG.maxCustomRulesPerUser} custom rules. Remove one first.`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('« Back', 'nav:customrules')]]) });
+        return;
+      }
+      const parsed = parseCustomRuleInput(input);
+      if (parsed.error) {
+        await ctx.reply(`❌ ${parsed.error}`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('🔄 Try Again', 'input:customrule')], [Markup.button.callback('« Back', 'nav:customrules')]]) });
+        return;
+      }
+      const rule = createCustomRule(user.chatId, parsed);
+      if (!rule) throw new Error('createCustomRule returned null');
+      await ctx.reply(`✅ *Rule Added*\n\n\`${describeRule(rule)}\``, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([
+        [Markup.button.callback('➕ Add Another', 'input:customrule')],
+        [Markup.button.callback('✓ Done', 'nav:customrules')],
+      ])});
+    }
+
     // Portfolio wallet input (supports both legacy and new multi-wallet)
     if (state.awaiting === 'mywallet' || state.awaiting === 'portfoliowallet') {
       if (!isValidWallet(input)) {
@@ -8237,6 +14015,7 @@ bot.on('text', async (ctx) => {
           ...Markup.inlineKeyboard([[Markup.button.callback('« Cancel', state.awaiting === 'portfoliowallet' ? 'portfolio:wallets' : 'nav:portfolio')]]) 
         });
         setUserState(ctx.chat.id, { awaiting: state.awaiting }); // Keep waiting for input
+        await askForGroupReply(ctx, 'wallet address');
         return;
       }
       
@@ -8298,6 +14077,177 @@ bot.on('text', async (ctx) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// NOTIFICATION DISPATCHER (SQLite outbox)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every alert is written to the outbox table and sent by a single pump that keeps
+// under Telegram's limits (~30 msg/s overall, 1 msg/s per chat, 20 msg/min per group).
+// Rows are only removed once delivered, so queued alerts survive a restart.
+const OUTBOX_BATCH_SIZE = 100;
+const OUTBOX_MAX_ATTEMPTS = 5;
+const chatNextSendAt = new Map(); // chatId -> earliest time the next message may go out
+let outboxNextSendAt = 0;
+let outboxDrain = null; // in-flight drain promise
+let outboxStopped = false;
+
+// Groups and channels have negative ids and a much lower per-chat limit
+const chatSendInterval = (chatId) => chatId < 0 ? 3000 : 1000;
+
+// Queue one message per recipient. `effects` are applied only after delivery:
+// { stats: { cipherBuys: 1, volume: 2500 }, today: { trades: 1 }, recent: { type: 'trade', ... } }
+function queueAlert(recipients, msg, extra = {}, effects = null, topic = null) {
+  if (!db || outboxStopped || recipients.length === 0) return 0;
+  try {
+    const insert = db.prepare('INSERT INTO outbox (chat_id, text, extra, effects, created_at) VALUES (?, ?, ?, ?, ?)');
+    const extraJson = JSON.stringify(extra);
+    const effectsJson = effects ? JSON.stringify(effects) : null;
+    const now = Date.now();
+    db.transaction(() => {
+      for (const r of recipients) {
+        // Forum groups can bind the alert's category to a topic
+        const threadId = topic ? r.alertTopics?.[topic] : null;
+        insert.run(r.chatId, msg, threadId ? JSON.stringify({ ...extra, message_thread_id: threadId }) : extraJson, effectsJson, now);
+      }
+    })();
+  } catch (e) {
+    log.error('Failed to queue alert:', e.message);
+    return 0;
+  }
+  kickOutbox();
+  return recipients.length;
+}
+
+function kickOutbox() {
+  if (outboxDrain || outboxStopped || !db) return;
+  outboxDrain = drainOutbox()
+    .catch(e => log.error('Outbox drain failed:', e.message))
+    .finally(() => { outboxDrain = null; });
+}
+
+// The oldest row of each chat that is due and not cooling down. Later rows wait behind their
+// chat's head, so per-chat order is kept and a backed-up chat can't fill the batch.
+const OUTBOX_HEADS_SQL = `
+  SELECT o.* FROM outbox o
+  JOIN (SELECT chat_id, MIN(id) AS id FROM outbox GROUP BY chat_id) h ON o.id = h.id
+  WHERE o.next_attempt_at <= ? AND o.chat_id NOT IN (SELECT value FROM json_each(?))
+  ORDER BY o.id LIMIT ?`;
+
+async function drainOutbox() {
+  while (!outboxStopped) {
+    const now = Date.now();
+    const cooling = [...chatNextSendAt].filter(([, t]) => t > now).map(([chatId]) => chatId);
+    const rows = db.prepare(OUTBOX_HEADS_SQL).all(now, JSON.stringify(cooling), OUTBOX_BATCH_SIZE);
+    let delivered = 0;
+    for (const row of rows) {
+      if (outboxStopped) break;
+
+      const wait = outboxNextSendAt - Date.now();
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      outboxNextSendAt = Date.now() + 1000 / CONFIG.sendRatePerSecond;
+      chatNextSendAt.set(row.chat_id, Date.now() + chatSendInterval(row.chat_id));
+
+      if (await deliverOutboxRow(row)) delivered++;
+    }
+    // Nothing sendable right now; the interval kicks us again
+    if (delivered === 0) break;
+  }
+}
+
+async function deliverOutboxRow(row) {
+  const user = users.get(row.chat_id);
+  if (user?.blocked) {
+    db.prepare('DELETE FROM outbox WHERE id = ?').run(row.id);
+    return false;
+  }
+
+  let extra;
+  try {
+    extra = JSON.parse(row.extra || '{}');
+  } catch (e) {
+    log.warn(`⚠️ Dropping alert ${row.id} for ${row.chat_id}: unreadable extra (${e.message})`);
+    db.prepare('DELETE FROM outbox WHERE id = ?').run(row.id);
+    return false;
+  }
+
+  try {
+    await bot.telegram.sendMessage(row.chat_id, row.text, extra);
+  } catch (e) {
+    if (extra.message_thread_id && e.description?.includes('thread not found')) {
+      // The topic was deleted: forget the binding and retry in the general chat
+      if (user) clearAlertTopic(user, extra.message_thread_id);
+      delete extra.message_thread_id;
+      db.prepare('UPDATE outbox SET extra = ? WHERE id = ?').run(JSON.stringify(extra), row.id);
+      return false;
+    }
+    if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
+      if (user) {
+        user.enabled = false;
+        user.blocked = true;
+        saveUserDebounced(user);
+      }
+      db.prepare('DELETE FROM outbox WHERE chat_id = ?').run(row.chat_id);
+      return false;
+    }
+    // The group became a supergroup: move its record (and this queue) to the new id and resend
+    if (e.parameters?.migrate_to_chat_id) {
+      migrateChat(row.chat_id, e.parameters.migrate_to_chat_id);
+      return false;
+    }
+    // Permanent 400s fail the same way on every retry
+    if (e.code === 400 && e.description?.includes('chat not found')) {
+      log.warn(`⚠️ Dropping queued alerts for ${row.chat_id}: chat not found`);
+      db.prepare('DELETE FROM outbox WHERE chat_id = ?').run(row.chat_id);
+      return false;
+    }
+    if (e.code === 400 && e.description?.includes("can't parse entities")) {
+      log.warn(`⚠️ Dropping alert ${row.id} for ${row.chat_id}: ${e.description}`);
+      db.prepare('DELETE FROM outbox WHERE id = ?').run(row.id);
+      return false;
+    }
+
+    const attempts = row.attempts + 1;
+    if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+      log.warn(`⚠️ Dropping alert for ${row.chat_id} after ${attempts} attempts: ${e.message}`);
+      db.prepare('DELETE FROM outbox WHERE id = ?').run(row.id);
+      return false;
+    }
+    // 429: wait exactly as long as Telegram asks; anything else backs off exponentially
+    const delay = e.code === 429 ? (e.parameters?.retry_after || 5) * 1000 : 5000 * 2 ** row.attempts;
+    chatNextSendAt.set(row.chat_id, Date.now() + delay);
+    // A 429 can come from the global limit too, so hold every chat until it has passed
+    if (e.code === 429) outboxNextSendAt = Math.max(outboxNextSendAt, Date.now() + delay);
+    db.prepare('UPDATE outbox SET attempts = ?, next_attempt_at = ? WHERE id = ?').run(attempts, Date.now() + delay, row.id);
+    log.debug(`Alert to ${row.chat_id} failed (attempt ${attempts}), retrying in ${delay}ms:`, e.message);
+    return false;
+  }
+
+  db.prepare('DELETE FROM outbox WHERE id = ?').run(row.id);
+  if (user && row.effects) applyAlertEffects(user, JSON.parse(row.effects));
+  return true;
+}
+
+function applyAlertEffects(user, effects) {
+  // Recent alert first: adding it may roll todayStats over to a new day
+  if (effects.recent) addRecentAlert(user.chatId, effects.recent);
+  user.stats = user.stats || {};
+  user.todayStats = user.todayStats || {};
+  for (const [key, n] of Object.entries(effects.stats || {})) user.stats[key] = (user.stats[key] || 0) + n;
+  for (const [key, n] of Object.entries(effects.today || {})) user.todayStats[key] = (user.todayStats[key] || 0) + n;
+  saveUserDebounced(user);
+}
+
+function getOutboxSize() {
+  if (!db) return 0;
+  try { return db.prepare('SELECT COUNT(*) AS n FROM outbox').get().n; }
+  catch (e) { return 0; }
+}
+
+// Stop sending and wait for the message in flight; whatever is left stays queued
+async function stopOutbox() {
+  outboxStopped = true;
+  if (outboxDrain) await outboxDrain;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ALERTS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -8328,25 +14278,18 @@ async function sendDailyDigests() {
   const cipherPrice = getPrice(MINTS.CIPHER);
   const vol24h = orbitVolumes.total24h || 0;
   
-  let sent = 0;
+  let queued = 0;
   let errors = 0;
   
-  // Collect eligible users into array for indexed iteration (supports i-- retry)
-  const eligible = [];
   for (const user of users.values()) {
-    if (!user.dailyDigest || user.blocked || !user.enabled) continue;
-    eligible.push(user);
-  }
-
-  const retryCount = new Map();
-  const MAX_RETRIES = 3;
-
-  for (let i = 0; i < eligible.length; i++) {
-    const user = eligible[i];
+    if ((!user.dailyDigest && user.deliveryMode !== 'digest') || user.blocked || !user.enabled) continue;
 
     try {
       const stats = user.todayStats || { trades: 0, lp: 0, wallet: 0 };
       const allTimeStats = user.stats || {};
+      // Batch-mode users get theirs from flushAlertBatches
+      const held = user.deliveryMode === 'digest' ? takeAlertBatch(user.chatId) : [];
+      const heldSection = held.length > 0 ? `\n*Held Alerts (${held.length})*\n${formatBatchSummary(held)}\n` : '';
       const portfolio = user.portfolio || {};
 
       // Build portfolio section if user has wallets
@@ -8355,9 +14298,10 @@ async function sendDailyDigests() {
         const totalValue = portfolio.totalValue || 0;
         const pnl = portfolio.realizedPnl || 0;
         const pnlIcon = pnl >= 0 ? '🟢' : '🔴';
+        const changes = formatNetWorthChanges(user.chatId);
         portfolioSection = `
 📈 *Your Portfolio*
-💎 Net Worth: ${fmt(totalValue)}
+💎 Net Worth: ${fmt(totalValue)}${changes ? `\n📅 ${changes}` : ''}
 ${pnlIcon} PnL: ${pnl >= 0 ? '+' : '-'}${fmt(Math.abs(pnl))}
 `;
       }
@@ -8376,15 +14320,15 @@ ${portfolioSection}
 📊 Trade Alerts: ${stats.trades}
 💧 LP Alerts: ${stats.lp}
 👛 Wallet Alerts: ${stats.wallet}
-🔔 Event Alerts: ${stats.events || 0}
-
+🔔 Event Alerts: ${stats.events || 0}${stats.held ? `\n📥 Held for Digest: ${stats.held}` : ''}
+${heldSection}
 *All Time*
 📈 Total Volume Tracked: ${fmt(allTimeStats.volume || 0)}
 🔄 Total Alerts: ${(allTimeStats.cipherBuys || 0) + (allTimeStats.cipherSells || 0) + (allTimeStats.cipherLp || 0) + (allTimeStats.otherLp || 0) + (allTimeStats.otherTrades || 0) + (allTimeStats.walletAlerts || 0) + (allTimeStats.events || 0)}
 
 _Have a great day! 🚀_${isPriceStale() ? '\n\n⚠️ _Prices may be outdated_' : ''}`;
 
-      await bot.telegram.sendMessage(user.chatId, msg, {
+      queued += queueAlert([user], msg, {
         parse_mode: 'Markdown',
         disable_web_page_preview: true,
         ...Markup.inlineKeyboard([
@@ -8392,30 +14336,8 @@ _Have a great day! 🚀_${isPriceStale() ? '\n\n⚠️ _Prices may be outdated_'
           [Markup.button.callback('⚙️ Digest Settings', 'nav:settings')],
         ])
       });
-
-      sent++;
-
-      // Rate limit protection
-      if (sent % 20 === 0) {
-        await new Promise(r => setTimeout(r, 1000));
-      }
-
     } catch (e) {
       errors++;
-      if (e.code === 429) {
-        const tries = (retryCount.get(user.chatId) || 0) + 1;
-        retryCount.set(user.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--; // Retry this user
-        } else {
-          log.warn(`429 max retries exceeded for digest user ${user.chatId}, skipping`);
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        user.enabled = false;
-        user.blocked = true;
-        saveUserDebounced(user);
-      }
       log.debug(`Digest failed for ${user.chatId}:`, e.message);
     }
   }
@@ -8426,36 +14348,26 @@ _Have a great day! 🚀_${isPriceStale() ? '\n\n⚠️ _Prices may be outdated_'
   }
   saveUsersDebounced();
 
-  log.info(`📬 Daily digest: sent ${sent}, errors ${errors}`);
+  log.info(`📬 Daily digest: queued ${queued}, errors ${errors}`);
   } finally { isDigestRunning = false; }
 }
 
-async function broadcastTradeAlert({ pool, trade, usd, isBuy, sig }) {
+async function broadcastTradeAlert({ pool, trade, usd, isBuy, sig, delayedMs = 0 }) {
+  const trader = trade.wallet || trade.user || trade.owner || trade.maker || trade.taker;
+  const event = buildAlertEvent('trade', { pool, side: isBuy ? 'buy' : 'sell', usd, trader });
+  const effects = {
+    stats: pool.isCipher ? { [isBuy ? 'cipherBuys' : 'cipherSells']: 1, volume: usd } : { otherTrades: 1, volume: usd },
+    today: { trades: 1 },
+    recent: { type: 'trade', pair: pool.pairName, usd, isBuy, sig },
+  };
   const toNotify = [];
   
   for (const user of users.values()) {
     if (!user.enabled || user.blocked || isUserSnoozed(user)) continue;
-    
-    let shouldSend = false;
-    
-    if (pool.isCipher) {
-      const threshold = user.cipherThreshold ?? 100;
-      if (isBuy && user.cipherBuys && usd >= threshold) shouldSend = true;
-      if (!isBuy && user.cipherSells && usd >= threshold) shouldSend = true;
-    } else {
-      if (user.trackOtherPools === false) continue;
-      const base = pool.baseMint || pool.base;
-      const quote = pool.quoteMint || pool.quote;
-      const tokenTracked = user.trackedTokens?.includes(base) || user.trackedTokens?.includes(quote);
-      const poolWatched = user.watchlist?.includes(pool.id);
-      const threshold = user.otherThreshold ?? 500;
-      if ((tokenTracked || poolWatched) && usd >= threshold) {
-        if (isBuy && user.otherBuys) shouldSend = true;
-        if (!isBuy && user.otherSells) shouldSend = true;
-      }
-    }
-    
-    if (shouldSend) toNotify.push(user);
+    const action = routeAlert(user, event);
+    if (action === 'notify' && deliversInstantly(user)) toNotify.push(user);
+    else if (action === 'notify') holdForBatch(user, { type: 'trade', poolId: pool.id, pair: pool.pairName, usd, isBuy, sig }, effects);
+    else if (action === 'digest') holdForDigest(user, { type: 'trade', pair: pool.pairName, usd, isBuy, sig });
   }
   
   if (toNotify.length === 0) return;
@@ -8467,8 +14379,6 @@ async function broadcastTradeAlert({ pool, trade, usd, isBuy, sig }) {
   const quote = pool.quoteMint || pool.quote;
   const baseSymbol = getSymbol(base);
   const quoteSymbol = getSymbol(quote);
-  const baseDecimals = getDecimals(base);
-  const quoteDecimals = getDecimals(quote);
   
   const size = getSizeTier(usd);
   const isCipher = pool.isCipher;
@@ -8486,16 +14396,7 @@ async function broadcastTradeAlert({ pool, trade, usd, isBuy, sig }) {
   }
   
   // Extract amounts
-  let baseAmt = 0, quoteAmt = 0;
-  if (trade.amountIn && trade.amountOut) {
-    if (isBuy) {
-      quoteAmt = parseFloat(trade.amountIn || 0) / Math.pow(10, quoteDecimals);
-      baseAmt = parseFloat(trade.amountOut || 0) / Math.pow(10, baseDecimals);
-    } else {
-      baseAmt = parseFloat(trade.amountIn || 0) / Math.pow(10, baseDecimals);
-      quoteAmt = parseFloat(trade.amountOut || 0) / Math.pow(10, quoteDecimals);
-    }
-  }
+  const { baseAmount: baseAmt, quoteAmount: quoteAmt } = getTradeAmounts(trade, pool, isBuy);
   
   // Build the message
   let msg = `${header}
@@ -8519,76 +14420,42 @@ ${size.bar} ${size.tier}
   }
   
   // Trader address
-  const trader = trade.wallet || trade.user || trade.owner || trade.maker || trade.taker;
   if (trader) {
     msg += `\n\n👤 \`${shortAddr(trader)}\``;
   }
 
+  // Recovered by backfill after downtime
+  if (delayedMs > 0) {
+    msg += `\n⏳ _Delayed — happened ${Math.round(delayedMs / 60000)}m ago_`;
+  }
+
   // Footer
   msg += `\n⏱ ${fmtTime()} UTC • Orbit`;
 
-  // Send with small delays to avoid Telegram rate limits
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const user = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(user.chatId, msg, { 
-        parse_mode: 'Markdown', 
-        disable_web_page_preview: true,
-        ...menu.alertActions(pool.id, sig)
-      });
-      
-      if (pool.isCipher) isBuy ? user.stats.cipherBuys++ : user.stats.cipherSells++;
-      else user.stats.otherTrades++;
-      user.stats.volume += usd;
-      user.todayStats.trades++;
-      
-      addRecentAlert(user.chatId, { type: 'trade', pair: pool.pairName, usd, isBuy, sig });
-      
-      // Small delay every 20 messages to avoid rate limits
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(user.chatId) || 0) + 1;
-        retryCount.set(user.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        user.enabled = false;
-        user.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();  // Debounced for performance
+  // Queue for the dispatcher (handles rate limits and retries)
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...menu.alertActions(pool.id, sig),
+  }, effects, pool.isCipher ? 'cipher_trades' : null);
 }
 
 async function broadcastLpAlert({ pool, isAdd, usd, sig, msg: originalMsg }) {
+  const provider = originalMsg?.wallet || originalMsg?.user || originalMsg?.owner;
+  const event = buildAlertEvent('lp', { pool, side: isAdd ? 'add' : 'remove', usd, trader: provider });
+  const effects = {
+    stats: pool.isCipher ? { cipherLp: 1 } : { otherLp: 1 },
+    today: { lp: 1 },
+    recent: { type: 'lp', pair: pool.pairName, usd, isAdd, sig },
+  };
   const toNotify = [];
   
   for (const user of users.values()) {
     if (!user.enabled || user.blocked || isUserSnoozed(user)) continue;
-    
-    let shouldSend = false;
-    
-    if (pool.isCipher) {
-      const threshold = user.cipherThreshold ?? 100;
-      if (isAdd && user.cipherLpAdd && usd >= threshold) shouldSend = true;
-      if (!isAdd && user.cipherLpRemove && usd >= threshold) shouldSend = true;
-    } else {
-      if (user.trackOtherPools === false) continue;
-      const base = pool.baseMint || pool.base;
-      const quote = pool.quoteMint || pool.quote;
-      const tokenTracked = user.trackedTokens?.includes(base) || user.trackedTokens?.includes(quote);
-      const poolWatched = user.watchlist?.includes(pool.id);
-      if (!tokenTracked && !poolWatched) continue;
-      const threshold = user.otherLpThreshold ?? 500;
-      if (isAdd && user.otherLpAdd && usd >= threshold) shouldSend = true;
-      if (!isAdd && user.otherLpRemove && usd >= threshold) shouldSend = true;
-    }
-
-    if (shouldSend) toNotify.push(user);
+    const action = routeAlert(user, event);
+    if (action === 'notify' && deliversInstantly(user)) toNotify.push(user);
+    else if (action === 'notify') holdForBatch(user, { type: 'lp', poolId: pool.id, pair: pool.pairName, usd, isAdd, sig }, effects);
+    else if (action === 'digest') holdForDigest(user, { type: 'lp', pair: pool.pairName, usd, isAdd, sig });
   }
 
   if (toNotify.length === 0) return;
@@ -8600,8 +14467,6 @@ async function broadcastLpAlert({ pool, isAdd, usd, sig, msg: originalMsg }) {
   const quote = pool.quoteMint || pool.quote;
   const baseSymbol = getSymbol(base);
   const quoteSymbol = getSymbol(quote);
-  const baseDecimals = getDecimals(base);
-  const quoteDecimals = getDecimals(quote);
   
   const size = getSizeTier(usd);
   const isCipher = pool.isCipher;
@@ -8628,16 +14493,7 @@ ${size.bar} ${size.tier}
 
   // Add LP amounts if available
   if (originalMsg) {
-    let baseAmt = 0, quoteAmt = 0;
-    
-    // Try different field names
-    if (originalMsg.baseAmount && originalMsg.quoteAmount) {
-      baseAmt = parseFloat(originalMsg.baseAmount) / Math.pow(10, baseDecimals);
-      quoteAmt = parseFloat(originalMsg.quoteAmount) / Math.pow(10, quoteDecimals);
-    } else if (originalMsg.amountX && originalMsg.amountY) {
-      baseAmt = parseFloat(originalMsg.amountX) / Math.pow(10, baseDecimals);
-      quoteAmt = parseFloat(originalMsg.amountY) / Math.pow(10, quoteDecimals);
-    }
+    const { baseAmount: baseAmt, quoteAmount: quoteAmt } = getLpAmounts(originalMsg, pool);
     
     if (baseAmt > 0 || quoteAmt > 0) {
       alertMsg += `
@@ -8651,45 +14507,23 @@ ${size.bar} ${size.tier}
 
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const user = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(user.chatId, alertMsg, { 
-        parse_mode: 'Markdown', 
-        disable_web_page_preview: true,
-        ...menu.alertActions(pool.id, sig)
-      });
-      
-      pool.isCipher ? user.stats.cipherLp++ : user.stats.otherLp++;
-      user.todayStats.lp++;
-      
-      addRecentAlert(user.chatId, { type: 'lp', pair: pool.pairName, usd, isAdd, sig });
-      
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(user.chatId) || 0) + 1;
-        retryCount.set(user.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        user.enabled = false;
-        user.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();  // Debounced for performance
+  queueAlert(toNotify, alertMsg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...menu.alertActions(pool.id, sig),
+  }, effects, 'lp');
 }
 
 async function broadcastWalletAlert({ wallet, signature, tokenSymbol, isBuy, usdValue }) {
+  const event = buildAlertEvent('wallet', { side: isBuy ? 'buy' : 'sell', usd: usdValue, trader: wallet });
   const toNotify = [];
   for (const user of users.values()) {
-    if (!user.enabled || user.blocked || !user.walletAlerts || isUserSnoozed(user)) continue;
+    if (!user.enabled || user.blocked || isUserSnoozed(user)) continue;
+    // Only users tracking this wallet ever see its activity, whatever their rules say
     if (!user.wallets?.includes(wallet)) continue;
-    toNotify.push(user);
+    const action = routeForDelivery(user, event);
+    if (action === 'notify') toNotify.push(user);
+    else if (action === 'digest') holdForDigest(user, { type: 'wallet', token: tokenSymbol, usd: usdValue, wallet: shortAddr(wallet), sig: signature });
   }
   if (toNotify.length === 0) return;
 
@@ -8711,37 +14545,15 @@ ${size.bar} ${size.tier}
 
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const user = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(user.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...menu.walletAlertActions(signature)
-      });
-
-      user.stats.walletAlerts = (user.stats.walletAlerts || 0) + 1;
-      user.todayStats.wallet++;
-
-      addRecentAlert(user.chatId, { type: 'wallet', token: tokenSymbol, usd: usdValue, wallet: shortAddr(wallet), sig: signature });
-
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(user.chatId) || 0) + 1;
-        retryCount.set(user.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        user.enabled = false;
-        user.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();  // Debounced for performance
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...menu.walletAlertActions(signature),
+  }, {
+    stats: { walletAlerts: 1 },
+    today: { wallet: 1 },
+    recent: { type: 'wallet', token: tokenSymbol, usd: usdValue, wallet: shortAddr(wallet), sig: signature },
+  }, 'whales');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -8752,10 +14564,13 @@ async function broadcastNewPoolAlert({ poolId, user: creator, sig, timestamp })
   const pool = poolMap.get(poolId);
   const pairName = pool?.pairName || 'Unknown Pool';
 
+  const event = buildAlertEvent('newpool', { poolId, trader: creator });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.newPoolAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: 'pool_init', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
@@ -8767,94 +14582,55 @@ ${creatorAddr}
 
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(poolId && sig ? menu.alertActions(poolId, sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: 'pool_init', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(poolId && sig ? menu.alertActions(poolId, sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'pool_init', pair: pairName, usd: 0, sig } }, 'new_pools');
 }
 
-async function broadcastLockAlert({ poolId, isLock, user: actor, sig, timestamp }) {
+async function broadcastLockAlert({ poolId, isLock, user: actor, sig, timestamp, details = '' }) {
   const pool = poolMap.get(poolId);
   const pairName = pool?.pairName || 'Unknown Pool';
 
+  const event = buildAlertEvent(isLock ? 'lock' : 'unlock', { poolId, trader: actor });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.lockAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: isLock ? 'lock' : 'unlock', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
   const icon = isLock ? '🔒' : '🔓';
   const action = isLock ? 'LIQUIDITY LOCKED' : 'LIQUIDITY UNLOCKED';
   const actorAddr = actor ? `\n👤 \`${shortAddr(actor)}\`` : '';
+  const detailLine = details ? `\n${escMd(details)}` : '';
 
   const msg = `${icon} ━━━ *${action}* ━━━ ${icon}
 *${escMd(pairName)}*
-${actorAddr}
+${actorAddr}${detailLine}
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(poolId && sig ? menu.alertActions(poolId, sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: isLock ? 'lock' : 'unlock', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(poolId && sig ? menu.alertActions(poolId, sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: isLock ? 'lock' : 'unlock', pair: pairName, usd: 0, sig } }, 'lp');
 }
 
 async function broadcastRewardClaimAlert({ user: claimer, sig, poolId, timestamp }) {
   const pool = poolId ? poolMap.get(poolId) : null;
   const pairName = pool?.pairName || '';
 
+  const event = buildAlertEvent('reward', { poolId, trader: claimer });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.rewardAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: 'reward', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
@@ -8866,44 +14642,24 @@ ${poolLine}${claimerAddr}
 
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(sig ? menu.walletAlertActions(sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: 'reward', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(sig ? menu.walletAlertActions(sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'reward', pair: pairName, usd: 0, sig } }, 'lp');
 }
 
 async function broadcastClosePoolAlert({ poolId, user: actor, sig, timestamp }) {
   const pool = poolMap.get(poolId);
   const pairName = pool?.pairName || 'Unknown Pool';
 
+  const event = buildAlertEvent('close', { poolId, trader: actor });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.closePoolAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: 'close_pool', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
@@ -8914,44 +14670,24 @@ async function broadcastClosePoolAlert({ poolId, user: actor, sig, timestamp })
 ${actorAddr}
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(sig ? menu.walletAlertActions(sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: 'close_pool', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(sig ? menu.walletAlertActions(sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'close_pool', pair: pairName, usd: 0, sig } }, 'admin');
 }
 
 async function broadcastProtocolFeeAlert({ poolId, user: actor, sig, timestamp }) {
   const pool = poolId ? poolMap.get(poolId) : null;
   const pairName = pool?.pairName || '';
 
+  const event = buildAlertEvent('fees', { poolId, trader: actor });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.protocolFeeAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: 'protocol_fees', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
@@ -8962,44 +14698,24 @@ async function broadcastProtocolFeeAlert({ poolId, user: actor, sig, timestamp }
 ${poolLine}${actorAddr}
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(sig ? menu.walletAlertActions(sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: 'protocol_fees', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(sig ? menu.walletAlertActions(sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'protocol_fees', pair: pairName, usd: 0, sig } }, 'admin');
 }
 
-async function broadcastAdminAlert({ poolId, user: actor, sig, timestamp, eventName }) {
+async function broadcastAdminAlert({ poolId, user: actor, sig, timestamp, eventName, details = '' }) {
   const pool = poolId ? poolMap.get(poolId) : null;
   const pairName = pool?.pairName || '';
 
+  const event = buildAlertEvent('admin', { poolId, trader: actor });
   const toNotify = [];
   for (const u of users.values()) {
     if (!u.enabled || u.blocked || isUserSnoozed(u)) continue;
-    if (u.adminAlerts !== false) toNotify.push(u);
+    const action = routeForDelivery(u, event);
+    if (action === 'notify') toNotify.push(u);
+    else if (action === 'digest') holdForDigest(u, { type: 'admin', pair: pairName, usd: 0, sig });
   }
   if (toNotify.length === 0) return;
 
@@ -9012,40 +14728,18 @@ async function broadcastAdminAlert({ poolId, user: actor, sig, timestamp, eventN
   const subLabel = subtypes[eventName] || eventName || 'Config Change';
   const actorAddr = actor ? `\n👤 \`${shortAddr(actor)}\`` : '';
   const poolLine = pairName ? `\n*Pool:* ${escMd(pairName)}` : '';
+  const detailLine = details ? `\n${escMd(details)}` : '';
 
   const msg = `⚠️ ━━━ *ADMIN UPDATE* ━━━ ⚠️
 *${escMd(subLabel)}*
-${poolLine}${actorAddr}
+${poolLine}${actorAddr}${detailLine}
 ⏱ ${fmtTime()} UTC • Orbit`;
 
-  const retryCount = new Map(); const MAX_RETRIES = 3;
-  for (let i = 0; i < toNotify.length; i++) {
-    const u = toNotify[i];
-    try {
-      await bot.telegram.sendMessage(u.chatId, msg, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true,
-        ...(sig ? menu.walletAlertActions(sig) : {}),
-      });
-      addRecentAlert(u.chatId, { type: 'admin', pair: pairName, usd: 0, sig });
-      u.stats = u.stats || {}; u.stats.events = (u.stats.events || 0) + 1;
-      u.todayStats = u.todayStats || {}; u.todayStats.events = (u.todayStats.events || 0) + 1;
-      if (i > 0 && i % 20 === 0) await new Promise(r => setTimeout(r, 100));
-    } catch (e) {
-      if (e.code === 429) {
-        const tries = (retryCount.get(u.chatId) || 0) + 1;
-        retryCount.set(u.chatId, tries);
-        if (tries <= MAX_RETRIES) {
-          await new Promise(r => setTimeout(r, (e.parameters?.retry_after || 5) * 1000));
-          i--;
-        }
-      } else if (e.code === 403 || e.description?.includes('blocked') || e.description?.includes('deactivated')) {
-        u.enabled = false;
-        u.blocked = true;
-      }
-    }
-  }
-  saveUsersDebounced();
+  queueAlert(toNotify, msg, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    ...(sig ? menu.walletAlertActions(sig) : {}),
+  }, { stats: { events: 1 }, today: { events: 1 }, recent: { type: 'admin', pair: pairName, usd: 0, sig } }, 'admin');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -9056,6 +14750,7 @@ async function start() {
   log.info('🚀 Orbit Tracker v11.0\n');
   log.info(`📁 Data directory: ${DATA_DIR}`);
   log.info(`🐛 Debug mode: ${CONFIG.debug ? 'ON' : 'OFF'}`);
+  loadOrbitIdl();
   
   // Initialize SQLite database first
   if (!initDatabase()) {
@@ -9068,7 +14763,11 @@ async function start() {
   } catch (e) {
     log.error('Failed to load users, starting with empty user set:', e.message);
   }
+  ensureChannelFeed();
   loadSeenTxs();
+  loadPriceAlerts();
+  loadCustomRules();
+  loadPoolCheckpoints();
   await loadTokens();
 
   // Retry critical startup fetches up to 3 times
@@ -9096,7 +14795,10 @@ async function start() {
   
   // Refresh intervals
   activeIntervals.push(setInterval(fetchPools, CONFIG.poolRefreshInterval));
-  activeIntervals.push(setInterval(fetchPrices, CONFIG.priceRefreshInterval));
+  activeIntervals.push(setInterval(async () => {
+    await fetchPrices();
+    await checkPriceAlerts();
+  }, CONFIG.priceRefreshInterval));
   activeIntervals.push(setInterval(fetchVolumes, CONFIG.poolRefreshInterval));
   activeIntervals.push(setInterval(checkOrbitHealth, 60000)); // Health check every minute
 
@@ -9127,6 +14829,12 @@ async function start() {
     if (users.size > 0) saveUsersDebounced();
   }, 5 * 60 * 1000));
 
+  // Outbox pump: picks up retries and anything queued before a restart
+  const pendingAlerts = getOutboxSize();
+  if (pendingAlerts > 0) log.info(`📮 ${pendingAlerts} queued alerts left from last run`);
+  activeIntervals.push(setInterval(kickOutbox, 1000));
+  kickOutbox();
+
   // Auto-sync portfolios for active users every 5 minutes
   activeIntervals.push(setInterval(async () => {
     const now = Date.now();
@@ -9164,6 +14872,33 @@ async function start() {
   }, { timezone: 'UTC' }));
   log.info(`📅 Daily digest scheduled for ${CONFIG.dailyDigestHour}:${String(CONFIG.dailyDigestMinute).padStart(2, '0')} UTC`);
 
+  // Batched alert summaries (each user's interval is checked inside)
+  activeCronJobs.push(cron.schedule('* * * * *', () => {
+    flushAlertBatches();
+  }, { timezone: 'UTC' }));
+
+  // Continue wallet history backfills that ran out of page budget during syncs
+  activeCronJobs.push(cron.schedule('*/15 * * * *', async () => {
+    await crawlIncompleteWalletHistories();
+  }, { timezone: 'UTC' }));
+
+  // Daily net worth snapshot for portfolios that haven't synced in the last day
+  activeCronJobs.push(cron.schedule('30 0 * * *', async () => {
+    log.info('📸 Taking daily portfolio snapshots...');
+    await snapshotStalePortfolios();
+  }, { timezone: 'UTC' }));
+
+  // Hourly stake pool snapshot (protocol APR) and claimable reward alerts
+  activeCronJobs.push(cron.schedule('5 * * * *', async () => {
+    await snapshotStakingPool();
+    await checkClaimableRewards();
+  }, { timezone: 'UTC' }));
+
+  // Hourly check for vesting unlocks in the next 24h
+  activeCronJobs.push(cron.schedule('15 * * * *', async () => {
+    await checkUpcomingUnlocks();
+  }, { timezone: 'UTC' }));
+
   // Weekly stats reset (Sunday at midnight UTC)
   activeCronJobs.push(cron.schedule('0 0 * * 0', () => {
     log.info('📊 Weekly stats checkpoint');
@@ -9173,6 +14908,7 @@ async function start() {
   // Database optimization (daily at 3 AM UTC) — pragma optimize only, no VACUUM in WAL mode
   activeCronJobs.push(cron.schedule('0 3 * * *', () => {
     log.info('🔧 Running database optimization...');
+    pruneEventHistory();
     try {
       if (db) {
         db.pragma('optimize');
@@ -9190,6 +14926,9 @@ async function start() {
     { command: 'menu', description: 'Open main menu' },
     { command: 'portfolio', description: 'View your portfolio' },
     { command: 'pnl', description: 'Quick PnL summary' },
+    { command: 'networth', description: 'Net worth history chart' },
+    { command: 'export', description: 'Export trade history for taxes' },
+    { command: 'staking', description: 'Staking rewards and APR' },
     { command: 'lp', description: 'View LP positions' },
     { command: 'refresh', description: 'Sync portfolio data' },
     { command: 'pools', description: 'Browse all pools' },
@@ -9197,9 +14936,12 @@ async function start() {
     { command: 'newpools', description: 'Recently added pools' },
     { command: 'price', description: 'SOL & CIPHER prices' },
     { command: 'cipher', description: 'CIPHER token stats' },
+    { command: 'unlocks', description: 'CIPHER unlock calendar' },
     { command: 'chart', description: 'Price chart' },
     { command: 'leaderboard', description: 'Top traders PnL' },
     { command: 'liquidity', description: 'LP event history' },
+    { command: 'alert', description: 'Price-level alerts' },
+    { command: 'rule', description: 'Custom alert rules' },
     { command: 'status', description: 'Bot & API status' },
     { command: 'pause', description: 'Pause all alerts' },
     { command: 'resume', description: 'Resume alerts' },
@@ -9209,6 +14951,21 @@ async function start() {
     { command: 'stats', description: 'Your usage stats' },
     { command: 'help', description: 'Show all commands' },
   ]);
+  // Groups get the shared-chat subset; settings changes there are admin-only
+  await bot.telegram.setMyCommands([
+    { command: 'start', description: 'Set up alerts for this chat (admins)' },
+    { command: 'menu', description: 'Open main menu' },
+    { command: 'price', description: 'SOL & CIPHER prices' },
+    { command: 'cipher', description: 'CIPHER token stats' },
+    { command: 'chart', description: 'Price chart' },
+    { command: 'pools', description: 'Browse all pools' },
+    { command: 'trending', description: 'Top pools by volume' },
+    { command: 'leaderboard', description: 'Top traders PnL' },
+    { command: 'unlocks', description: 'CIPHER unlock calendar' },
+    { command: 'settings', description: 'Alert preferences (admins)' },
+    { command: 'topics', description: 'Route alerts to forum topics (admins)' },
+    { command: 'help', description: 'Show all commands' },
+  ], { scope: { type: 'all_group_chats' } });
   
   // ═══════════════════════════════════════════════════════════════════════════════
   // HTTP HEALTH CHECK SERVER (for Fly.io / container orchestration)
@@ -9321,6 +15078,10 @@ async function gracefulShutdown(signal) {
   // Brief pause to let in-flight interval callbacks finish
   await new Promise(r => setTimeout(r, 2000));
 
+  // Stop the outbox pump; undelivered alerts stay queued for the next start
+  await stopOutbox();
+  log.info(`✅ Outbox stopped (${getOutboxSize()} alerts queued)`);
+
   // Close health server
   if (healthServer) {
     await new Promise(resolve => healthServer.close(resolve));